@@ -0,0 +1,421 @@
+// Serverless LLM proxy (Vercel function at /api/llm)
+// Holds the provider API keys, verifies the caller's Supabase session,
+// enforces per-user and per-company quotas and spend limits, forwards the request to the provider,
+// and meters each call (tokens, latency and cost) into llm_usage
+
+import { createClient } from '@supabase/supabase-js'
+import {
+  DEFAULT_PROVIDER_ID,
+  buildProviderRequest,
+  normalizeProviderSettings,
+  parseProviderResponse,
+  parseProviderStreamEvent,
+  parseProviderUsage,
+  parseProviderStreamUsage,
+  getProviderErrorMessage
+} from '../src/services/llmProviders.js'
+import { readSSE, formatSSE } from '../src/utils/sse.js'
+import { estimateTokens } from '../src/utils/tokenBudget.js'
+import { estimateCost } from '../src/config/llmPricing.js'
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || DEFAULT_PROVIDER_ID
+
+// Default request quotas per rolling day (a company can override them in companies.settings.llmQuota)
+const DEFAULT_USER_DAILY_QUOTA = parseInt(process.env.LLM_QUOTA_USER_DAILY || '200', 10)
+const DEFAULT_COMPANY_DAILY_QUOTA = parseInt(process.env.LLM_QUOTA_COMPANY_DAILY || '2000', 10)
+
+// Connection details for each provider - these never leave the server
+const PROVIDER_ENV_CONFIG = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL
+  },
+  'azure-openai': {
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL
+  },
+  local: {
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseUrl: process.env.LOCAL_LLM_BASE_URL
+  }
+}
+
+// Settings a company or case may override (connection secrets always come from the environment)
+const OVERRIDABLE_SETTINGS = ['model', 'models', 'deployment', 'deployments']
+
+// Model name every request asks for; the company or case settings map it onto their model (see resolveModel)
+const REQUESTED_MODEL = 'gpt-4'
+
+// Limits on the sampling options a client may ask for
+const MAX_TOKENS_LIMIT = parseInt(process.env.LLM_MAX_TOKENS || '4000', 10)
+const DEFAULT_MAX_TOKENS = 2000
+const MAX_TEMPERATURE = 1
+const DEFAULT_TEMPERATURE = 0.7
+
+const ALLOWED_ROLES = ['system', 'user', 'assistant']
+
+// Name of the client function making the request, recorded with its usage
+const CALLER_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/
+
+function sendError(res, status, message, code = null) {
+  return res.status(status).json({ error: { message, ...(code ? { code } : {}) } })
+}
+
+/**
+ * Verifies the bearer token on the request and loads the caller's profile
+ * @returns {Promise<{ user: Object, companyId: string|null }|null>}
+ */
+async function authenticate(supabase, req) {
+  const header = req.headers.authorization || ''
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null
+  if (!token) return null
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  if (error || !user) return null
+
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('company_id, companies (settings)')
+    .eq('id', user.id)
+    .maybeSingle()
+
+  return {
+    user,
+    companyId: profile?.company_id || null,
+    companySettings: profile?.companies?.settings || {}
+  }
+}
+
+/**
+ * Checks the caller's request counts for the last 24 hours against their quotas
+ * @returns {Promise<string|null>} An error message if a quota is exhausted, otherwise null
+ */
+async function checkQuota(supabase, { user, companyId, companySettings }) {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+  const quota = companySettings.llmQuota || {}
+  const userQuota = quota.userDaily ?? DEFAULT_USER_DAILY_QUOTA
+  const companyQuota = quota.companyDaily ?? DEFAULT_COMPANY_DAILY_QUOTA
+
+  const { count: userCount, error: userError } = await supabase
+    .from('llm_usage')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .gte('created_at', since)
+
+  if (userError) throw userError
+  if (userCount >= userQuota) {
+    return `Daily AI request limit reached (${userQuota} requests). Please try again later.`
+  }
+
+  if (companyId) {
+    const { count: companyCount, error: companyError } = await supabase
+      .from('llm_usage')
+      .select('id', { count: 'exact', head: true })
+      .eq('company_id', companyId)
+      .gte('created_at', since)
+
+    if (companyError) throw companyError
+    if (companyCount >= companyQuota) {
+      return `Your company's daily AI request limit has been reached (${companyQuota} requests). Please try again later.`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Checks the company's spend this calendar month (UTC) against its hard limit
+ * Limits are in US dollars, set in companies.settings.llmSpendLimits ({ monthlySoft, monthlyHard });
+ * the soft limit only warns, on the usage dashboard
+ * @returns {Promise<string|null>} An error message if the hard limit is reached, otherwise null
+ */
+async function checkSpendLimit(supabase, { companyId, companySettings }) {
+  const hardLimit = companySettings.llmSpendLimits?.monthlyHard
+  if (!companyId || hardLimit === null || hardLimit === undefined) return null
+
+  const now = new Date()
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString()
+  const { data: spend, error } = await supabase.rpc('llm_company_spend', {
+    p_company_id: companyId,
+    p_since: monthStart
+  })
+
+  if (error) throw error
+  if (Number(spend) >= hardLimit) {
+    return `Your company has reached its monthly AI spending limit ($${Number(hardLimit).toFixed(2)}). Ask an administrator to raise the limit on the Usage page.`
+  }
+  return null
+}
+
+/**
+ * Confirms the user belongs to the case before usage is attributed to it
+ * (the service role bypasses RLS, so this has to be checked here)
+ */
+async function isCaseMember(supabase, caseId, userId) {
+  const { data } = await supabase
+    .from('case_users')
+    .select('case_id')
+    .eq('case_id', caseId)
+    .eq('user_id', userId)
+    .maybeSingle()
+  return !!data
+}
+
+/**
+ * Resolves the provider settings a request runs on
+ * A provider selected on the case (cases.metadata.llmProvider) wins over the company default
+ * (companies.settings.llmProvider), which wins over LLM_PROVIDER. Provider settings sent by the client
+ * are never used, so a case can only go to a provider and model its company or case has chosen.
+ * @returns {Promise<Object>} Provider settings ({ provider, model?, ... })
+ */
+async function resolveProviderSettings(supabase, caseId, { companySettings }) {
+  if (caseId) {
+    const { data: caseRow, error } = await supabase
+      .from('cases')
+      .select('metadata')
+      .eq('id', caseId)
+      .maybeSingle()
+
+    if (error) throw error
+    const caseSettings = normalizeProviderSettings(caseRow?.metadata?.llmProvider)
+    if (caseSettings) return caseSettings
+  }
+
+  return normalizeProviderSettings(companySettings.llmProvider) || { provider: DEFAULT_PROVIDER }
+}
+
+/**
+ * Clamps a number from the request body to a range, falling back to a default if it is not a number
+ */
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value)
+  if (value === null || value === undefined || !Number.isFinite(number)) return fallback
+  return Math.min(max, Math.max(min, number))
+}
+
+/**
+ * Fills in token counts the provider did not report by estimating them from the text
+ * @param {Array} messages - Messages sent to the provider
+ * @param {string} completion - Text the provider returned
+ * @param {Object|null} reported - Counts reported by the provider ({ promptTokens, completionTokens })
+ * @returns {{ promptTokens: number, completionTokens: number, tokensEstimated: boolean }}
+ */
+function measureTokens(messages, completion, reported) {
+  const promptTokens = reported?.promptTokens ?? null
+  const completionTokens = reported?.completionTokens ?? null
+  return {
+    promptTokens: promptTokens ?? messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0),
+    completionTokens: completionTokens ?? estimateTokens(completion),
+    tokensEstimated: promptTokens === null || completionTokens === null
+  }
+}
+
+async function recordUsage(supabase, caller, { caseId, providerId, model, source, latencyMs, promptTokens, completionTokens, tokensEstimated }) {
+  const { error } = await supabase
+    .from('llm_usage')
+    .insert({
+      user_id: caller.user.id,
+      user_email: caller.user.email || null,
+      company_id: caller.companyId,
+      case_id: caseId,
+      provider: providerId,
+      model,
+      caller: source,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      tokens_estimated: tokensEstimated,
+      latency_ms: latencyMs,
+      cost_usd: estimateCost(model, promptTokens, completionTokens, caller.companySettings.llmPricing)
+    })
+  if (error) console.error('Error recording LLM usage:', error)
+}
+
+/**
+ * Relays a provider's streamed response to the client as normalized SSE events:
+ * `{ text }` for each delta, `{ error }` on failure, then `[DONE]`
+ * @returns {Promise<{ text: string, usage: Object|null }>} The relayed text and any token counts the provider reported
+ */
+async function relayStream(res, response, providerId, signal) {
+  let text = ''
+  let usage = null
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  })
+
+  try {
+    await readSSE(response.body, (data) => {
+      if (data === '[DONE]') return
+
+      let event
+      try {
+        event = JSON.parse(data)
+      } catch {
+        return
+      }
+
+      if (event.error) {
+        res.write(formatSSE({ error: { message: getProviderErrorMessage(event) || 'The AI service returned an error.' } }))
+        return
+      }
+
+      const eventUsage = parseProviderStreamUsage(providerId, event)
+      if (eventUsage) {
+        usage = { ...usage, ...eventUsage }
+      }
+
+      const delta = parseProviderStreamEvent(providerId, event)
+      if (delta) {
+        text += delta
+        res.write(formatSSE({ text: delta }))
+      }
+    })
+    res.write(formatSSE('[DONE]'))
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('LLM proxy stream error:', error)
+      res.write(formatSSE({ error: { message: 'The AI response was interrupted. Please try again.' } }))
+    }
+  }
+  res.end()
+  return { text, usage }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    return sendError(res, 405, 'Method not allowed')
+  }
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    return sendError(res, 500, 'LLM proxy is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.')
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false }
+  })
+
+  try {
+    const caller = await authenticate(supabase, req)
+    if (!caller) {
+      return sendError(res, 401, 'Not authenticated. Please sign in again.')
+    }
+
+    const {
+      messages,
+      temperature: requestedTemperature,
+      maxTokens: requestedMaxTokens,
+      caseId = null,
+      caller: source = null,
+      stream = false
+    } = req.body || {}
+    const temperature = clampNumber(requestedTemperature, 0, MAX_TEMPERATURE, DEFAULT_TEMPERATURE)
+    const maxTokens = Math.round(clampNumber(requestedMaxTokens, 1, MAX_TOKENS_LIMIT, DEFAULT_MAX_TOKENS))
+
+    if (!Array.isArray(messages) || messages.length === 0 ||
+        messages.some(msg => !ALLOWED_ROLES.includes(msg?.role) || typeof msg.content !== 'string')) {
+      return sendError(res, 400, 'Invalid messages.')
+    }
+
+    if (source !== null && (typeof source !== 'string' || !CALLER_PATTERN.test(source))) {
+      return sendError(res, 400, 'Invalid caller.')
+    }
+
+    if (caseId && !(await isCaseMember(supabase, caseId, caller.user.id))) {
+      return sendError(res, 403, 'You do not have access to this case.', 'forbidden')
+    }
+
+    const quotaError = await checkQuota(supabase, caller)
+    if (quotaError) {
+      return sendError(res, 429, quotaError, 'quota_exceeded')
+    }
+
+    const spendError = await checkSpendLimit(supabase, caller)
+    if (spendError) {
+      return sendError(res, 402, spendError, 'spend_limit_exceeded')
+    }
+
+    const providerSettings = await resolveProviderSettings(supabase, caseId, caller)
+    const providerId = providerSettings.provider
+    const config = { ...(PROVIDER_ENV_CONFIG[providerId] || {}) }
+    OVERRIDABLE_SETTINGS.forEach(key => {
+      if (providerSettings[key] !== undefined) config[key] = providerSettings[key]
+    })
+
+    let providerRequest
+    try {
+      providerRequest = buildProviderRequest(providerId, { model: REQUESTED_MODEL, messages, temperature, maxTokens, stream }, config)
+    } catch (error) {
+      return sendError(res, 400, error.message)
+    }
+
+    // Stop the upstream request if the client goes away (e.g. the user pressed Stop)
+    const upstreamController = new AbortController()
+    res.on('close', () => {
+      if (!res.writableEnded) upstreamController.abort()
+    })
+
+    const startedAt = Date.now()
+    const response = await fetch(providerRequest.url, {
+      ...providerRequest.init,
+      signal: upstreamController.signal
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      const retryAfter = response.headers.get('retry-after')
+      if (retryAfter) res.setHeader('Retry-After', retryAfter)
+      return sendError(
+        res,
+        response.status,
+        getProviderErrorMessage(errorData) || `API request failed with status ${response.status}`,
+        errorData.error?.code || errorData.error?.type || null
+      )
+    }
+
+    const usage = { caseId, providerId, model: providerRequest.model, source }
+
+    if (stream) {
+      const relayed = await relayStream(res, response, providerId, upstreamController.signal)
+      await recordUsage(supabase, caller, {
+        ...usage,
+        latencyMs: Date.now() - startedAt,
+        ...measureTokens(messages, relayed.text, relayed.usage)
+      })
+      return
+    }
+
+    const data = await response.json()
+    const content = parseProviderResponse(providerId, data)
+    await recordUsage(supabase, caller, {
+      ...usage,
+      latencyMs: Date.now() - startedAt,
+      ...measureTokens(messages, content, parseProviderUsage(providerId, data))
+    })
+
+    // Providers report a filtered completion as a normal response with a special stop reason
+    if (data.choices?.[0]?.finish_reason === 'content_filter' || data.stop_reason === 'refusal') {
+      return sendError(res, 422, 'The response was blocked by the provider\'s content filter.', 'content_filter')
+    }
+
+    return res.status(200).json({
+      content,
+      model: providerRequest.model
+    })
+  } catch (error) {
+    if (error.name === 'AbortError') return res.end()
+    console.error('LLM proxy error:', error)
+    return sendError(res, 502, 'The AI service could not be reached. Please try again.')
+  }
+}
@@ -3,6 +3,7 @@ import { AuthProvider, useAuth } from './context/AuthContext'
 import Auth from './components/Auth'
 import HomePage from './components/HomePage'
 import CaseView from './components/CaseView'
+import UsageDashboard from './components/UsageDashboard'
 import ProtectedRoute from './components/ProtectedRoute'
 
 function AppRoutes() {
@@ -38,6 +39,14 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/usage"
+        element={
+          <ProtectedRoute>
+            <UsageDashboard />
+          </ProtectedRoute>
+        }
+      />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   )
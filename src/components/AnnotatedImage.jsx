@@ -0,0 +1,97 @@
+import { useState, useRef } from 'react'
+
+// Drags smaller than this (fraction of the image) are treated as clicks
+const MIN_REGION_SIZE = 0.01
+
+/**
+ * AnnotatedImage - Shows an image with annotated regions outlined
+ * While `isDrawing` is set, dragging on the image marks a new region
+ */
+function AnnotatedImage({ src, alt, annotations, activeAnnotationId, isDrawing, onRegionDrawn, onRegionClick }) {
+  const containerRef = useRef(null)
+  const [dragStart, setDragStart] = useState(null)
+  const [draftRegion, setDraftRegion] = useState(null)
+
+  // Pointer position as a fraction of the image size
+  const getPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect()
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    }
+  }
+
+  const toRegion = (a, b) => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y)
+  })
+
+  const handleMouseDown = (e) => {
+    if (!isDrawing) return
+    e.preventDefault()
+    const point = getPoint(e)
+    setDragStart(point)
+    setDraftRegion({ x: point.x, y: point.y, width: 0, height: 0 })
+  }
+
+  const handleMouseMove = (e) => {
+    if (!dragStart) return
+    setDraftRegion(toRegion(dragStart, getPoint(e)))
+  }
+
+  const handleMouseUp = (e) => {
+    if (!dragStart) return
+    const region = toRegion(dragStart, getPoint(e))
+    setDragStart(null)
+    setDraftRegion(null)
+    if (region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE) {
+      onRegionDrawn({ type: 'region', ...region })
+    }
+  }
+
+  const regionStyle = (region) => ({
+    left: `${region.x * 100}%`,
+    top: `${region.y * 100}%`,
+    width: `${region.width * 100}%`,
+    height: `${region.height * 100}%`
+  })
+
+  return (
+    <div className="flex items-center justify-center">
+      <div
+        ref={containerRef}
+        className={`relative inline-block ${isDrawing ? 'cursor-crosshair' : ''}`}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseUp}
+      >
+        <img
+          src={src}
+          alt={alt}
+          draggable={false}
+          className="max-w-full max-h-full object-contain select-none"
+        />
+        {annotations
+          .filter(annotation => annotation.anchor?.type === 'region')
+          .map(annotation => (
+            <button
+              key={annotation.id}
+              type="button"
+              title={annotation.note}
+              onClick={() => onRegionClick && onRegionClick(annotation.id)}
+              className={`absolute border-2 ${annotation.id === activeAnnotationId ? 'border-yellow-400 bg-yellow-400/20' : 'border-yellow-600 bg-yellow-600/10'}`}
+              style={regionStyle(annotation.anchor)}
+            />
+          ))}
+        {draftRegion && (
+          <div className="absolute border-2 border-dashed border-red-500 bg-red-500/10" style={regionStyle(draftRegion)} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AnnotatedImage
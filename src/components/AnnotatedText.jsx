@@ -0,0 +1,39 @@
+import { forwardRef } from 'react'
+import { buildHighlightSegments } from '../utils/annotationAnchors'
+
+/**
+ * AnnotatedText - Renders document text with annotated passages highlighted
+ * The rendered text content is exactly `text`, so selections map back to character offsets
+ */
+const AnnotatedText = forwardRef(function AnnotatedText({ text, annotations, activeAnnotationId, onHighlightClick }, ref) {
+  const segments = buildHighlightSegments(text, annotations)
+
+  return (
+    <div ref={ref} className="text-white text-sm whitespace-pre-wrap break-words">
+      {segments.map((segment, index) => {
+        if (segment.annotationIds.length === 0) {
+          return <span key={index}>{segment.text}</span>
+        }
+
+        const isActive = segment.annotationIds.includes(activeAnnotationId)
+        const notes = annotations
+          .filter(annotation => segment.annotationIds.includes(annotation.id))
+          .map(annotation => annotation.note)
+          .join('\n\n')
+        return (
+          <mark
+            key={index}
+            data-annotation-id={segment.annotationIds[0]}
+            title={notes}
+            onClick={() => onHighlightClick && onHighlightClick(segment.annotationIds[0])}
+            className={`cursor-pointer rounded-sm text-white ${isActive ? 'bg-yellow-600' : 'bg-yellow-800/70'}`}
+          >
+            {segment.text}
+          </mark>
+        )
+      })}
+    </div>
+  )
+})
+
+export default AnnotatedText
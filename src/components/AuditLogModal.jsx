@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react'
+import { getCaseAuditLog, recordExport } from '../services/auditService'
+import { exportAuditLog } from '../services/exportService'
+import { AUDIT_ORIGINS, AUDIT_ENTITY_LABELS, AUDIT_ACTION_LABELS, AUDIT_HIDDEN_FIELDS } from '../config/auditLog'
+import { getDraftStatusLabel } from '../config/draftStatuses'
+import { splitDraftBlocks } from '../utils/draftPatches'
+import { diffWords } from '../utils/textDiff'
+
+// Fields holding document content, shown as a word diff
+const CONTENT_FIELDS = ['rendered_content', 'content']
+
+const DIFF_CLASSES = {
+  equal: 'text-gray-300',
+  delete: 'bg-red-900/50 text-red-200 line-through',
+  insert: 'bg-green-900/50 text-green-200'
+}
+
+const formatFieldName = (field) => field.replace(/_/g, ' ')
+
+const toPlainText = (html) => splitDraftBlocks(html || '').map(block => block.text).join('\n\n')
+
+/**
+ * Formats a recorded value for display
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(empty)'
+  if (field === 'status') return getDraftStatusLabel(value)
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * What happened, e.g. "Draft updated" or "Case member added"
+ */
+function describeAction(entry) {
+  const entity = AUDIT_ENTITY_LABELS[entry.entity_type] || entry.entity_type
+  if (entry.entity_type === 'case_member' && entry.action === 'created') return `${entity} added`
+  if (entry.entity_type === 'case_member' && entry.action === 'deleted') return `${entity} removed`
+  return `${entity} ${(AUDIT_ACTION_LABELS[entry.action] || entry.action).toLowerCase()}`
+}
+
+/**
+ * One-line summary of an entry, e.g. "status: In Review → Approved"
+ */
+function summarizeEntry(entry) {
+  const row = entry.new_values || entry.old_values || {}
+  const name = row.version_number ? `Version ${row.version_number}` : row.name || row.title || null
+
+  if (entry.action === 'exported') {
+    const { format, filename, versionNumber } = entry.details || {}
+    return [versionNumber ? `Version ${versionNumber}` : null, format?.toUpperCase(), filename].filter(Boolean).join(' • ')
+  }
+
+  if (entry.action === 'updated') {
+    const fields = Object.keys(entry.new_values || {}).filter(field => !AUDIT_HIDDEN_FIELDS.includes(field))
+    if (fields.length === 1 && !CONTENT_FIELDS.includes(fields[0]) && typeof entry.new_values[fields[0]] !== 'object') {
+      const field = fields[0]
+      return `${formatFieldName(field)}: ${formatValue(field, entry.old_values?.[field])} → ${formatValue(field, entry.new_values[field])}`
+    }
+    return `Changed ${fields.map(formatFieldName).join(', ')}`
+  }
+
+  if (entry.entity_type === 'case_member') return `User ${entry.entity_id}`
+  return name || ''
+}
+
+/**
+ * The recorded fields of an entry, with before and after values
+ */
+function AuditEntryDetails({ entry }) {
+  const fields = Array.from(new Set([
+    ...Object.keys(entry.old_values || {}),
+    ...Object.keys(entry.new_values || {})
+  ])).filter(field => !AUDIT_HIDDEN_FIELDS.includes(field))
+
+  if (entry.action === 'exported') {
+    return <pre className="text-xs text-gray-300 whitespace-pre-wrap break-words">{JSON.stringify(entry.details, null, 2)}</pre>
+  }
+
+  return (
+    <dl className="space-y-2">
+      {fields.map(field => {
+        const oldValue = entry.old_values?.[field]
+        const newValue = entry.new_values?.[field]
+        return (
+          <div key={field}>
+            <dt className="text-xs font-medium text-gray-400">{formatFieldName(field)}</dt>
+            <dd className="text-xs mt-0.5 max-h-64 overflow-y-auto whitespace-pre-wrap break-words">
+              {CONTENT_FIELDS.includes(field) && entry.action === 'updated' ? (
+                diffWords(toPlainText(oldValue), toPlainText(newValue)).map((part, index) => (
+                  <span key={index} className={DIFF_CLASSES[part.type]}>{part.text}</span>
+                ))
+              ) : entry.action === 'updated' ? (
+                <>
+                  <span className="text-red-300">{formatValue(field, oldValue)}</span>
+                  <span className="text-gray-500"> → </span>
+                  <span className="text-green-300">{formatValue(field, newValue)}</span>
+                </>
+              ) : (
+                <span className="text-gray-300">
+                  {CONTENT_FIELDS.includes(field) ? toPlainText(newValue ?? oldValue) : formatValue(field, newValue ?? oldValue)}
+                </span>
+              )}
+            </dd>
+          </div>
+        )
+      })}
+    </dl>
+  )
+}
+
+/**
+ * AuditLogModal - Read-only audit trail of a case
+ * Lists every recorded change to the case, its drafts, members and templates, and every export, with filters
+ * and a CSV/JSON export of the (filtered) log
+ */
+function AuditLogModal({ isOpen, onClose, caseId, caseTitle }) {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [entityFilter, setEntityFilter] = useState('')
+  const [originFilter, setOriginFilter] = useState('')
+  const [expandedId, setExpandedId] = useState(null)
+
+  useEffect(() => {
+    if (isOpen && caseId) {
+      loadEntries()
+    }
+  }, [isOpen, caseId])
+
+  // Handle Escape key to close modal
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape)
+    return () => {
+      document.removeEventListener('keydown', handleEscape)
+    }
+  }, [isOpen, onClose])
+
+  const loadEntries = async () => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      setEntries(await getCaseAuditLog(caseId))
+    } catch (err) {
+      console.error('Error loading audit log:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const filteredEntries = entries.filter(entry =>
+    (!entityFilter || entry.entity_type === entityFilter) &&
+    (!originFilter || entry.origin === originFilter)
+  )
+
+  const handleExport = async (format) => {
+    setError(null)
+
+    try {
+      const filename = `${caseTitle || 'Case'}_audit-log_${new Date().toISOString().split('T')[0]}`
+      exportAuditLog(filteredEntries, format, filename)
+      await recordExport(caseId, 'audit_log', null, {
+        format,
+        filename,
+        entries: filteredEntries.length,
+        filters: { entityType: entityFilter || null, origin: originFilter || null }
+      })
+      await loadEntries()
+    } catch (err) {
+      console.error('Error exporting audit log:', err)
+      setError(err.message)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 rounded-lg border border-red-900 shadow-xl w-full max-w-5xl h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-red-900 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">Audit Log</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              {caseTitle ? `${caseTitle} • ` : ''}Every change to this case, its drafts, members and templates, and every export
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Filters and export */}
+        <div className="px-6 py-3 border-b border-red-900 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-2">
+            <select
+              value={entityFilter}
+              onChange={(e) => setEntityFilter(e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white text-sm focus:outline-none focus:border-blue-700"
+            >
+              <option value="">Everything</option>
+              {Object.entries(AUDIT_ENTITY_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={originFilter}
+              onChange={(e) => setOriginFilter(e.target.value)}
+              className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white text-sm focus:outline-none focus:border-blue-700"
+            >
+              <option value="">Human and AI</option>
+              <option value={AUDIT_ORIGINS.HUMAN}>Human only</option>
+              <option value={AUDIT_ORIGINS.AI}>AI only</option>
+            </select>
+            <span className="text-gray-500 text-xs">{filteredEntries.length} of {entries.length} entries</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => handleExport('csv')}
+              disabled={filteredEntries.length === 0}
+              className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm border border-gray-700"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              disabled={filteredEntries.length === 0}
+              className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm border border-gray-700"
+            >
+              Export JSON
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="px-6 py-3 bg-red-900/20 border-b border-red-900">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Entries */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <p className="text-gray-400 text-sm text-center p-6">Loading audit log...</p>
+          ) : filteredEntries.length === 0 ? (
+            <p className="text-gray-400 text-sm text-center p-6">No entries</p>
+          ) : (
+            <ul className="space-y-2">
+              {filteredEntries.map(entry => (
+                <li key={entry.id} className="bg-gray-800 rounded-lg border border-gray-700">
+                  <button
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="w-full px-4 py-2 flex items-center gap-3 text-left"
+                  >
+                    <span className="text-gray-400 text-xs whitespace-nowrap w-36 shrink-0">
+                      {new Date(entry.created_at).toLocaleDateString()} {new Date(entry.created_at).toLocaleTimeString()}
+                    </span>
+                    <span className="text-white text-sm whitespace-nowrap">{describeAction(entry)}</span>
+                    {entry.origin === AUDIT_ORIGINS.AI && (
+                      <span className="text-xs px-1.5 py-0.5 rounded bg-purple-900/50 text-purple-300 border border-purple-800">AI</span>
+                    )}
+                    <span className="text-gray-300 text-sm truncate flex-1">{summarizeEntry(entry)}</span>
+                    <span className="text-gray-500 text-xs whitespace-nowrap">{entry.actor_email || 'System'}</span>
+                  </button>
+                  {expandedId === entry.id && (
+                    <div className="px-4 py-3 border-t border-gray-700">
+                      <AuditEntryDetails entry={entry} />
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AuditLogModal
@@ -5,10 +5,12 @@ import DocumentSidebar from './DocumentSidebar'
 import TemplateSidebar from './TemplateSidebar'
 import DraftSidebar from './DraftSidebar'
 import DraftViewerModal from './DraftViewerModal'
+import AuditLogModal from './AuditLogModal'
 import { DocumentProvider, useDocuments } from '../context/DocumentContext'
 import { TemplateProvider, useTemplates } from '../context/TemplateContext'
 import { getCase, updateCaseMetadata, getCaseMessages } from '../services/caseService'
 import { CHAT_TYPES } from '../config/chatTypes'
+import { LLM_PROVIDERS } from '../services/llmProviders'
 
 function CaseView() {
   const { caseId } = useParams()
@@ -22,6 +24,7 @@ function CaseView() {
   const [selectedDraftId, setSelectedDraftId] = useState(null)
   const [currentDraft, setCurrentDraft] = useState(null)
   const [draftSidebarRefreshKey, setDraftSidebarRefreshKey] = useState(0)
+  const [showAuditLog, setShowAuditLog] = useState(false)
 
   useEffect(() => {
     loadCase()
@@ -90,6 +93,27 @@ function CaseView() {
     }
   }
 
+  const handleProviderChange = async (providerId) => {
+    if (!caseId || !caseData) return
+    // An empty selection falls back to the company default provider
+    const newMetadata = { ...(caseData?.metadata || {}) }
+    if (providerId) {
+      newMetadata.llmProvider = { provider: providerId }
+    } else {
+      delete newMetadata.llmProvider
+    }
+    try {
+      await updateCaseMetadata(caseId, newMetadata)
+      // Update local caseData
+      setCaseData(prev => ({
+        ...prev,
+        metadata: newMetadata
+      }))
+    } catch (error) {
+      console.error('Error saving LLM provider:', error)
+    }
+  }
+
   const handleDraftGenerated = (newDraft) => {
     // Open the draft modal with the new draft
     setSelectedDraftId(newDraft.id)
@@ -123,7 +147,7 @@ function CaseView() {
   }
 
   return (
-    <DocumentProvider>
+    <DocumentProvider caseId={caseId}>
       <TemplateProvider 
         initialSelectedTemplate={selectedTemplate}
         onTemplateChange={handleTemplateChange}
@@ -140,6 +164,8 @@ function CaseView() {
               navigate={navigate} 
               selectedChatType={selectedChatType}
               onChatTypeChange={handleChatTypeChange}
+              onProviderChange={handleProviderChange}
+              onShowAuditLog={() => setShowAuditLog(true)}
             />
             <ChatBot 
               caseId={caseId} 
@@ -189,6 +215,13 @@ function CaseView() {
             handleChatTypeChange(CHAT_TYPES.DRAFT_EDITOR_AGENT.id)
           }}
         />
+
+        <AuditLogModal
+          isOpen={showAuditLog}
+          onClose={() => setShowAuditLog(false)}
+          caseId={caseId}
+          caseTitle={caseData.title}
+        />
       </TemplateProvider>
     </DocumentProvider>
   )
@@ -196,7 +229,7 @@ function CaseView() {
 
 // Wrapper component to provide context data to DraftSidebar
 function DraftSidebarWrapper({ caseId, caseData, refreshKey, onDraftSelect }) {
-  const { documents } = useDocuments()
+  const { documents, annotations } = useDocuments()
   const { selectedTemplate, getTemplate } = useTemplates()
   const [chatMessages, setChatMessages] = useState([])
 
@@ -229,6 +262,7 @@ function DraftSidebarWrapper({ caseId, caseData, refreshKey, onDraftSelect }) {
       caseData={caseData}
       chatMessages={chatMessages}
       documents={documents}
+      annotations={annotations}
       template={selectedTemplateData}
       templateId={selectedTemplate}
       onDraftSelect={onDraftSelect}
@@ -239,7 +273,7 @@ function DraftSidebarWrapper({ caseId, caseData, refreshKey, onDraftSelect }) {
 
 // Wrapper component to provide context data to DraftViewerModal
 function DraftViewerModalWrapper({ isOpen, onClose, caseId, caseData, draftId, onDraftUpdate, onDraftLoad, onSwitchToDraftEditor }) {
-  const { documents } = useDocuments()
+  const { documents, annotations } = useDocuments()
   const { selectedTemplate, getTemplate } = useTemplates()
   const [chatMessages, setChatMessages] = useState([])
 
@@ -274,6 +308,7 @@ function DraftViewerModalWrapper({ isOpen, onClose, caseId, caseData, draftId, o
       caseData={caseData}
       chatMessages={chatMessages}
       documents={documents}
+      annotations={annotations}
       template={selectedTemplateData}
       templateId={selectedTemplate}
       draftId={draftId}
@@ -285,8 +320,9 @@ function DraftViewerModalWrapper({ isOpen, onClose, caseId, caseData, draftId, o
 }
 
 // Compact header component
-function Header({ caseData, navigate, selectedChatType, onChatTypeChange }) {
+function Header({ caseData, navigate, selectedChatType, onChatTypeChange, onProviderChange, onShowAuditLog }) {
   const { selectedTemplate, getTemplate } = useTemplates()
+  const selectedProvider = caseData?.metadata?.llmProvider?.provider || ''
 
   return (
     <div className="bg-gradient-to-r from-red-900 via-black to-blue-900 px-4 py-3 border-b border-red-900">
@@ -325,11 +361,38 @@ function Header({ caseData, navigate, selectedChatType, onChatTypeChange }) {
               </svg>
             </div>
           </div>
+          <div className="relative">
+            <select
+              value={selectedProvider}
+              onChange={(e) => onProviderChange(e.target.value)}
+              title="AI provider used for this case"
+              className="px-3 py-1.5 pr-8 bg-black text-white text-sm border border-blue-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-900 focus:border-red-900 appearance-none cursor-pointer"
+            >
+              <option value="">Company Default AI</option>
+              {Object.values(LLM_PROVIDERS).map(provider => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </select>
+            <div className="absolute inset-y-0 right-0 flex items-center pr-2 pointer-events-none">
+              <svg className="w-3 h-3 text-white opacity-70" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+              </svg>
+            </div>
+          </div>
           {selectedTemplate && (
             <span className="px-2 py-1 bg-blue-900/50 rounded text-xs border border-blue-800 text-white whitespace-nowrap">
               {getTemplate(selectedTemplate)?.name || 'Template'}
             </span>
           )}
+          <button
+            onClick={onShowAuditLog}
+            className="px-3 py-1.5 bg-black text-white text-sm border border-blue-900 rounded-lg hover:bg-gray-900"
+            title="Every change made to this case"
+          >
+            Audit Log
+          </button>
         </div>
       </div>
     </div>
@@ -1,12 +1,18 @@
 import { useState, useEffect, useRef } from 'react'
 import ChatMessage from './ChatMessage'
 import ChatInput from './ChatInput'
+import ReadinessChecklist from './ReadinessChecklist'
 import { CHAT_TYPES } from '../config/chatTypes'
+import { isChecklistReady } from '../config/readinessChecklist'
 import { useDocuments } from '../context/DocumentContext'
 import { useTemplates } from '../context/TemplateContext'
 import { generateLegalDemandLetter, chatAssistant, assembleDetailsSummary, editDraftContent } from '../services/llmService'
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { createEditTurn, buildEditHistory } from '../utils/editHistory'
+import { toPassageReferences } from '../services/retrievalService'
+import { describeContextReport } from '../utils/tokenBudget'
 import { getCaseMessages, addCaseMessage, updateCaseMetadata } from '../services/caseService'
-import { generateDraft, updateDraft } from '../services/draftService'
+import { generateDraft } from '../services/draftService'
 import { getOrCreateCaseTemplate } from '../services/templateService'
 
 function ChatBot({ 
@@ -17,18 +23,20 @@ function ChatBot({
   onDraftGenerated,
   // Draft editor context
   currentDraft = null,
-  onDraftUpdate = null
+  onEditsProposed = null
 }) {
-  const { documents } = useDocuments()
+  const { documents, annotations } = useDocuments()
   const { selectedTemplate, getTemplate } = useTemplates()
   const [messages, setMessages] = useState([])
   const [internalChatType, setInternalChatType] = useState('')
   const selectedChatType = externalChatType !== undefined ? externalChatType : internalChatType
   const [isGenerating, setIsGenerating] = useState(false)
   const [loading, setLoading] = useState(true)
-  const [isReadyToGenerate, setIsReadyToGenerate] = useState(false)
+  const [readinessChecklist, setReadinessChecklist] = useState(null)
+  const isReadyToGenerate = isChecklistReady(readinessChecklist)
   const [detailsSummary, setDetailsSummary] = useState(null)
   const messagesEndRef = useRef(null)
+  const abortControllerRef = useRef(null)
 
   // Auto-scroll to bottom when messages change
   useEffect(() => {
@@ -68,6 +76,10 @@ function ChatBot({
           ...(msg.metadata || {})
         }))
         setMessages(formattedMessages)
+
+        // Restore the most recent readiness checklist reported by the assistant
+        const latestReadiness = [...savedMessages].reverse().find(msg => msg.metadata?.readiness)
+        setReadinessChecklist(latestReadiness ? latestReadiness.metadata.readiness : null)
       } else {
         // No messages yet, show welcome message based on chat type
         const welcomeMessage = selectedChatType === CHAT_TYPES.DRAFT_EDITOR_AGENT.id
@@ -85,6 +97,7 @@ function ChatBot({
               timestamp: new Date()
             }
         setMessages([welcomeMessage])
+        setReadinessChecklist(null)
       }
 
       // Load selected chat type from metadata (if not provided externally)
@@ -92,8 +105,7 @@ function ChatBot({
         setInternalChatType(caseData.metadata.selectedChatType)
       }
 
-      // Reset ready state when loading messages
-      setIsReadyToGenerate(false)
+      // Reset the assembled summary when loading messages
       setDetailsSummary(null)
     } catch (error) {
       console.error('Error loading case data:', error)
@@ -109,6 +121,32 @@ function ChatBot({
     }
   }
 
+  /**
+   * Records which of the agent's suggested changes the user applied, for later turns to refer back to
+   * @param {Object} editTurn - The turn from createEditTurn
+   * @param {Object} outcome - { accepted, rejected, discarded } from onEditsProposed
+   */
+  const recordEditOutcome = async (editTurn, { accepted = [], rejected = [], discarded = false }) => {
+    const total = editTurn.changes.length
+    const outcomeMessage = {
+      id: Date.now(),
+      text: discarded
+        ? 'The suggested changes were discarded. The draft was not changed.'
+        : accepted.length === 0
+          ? `No changes were applied - all ${total} suggested change${total === 1 ? ' was' : 's were'} rejected.`
+          : `Applied ${accepted.length} of ${total} suggested change${total === 1 ? '' : 's'} to the draft.`,
+      sender: 'bot',
+      timestamp: new Date(),
+      metadata: {
+        chatType: CHAT_TYPES.DRAFT_EDITOR_AGENT.id,
+        editOutcome: { proposalId: editTurn.proposalId, accepted, rejected, discarded }
+      }
+    }
+
+    setMessages(prev => [...prev, outcomeMessage])
+    await saveMessage(outcomeMessage)
+  }
+
   const saveMessage = async (message) => {
     if (!caseId) return
     
@@ -119,7 +157,11 @@ function ChatBot({
         metadata: {
           isLoading: message.isLoading,
           isError: message.isError,
-          chatType: message.metadata?.chatType || selectedChatType || null
+          chatType: message.metadata?.chatType || selectedChatType || null,
+          ...(message.metadata?.readiness ? { readiness: message.metadata.readiness } : {}),
+          ...(message.metadata?.editTurn ? { editTurn: message.metadata.editTurn } : {}),
+          ...(message.metadata?.editOutcome ? { editOutcome: message.metadata.editOutcome } : {}),
+          ...(message.metadata?.passages?.length ? { passages: message.metadata.passages } : {})
         }
       })
     } catch (error) {
@@ -127,14 +169,40 @@ function ChatBot({
     }
   }
 
+  // Replace the loading bubble's text with the partial response as it streams in
+  const updateStreamingMessage = (messageId, text) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === messageId ? { ...msg, text, isStreaming: true } : msg
+    ))
+  }
+
+  // Show a notice in place of the loading bubble when the user stops a request
+  const showCancelledMessage = (text) => {
+    const cancelledMessage = {
+      id: Date.now() + 2,
+      text,
+      sender: 'bot',
+      timestamp: new Date()
+    }
+    setMessages(prev => {
+      const withoutLoading = prev.filter(msg => !msg.isLoading)
+      return [...withoutLoading, cancelledMessage]
+    })
+  }
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
   const handleChatTypeChange = async (newChatType) => {
     if (onChatTypeChange) {
       onChatTypeChange(newChatType)
     } else {
       setInternalChatType(newChatType)
     }
-    // Reset ready state when chat type changes
-    setIsReadyToGenerate(false)
+    // Reset the assembled summary when chat type changes
     setDetailsSummary(null)
     if (caseId) {
       try {
@@ -148,28 +216,50 @@ function ChatBot({
     }
   }
 
-  const handleSendMessage = async (messageText) => {
-    // Check if user is requesting to generate the letter
-    const isGenerateRequest = messageText.toLowerCase().includes('generate') && 
+  const handleRetry = (failedMessage) => {
+    handleSendMessage(failedMessage.retryText, failedMessage.id)
+  }
+
+  /**
+   * Sends a user message and runs the selected chat type's flow
+   * @param {string} messageText - The user's message
+   * @param {number|string|null} retryOfMessageId - ID of a failed bot message to replace; the user
+   *   message is already in the conversation, so it is not added again
+   */
+  const handleSendMessage = async (messageText, retryOfMessageId = null) => {
+    // Check if user is requesting to generate the letter - only once the readiness checklist is complete,
+    // like the Generate Letter button; before that the message is answered as part of the conversation
+    const isGenerateRequest = isReadyToGenerate &&
+                              messageText.toLowerCase().includes('generate') && 
                               (messageText.toLowerCase().includes('letter') || 
                                messageText.toLowerCase().includes('draft') ||
                                messageText.toLowerCase().includes('ready'))
 
-    // Add user message immediately
-    const userMessage = {
-      id: Date.now(),
-      text: messageText,
-      sender: 'user',
-      timestamp: new Date(),
-      metadata: { chatType: selectedChatType || null }
+    let conversation
+    if (retryOfMessageId) {
+      // Drop the failed response and re-run the request
+      setMessages(prev => prev.filter(msg => msg.id !== retryOfMessageId))
+      conversation = messages.filter(msg => msg.id !== retryOfMessageId)
+    } else {
+      // Add user message immediately
+      const userMessage = {
+        id: Date.now(),
+        text: messageText,
+        sender: 'user',
+        timestamp: new Date(),
+        metadata: { chatType: selectedChatType || null }
+      }
+      
+      setMessages(prev => [...prev, userMessage])
+      await saveMessage(userMessage)
+      conversation = [...messages, userMessage]
     }
-    
-    setMessages(prev => [...prev, userMessage])
-    await saveMessage(userMessage)
 
     // If Base Case Bot chat type is selected
     if (selectedChatType === CHAT_TYPES.BASE_CASE_BOT.id) {
       setIsGenerating(true)
+      const abortController = new AbortController()
+      abortControllerRef.current = abortController
       
       // Add a loading message
       const loadingMessage = {
@@ -183,32 +273,43 @@ function ChatBot({
 
       try {
         // Get all messages including the new one
-        const allMessages = [...messages, userMessage]
+        const allMessages = conversation
 
         // If user explicitly requests generation, generate the letter
         if (isGenerateRequest) {
           // Assemble details summary internally (for LLM use, not displayed in chat)
           if (!detailsSummary) {
-            const summary = await assembleDetailsSummary(allMessages, documents, caseData)
+            const summary = await assembleDetailsSummary(allMessages, documents, caseData, {
+              signal: abortController.signal
+            })
             setDetailsSummary(summary)
           }
 
           // Get selected template if one is selected
           const selectedTemplateData = selectedTemplate ? getTemplate(selectedTemplate) : null
           
-          // Generate the demand letter with template if selected
-          const demandLetter = await generateLegalDemandLetter(allMessages, documents, caseData, selectedTemplateData)
+          // Generate the demand letter with template if selected, streaming it into the loading bubble
+          let contextReport = null
+          const { content: demandLetter, citations, promptVersion } = await generateLegalDemandLetter(allMessages, documents, caseData, selectedTemplateData, {
+            onToken: (_delta, fullText) => updateStreamingMessage(loadingMessage.id, fullText),
+            onContextReport: (report) => { contextReport = report },
+            annotations,
+            signal: abortController.signal
+          })
           
           // Convert company template ID to case template ID (or null)
           const caseTemplateId = await getOrCreateCaseTemplate(caseId, selectedTemplate || null)
           
           // Save as draft
-          const newDraft = await generateDraft(caseId, demandLetter, caseTemplateId)
+          const newDraft = await generateDraft(caseId, demandLetter, caseTemplateId, citations, promptVersion)
           
+          // Tell the attorney if part of the case had to be left out to fit the model
+          const omissionNotice = describeContextReport(contextReport)
+
           // Remove loading message and add the generated letter
           const botMessage = {
             id: Date.now() + 3,
-            text: `Your demand letter has been generated and saved as Draft Version ${newDraft.version_number}.\n\nClick "View Draft" in the sidebar to see it, or it will open automatically.`,
+            text: `Your demand letter has been generated and saved as Draft Version ${newDraft.version_number}.\n\nClick "View Draft" in the sidebar to see it, or it will open automatically.${omissionNotice ? `\n\n⚠ ${omissionNotice}` : ''}`,
             sender: 'bot',
             timestamp: new Date()
           }
@@ -219,7 +320,6 @@ function ChatBot({
           })
           
           await saveMessage(botMessage)
-          setIsReadyToGenerate(false) // Reset after generation
           
           // Notify parent to open draft modal and refresh sidebar
           if (onDraftGenerated) {
@@ -227,26 +327,26 @@ function ChatBot({
           }
         } else {
           // Use conversational assistant to gather details
-          const assistantResponse = await chatAssistant(allMessages, documents, caseData)
-          
-          // Check if assistant indicates readiness (look for keywords)
-          const responseLower = assistantResponse.toLowerCase()
-          const seemsReady = responseLower.includes('ready to generate') || 
-                            responseLower.includes('all details') ||
-                            responseLower.includes('ready to draft') ||
-                            responseLower.includes('summary') ||
-                            (responseLower.includes('complete') && responseLower.includes('information'))
+          const assistantResponse = await chatAssistant(allMessages, documents, caseData, {
+            onToken: (_delta, fullText) => updateStreamingMessage(loadingMessage.id, fullText),
+            signal: abortController.signal
+          })
           
-          if (seemsReady && !isReadyToGenerate) {
-            setIsReadyToGenerate(true)
+          // The assistant reports an explicit checklist of gathered details
+          if (assistantResponse.checklist) {
+            setReadinessChecklist(assistantResponse.checklist)
           }
           
           // Remove loading message and add assistant response
           const botMessage = {
             id: Date.now() + 2,
-            text: assistantResponse,
+            text: assistantResponse.reply,
             sender: 'bot',
-            timestamp: new Date()
+            timestamp: new Date(),
+            metadata: {
+              ...(assistantResponse.checklist ? { readiness: assistantResponse.checklist } : {}),
+              passages: toPassageReferences(assistantResponse.passages)
+            }
           }
           
           setMessages(prev => {
@@ -257,15 +357,23 @@ function ChatBot({
           await saveMessage(botMessage)
         }
       } catch (error) {
+        if (error.name === 'AbortError') {
+          showCancelledMessage(isGenerateRequest
+            ? 'Letter generation was stopped. No draft was saved.'
+            : 'Response stopped.')
+          return
+        }
+
         console.error('Error in chat:', error)
         
         // Remove loading message and add error message
         const errorMessage = {
           id: Date.now() + 2,
-          text: `Error: ${error.message}. Please check your API configuration and try again.`,
+          text: `Error: ${getLLMErrorMessage(error)}`,
           sender: 'bot',
           timestamp: new Date(),
-          isError: true
+          isError: true,
+          retryText: messageText
         }
         
         setMessages(prev => {
@@ -275,6 +383,7 @@ function ChatBot({
         
         await saveMessage(errorMessage)
       } finally {
+        abortControllerRef.current = null
         setIsGenerating(false)
       }
     } else if (selectedChatType === CHAT_TYPES.DRAFT_EDITOR_AGENT.id) {
@@ -294,6 +403,8 @@ function ChatBot({
       }
 
       setIsGenerating(true)
+      const abortController = new AbortController()
+      abortControllerRef.current = abortController
       
       // Add a loading message
       const loadingMessage = {
@@ -306,24 +417,44 @@ function ChatBot({
       setMessages(prev => [...prev, loadingMessage])
 
       try {
-        // Edit the draft with minimal context
-        // Only documents are passed - they'll only be included if referenced in the instruction
-        const editedContent = await editDraftContent(
+        // Ask for targeted changes with minimal context
+        // Relevant document passages are retrieved for the instruction; attorney notes are always included
+        // Earlier turns are included so the instruction can refer back to them
+        const proposal = await editDraftContent(
           currentDraft.rendered_content,
           messageText,
-          documents
+          documents,
+          caseData,
+          { signal: abortController.signal, annotations, history: buildEditHistory(messages) }
         )
 
-        // Update the draft
-        const updatedDraft = await updateDraft(currentDraft.id, editedContent)
+        // Nothing is saved here - the user reviews each change in the editor first
+        const changeCount = proposal.changes.length
+        const editTurn = createEditTurn(messageText, proposal)
+        if (changeCount > 0 && onEditsProposed) {
+          // Resolves once the user applies or discards the changes
+          Promise.resolve(onEditsProposed(proposal))
+            .then(outcome => {
+              if (outcome) return recordEditOutcome(editTurn, outcome)
+            })
+            .catch(err => console.error('Error recording edit outcome:', err))
+        }
 
-        // Remove loading message and add success response
+        const skippedNote = proposal.skipped > 0
+          ? ` ${proposal.skipped} suggested change${proposal.skipped === 1 ? '' : 's'} didn't match the draft and ${proposal.skipped === 1 ? 'was' : 'were'} left out.`
+          : ''
         const botMessage = {
           id: Date.now() + 2,
-          text: `I've updated the draft according to your instructions. The changes have been saved automatically. You can continue editing or ask for more changes.`,
+          text: changeCount === 0
+            ? `I couldn't find anything in the draft to change for that instruction.${skippedNote} Try describing the change in more detail.`
+            : `I've suggested ${changeCount} change${changeCount === 1 ? '' : 's'}${proposal.summary ? `: ${proposal.summary}` : '.'} Review them in the editor and accept or reject each one - nothing is saved until you apply them.${skippedNote}`,
           sender: 'bot',
           timestamp: new Date(),
-          metadata: { chatType: CHAT_TYPES.DRAFT_EDITOR_AGENT.id }
+          metadata: {
+            chatType: CHAT_TYPES.DRAFT_EDITOR_AGENT.id,
+            editTurn,
+            passages: toPassageReferences(proposal.passages)
+          }
         }
 
         setMessages(prev => {
@@ -339,21 +470,22 @@ function ChatBot({
             isError: false
           }
         })
-
-        // Notify parent to refresh draft
-        if (onDraftUpdate) {
-          onDraftUpdate(updatedDraft)
-        }
       } catch (error) {
+        if (error.name === 'AbortError') {
+          showCancelledMessage('Edit stopped. The draft was not changed.')
+          return
+        }
+
         console.error('Error editing draft:', error)
         
         // Remove loading message and add error message
         const errorMessage = {
           id: Date.now() + 2,
-          text: `Error editing draft: ${error.message}. Please try again.`,
+          text: `Error editing draft: ${getLLMErrorMessage(error)}`,
           sender: 'bot',
           timestamp: new Date(),
           isError: true,
+          retryText: messageText,
           metadata: { chatType: CHAT_TYPES.DRAFT_EDITOR_AGENT.id }
         }
         
@@ -370,6 +502,7 @@ function ChatBot({
           }
         })
       } finally {
+        abortControllerRef.current = null
         setIsGenerating(false)
       }
     } else {
@@ -399,7 +532,11 @@ function ChatBot({
         ) : (
           <>
             {messages.map((message) => (
-              <ChatMessage key={message.id} message={message} />
+              <ChatMessage
+                key={message.id}
+                message={message}
+                onRetry={isGenerating ? null : handleRetry}
+              />
             ))}
             <div ref={messagesEndRef} />
           </>
@@ -408,18 +545,12 @@ function ChatBot({
 
       {/* Input Area */}
       <div className="border-t border-blue-900 p-4 bg-black">
-        {isReadyToGenerate && selectedChatType === CHAT_TYPES.BASE_CASE_BOT.id && (
-          <div className="mb-3 p-3 bg-blue-950 border border-blue-800 rounded-lg">
-            <p className="text-sm text-blue-200 mb-2">
-              ✓ All details have been collected. Ready to generate your demand letter.
-            </p>
-            <p className="text-xs text-blue-300 opacity-75">
-              Type "generate letter" or "ready" to create your demand letter, or continue the conversation to add more details.
-            </p>
-          </div>
+        {readinessChecklist && selectedChatType === CHAT_TYPES.BASE_CASE_BOT.id && (
+          <ReadinessChecklist checklist={readinessChecklist} />
         )}
         <ChatInput 
           onSendMessage={handleSendMessage} 
+          onCancel={handleCancel}
           disabled={isGenerating}
           isReadyToGenerate={isReadyToGenerate}
         />
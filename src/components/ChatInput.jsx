@@ -1,6 +1,6 @@
 import { useState } from 'react'
 
-function ChatInput({ onSendMessage, disabled = false, isReadyToGenerate = false }) {
+function ChatInput({ onSendMessage, onCancel = null, disabled = false, isReadyToGenerate = false }) {
   const [inputValue, setInputValue] = useState('')
 
   const handleSubmit = (e) => {
@@ -64,6 +64,16 @@ function ChatInput({ onSendMessage, disabled = false, isReadyToGenerate = false
           </div>
         )}
       </button>
+      {disabled && onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          title="Stop the current response"
+          className="px-4 py-3 bg-gray-800 text-white rounded-lg font-medium hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-700 focus:ring-offset-2 focus:ring-offset-black transition-colors border border-gray-700 text-sm"
+        >
+          Stop
+        </button>
+      )}
       <button
         type="submit"
         disabled={!inputValue.trim() || disabled}
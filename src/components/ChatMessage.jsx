@@ -1,6 +1,8 @@
-function ChatMessage({ message }) {
+function ChatMessage({ message, onRetry = null }) {
   const isUser = message.sender === 'user'
   const isError = message.isError
+  // Document passages retrieved for this reply (loaded messages have their metadata spread onto them)
+  const passages = message.metadata?.passages || message.passages || []
   
   return (
     <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
@@ -13,7 +15,17 @@ function ChatMessage({ message }) {
             : 'bg-red-950 text-white border border-red-900 rounded-bl-none'
         }`}
       >
-        {message.isLoading ? (
+        {message.isLoading && message.isStreaming ? (
+          <div>
+            <p className="text-sm whitespace-pre-wrap break-words">
+              {message.text}
+            </p>
+            <div className="mt-2 flex items-center gap-2 text-xs opacity-70">
+              <div className="animate-pulse rounded-full h-2 w-2 bg-white"></div>
+              <span>Writing...</span>
+            </div>
+          </div>
+        ) : message.isLoading ? (
           <div className="flex items-center gap-2">
             <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent"></div>
             <p className="text-sm">{message.text}</p>
@@ -23,6 +35,31 @@ function ChatMessage({ message }) {
             {message.text}
           </p>
         )}
+        {passages.length > 0 && !message.isLoading && (
+          <details className="mt-2 text-xs">
+            <summary className="cursor-pointer opacity-80 hover:opacity-100">
+              Used {passages.length} document passage{passages.length === 1 ? '' : 's'}
+            </summary>
+            <ul className="mt-1 space-y-1">
+              {passages.map(passage => (
+                <li key={passage.id} className="bg-black/30 rounded px-2 py-1">
+                  <p className="font-semibold">
+                    {passage.documentName}{passage.page ? `, page ${passage.page}` : ''}
+                  </p>
+                  <p className="opacity-80 whitespace-pre-wrap">{passage.excerpt}</p>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {isError && message.retryText && onRetry && (
+          <button
+            onClick={() => onRetry(message)}
+            className="mt-2 px-2 py-1 text-xs bg-yellow-900 text-yellow-100 rounded border border-yellow-700 hover:bg-yellow-800 transition-colors"
+          >
+            Retry
+          </button>
+        )}
         <p
           className={`text-xs mt-1 ${
             isError 
@@ -0,0 +1,54 @@
+import { describeCitationSource } from '../utils/citations'
+
+/**
+ * CitationPanel - Lists the evidence behind each cited paragraph of a draft
+ * Footnote numbers follow paragraph order; hovering a source shows the supporting excerpt
+ */
+function CitationPanel({ citations }) {
+  return (
+    <>
+      <div className="p-4 border-b border-red-900">
+        <h3 className="text-lg font-semibold text-white">Sources</h3>
+        <p className="text-gray-400 text-xs mt-1">
+          Where each paragraph's facts came from when the letter was generated. Edits made since then are not tracked.
+        </p>
+      </div>
+      <div className="p-2">
+        {!citations || citations.length === 0 ? (
+          <p className="text-gray-400 text-sm p-4 text-center">No sources were recorded for this version</p>
+        ) : (
+          <ol className="space-y-2">
+            {citations.map((citation, index) => (
+              <li key={`${citation.paragraph}-${index}`} className="p-3 rounded-lg border bg-gray-900 border-red-900">
+                <div className="flex gap-2 mb-2">
+                  <span className="text-blue-300 text-xs font-semibold flex-shrink-0">[{index + 1}]</span>
+                  <p className="text-gray-300 text-xs italic">"{citation.text}"</p>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {citation.sources.map(source => (
+                    <div key={`${source.label}-${source.page || ''}`} className="relative group">
+                      <span className={`inline-block text-xs px-2 py-0.5 rounded border cursor-default ${
+                        source.type === 'message'
+                          ? 'bg-purple-900/50 text-purple-200 border-purple-800'
+                          : 'bg-blue-900/50 text-blue-200 border-blue-800'
+                      }`}>
+                        {describeCitationSource(source)}
+                      </span>
+                      {source.excerpt && (
+                        <div className="absolute right-0 top-full mt-1 w-64 px-3 py-2 bg-gray-800 text-gray-200 text-xs rounded-lg opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10 border border-gray-700 whitespace-pre-wrap">
+                          {source.excerpt}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </>
+  )
+}
+
+export default CitationPanel
@@ -1,10 +1,32 @@
 import { useState, useEffect, useRef } from 'react'
 import ReactQuill from 'react-quill'
 import 'react-quill/dist/quill.snow.css'
+import SelectionActionMenu from './SelectionActionMenu'
+import SelectionSuggestion from './SelectionSuggestion'
+import SnapshotRecoveryPrompt from './SnapshotRecoveryPrompt'
+import { SELECTION_ACTION_MODES } from '../config/selectionActions'
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { AUDIT_ORIGINS } from '../config/auditLog'
+import { saveSnapshot, getSnapshot, clearSnapshot } from '../services/snapshotService'
+import { compareDraftVersions } from '../utils/versionDiff'
+
+// Formats a rewritten passage keeps from the text it replaces
+const INLINE_FORMATS = ['bold', 'italic', 'underline', 'strike', 'color', 'background', 'font', 'size', 'script', 'link']
+
+// Space between the selected passage and the menu or suggestion shown under it
+const POPOVER_OFFSET = 6
+
+// Delay before unsaved content is copied to the local snapshot
+const SNAPSHOT_DELAY = 500
 
 /**
  * DocumentEditor - A Google Docs-like rich text editor
  * Supports both templates and drafts with auto-save functionality
+ * Pass onSelectionAction to offer AI actions on selected passages:
+ * it is called as (selectedText, action, { before, after }, { signal }) and resolves to the new text
+ * onSave is called as (content, origin), where origin is 'ai' if the content includes an accepted AI suggestion
+ * Pass snapshotKey (e.g. 'draft:<id>') to keep unsaved content in a local snapshot until it is saved; a snapshot
+ * left over from an earlier session is offered for recovery when the editor opens
  */
 function DocumentEditor({
   content,
@@ -15,23 +37,110 @@ function DocumentEditor({
   autoSave = false,
   autoSaveDelay = 2000,
   showToolbar = true,
-  className = ''
+  className = '',
+  onSelectionAction = null,
+  snapshotKey = null
 }) {
   const [editorContent, setEditorContent] = useState(content || '')
   const [isSaving, setIsSaving] = useState(false)
   const [lastSaved, setLastSaved] = useState(null)
   const [hasChanges, setHasChanges] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+  // Snapshot from an earlier session, waiting to be restored or discarded
+  const [recovery, setRecovery] = useState(null)
   const quillRef = useRef(null)
   const saveTimeoutRef = useRef(null)
+  // Selected passage ({ index, length, text, position }) the AI actions would run on
+  const [selection, setSelection] = useState(null)
+  const [isActionMenuOpen, setIsActionMenuOpen] = useState(false)
+  // AI result for a passage, waiting to be accepted or rejected
+  const [suggestion, setSuggestion] = useState(null)
+  const suggestionControllerRef = useRef(null)
+  // Whether an accepted AI suggestion hasn't been saved yet
+  const hasUnsavedAIEditRef = useRef(false)
+  // The saved copy the current edits started from
+  const baseContentRef = useRef(content || '')
+  const latestContentRef = useRef(content || '')
+  // Content waiting to be written to the snapshot
+  const pendingSnapshotRef = useRef(null)
+  const snapshotTimeoutRef = useRef(null)
+  // False until a leftover snapshot has been checked for and dealt with, so it isn't overwritten first
+  const snapshotReadyRef = useRef(false)
+  const selectionActionsEnabled = Boolean(onSelectionAction) && !isReadOnly
 
   // Update editor content when prop changes (from external source)
   useEffect(() => {
     if (content !== undefined && content !== editorContent) {
       setEditorContent(content || '')
       setHasChanges(false)
+      setSaveError(null)
+      hasUnsavedAIEditRef.current = false
+      baseContentRef.current = content || ''
+      latestContentRef.current = content || ''
     }
   }, [content])
 
+  const flushSnapshot = () => {
+    clearTimeout(snapshotTimeoutRef.current)
+    if (snapshotKey && snapshotReadyRef.current && pendingSnapshotRef.current !== null) {
+      saveSnapshot(snapshotKey, pendingSnapshotRef.current, baseContentRef.current)
+      pendingSnapshotRef.current = null
+    }
+  }
+
+  const scheduleSnapshot = (value) => {
+    if (!snapshotKey) return
+    pendingSnapshotRef.current = value
+    clearTimeout(snapshotTimeoutRef.current)
+    snapshotTimeoutRef.current = setTimeout(flushSnapshot, SNAPSHOT_DELAY)
+  }
+
+  // Offer to restore a snapshot left by an earlier session, unless it matches the saved copy
+  useEffect(() => {
+    setRecovery(null)
+    snapshotReadyRef.current = false
+    if (!snapshotKey || isReadOnly) return
+
+    let cancelled = false
+    getSnapshot(snapshotKey).then(snapshot => {
+      if (cancelled) return
+      if (snapshot) {
+        const { stats } = compareDraftVersions(baseContentRef.current, snapshot.content)
+        if (stats.insertedWords > 0 || stats.deletedWords > 0 || stats.formatChanges > 0) {
+          setRecovery(snapshot)
+          return
+        }
+        clearSnapshot(snapshotKey)
+      }
+      snapshotReadyRef.current = true
+      flushSnapshot()
+    })
+
+    return () => {
+      cancelled = true
+      // Keep whatever was typed last when the editor closes before the snapshot was written
+      flushSnapshot()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [snapshotKey, isReadOnly])
+
+  // Warn before the tab closes with unsaved changes
+  useEffect(() => {
+    if (!hasChanges || isReadOnly) return
+
+    const handleBeforeUnload = (e) => {
+      flushSnapshot()
+      e.preventDefault()
+      e.returnValue = ''
+    }
+
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasChanges, isReadOnly, snapshotKey])
+
   // Auto-save functionality
   useEffect(() => {
     if (autoSave && hasChanges && onSave && !isSaving) {
@@ -57,22 +166,176 @@ function DocumentEditor({
   const handleChange = (value) => {
     setEditorContent(value)
     setHasChanges(true)
+    latestContentRef.current = value
+    if (value !== baseContentRef.current) {
+      scheduleSnapshot(value)
+    }
     if (onContentChange) {
       onContentChange(value)
     }
   }
 
+  const handleRestoreSnapshot = () => {
+    setEditorContent(recovery.content)
+    setHasChanges(true)
+    latestContentRef.current = recovery.content
+    setRecovery(null)
+    snapshotReadyRef.current = true
+    if (onContentChange) {
+      onContentChange(recovery.content)
+    }
+  }
+
+  const handleDiscardSnapshot = () => {
+    clearSnapshot(snapshotKey)
+    setRecovery(null)
+    snapshotReadyRef.current = true
+    flushSnapshot()
+  }
+
+  // Position under a passage, relative to the scrolling editor area
+  const getPopoverPosition = (quill, index, length) => {
+    const bounds = quill.getBounds(index, length)
+    const container = quill.container
+    return {
+      top: container.offsetTop + bounds.bottom + POPOVER_OFFSET,
+      left: Math.max(0, container.offsetLeft + Math.min(bounds.left, container.clientWidth - 300))
+    }
+  }
+
+  const handleSelectionChange = (range) => {
+    if (!selectionActionsEnabled) return
+    // A null range means the editor lost focus (e.g. to the action menu) - keep the last selection
+    if (!range) return
+
+    if (range.length === 0) {
+      setSelection(null)
+      setIsActionMenuOpen(false)
+      return
+    }
+
+    const quill = quillRef.current.getEditor()
+    const text = quill.getText(range.index, range.length)
+    if (!text.trim()) {
+      setSelection(null)
+      return
+    }
+    setSelection({
+      index: range.index,
+      length: range.length,
+      text,
+      position: getPopoverPosition(quill, range.index, range.length)
+    })
+  }
+
+  const runSelectionAction = async (action) => {
+    if (!selection) return
+
+    const quill = quillRef.current.getEditor()
+    const target = selection
+    suggestionControllerRef.current?.abort()
+    const controller = new AbortController()
+    suggestionControllerRef.current = controller
+
+    setIsActionMenuOpen(false)
+    setSelection(null)
+    setSuggestion({
+      id: Date.now(),
+      ...target,
+      original: target.text,
+      action,
+      result: '',
+      isLoading: true,
+      error: null
+    })
+
+    try {
+      const result = await onSelectionAction(target.text, action, {
+        before: quill.getText(0, target.index),
+        after: quill.getText(target.index + target.length)
+      }, { signal: controller.signal })
+
+      // Keep the whitespace and line breaks around the passage so neighbouring paragraphs don't merge
+      const leading = target.text.match(/^\s*/)[0]
+      const trailing = target.text.slice(leading.length).match(/\s*$/)[0]
+      const replacement = action.mode === SELECTION_ACTION_MODES.EXPLAIN
+        ? result
+        : `${leading}${result.trim()}${trailing}`
+
+      if (suggestionControllerRef.current !== controller) return
+      setSuggestion(prev => ({ ...prev, result: replacement, isLoading: false }))
+    } catch (err) {
+      if (err.name === 'AbortError' || suggestionControllerRef.current !== controller) return
+      console.error('Error running selection action:', err)
+      setSuggestion(prev => ({ ...prev, isLoading: false, error: getLLMErrorMessage(err) }))
+    } finally {
+      if (suggestionControllerRef.current === controller) {
+        suggestionControllerRef.current = null
+      }
+    }
+  }
+
+  const acceptSuggestion = () => {
+    const quill = quillRef.current.getEditor()
+    const { index, length, original, result } = suggestion
+
+    // The passage may have been edited while the suggestion was being written
+    if (quill.getText(index, length) !== original) {
+      setSuggestion(prev => ({
+        ...prev,
+        error: 'The passage changed after the action was run. Select it again and rerun the action.'
+      }))
+      return
+    }
+
+    const currentFormats = quill.getFormat(index, length)
+    const formats = Object.fromEntries(
+      Object.entries(currentFormats).filter(([format]) => INLINE_FORMATS.includes(format))
+    )
+    quill.deleteText(index, length, 'user')
+    quill.insertText(index, result, formats, 'user')
+    quill.setSelection(index + result.length, 0, 'silent')
+    hasUnsavedAIEditRef.current = true
+    setSuggestion(null)
+  }
+
+  const rejectSuggestion = () => {
+    suggestionControllerRef.current?.abort()
+    suggestionControllerRef.current = null
+    setSuggestion(null)
+  }
+
+  // Cancel a running action when the editor goes away
+  useEffect(() => {
+    return () => suggestionControllerRef.current?.abort()
+  }, [])
+
   const handleSave = async () => {
     if (!onSave || isSaving) return
 
+    const savedContent = editorContent
     setIsSaving(true)
     try {
-      await onSave(editorContent)
+      await onSave(savedContent, hasUnsavedAIEditRef.current ? AUDIT_ORIGINS.AI : AUDIT_ORIGINS.HUMAN)
+      hasUnsavedAIEditRef.current = false
+      baseContentRef.current = savedContent
       setHasChanges(false)
+      setSaveError(null)
       setLastSaved(new Date())
+      // The snapshot is only dropped if nothing was typed while saving
+      if (snapshotKey && snapshotReadyRef.current && latestContentRef.current === savedContent) {
+        clearTimeout(snapshotTimeoutRef.current)
+        pendingSnapshotRef.current = null
+        clearSnapshot(snapshotKey)
+      }
     } catch (error) {
+      // The unsaved content stays in the snapshot until a save succeeds
       console.error('Error saving document:', error)
-      throw error
+      setSaveError(error.message || 'Failed to save')
+      if (snapshotKey) {
+        pendingSnapshotRef.current = latestContentRef.current
+        flushSnapshot()
+      }
     } finally {
       setIsSaving(false)
     }
@@ -116,7 +379,19 @@ function DocumentEditor({
       {showToolbar && !isReadOnly && (
         <div className="flex items-center justify-between px-4 py-2 border-b border-red-900 bg-gray-900 flex-shrink-0">
           <div className="flex items-center gap-2">
-            {hasChanges && (
+            {saveError && (
+              <span className="text-red-400 text-xs flex items-center gap-2" title={saveError}>
+                Save failed{snapshotKey ? ' - your changes are kept on this device' : ''}
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="px-2 py-0.5 bg-red-900 text-white rounded hover:bg-red-800 disabled:opacity-50 border border-red-800"
+                >
+                  Retry
+                </button>
+              </span>
+            )}
+            {hasChanges && !saveError && (
               <span className="text-yellow-400 text-xs flex items-center gap-1">
                 <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
@@ -155,18 +430,47 @@ function DocumentEditor({
         </div>
       )}
 
+      {recovery && (
+        <SnapshotRecoveryPrompt
+          snapshot={recovery}
+          serverContent={baseContentRef.current}
+          onRestore={handleRestoreSnapshot}
+          onDiscard={handleDiscardSnapshot}
+        />
+      )}
+
       {/* Quill Editor */}
-      <div className="flex-1 min-h-0 overflow-y-auto bg-white">
+      <div className={`relative flex-1 min-h-0 overflow-y-auto bg-white ${recovery ? 'hidden' : ''}`}>
         <ReactQuill
           ref={quillRef}
           theme="snow"
           value={editorContent}
           onChange={handleChange}
+          onChangeSelection={handleSelectionChange}
           readOnly={isReadOnly}
           placeholder={placeholder}
           modules={modules}
           formats={formats}
         />
+
+        {selectionActionsEnabled && selection && !suggestion && (
+          <SelectionActionMenu
+            position={selection.position}
+            isOpen={isActionMenuOpen}
+            onToggle={() => setIsActionMenuOpen(prev => !prev)}
+            onRunAction={runSelectionAction}
+          />
+        )}
+
+        {suggestion && (
+          <SelectionSuggestion
+            key={suggestion.id}
+            suggestion={suggestion}
+            position={suggestion.position}
+            onAccept={acceptSuggestion}
+            onReject={rejectSuggestion}
+          />
+        )}
       </div>
 
       <style>{`
@@ -21,7 +21,11 @@ function DocumentEditorModal({
   emptyState = null,
   sidePanel = null,
   className = '',
-  externalError = null
+  externalError = null,
+  externalNotice = null,
+  onSelectionAction = null,
+  isReadOnly = false,
+  snapshotKey = null
 }) {
   const [editorContent, setEditorContent] = useState(content || '')
   const [isSaving, setIsSaving] = useState(false)
@@ -61,12 +65,12 @@ function DocumentEditorModal({
     }
   }
 
-  const handleEditorSave = async (editorContent) => {
+  const handleEditorSave = async (editorContent, origin) => {
     setIsSaving(true)
     setError(null)
 
     try {
-      await onSave(editorContent)
+      await onSave(editorContent, origin)
     } catch (err) {
       console.error('Error saving document:', err)
       setError(err.message || 'Failed to save document')
@@ -109,6 +113,13 @@ function DocumentEditorModal({
           </div>
         )}
 
+        {/* Warning Notice */}
+        {externalNotice && (
+          <div className="px-6 py-3 bg-yellow-900/20 border-b border-red-900">
+            <p className="text-yellow-400 text-sm">{externalNotice}</p>
+          </div>
+        )}
+
         {/* Editor Content */}
         <div className={`flex-1 overflow-hidden min-h-0 ${sidePanel ? 'flex' : ''}`}>
           <div className={`${sidePanel ? 'flex-1 flex flex-col overflow-hidden min-h-0' : 'flex flex-col overflow-hidden min-h-0'} ${sidePanel ? 'border-r border-red-900' : ''}`}>
@@ -117,10 +128,13 @@ function DocumentEditorModal({
                 content={editorContent}
                 onContentChange={handleContentChange}
                 onSave={handleEditorSave}
+                isReadOnly={isReadOnly}
                 placeholder={placeholder}
                 autoSave={autoSave}
                 autoSaveDelay={autoSaveDelay}
                 className="flex-1 min-h-0"
+                onSelectionAction={onSelectionAction}
+                snapshotKey={snapshotKey}
               />
             )}
           </div>
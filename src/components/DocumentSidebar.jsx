@@ -1,37 +1,142 @@
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
 import { useDocuments } from '../context/DocumentContext'
+import { useAuth } from '../context/AuthContext'
+import AnnotatedText from './AnnotatedText'
+import AnnotatedImage from './AnnotatedImage'
+import { getSelectionAnchor, describeAnchor } from '../utils/annotationAnchors'
+import { extractTextFromFile, getExtractionKind, getDocumentText, joinPdfPages, EXTRACTION_STATUSES } from '../services/textExtractionService'
+import { getDocumentUrl } from '../services/documentService'
+import { isOcrImage, getPagesNeedingOcr, recognizeImage, recognizePdfPages, averageConfidence, LOW_OCR_CONFIDENCE } from '../services/ocrService'
+
+// Extraction status shown under each document in the list
+const EXTRACTION_LABELS = {
+  [EXTRACTION_STATUSES.EXTRACTING]: { label: 'Extracting text...', className: 'text-gray-400' },
+  [EXTRACTION_STATUSES.RECOGNIZING]: { label: 'Recognizing text...', className: 'text-gray-400' },
+  [EXTRACTION_STATUSES.EMPTY]: { label: 'No text found', className: 'text-yellow-500' },
+  [EXTRACTION_STATUSES.FAILED]: { label: 'Text extraction failed', className: 'text-red-400' },
+  [EXTRACTION_STATUSES.UNSUPPORTED]: { label: 'Text not readable by AI', className: 'text-gray-500' }
+}
 
 function DocumentSidebar() {
   const {
     documents,
     selectedDoc,
     annotations,
+    loading,
+    error,
     addDocument,
+    updateDocument,
+    saveDocumentText,
     removeDocument,
     addAnnotation,
     removeAnnotation,
     setSelectedDoc
   } = useDocuments()
+  const { user } = useAuth()
   
   const [isCollapsed, setIsCollapsed] = useState(true)
+  const [signedUrl, setSignedUrl] = useState(null)
+  const [viewMode, setViewMode] = useState('original')
+  const [isDrawingRegion, setIsDrawingRegion] = useState(false)
+  const [activeAnnotationId, setActiveAnnotationId] = useState(null)
+  const [annotationError, setAnnotationError] = useState(null)
+  const textContainerRef = useRef(null)
   const fileInputRef = useRef(null)
 
+  // Reports OCR progress on the document, updating only when the whole percentage changes
+  const createProgressReporter = (docId) => {
+    let lastPercent = -1
+    return (progress) => {
+      const percent = Math.floor(progress * 100)
+      if (percent !== lastPercent) {
+        lastPercent = percent
+        updateDocument(docId, { extractionProgress: percent })
+      }
+    }
+  }
+
+  // Recognizes the text of an image, or of the scanned pages of a PDF
+  // Returns the extraction fields to save, or null if no OCR was needed
+  const runOcr = async (docId, file, pages) => {
+    const onProgress = createProgressReporter(docId)
+
+    if (isOcrImage(file)) {
+      updateDocument(docId, { extractionStatus: EXTRACTION_STATUSES.RECOGNIZING, extractionProgress: 0 })
+      const { text, confidence } = await recognizeImage(file, { onProgress })
+      return {
+        extractedText: text || null,
+        extractionStatus: text ? EXTRACTION_STATUSES.COMPLETE : EXTRACTION_STATUSES.EMPTY,
+        ocrConfidence: text ? confidence : null
+      }
+    }
+
+    const pageNumbers = getPagesNeedingOcr(pages)
+    if (pageNumbers.length === 0) return null
+
+    updateDocument(docId, { extractionStatus: EXTRACTION_STATUSES.RECOGNIZING, extractionProgress: 0 })
+    const results = await recognizePdfPages(file, pageNumbers, { onProgress })
+    const mergedPages = [...pages]
+    results.forEach(result => {
+      mergedPages[result.page - 1] = result.text
+    })
+    const text = joinPdfPages(mergedPages)
+
+    return {
+      extractedText: text || null,
+      extractedPages: mergedPages,
+      extractionStatus: text ? EXTRACTION_STATUSES.COMPLETE : EXTRACTION_STATUSES.EMPTY,
+      ocrConfidence: averageConfidence(results),
+      ocrPages: results.map(({ page, confidence }) => ({ page, confidence }))
+    }
+  }
+
+  // Extracts the text of an uploaded file in the background so it can be sent to the AI
+  // Images and PDF pages without a text layer go through OCR; the result is saved with the document
+  const extractText = async (docId, file) => {
+    try {
+      let extraction = {}
+      if (!isOcrImage(file)) {
+        const result = await extractTextFromFile(file)
+        extraction = {
+          extractedText: result.text,
+          extractedPages: result.pages,
+          extractionStatus: result.status
+        }
+        updateDocument(docId, extraction)
+      }
+      const ocrExtraction = await runOcr(docId, file, extraction.extractedPages)
+      await saveDocumentText(docId, { ...extraction, ...ocrExtraction })
+    } catch (err) {
+      console.error(`Error extracting text from ${file.name}:`, err)
+      updateDocument(docId, { extractionError: err.message })
+      await saveDocumentText(docId, { extractionStatus: EXTRACTION_STATUSES.FAILED })
+    }
+  }
+
   const handleFileUpload = (e) => {
     const files = Array.from(e.target.files)
     files.forEach((file) => {
       const reader = new FileReader()
+      const canExtract = getExtractionKind(file) !== null || isOcrImage(file)
       
       reader.onload = (event) => {
         const newDoc = {
-          id: Date.now() + Math.random(),
+          id: crypto.randomUUID(),
           name: file.name,
           type: file.type,
           size: file.size,
           content: event.target.result,
-          uploadedAt: new Date()
+          uploadedAt: new Date(),
+          extractedText: null,
+          extractionStatus: canExtract ? EXTRACTION_STATUSES.EXTRACTING : EXTRACTION_STATUSES.UNSUPPORTED
         }
         
-        addDocument(newDoc)
+        addDocument(newDoc, file)
+        if (canExtract) {
+          extractText(newDoc.id, file)
+        } else {
+          saveDocumentText(newDoc.id, { extractionStatus: EXTRACTION_STATUSES.UNSUPPORTED })
+        }
       }
       
       if (file.type.startsWith('image/')) {
@@ -54,6 +159,84 @@ function DocumentSidebar() {
   }
 
   const selectedDocument = documents.find(doc => doc.id === selectedDoc)
+
+  // Documents loaded from the case are viewed through a signed Storage URL
+  useEffect(() => {
+    setSignedUrl(null)
+    if (!selectedDocument || selectedDocument.content || !selectedDocument.storagePath) return
+
+    let cancelled = false
+    getDocumentUrl(selectedDocument.storagePath)
+      .then(url => {
+        if (!cancelled) setSignedUrl(url)
+      })
+      .catch(err => console.error('Error loading document URL:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [selectedDocument?.id, selectedDocument?.storagePath])
+
+  const viewerUrl = selectedDocument?.content || signedUrl
+  const documentText = selectedDocument ? getDocumentText(selectedDocument) : null
+  const isImage = !!selectedDocument?.type.startsWith('image/')
+  const isPdf = selectedDocument?.type === 'application/pdf'
+
+  // Start each document in its original view with no annotation selected
+  useEffect(() => {
+    setViewMode('original')
+    setIsDrawingRegion(false)
+    setActiveAnnotationId(null)
+    setAnnotationError(null)
+  }, [selectedDoc])
+
+  // Bring the selected annotation's highlight into view
+  useEffect(() => {
+    if (!activeAnnotationId || !textContainerRef.current) return
+    const highlight = textContainerRef.current.querySelector(`[data-annotation-id="${activeAnnotationId}"]`)
+    if (highlight) highlight.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }, [activeAnnotationId, viewMode])
+
+  const saveAnnotation = async (anchor) => {
+    const note = prompt(anchor ? 'Enter your note on the marked passage:' : 'Enter your annotation note:')
+    if (!note) return
+
+    try {
+      const created = await addAnnotation(selectedDoc, { note, anchor })
+      setActiveAnnotationId(created.id)
+    } catch (err) {
+      console.error('Error adding annotation:', err)
+      setAnnotationError(err.message)
+    }
+  }
+
+  // Attaches the note to the selected passage if there is one, otherwise to the whole document
+  const handleAddNote = () => {
+    setAnnotationError(null)
+    const anchor = documentText ? getSelectionAnchor(textContainerRef.current, documentText) : null
+    window.getSelection()?.removeAllRanges()
+    saveAnnotation(anchor)
+  }
+
+  const handleRegionDrawn = (region) => {
+    setIsDrawingRegion(false)
+    saveAnnotation(region)
+  }
+
+  const handleAnnotationSelect = (annotation) => {
+    setActiveAnnotationId(annotation.id)
+    if (isPdf && annotation.anchor?.type === 'text') {
+      setViewMode('text')
+    }
+  }
+
+  const handleRemoveAnnotation = async (annotationId) => {
+    try {
+      await removeAnnotation(selectedDoc, annotationId)
+    } catch (err) {
+      console.error('Error removing annotation:', err)
+      setAnnotationError(err.message)
+    }
+  }
   const docAnnotations = selectedDoc ? (annotations[selectedDoc] || []) : []
 
   if (isCollapsed) {
@@ -103,15 +286,25 @@ function DocumentSidebar() {
           ref={fileInputRef}
           type="file"
           multiple
-          accept=".pdf,.txt,.doc,.docx,.jpg,.jpeg,.png,.gif,.json"
+          accept=".pdf,.txt,.doc,.docx,.rtf,.html,.htm,.jpg,.jpeg,.png,.gif,.json"
           onChange={handleFileUpload}
           className="hidden"
         />
       </div>
 
+      {error && (
+        <div className="px-4 py-2 bg-red-900/20 border-b border-red-900">
+          <p className="text-red-400 text-xs">{error}</p>
+        </div>
+      )}
+
       {/* Document List */}
       <div className="flex-1 overflow-y-auto">
-        {documents.length === 0 ? (
+        {loading ? (
+          <div className="p-4 text-center text-white opacity-60">
+            <p>Loading documents...</p>
+          </div>
+        ) : documents.length === 0 ? (
           <div className="p-4 text-center text-white opacity-60">
             <p>No documents uploaded</p>
             <p className="text-sm mt-2">Click "Upload Document" to get started</p>
@@ -137,6 +330,32 @@ function DocumentSidebar() {
                     <p className="text-gray-500 text-xs mt-1">
                       {doc.uploadedAt.toLocaleDateString()}
                     </p>
+                    {doc.isUploading && (
+                      <p className="text-gray-400 text-xs mt-1">Uploading...</p>
+                    )}
+                    {doc.uploadError && (
+                      <p className="text-red-400 text-xs mt-1" title={doc.uploadError}>Upload failed - not saved to the case</p>
+                    )}
+                    {EXTRACTION_LABELS[doc.extractionStatus] && (
+                      <p className={`text-xs mt-1 ${EXTRACTION_LABELS[doc.extractionStatus].className}`} title={doc.extractionError || ''}>
+                        {EXTRACTION_LABELS[doc.extractionStatus].label}
+                        {doc.extractionStatus === EXTRACTION_STATUSES.RECOGNIZING && ` ${doc.extractionProgress || 0}%`}
+                      </p>
+                    )}
+                    {doc.extractionStatus === EXTRACTION_STATUSES.RECOGNIZING && (
+                      <div className="mt-1 h-1 bg-gray-800 rounded">
+                        <div className="h-1 bg-red-700 rounded transition-all" style={{ width: `${doc.extractionProgress || 0}%` }} />
+                      </div>
+                    )}
+                    {doc.ocrConfidence != null && (
+                      <p
+                        className={`text-xs mt-1 ${doc.ocrConfidence < LOW_OCR_CONFIDENCE ? 'text-yellow-500' : 'text-gray-400'}`}
+                        title={doc.ocrPages ? doc.ocrPages.map(page => `Page ${page.page}: ${page.confidence}%`).join('\n') : ''}
+                      >
+                        OCR confidence: {doc.ocrConfidence}%
+                        {doc.ocrConfidence < LOW_OCR_CONFIDENCE && ' (check the text)'}
+                      </p>
+                    )}
                   </div>
                   <button
                     onClick={(e) => {
@@ -162,6 +381,15 @@ function DocumentSidebar() {
         <div className="border-t border-red-900 flex flex-col" style={{ height: '50%' }}>
           <div className="p-3 bg-gray-900 border-b border-red-900 flex items-center justify-between">
             <h3 className="text-white font-medium text-sm truncate flex-1">{selectedDocument.name}</h3>
+            {isPdf && documentText && (
+              <button
+                onClick={() => setViewMode(viewMode === 'text' ? 'original' : 'text')}
+                className="text-xs px-2 py-1 bg-gray-800 text-white rounded hover:bg-gray-700 transition-colors ml-2"
+                title={viewMode === 'text' ? 'Show the original PDF' : 'Show the extracted text to highlight passages'}
+              >
+                {viewMode === 'text' ? 'Original' : 'Text'}
+              </button>
+            )}
             <button
               onClick={() => setSelectedDoc(null)}
               className="text-gray-400 hover:text-red-500 transition-colors ml-2"
@@ -174,26 +402,52 @@ function DocumentSidebar() {
           </div>
           
           <div className="flex-1 overflow-y-auto p-4 bg-gray-950">
-            {selectedDocument.type.startsWith('image/') ? (
-              <div className="flex items-center justify-center">
-                <img
-                  src={selectedDocument.content}
+            {isImage ? (
+              <div>
+                <AnnotatedImage
+                  src={viewerUrl}
                   alt={selectedDocument.name}
-                  className="max-w-full max-h-full object-contain"
+                  annotations={docAnnotations}
+                  activeAnnotationId={activeAnnotationId}
+                  isDrawing={isDrawingRegion}
+                  onRegionDrawn={handleRegionDrawn}
+                  onRegionClick={setActiveAnnotationId}
                 />
+                {documentText && (
+                  <div className="mt-3">
+                    <p className="text-gray-400 text-xs mb-1">Recognized text</p>
+                    <AnnotatedText
+                      ref={textContainerRef}
+                      text={documentText}
+                      annotations={docAnnotations}
+                      activeAnnotationId={activeAnnotationId}
+                      onHighlightClick={setActiveAnnotationId}
+                    />
+                  </div>
+                )}
               </div>
-            ) : selectedDocument.type === 'application/pdf' ? (
+            ) : isPdf && viewMode === 'original' ? (
               <div className="flex items-center justify-center h-full">
                 <iframe
-                  src={selectedDocument.content}
+                  src={viewerUrl}
                   className="w-full h-full min-h-[400px]"
                   title={selectedDocument.name}
                 />
               </div>
+            ) : documentText ? (
+              <AnnotatedText
+                ref={textContainerRef}
+                text={documentText}
+                annotations={docAnnotations}
+                activeAnnotationId={activeAnnotationId}
+                onHighlightClick={setActiveAnnotationId}
+              />
             ) : (
-              <div className="text-white text-sm whitespace-pre-wrap break-words">
-                {selectedDocument.content}
-              </div>
+              <p className="text-gray-400 text-sm text-center">
+                {selectedDocument.extractionStatus === EXTRACTION_STATUSES.EXTRACTING
+                  ? 'Extracting text...'
+                  : 'No preview available for this file.'}
+              </p>
             )}
           </div>
 
@@ -201,23 +455,34 @@ function DocumentSidebar() {
           <div className="border-t border-red-900 bg-gray-900">
             <div className="p-3 border-b border-red-900 flex items-center justify-between">
               <h4 className="text-white font-medium text-sm">Annotations</h4>
-              <button
-                onClick={() => {
-                  const note = prompt('Enter your annotation note:')
-                  if (note) {
-                    addAnnotation(selectedDoc, {
-                      type: 'note',
-                      content: note,
-                      position: { x: 0, y: 0 }
-                    })
-                  }
-                }}
-                className="text-xs px-2 py-1 bg-red-900 text-white rounded hover:bg-red-800 transition-colors"
-                title="Add annotation"
-              >
-                + Add Note
-              </button>
+              <div className="flex items-center gap-1">
+                {isImage && (
+                  <button
+                    onClick={() => setIsDrawingRegion(!isDrawingRegion)}
+                    className={`text-xs px-2 py-1 text-white rounded transition-colors ${isDrawingRegion ? 'bg-red-700' : 'bg-gray-800 hover:bg-gray-700'}`}
+                    title="Drag on the image to mark an area"
+                  >
+                    {isDrawingRegion ? 'Cancel' : '+ Mark Area'}
+                  </button>
+                )}
+                <button
+                  // Keep the text selection when the button is pressed
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={handleAddNote}
+                  className="text-xs px-2 py-1 bg-red-900 text-white rounded hover:bg-red-800 transition-colors"
+                  title="Select text in the document first to attach the note to that passage"
+                >
+                  + Add Note
+                </button>
+              </div>
             </div>
+
+            {isDrawingRegion && (
+              <p className="px-3 pt-2 text-gray-400 text-xs">Drag on the image to mark the area your note is about.</p>
+            )}
+            {annotationError && (
+              <p className="px-3 pt-2 text-red-400 text-xs">{annotationError}</p>
+            )}
             
             <div className="p-3 max-h-32 overflow-y-auto space-y-2">
               {docAnnotations.length === 0 ? (
@@ -226,24 +491,33 @@ function DocumentSidebar() {
                 docAnnotations.map((ann) => (
                   <div
                     key={ann.id}
-                    className="p-2 bg-gray-800 rounded border border-gray-700"
+                    onClick={() => handleAnnotationSelect(ann)}
+                    className={`p-2 rounded border cursor-pointer ${ann.id === activeAnnotationId ? 'bg-gray-700 border-yellow-700' : 'bg-gray-800 border-gray-700'}`}
                   >
                     <div className="flex items-start justify-between">
-                      <div className="flex-1">
-                        <p className="text-white text-xs">{ann.content}</p>
+                      <div className="flex-1 min-w-0">
+                        {ann.anchor?.quote && (
+                          <p className="text-yellow-500 text-xs italic truncate" title={ann.anchor.quote}>"{ann.anchor.quote}"</p>
+                        )}
+                        <p className="text-white text-xs">{ann.note}</p>
                         <p className="text-gray-500 text-xs mt-1">
-                          {ann.createdAt.toLocaleTimeString()}
+                          {describeAnchor(ann.anchor)} · {ann.authorEmail || 'Unknown author'} · {ann.createdAt.toLocaleDateString()}
                         </p>
                       </div>
-                      <button
-                        onClick={() => removeAnnotation(selectedDoc, ann.id)}
-                        className="text-gray-400 hover:text-red-500 transition-colors ml-2"
-                        title="Remove annotation"
-                      >
-                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
+                      {ann.authorId === user?.id && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            handleRemoveAnnotation(ann.id)
+                          }}
+                          className="text-gray-400 hover:text-red-500 transition-colors ml-2"
+                          title="Remove annotation"
+                        >
+                          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      )}
                     </div>
                   </div>
                 ))
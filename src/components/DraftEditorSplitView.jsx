@@ -1,9 +1,16 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import DocumentEditor from './DocumentEditor'
 import ChatBot from './ChatBot'
+import TrackedChangesView from './TrackedChangesView'
+import MergeConflictDialog from './MergeConflictDialog'
 import { CHAT_TYPES } from '../config/chatTypes'
+import { getDraftStatusLabel, getDraftStatusStyle, isDraftLocked } from '../config/draftStatuses'
+import { AUDIT_ORIGINS } from '../config/auditLog'
 import { getDraft, updateDraft } from '../services/draftService'
 import { getCaseMessages } from '../services/caseService'
+import { rewriteSelection } from '../services/llmService'
+import { applyDraftPatches, splitDraftBlocks } from '../utils/draftPatches'
+import { useMergeConflict } from '../hooks/useMergeConflict'
 
 /**
  * DraftEditorSplitView - Split screen view with draft editor (70%) and chat (30%)
@@ -21,6 +28,15 @@ function DraftEditorSplitView({
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [chatMessages, setChatMessages] = useState([])
+  // Edits suggested by the agent, waiting for the user to accept or reject each one
+  const [pendingEdits, setPendingEdits] = useState(null)
+  const [editDecisions, setEditDecisions] = useState({})
+  const [isApplyingEdits, setIsApplyingEdits] = useState(false)
+  // Reports the review outcome back to the agent's chat (see handleEditsProposed)
+  const resolveEditOutcomeRef = useRef(null)
+  const { saveWithMerge, dialogProps: mergeDialogProps } = useMergeConflict({
+    getContent: draft => draft.rendered_content
+  })
 
   // Load draft and messages
   useEffect(() => {
@@ -60,31 +76,108 @@ function DraftEditorSplitView({
     setDraftContent(content)
   }
 
-  const handleDraftSave = async (content) => {
+  const handleDraftSave = async (content, origin = AUDIT_ORIGINS.HUMAN) => {
     if (!currentDraft) return
 
+    let updated
     try {
-      const updated = await updateDraft(currentDraft.id, content)
-      setCurrentDraft(updated)
-      setDraftContent(content)
-      
-      // Notify parent of update
-      if (onDraftUpdate) {
-        onDraftUpdate(updated)
-      }
+      // Someone else saved first: resolves once the user has merged in the dialog
+      updated = await saveWithMerge(content, currentDraft.revision, (value, revision) =>
+        updateDraft(currentDraft.id, value, origin, revision)
+      )
     } catch (err) {
       console.error('Error saving draft:', err)
       throw err
     }
-  }
 
-  const handleDraftUpdateFromChat = (updatedDraft) => {
-    setCurrentDraft(updatedDraft)
-    setDraftContent(updatedDraft.rendered_content)
-    
-    // Notify parent
+    setCurrentDraft(updated)
+    setDraftContent(updated.rendered_content)
+
+    // Notify parent of update
     if (onDraftUpdate) {
-      onDraftUpdate(updatedDraft)
+      onDraftUpdate(updated)
+    }
+  }
+
+  const handleSelectionAction = (selectedText, action, context, options) => {
+    return rewriteSelection(selectedText, action, context, caseData, options)
+  }
+
+  // Edits are made against what is in the editor, including changes not yet auto-saved
+  const editableDraft = currentDraft ? { ...currentDraft, rendered_content: draftContent } : null
+
+  const reportEditOutcome = (outcome) => {
+    if (resolveEditOutcomeRef.current) {
+      resolveEditOutcomeRef.current(outcome)
+      resolveEditOutcomeRef.current = null
+    }
+  }
+
+  const handleDiscardEdits = async () => {
+    setPendingEdits(null)
+    reportEditOutcome({ accepted: [], rejected: [], discarded: true })
+    // The editor was closed for the review, cancelling any pending auto-save
+    if (draftContent !== currentDraft.rendered_content) {
+      try {
+        await handleDraftSave(draftContent)
+      } catch (err) {
+        setError(err.message)
+      }
+    }
+  }
+
+  // Returns a promise of { accepted, rejected, discarded } change IDs, settled when the user applies or discards
+  const handleEditsProposed = (proposal) => {
+    // A new proposal replaces one still under review
+    reportEditOutcome({ accepted: [], rejected: [], discarded: true })
+    setPendingEdits(proposal)
+    setEditDecisions({})
+    return new Promise(resolve => {
+      resolveEditOutcomeRef.current = resolve
+    })
+  }
+
+  const handleEditDecision = (changeId, decision) => {
+    setEditDecisions(prev => ({ ...prev, [changeId]: decision }))
+  }
+
+  const handleAllEditDecisions = (decision) => {
+    setEditDecisions(Object.fromEntries(pendingEdits.changes.map(change => [change.id, decision])))
+  }
+
+  // Only the accepted changes are applied, and only now is anything saved
+  const handleApplyEdits = async () => {
+    const accepted = pendingEdits.changes.filter(change => editDecisions[change.id] === 'accepted')
+    const outcome = {
+      accepted: accepted.map(change => change.id),
+      rejected: pendingEdits.changes.filter(change => editDecisions[change.id] === 'rejected').map(change => change.id),
+      discarded: false
+    }
+    if (accepted.length === 0) {
+      setPendingEdits(null)
+      reportEditOutcome(outcome)
+      return
+    }
+
+    // The editor stays open while the agent works; changes made against an older letter would overwrite
+    // whatever was typed in the meantime
+    const currentBlocks = splitDraftBlocks(draftContent).map(block => block.html)
+    const baseBlocks = pendingEdits.blocks.map(block => block.html)
+    if (currentBlocks.length !== baseBlocks.length || currentBlocks.some((html, index) => html !== baseBlocks[index])) {
+      setError('The draft was edited while these changes were being suggested, so they can no longer be applied. Discard them and ask again.')
+      return
+    }
+
+    setIsApplyingEdits(true)
+    setError(null)
+    try {
+      await handleDraftSave(applyDraftPatches(pendingEdits.blocks, accepted), AUDIT_ORIGINS.AI)
+      setPendingEdits(null)
+      reportEditOutcome(outcome)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsApplyingEdits(false)
     }
   }
 
@@ -96,7 +189,7 @@ function DraftEditorSplitView({
     )
   }
 
-  if (error || !currentDraft) {
+  if (!currentDraft) {
     return (
       <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50">
         <div className="bg-gray-900 rounded-lg border border-red-900 p-6 max-w-md">
@@ -121,12 +214,8 @@ function DraftEditorSplitView({
           <h2 className="text-lg font-bold text-white">
             Editing Draft - Version {currentDraft.version_number}
           </h2>
-          <span className={`text-xs px-2 py-0.5 rounded ${
-            currentDraft.status === 'saved' 
-              ? 'bg-green-900/50 text-green-300 border border-green-800'
-              : 'bg-yellow-900/50 text-yellow-300 border border-yellow-800'
-          }`}>
-            {currentDraft.status}
+          <span className={`text-xs px-2 py-0.5 rounded ${getDraftStatusStyle(currentDraft.status)}`}>
+            {getDraftStatusLabel(currentDraft.status)}
           </span>
         </div>
         <button
@@ -142,17 +231,44 @@ function DraftEditorSplitView({
 
       {/* Split View Content */}
       <div className="flex-1 flex overflow-hidden min-h-0">
-        {/* Left Side - Draft Editor (70%) */}
+        {/* Left Side - Draft Editor (70%), or the agent's suggested changes while they are reviewed */}
         <div className="flex-[0.7] flex flex-col overflow-hidden border-r border-red-900">
-          <DocumentEditor
-            content={draftContent}
-            onContentChange={handleDraftContentChange}
-            onSave={handleDraftSave}
-            placeholder="Edit your draft here..."
-            autoSave={true}
-            autoSaveDelay={3000}
-            className="flex-1 min-h-0"
-          />
+          {error && (
+            <div className="px-4 py-2 bg-red-900/20 border-b border-red-900 flex-shrink-0">
+              <p className="text-red-400 text-sm">{error}</p>
+            </div>
+          )}
+          {isDraftLocked(currentDraft.status) && (
+            <div className="px-4 py-2 bg-yellow-900/20 border-b border-red-900 flex-shrink-0">
+              <p className="text-yellow-400 text-sm">
+                This version is {getDraftStatusLabel(currentDraft.status).toLowerCase()} and locked for editing.
+              </p>
+            </div>
+          )}
+          {pendingEdits ? (
+            <TrackedChangesView
+              proposal={pendingEdits}
+              decisions={editDecisions}
+              onDecide={handleEditDecision}
+              onDecideAll={handleAllEditDecisions}
+              onApply={handleApplyEdits}
+              onDiscard={handleDiscardEdits}
+              isApplying={isApplyingEdits}
+            />
+          ) : (
+            <DocumentEditor
+              content={draftContent}
+              onContentChange={handleDraftContentChange}
+              onSave={handleDraftSave}
+              isReadOnly={isDraftLocked(currentDraft.status)}
+              snapshotKey={`draft:${currentDraft.id}`}
+              placeholder="Edit your draft here..."
+              autoSave={true}
+              autoSaveDelay={3000}
+              className="flex-1 min-h-0"
+              onSelectionAction={handleSelectionAction}
+            />
+          )}
         </div>
 
         {/* Right Side - Chat (30%) */}
@@ -165,7 +281,7 @@ function DraftEditorSplitView({
               <h3 className="text-sm font-semibold text-white">Draft Editor Agent</h3>
             </div>
             <p className="text-xs text-gray-400 mt-1">
-              Ask me to edit your draft. Changes will appear in real-time.
+              Ask me to edit your draft. Suggested changes appear in the editor for you to accept or reject.
             </p>
           </div>
           <ChatBot
@@ -173,11 +289,16 @@ function DraftEditorSplitView({
             caseData={caseData}
             selectedChatType={CHAT_TYPES.DRAFT_EDITOR_AGENT.id}
             onChatTypeChange={() => {}} // Locked to Draft Editor Agent
-            currentDraft={currentDraft}
-            onDraftUpdate={handleDraftUpdateFromChat}
+            currentDraft={editableDraft}
+            onEditsProposed={handleEditsProposed}
           />
         </div>
       </div>
+
+      <MergeConflictDialog
+        {...mergeDialogProps}
+        baseContent={currentDraft.rendered_content}
+      />
     </div>
   )
 }
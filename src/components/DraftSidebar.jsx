@@ -1,11 +1,17 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { getCurrentDraft, getDraftVersions, saveDraft, regenerateDraft, deleteDraftVersion, getDraft } from '../services/draftService'
 import { generateLegalDemandLetter } from '../services/llmService'
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { describeContextReport } from '../utils/tokenBudget'
 import { getCaseMessages } from '../services/caseService'
 import { exportToDOCX, exportToPDF } from '../services/exportService'
+import { recordExport } from '../services/auditService'
 import { getOrCreateCaseTemplate } from '../services/templateService'
+import { DRAFT_STATUSES, getDraftStatusLabel, getDraftStatusStyle, isDraftLocked } from '../config/draftStatuses'
+import VersionCompareModal from './VersionCompareModal'
+import DraftStatusPanel from './DraftStatusPanel'
 
-function DraftSidebar({ caseId, caseData, chatMessages, documents, template, templateId, onDraftSelect, refreshKey }) {
+function DraftSidebar({ caseId, caseData, chatMessages, documents, annotations, template, templateId, onDraftSelect, refreshKey }) {
   const [isCollapsed, setIsCollapsed] = useState(true)
   const [currentDraft, setCurrentDraft] = useState(null)
   const [versions, setVersions] = useState([])
@@ -15,6 +21,10 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
   const [isExporting, setIsExporting] = useState(false)
   const [error, setError] = useState(null)
   const [showDraftModal, setShowDraftModal] = useState(false)
+  const [streamingPreview, setStreamingPreview] = useState('')
+  const [contextNotice, setContextNotice] = useState('')
+  const [showCompareModal, setShowCompareModal] = useState(false)
+  const abortControllerRef = useRef(null)
 
   // Load draft data when sidebar is expanded or refreshKey changes
   useEffect(() => {
@@ -46,6 +56,10 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
 
     setIsGenerating(true)
     setError(null)
+    setStreamingPreview('')
+    setContextNotice('')
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
 
     try {
       // Get fresh chat messages
@@ -57,19 +71,25 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
         timestamp: new Date(msg.created_at)
       }))
 
-      // Generate the letter
-      const renderedContent = await generateLegalDemandLetter(
+      // Generate the letter, showing it as it streams in
+      const { content: renderedContent, citations, promptVersion } = await generateLegalDemandLetter(
         formattedMessages,
         documents,
         caseData,
-        template
+        template,
+        {
+          onToken: (_delta, fullText) => setStreamingPreview(fullText),
+          onContextReport: (report) => setContextNotice(describeContextReport(report)),
+          annotations,
+          signal: abortController.signal
+        }
       )
 
       // Convert company template ID to case template ID (or null)
       const caseTemplateId = await getOrCreateCaseTemplate(caseId, templateId || null)
 
       // Create new draft version
-      const newDraft = await regenerateDraft(caseId, renderedContent, caseTemplateId)
+      const newDraft = await regenerateDraft(caseId, renderedContent, caseTemplateId, citations, promptVersion)
       
       setCurrentDraft(newDraft)
       setSelectedVersionId(newDraft.id)
@@ -77,15 +97,25 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
       // Reload versions
       await loadDraftData()
     } catch (err) {
-      console.error('Error generating draft:', err)
-      setError(err.message)
+      if (err.name !== 'AbortError') {
+        console.error('Error generating draft:', err)
+        setError(getLLMErrorMessage(err))
+      }
     } finally {
+      abortControllerRef.current = null
+      setStreamingPreview('')
       setIsGenerating(false)
     }
   }
 
+  const handleCancelGenerate = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
   const handleSave = async () => {
-    if (!currentDraft || currentDraft.status === 'saved') return
+    if (!currentDraft || currentDraft.status !== DRAFT_STATUSES.DRAFT) return
 
     setIsSaving(true)
     setError(null)
@@ -144,6 +174,17 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
     }
   }
 
+  const handleStatusChange = (updated) => {
+    setCurrentDraft(updated)
+    setVersions(prev => prev.map(v => v.id === updated.id ? updated : v))
+  }
+
+  const handleVersionRestored = async (restored) => {
+    setCurrentDraft(restored)
+    setSelectedVersionId(restored.id)
+    await loadDraftData()
+  }
+
   const handleExport = async (format) => {
     if (!currentDraft) return
 
@@ -158,6 +199,7 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
       } else if (format === 'pdf') {
         await exportToPDF(currentDraft.rendered_content, filename)
       }
+      await recordExport(caseId, 'draft', currentDraft.id, { format, filename, versionNumber: currentDraft.version_number })
     } catch (err) {
       console.error('Error exporting:', err)
       setError(err.message)
@@ -214,6 +256,12 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
           </div>
         )}
 
+        {contextNotice && (
+          <div className="px-4 py-2 bg-yellow-900/20 border-b border-red-900">
+            <p className="text-yellow-400 text-xs">{contextNotice}</p>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="px-4 py-3 border-b border-red-900">
           <button
@@ -231,12 +279,35 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
               </div>
             )}
           </button>
+          {isGenerating && (
+            <div className="mt-3">
+              <div className="max-h-48 overflow-y-auto p-2 bg-gray-950 border border-gray-800 rounded text-xs text-gray-300 whitespace-pre-wrap break-words">
+                {streamingPreview || 'Waiting for the first words...'}
+              </div>
+              <button
+                onClick={handleCancelGenerate}
+                className="mt-2 w-full px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 text-xs border border-gray-700"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
         </div>
 
+        <DraftStatusPanel draft={currentDraft} onStatusChange={handleStatusChange} />
+
         {/* Versions List */}
         <div className="flex-1 overflow-y-auto">
-          <div className="px-4 py-2 border-b border-red-900">
+          <div className="px-4 py-2 border-b border-red-900 flex items-center justify-between">
             <h3 className="text-sm font-semibold text-white">Version History</h3>
+            {versions.length >= 2 && (
+              <button
+                onClick={() => setShowCompareModal(true)}
+                className="text-blue-400 hover:text-blue-300 text-xs"
+              >
+                Compare
+              </button>
+            )}
           </div>
           <div className="p-2">
             {versions.length === 0 ? (
@@ -255,12 +326,8 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
                   >
                     <div className="flex items-center justify-between mb-1">
                       <span className="text-white font-medium text-sm">Version {version.version_number}</span>
-                      <span className={`text-xs px-1.5 py-0.5 rounded ${
-                        version.status === 'saved' 
-                          ? 'bg-green-900/50 text-green-300 border border-green-800'
-                          : 'bg-yellow-900/50 text-yellow-300 border border-yellow-800'
-                      }`}>
-                        {version.status}
+                      <span className={`text-xs px-1.5 py-0.5 rounded ${getDraftStatusStyle(version.status)}`}>
+                        {getDraftStatusLabel(version.status)}
                       </span>
                     </div>
                     <p className="text-gray-400 text-xs mb-2">
@@ -271,12 +338,14 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
                         Saved: {new Date(version.saved_at).toLocaleDateString()}
                       </p>
                     )}
-                    <button
-                      onClick={(e) => handleDeleteVersion(version.id, e)}
-                      className="text-red-400 hover:text-red-300 text-xs"
-                    >
-                      Delete
-                    </button>
+                    {!isDraftLocked(version.status) && (
+                      <button
+                        onClick={(e) => handleDeleteVersion(version.id, e)}
+                        className="text-red-400 hover:text-red-300 text-xs"
+                      >
+                        Delete
+                      </button>
+                    )}
                   </div>
                 ))}
               </div>
@@ -285,6 +354,17 @@ function DraftSidebar({ caseId, caseData, chatMessages, documents, template, tem
         </div>
       </div>
 
+      {/* Compares the latest version with the one before it by default */}
+      <VersionCompareModal
+        isOpen={showCompareModal}
+        onClose={() => setShowCompareModal(false)}
+        caseId={caseId}
+        versions={versions}
+        initialOldId={versions[1]?.id || null}
+        initialNewId={versions[0]?.id || null}
+        onRestored={handleVersionRestored}
+      />
+
       {/* Draft Viewer Modal (for viewing full content) */}
       {showDraftModal && currentDraft && (
         <DraftViewerModal
@@ -326,7 +406,7 @@ function DraftViewerModal({ isOpen, onClose, draft, caseData }) {
           <div>
             <h2 className="text-xl font-bold text-white">Draft Letter</h2>
             <p className="text-sm text-gray-400 mt-1">
-              {caseData?.title || 'Draft'} • Version {draft.version_number} • {draft.status === 'saved' ? 'Saved' : 'Draft'}
+              {caseData?.title || 'Draft'} • Version {draft.version_number} • {getDraftStatusLabel(draft.status)}
             </p>
           </div>
           <button
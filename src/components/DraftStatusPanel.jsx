@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import { transitionDraftStatus, getDraftStatusEvents } from '../services/draftService'
+import { getCurrentUserRole } from '../services/userService'
+import {
+  USER_ROLES,
+  getAvailableTransitions,
+  getDraftStatusLabel,
+  getDraftStatusStyle,
+  isDraftLocked
+} from '../config/draftStatuses'
+
+/**
+ * DraftStatusPanel - Review workflow for a draft version
+ * Shows the draft's status, the status changes the user can make (with a comment) and the timeline of past changes
+ */
+function DraftStatusPanel({ draft, onStatusChange }) {
+  const [role, setRole] = useState(USER_ROLES.MEMBER)
+  const [events, setEvents] = useState([])
+  const [pendingTransition, setPendingTransition] = useState(null)
+  const [comment, setComment] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getCurrentUserRole()
+      .then(setRole)
+      .catch(err => console.error('Error loading user role:', err))
+  }, [])
+
+  useEffect(() => {
+    setPendingTransition(null)
+    setComment('')
+    setError(null)
+    if (draft?.id) {
+      loadEvents()
+    }
+  }, [draft?.id])
+
+  const loadEvents = async () => {
+    try {
+      setEvents(await getDraftStatusEvents(draft.id))
+    } catch (err) {
+      console.error('Error loading status history:', err)
+      setError(err.message)
+    }
+  }
+
+  const handleConfirm = async () => {
+    if (!pendingTransition) return
+    if (pendingTransition.commentRequired && !comment.trim()) {
+      setError('Please add a comment explaining the changes needed')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      const updated = await transitionDraftStatus(draft.id, pendingTransition.to, comment.trim())
+      setPendingTransition(null)
+      setComment('')
+      await loadEvents()
+      if (onStatusChange) onStatusChange(updated)
+    } catch (err) {
+      console.error('Error changing draft status:', err)
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (!draft) return null
+
+  const transitions = getAvailableTransitions(draft.status, role)
+
+  return (
+    <div className="px-4 py-3 border-b border-red-900">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-white">Review Status</h3>
+        <span className={`text-xs px-1.5 py-0.5 rounded ${getDraftStatusStyle(draft.status)}`}>
+          {getDraftStatusLabel(draft.status)}
+        </span>
+      </div>
+      <p className="text-gray-500 text-xs mb-2">
+        Version {draft.version_number}{isDraftLocked(draft.status) ? ' • Locked for editing' : ''}
+      </p>
+
+      {error && <p className="text-red-400 text-xs mb-2">{error}</p>}
+
+      {pendingTransition ? (
+        <div className="space-y-2">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={pendingTransition.commentRequired ? 'What needs to change? (required)' : 'Comment (optional)'}
+            rows={3}
+            className="w-full px-2 py-1.5 bg-gray-900 border border-gray-700 rounded text-white text-xs focus:outline-none focus:border-blue-700"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={handleConfirm}
+              disabled={isSubmitting}
+              className="flex-1 px-3 py-1.5 bg-blue-900 text-white rounded-lg hover:bg-blue-800 disabled:opacity-50 text-xs border border-blue-800"
+            >
+              {isSubmitting ? 'Saving...' : pendingTransition.action}
+            </button>
+            <button
+              onClick={() => {
+                setPendingTransition(null)
+                setComment('')
+                setError(null)
+              }}
+              disabled={isSubmitting}
+              className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 text-xs border border-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : transitions.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {transitions.map(transition => (
+            <button
+              key={transition.to}
+              onClick={() => setPendingTransition(transition)}
+              className="px-2 py-1 bg-gray-800 text-white rounded hover:bg-gray-700 text-xs border border-gray-700"
+            >
+              {transition.action}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {events.length > 0 && (
+        <ol className="mt-3 space-y-2 border-l border-gray-700 pl-3">
+          {events.map(event => (
+            <li key={event.id} className="text-xs">
+              <p className="text-gray-300">
+                <span className="font-medium text-white">{getDraftStatusLabel(event.to_status)}</span>
+                {' '}by {event.created_by_email || 'a former user'}
+              </p>
+              <p className="text-gray-500">
+                {new Date(event.created_at).toLocaleDateString()} {new Date(event.created_at).toLocaleTimeString()}
+              </p>
+              {event.comment && (
+                <p className="text-gray-400 mt-0.5 whitespace-pre-wrap break-words">“{event.comment}”</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default DraftStatusPanel
@@ -1,12 +1,36 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { generateDraft, getCurrentDraft, getDraftVersions, saveDraft, updateDraft, regenerateDraft, deleteDraftVersion, getDraft } from '../services/draftService'
-import { generateLegalDemandLetter } from '../services/llmService'
+import { generateLegalDemandLetter, checkDraftConsistency, rewriteSelection } from '../services/llmService'
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { describeContextReport } from '../utils/tokenBudget'
 import { getCaseMessages } from '../services/caseService'
 import { exportToDOCX, exportToPDF } from '../services/exportService'
+import { recordExport } from '../services/auditService'
 import { getOrCreateCaseTemplate } from '../services/templateService'
 import { CHAT_TYPES } from '../config/chatTypes'
+import { canSaveDraftStatus, getDraftStatusLabel, getDraftStatusStyle, isDraftLocked } from '../config/draftStatuses'
 import DocumentEditorModal from './DocumentEditorModal'
 import DraftEditorSplitView from './DraftEditorSplitView'
+import CitationPanel from './CitationPanel'
+import FactCheckPanel from './FactCheckPanel'
+import VersionCompareModal from './VersionCompareModal'
+import MergeConflictDialog from './MergeConflictDialog'
+import { useMergeConflict } from '../hooks/useMergeConflict'
+
+// Side panels the modal can show next to the editor
+const PANELS = {
+  VERSIONS: 'versions',
+  SOURCES: 'sources',
+  FACT_CHECK: 'factCheck'
+}
+
+/**
+ * Names the prompt a draft was generated with, for the subtitle
+ */
+const describePromptVersion = (promptVersion) => {
+  if (!promptVersion) return ''
+  return promptVersion.version ? ` • Prompt v${promptVersion.version}` : ' • Built-in prompt'
+}
 
 function DraftViewerModal({ 
   isOpen, 
@@ -15,6 +39,7 @@ function DraftViewerModal({
   caseData, 
   chatMessages, 
   documents, 
+  annotations,
   template,
   templateId,
   draftId,
@@ -28,9 +53,19 @@ function DraftViewerModal({
   const [isGenerating, setIsGenerating] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
-  const [showVersionPanel, setShowVersionPanel] = useState(false)
+  const [activePanel, setActivePanel] = useState(null)
+  const [factCheck, setFactCheck] = useState(null)
+  const [isCheckingFacts, setIsCheckingFacts] = useState(false)
+  const [includeEvidenceAppendix, setIncludeEvidenceAppendix] = useState(false)
   const [error, setError] = useState(null)
   const [showSplitView, setShowSplitView] = useState(false)
+  const [streamingPreview, setStreamingPreview] = useState('')
+  const [contextNotice, setContextNotice] = useState('')
+  const [showCompareModal, setShowCompareModal] = useState(false)
+  const { saveWithMerge, dialogProps: mergeDialogProps } = useMergeConflict({
+    getContent: draft => draft.rendered_content
+  })
+  const abortControllerRef = useRef(null)
 
   // Load current draft and versions when modal opens
   useEffect(() => {
@@ -77,21 +112,31 @@ function DraftViewerModal({
 
     setIsGenerating(true)
     setError(null)
+    setStreamingPreview('')
+    setContextNotice('')
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
 
     try {
-      // Generate the letter
-      const renderedContent = await generateLegalDemandLetter(
+      // Generate the letter, showing it as it streams in
+      const { content: renderedContent, citations, promptVersion } = await generateLegalDemandLetter(
         chatMessages,
         documents,
         caseData,
-        template
+        template,
+        {
+          onToken: (_delta, fullText) => setStreamingPreview(fullText),
+          onContextReport: (report) => setContextNotice(describeContextReport(report)),
+          annotations,
+          signal: abortController.signal
+        }
       )
 
       // Convert company template ID to case template ID (or null)
       const caseTemplateId = await getOrCreateCaseTemplate(caseId, templateId || null)
 
       // Create new draft version
-      const newDraft = await generateDraft(caseId, renderedContent, caseTemplateId)
+      const newDraft = await generateDraft(caseId, renderedContent, caseTemplateId, citations, promptVersion)
       
       setCurrentDraft(newDraft)
       setSelectedVersionId(newDraft.id)
@@ -104,9 +149,13 @@ function DraftViewerModal({
         onDraftUpdate()
       }
     } catch (err) {
-      console.error('Error generating draft:', err)
-      setError(err.message)
+      if (err.name !== 'AbortError') {
+        console.error('Error generating draft:', err)
+        setError(getLLMErrorMessage(err))
+      }
     } finally {
+      abortControllerRef.current = null
+      setStreamingPreview('')
       setIsGenerating(false)
     }
   }
@@ -116,6 +165,10 @@ function DraftViewerModal({
 
     setIsGenerating(true)
     setError(null)
+    setStreamingPreview('')
+    setContextNotice('')
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
 
     try {
       // Get fresh chat messages
@@ -127,19 +180,25 @@ function DraftViewerModal({
         timestamp: new Date(msg.created_at)
       }))
 
-      // Generate the letter
-      const renderedContent = await generateLegalDemandLetter(
+      // Generate the letter, showing it as it streams in
+      const { content: renderedContent, citations, promptVersion } = await generateLegalDemandLetter(
         formattedMessages,
         documents,
         caseData,
-        template
+        template,
+        {
+          onToken: (_delta, fullText) => setStreamingPreview(fullText),
+          onContextReport: (report) => setContextNotice(describeContextReport(report)),
+          annotations,
+          signal: abortController.signal
+        }
       )
 
       // Convert company template ID to case template ID (or null)
       const caseTemplateId = await getOrCreateCaseTemplate(caseId, templateId || null)
 
       // Create new draft version
-      const newDraft = await regenerateDraft(caseId, renderedContent, caseTemplateId)
+      const newDraft = await regenerateDraft(caseId, renderedContent, caseTemplateId, citations, promptVersion)
       
       setCurrentDraft(newDraft)
       setSelectedVersionId(newDraft.id)
@@ -152,35 +211,95 @@ function DraftViewerModal({
         onDraftUpdate()
       }
     } catch (err) {
-      console.error('Error regenerating draft:', err)
-      setError(err.message)
+      if (err.name !== 'AbortError') {
+        console.error('Error regenerating draft:', err)
+        setError(getLLMErrorMessage(err))
+      }
     } finally {
+      abortControllerRef.current = null
+      setStreamingPreview('')
       setIsGenerating(false)
     }
   }
 
-  const handleDraftContentSave = async (content) => {
+  const handleCancelGenerate = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
+  const handleDraftContentSave = async (content, origin) => {
     if (!currentDraft) return
 
+    let updated
     try {
-      const updated = await updateDraft(currentDraft.id, content)
-      setCurrentDraft(updated)
-      
-      // Update in versions list
-      setVersions(prev => prev.map(v => v.id === updated.id ? updated : v))
-      
-      // Notify parent of update
-      if (onDraftUpdate) {
-        onDraftUpdate(updated)
-      }
+      // Someone else saved first: resolves once the user has merged in the dialog
+      updated = await saveWithMerge(content, currentDraft.revision, (value, revision) =>
+        updateDraft(currentDraft.id, value, origin, revision)
+      )
     } catch (err) {
       console.error('Error updating draft content:', err)
       throw err
     }
+
+    setCurrentDraft(updated)
+
+    // Update in versions list
+    setVersions(prev => prev.map(v => v.id === updated.id ? updated : v))
+
+    // Notify parent of update
+    if (onDraftUpdate) {
+      onDraftUpdate(updated)
+    }
   }
 
-  const handleSave = async () => {
-    if (!currentDraft || currentDraft.status === 'saved') return
+  // A check only counts for the exact content it ran against
+  const isFactCheckCurrent = !!factCheck &&
+    factCheck.draftId === currentDraft?.id &&
+    factCheck.content === currentDraft?.rendered_content
+
+  const runFactCheck = async () => {
+    if (!currentDraft) return null
+
+    setIsCheckingFacts(true)
+    setError(null)
+    setActivePanel(PANELS.FACT_CHECK)
+
+    try {
+      // Check against the stored chat history, the same record the letter was generated from
+      const freshMessages = await getCaseMessages(caseId)
+      const formattedMessages = freshMessages.map(msg => ({
+        id: msg.id,
+        text: msg.text,
+        sender: msg.sender,
+        timestamp: new Date(msg.created_at)
+      }))
+
+      const result = await checkDraftConsistency(currentDraft.rendered_content, formattedMessages, documents, caseData)
+      const check = { ...result, draftId: currentDraft.id, content: currentDraft.rendered_content }
+      setFactCheck(check)
+      return check
+    } catch (err) {
+      console.error('Error checking draft:', err)
+      setError(getLLMErrorMessage(err))
+      return null
+    } finally {
+      setIsCheckingFacts(false)
+    }
+  }
+
+  // Saving is only allowed once the current content has been checked and any warnings reviewed
+  const handleSave = async (warningsReviewed = false) => {
+    if (!currentDraft || !canSaveDraftStatus(currentDraft.status)) return
+
+    if (!warningsReviewed) {
+      const check = isFactCheckCurrent ? factCheck : await runFactCheck()
+      if (!check) return
+      if (check.warnings.length > 0) {
+        setActivePanel(PANELS.FACT_CHECK)
+        return
+      }
+    }
 
     setIsSaving(true)
     setError(null)
@@ -250,12 +369,19 @@ function DraftViewerModal({
 
     try {
       const filename = `${caseData?.title || 'Draft'}_v${currentDraft.version_number}_${new Date().toISOString().split('T')[0]}`
+      const exportOptions = { citations: includeEvidenceAppendix ? currentDraft.citations : null }
       
       if (format === 'docx') {
-        await exportToDOCX(currentDraft.rendered_content, filename)
+        await exportToDOCX(currentDraft.rendered_content, filename, exportOptions)
       } else if (format === 'pdf') {
-        await exportToPDF(currentDraft.rendered_content, filename)
+        await exportToPDF(currentDraft.rendered_content, filename, exportOptions)
       }
+      await recordExport(caseId, 'draft', currentDraft.id, {
+        format,
+        filename,
+        versionNumber: currentDraft.version_number,
+        evidenceAppendix: includeEvidenceAppendix
+      })
     } catch (err) {
       console.error('Error exporting:', err)
       setError(err.message)
@@ -264,11 +390,32 @@ function DraftViewerModal({
     }
   }
 
+  const handleVersionRestored = async (restored) => {
+    setCurrentDraft(restored)
+    setSelectedVersionId(restored.id)
+    if (onDraftLoad) {
+      onDraftLoad(restored)
+    }
+    setVersions(await getDraftVersions(caseId))
+  }
+
+  // The open version is compared with the latest, or the latest with the one before it
+  const latestVersionId = versions[0]?.id || null
+  const compareOldId = selectedVersionId && selectedVersionId !== latestVersionId ? selectedVersionId : versions[1]?.id || null
+
   // Version panel component
-  const versionPanel = showVersionPanel ? (
+  const versionPanel = activePanel === PANELS.VERSIONS ? (
     <>
-      <div className="p-4 border-b border-red-900">
+      <div className="p-4 border-b border-red-900 flex items-center justify-between">
         <h3 className="text-lg font-semibold text-white">Versions</h3>
+        {versions.length >= 2 && (
+          <button
+            onClick={() => setShowCompareModal(true)}
+            className="px-3 py-1 bg-blue-900 text-white rounded-lg hover:bg-blue-800 text-xs border border-blue-800"
+          >
+            Compare
+          </button>
+        )}
       </div>
       <div className="p-2">
         {versions.length === 0 ? (
@@ -287,12 +434,8 @@ function DraftViewerModal({
               >
                 <div className="flex items-center justify-between mb-2">
                   <span className="text-white font-medium">Version {version.version_number}</span>
-                  <span className={`text-xs px-2 py-0.5 rounded ${
-                    version.status === 'saved' 
-                      ? 'bg-green-900/50 text-green-300 border border-green-800'
-                      : 'bg-yellow-900/50 text-yellow-300 border border-yellow-800'
-                  }`}>
-                    {version.status}
+                  <span className={`text-xs px-2 py-0.5 rounded ${getDraftStatusStyle(version.status)}`}>
+                    {getDraftStatusLabel(version.status)}
                   </span>
                 </div>
                 <p className="text-gray-400 text-xs">
@@ -303,15 +446,17 @@ function DraftViewerModal({
                     Saved: {new Date(version.saved_at).toLocaleDateString()}
                   </p>
                 )}
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation()
-                    handleDeleteVersion(version.id)
-                  }}
-                  className="mt-2 text-red-400 hover:text-red-300 text-xs"
-                >
-                  Delete
-                </button>
+                {!isDraftLocked(version.status) && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      handleDeleteVersion(version.id)
+                    }}
+                    className="mt-2 text-red-400 hover:text-red-300 text-xs"
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             ))}
           </div>
@@ -320,6 +465,24 @@ function DraftViewerModal({
     </>
   ) : null
 
+  const hasCitations = currentDraft?.citations?.length > 0
+  const sourcesPanel = activePanel === PANELS.SOURCES ? <CitationPanel citations={currentDraft?.citations} /> : null
+
+  const factCheckPanel = activePanel === PANELS.FACT_CHECK ? (
+    <FactCheckPanel
+      result={factCheck?.draftId === currentDraft?.id ? factCheck : null}
+      isChecking={isCheckingFacts}
+      isStale={!!factCheck && !isFactCheckCurrent}
+      onRecheck={runFactCheck}
+      onSaveAnyway={() => handleSave(true)}
+      canSave={!isSaving && canSaveDraftStatus(currentDraft?.status)}
+    />
+  ) : null
+
+  const togglePanel = (panel) => {
+    setActivePanel(activePanel === panel ? null : panel)
+  }
+
   // Header actions
   const headerActions = (
     <div className="flex items-center gap-2">
@@ -337,15 +500,58 @@ function DraftViewerModal({
           <span>AI Edit Available</span>
         </button>
       )}
+      {currentDraft && (
+        <button
+          onClick={() => togglePanel(PANELS.SOURCES)}
+          className="px-3 py-1.5 bg-blue-900 text-white rounded-lg hover:bg-blue-800 text-sm border border-blue-800"
+        >
+          {activePanel === PANELS.SOURCES ? 'Hide' : 'Show'} Sources{hasCitations ? ` (${currentDraft.citations.length})` : ''}
+        </button>
+      )}
+      {currentDraft && (
+        <button
+          onClick={() => togglePanel(PANELS.FACT_CHECK)}
+          className={`px-3 py-1.5 rounded-lg text-sm border ${
+            isFactCheckCurrent && factCheck.warnings.length > 0
+              ? 'bg-yellow-900 text-yellow-100 border-yellow-800 hover:bg-yellow-800'
+              : 'bg-blue-900 text-white border-blue-800 hover:bg-blue-800'
+          }`}
+        >
+          Fact Check{isFactCheckCurrent && factCheck.warnings.length > 0 ? ` (${factCheck.warnings.length})` : ''}
+        </button>
+      )}
       <button
-        onClick={() => setShowVersionPanel(!showVersionPanel)}
+        onClick={() => togglePanel(PANELS.VERSIONS)}
         className="px-3 py-1.5 bg-blue-900 text-white rounded-lg hover:bg-blue-800 text-sm border border-blue-800"
       >
-        {showVersionPanel ? 'Hide' : 'Show'} Versions
+        {activePanel === PANELS.VERSIONS ? 'Hide' : 'Show'} Versions
       </button>
     </div>
   )
 
+  // Streaming preview shown in place of the editor while a letter is generated
+  const streamingState = isGenerating ? (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-red-900 bg-gray-900 flex-shrink-0">
+        <span className="text-gray-300 text-xs flex items-center gap-2">
+          <div className="animate-spin rounded-full h-3 w-3 border-2 border-white border-t-transparent"></div>
+          Generating your demand letter...
+        </span>
+        <button
+          onClick={handleCancelGenerate}
+          className="px-3 py-1.5 bg-gray-800 text-white rounded text-sm hover:bg-gray-700 border border-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-6 bg-white">
+        <div className="whitespace-pre-wrap text-black text-sm leading-relaxed">
+          {streamingPreview || 'Waiting for the first words...'}
+        </div>
+      </div>
+    </div>
+  ) : null
+
   // Empty state
   const emptyState = !currentDraft ? (
     <div className="flex-1 flex items-center justify-center text-center text-gray-400 py-12">
@@ -369,6 +575,12 @@ function DraftViewerModal({
     </div>
   ) : null
 
+  // Only a draft that hasn't entered the review workflow yet, or was sent back with changes, can be saved
+  const canSaveDraft = canSaveDraftStatus(currentDraft?.status)
+  const saveBlockedReason = !currentDraft
+    ? 'Generate a draft first'
+    : !canSaveDraft ? `Already saved (status: ${getDraftStatusLabel(currentDraft.status)})` : null
+
   // Footer actions
   const footerActions = (
     <>
@@ -388,21 +600,31 @@ function DraftViewerModal({
           )}
         </button>
         <button
-          onClick={handleSave}
-          disabled={isSaving || !currentDraft || currentDraft?.status === 'saved'}
-          title={!currentDraft ? 'Generate a draft first' : currentDraft?.status === 'saved' ? 'This draft is already saved' : isSaving ? 'Saving draft...' : 'Save this draft as a version'}
+          onClick={() => handleSave()}
+          disabled={isSaving || isCheckingFacts || !canSaveDraft}
+          title={saveBlockedReason || (isSaving ? 'Saving draft...' : 'Check the draft against the case record, then save it as a version')}
           className="px-4 py-2 bg-green-900 text-white rounded-lg hover:bg-green-800 disabled:opacity-50 disabled:cursor-not-allowed border border-green-800 relative group"
         >
-          {isSaving ? 'Saving...' : currentDraft?.status === 'saved' ? 'Saved' : 'Save as Version'}
-          {(isSaving || !currentDraft || currentDraft?.status === 'saved') && (
+          {isSaving ? 'Saving...' : isCheckingFacts ? 'Checking facts...' : canSaveDraft || !currentDraft ? 'Save as Version' : getDraftStatusLabel(currentDraft.status)}
+          {(isSaving || isCheckingFacts || !canSaveDraft) && (
             <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 bg-gray-900 text-white text-xs rounded-lg opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none whitespace-nowrap z-10 border border-gray-700">
-              {!currentDraft ? 'Generate a draft first' : currentDraft?.status === 'saved' ? 'This draft is already saved' : 'Saving draft...'}
+              {saveBlockedReason || (isCheckingFacts ? 'Checking the draft against the case record...' : 'Saving draft...')}
               <div className="absolute top-full left-1/2 transform -translate-x-1/2 -mt-1 border-4 border-transparent border-t-gray-900"></div>
             </div>
           )}
         </button>
       </div>
       <div className="flex items-center gap-2">
+        {hasCitations && (
+          <label className="flex items-center gap-2 text-gray-300 text-sm mr-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeEvidenceAppendix}
+              onChange={(e) => setIncludeEvidenceAppendix(e.target.checked)}
+            />
+            Evidence appendix
+          </label>
+        )}
         <button
           onClick={() => handleExport('docx')}
           disabled={isExporting || !currentDraft}
@@ -450,25 +672,50 @@ function DraftViewerModal({
   }
 
   return (
-    <DocumentEditorModal
-      isOpen={isOpen}
-      onClose={onClose}
-      content={currentDraft?.rendered_content || ''}
-      onContentChange={() => {
-        // Content change is handled by auto-save
-      }}
-      onSave={handleDraftContentSave}
-      title="Draft Letter"
-      subtitle={currentDraft ? `Version ${currentDraft.version_number} • ${currentDraft.status === 'saved' ? 'Saved' : 'Draft'}` : null}
-      placeholder="Start editing your draft..."
-      autoSave={true}
-      autoSaveDelay={3000}
-      headerActions={headerActions}
-      footerActions={footerActions}
-      emptyState={emptyState}
-      sidePanel={versionPanel}
-      externalError={error}
-    />
+    <>
+      <DocumentEditorModal
+        isOpen={isOpen}
+        onClose={onClose}
+        content={currentDraft?.rendered_content || ''}
+        onContentChange={() => {
+          // Content change is handled by auto-save
+        }}
+        onSave={handleDraftContentSave}
+        title="Draft Letter"
+        subtitle={currentDraft ? `Version ${currentDraft.version_number} • ${getDraftStatusLabel(currentDraft.status)}${describePromptVersion(currentDraft.prompt_version)}` : null}
+        placeholder="Start editing your draft..."
+        autoSave={true}
+        autoSaveDelay={3000}
+        headerActions={headerActions}
+        footerActions={footerActions}
+        emptyState={streamingState || emptyState}
+        sidePanel={versionPanel || sourcesPanel || factCheckPanel}
+        isReadOnly={isDraftLocked(currentDraft?.status)}
+        snapshotKey={currentDraft ? `draft:${currentDraft.id}` : null}
+        externalError={error}
+        externalNotice={contextNotice || (isDraftLocked(currentDraft?.status)
+          ? `This version is ${getDraftStatusLabel(currentDraft.status).toLowerCase()} and locked for editing. Regenerate or restore it as a new version to make changes.`
+          : '')}
+        onSelectionAction={(selectedText, action, context, options) =>
+          rewriteSelection(selectedText, action, context, caseData, options)}
+      />
+
+      <VersionCompareModal
+        isOpen={isOpen && showCompareModal}
+        onClose={() => setShowCompareModal(false)}
+        caseId={caseId}
+        versions={versions}
+        initialOldId={compareOldId}
+        initialNewId={latestVersionId}
+        onRestored={handleVersionRestored}
+      />
+
+      <MergeConflictDialog
+        {...mergeDialogProps}
+        isOpen={isOpen && mergeDialogProps.isOpen}
+        baseContent={currentDraft?.rendered_content}
+      />
+    </>
   )
 }
 
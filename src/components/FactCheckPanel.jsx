@@ -0,0 +1,103 @@
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { FACT_SEVERITIES } from '../utils/factCheck'
+
+const CATEGORY_LABELS = {
+  amount: 'Amount',
+  date: 'Date',
+  name: 'Name',
+  address: 'Address',
+  phone: 'Phone',
+  email: 'Email',
+  other: 'Other'
+}
+
+/**
+ * FactCheckPanel - Shows the results of checkDraftConsistency for a draft
+ * Warnings must be reviewed before the draft can be saved; onSaveAnyway records that they were
+ */
+function FactCheckPanel({ result, isChecking, isStale, onRecheck, onSaveAnyway, canSave }) {
+  const warnings = result?.warnings || []
+
+  return (
+    <>
+      <div className="p-4 border-b border-red-900">
+        <h3 className="text-lg font-semibold text-white">Fact Check</h3>
+        <p className="text-gray-400 text-xs mt-1">
+          Amounts, dates, names and addresses in the draft compared against the contact info, chat history and documents.
+        </p>
+      </div>
+      <div className="p-3 space-y-3">
+        {isChecking ? (
+          <div className="flex items-center gap-2 text-gray-300 text-sm">
+            <div className="animate-spin rounded-full h-3 w-3 border-2 border-white border-t-transparent"></div>
+            Checking the draft against the case record...
+          </div>
+        ) : !result ? (
+          <p className="text-gray-400 text-sm text-center">The draft has not been checked yet.</p>
+        ) : (
+          <>
+            {isStale && (
+              <p className="text-yellow-400 text-xs">The draft has changed since this check ran.</p>
+            )}
+            {result.modelError && (
+              <p className="text-yellow-400 text-xs">
+                The AI review could not run ({getLLMErrorMessage(result.modelError)}). Only the automatic amount, date and contact checks are shown.
+              </p>
+            )}
+            {warnings.length === 0 ? (
+              <p className="text-green-400 text-sm">No problems found - everything checked appears in the case record.</p>
+            ) : (
+              <ul className="space-y-2">
+                {warnings.map(warning => (
+                  <li
+                    key={warning.id}
+                    className={`p-3 rounded-lg border ${
+                      warning.severity === FACT_SEVERITIES.HIGH
+                        ? 'bg-red-900/20 border-red-800'
+                        : 'bg-yellow-900/20 border-yellow-800'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-white text-sm font-medium break-words">{warning.value}</span>
+                      <span className={`text-xs ml-2 flex-shrink-0 ${warning.severity === FACT_SEVERITIES.HIGH ? 'text-red-300' : 'text-yellow-300'}`}>
+                        {CATEGORY_LABELS[warning.category] || 'Other'} • {warning.severity === FACT_SEVERITIES.HIGH ? 'Contradicts record' : 'Not in record'}
+                      </span>
+                    </div>
+                    {warning.message && <p className="text-gray-300 text-xs">{warning.message}</p>}
+                    {warning.recordValue && (
+                      <p className="text-gray-400 text-xs mt-1">Record says: {warning.recordValue}</p>
+                    )}
+                    {warning.context && (
+                      <p className="text-gray-500 text-xs mt-1 italic">{warning.context}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        <div className="flex flex-col gap-2 pt-2">
+          <button
+            onClick={onRecheck}
+            disabled={isChecking}
+            className="px-3 py-1.5 bg-blue-900 text-white rounded-lg hover:bg-blue-800 disabled:opacity-50 disabled:cursor-not-allowed text-sm border border-blue-800"
+          >
+            {result ? 'Re-run Check' : 'Run Check'}
+          </button>
+          {result && !isStale && warnings.length > 0 && canSave && (
+            <button
+              onClick={onSaveAnyway}
+              disabled={isChecking}
+              className="px-3 py-1.5 bg-green-900 text-white rounded-lg hover:bg-green-800 disabled:opacity-50 disabled:cursor-not-allowed text-sm border border-green-800"
+            >
+              I've reviewed these - Save Anyway
+            </button>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default FactCheckPanel
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import { getCases, createCase, deleteCase } from '../services/caseService'
 import CaseCreationModal from './CaseCreationModal'
+import PromptLibraryModal from './PromptLibraryModal'
 
 function HomePage() {
   const { user, signOut } = useAuth()
@@ -11,6 +12,7 @@ function HomePage() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [isModalOpen, setIsModalOpen] = useState(false)
+  const [isPromptLibraryOpen, setIsPromptLibraryOpen] = useState(false)
 
   useEffect(() => {
     loadCases()
@@ -83,6 +85,18 @@ function HomePage() {
           <h1 className="text-3xl font-bold text-white">DemandIt!</h1>
           <div className="flex items-center gap-4">
             <span className="text-white text-sm">{user?.email}</span>
+            <button
+              onClick={() => setIsPromptLibraryOpen(true)}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors"
+            >
+              Prompt Library
+            </button>
+            <button
+              onClick={() => navigate('/usage')}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors"
+            >
+              Usage
+            </button>
             <button
               onClick={signOut}
               className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors"
@@ -156,6 +170,11 @@ function HomePage() {
         )}
       </div>
 
+      <PromptLibraryModal
+        isOpen={isPromptLibraryOpen}
+        onClose={() => setIsPromptLibraryOpen(false)}
+      />
+
       <CaseCreationModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
@@ -0,0 +1,212 @@
+import { useState, useEffect, useMemo } from 'react'
+import { mergeDraftVersions, buildMergedContent, MERGE_CHOICES } from '../utils/draftMerge'
+import { compareDraftVersions } from '../utils/versionDiff'
+import VersionDiffView from './VersionDiffView'
+
+const CHOICE_LABELS = {
+  [MERGE_CHOICES.THEIRS]: 'Keep Theirs',
+  [MERGE_CHOICES.MINE]: 'Keep Mine',
+  [MERGE_CHOICES.BOTH]: 'Keep Both'
+}
+
+/**
+ * A section both sides changed, shown side by side with the choice of which to keep
+ */
+function ConflictCard({ section, choice, onChoose }) {
+  const comparison = useMemo(
+    () => compareDraftVersions(section.theirs.join(''), section.mine.join('')),
+    [section]
+  )
+
+  return (
+    <div className={`my-3 rounded-lg border-2 ${choice ? 'border-green-600' : 'border-yellow-500'}`}>
+      <div className="grid grid-cols-2 bg-gray-100 border-b border-gray-200 rounded-t-lg">
+        <p className="px-4 py-1.5 text-xs font-semibold text-gray-600 border-r border-gray-200">Their version</p>
+        <p className="px-4 py-1.5 text-xs font-semibold text-gray-600">Your version</p>
+      </div>
+      <VersionDiffView rows={comparison.rows} />
+      <div className="px-3 py-2 bg-gray-100 border-t border-gray-200 flex items-center justify-end gap-1 rounded-b-lg">
+        {Object.entries(CHOICE_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => onChoose(value)}
+            className={`px-2 py-1 rounded text-xs border ${
+              choice === value
+                ? 'bg-green-700 text-white border-green-700'
+                : 'bg-white text-gray-700 border-gray-400 hover:bg-gray-50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * MergeConflictDialog - Shown when a save is rejected because someone else saved first
+ * Changes only one side made are merged automatically; sections both sides changed are resolved one by one.
+ * The user can save the merge, keep their own version over the other save, or take the saved version.
+ * @param {string} baseContent - The copy the local edits started from
+ * @param {string} localContent - The unsaved local content
+ * @param {Object} current - The record as now saved ({ revised_at, revised_by_email }, from ConflictError)
+ * @param {string} serverContent - The content of current
+ * @param {Function} onSave - Saves the given content over current (async; may throw another ConflictError)
+ * @param {Function} onUseTheirs - Drops the local changes and loads current
+ */
+function MergeConflictDialog({
+  isOpen,
+  onClose,
+  documentLabel = 'draft',
+  baseContent,
+  localContent,
+  serverContent,
+  current,
+  onSave,
+  onUseTheirs
+}) {
+  const [choices, setChoices] = useState({})
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const merge = useMemo(
+    () => mergeDraftVersions(baseContent, localContent, serverContent),
+    [baseContent, localContent, serverContent]
+  )
+  const unresolvedCount = merge.sections.filter((section, index) => section.type === 'conflict' && !choices[index]).length
+
+  useEffect(() => {
+    if (isOpen) setError(null)
+  }, [isOpen])
+
+  // Someone may save again while the dialog is open; start over against the newer version
+  useEffect(() => {
+    setChoices({})
+  }, [merge])
+
+  // Handle Escape key to close modal - captured first so the editor underneath stays open
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation()
+        if (!isSaving) onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape, true)
+    return () => {
+      document.removeEventListener('keydown', handleEscape, true)
+    }
+  }, [isOpen, isSaving, onClose])
+
+  const handleSave = async (content) => {
+    setIsSaving(true)
+    setError(null)
+
+    try {
+      await onSave(content)
+    } catch (err) {
+      console.error('Error saving merged content:', err)
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const savedBy = current?.revised_by_email || 'someone else'
+  const savedAt = current?.revised_at ? ` at ${new Date(current.revised_at).toLocaleString()}` : ''
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 rounded-lg border border-red-900 shadow-xl w-full max-w-5xl h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-red-900 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">Merge Changes</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              This {documentLabel} was saved by {savedBy}{savedAt} while you were editing. Your changes have not been saved yet.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="text-gray-400 hover:text-white transition-colors disabled:opacity-50"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="px-6 py-3 border-b border-red-900">
+          <p className="text-gray-300 text-sm">
+            {merge.conflicts === 0
+              ? 'Your changes and theirs touch different paragraphs and have been merged.'
+              : `${merge.conflicts} section${merge.conflicts === 1 ? ' was' : 's were'} changed by both of you - choose what to keep. Other changes have been merged.`}
+          </p>
+        </div>
+
+        {error && (
+          <div className="px-6 py-3 bg-red-900/20 border-b border-red-900">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {/* Merged document with the conflicting sections */}
+        <div className="flex-1 overflow-y-auto bg-white ql-snow">
+          <div className="ql-editor">
+            {merge.sections.map((section, index) => (
+              section.type === 'conflict' ? (
+                <ConflictCard
+                  key={index}
+                  section={section}
+                  choice={choices[index]}
+                  onChoose={(choice) => setChoices(prev => ({ ...prev, [index]: choice }))}
+                />
+              ) : (
+                <div key={index} dangerouslySetInnerHTML={{ __html: section.blocks.join('') }} />
+              )
+            ))}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-red-900 flex items-center justify-between gap-2">
+          <button
+            onClick={onUseTheirs}
+            disabled={isSaving}
+            className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 text-sm border border-gray-700"
+            title="Drop your changes and continue from the saved version"
+          >
+            Discard Mine
+          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => handleSave(localContent)}
+              disabled={isSaving}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50 text-sm border border-gray-700"
+              title="Save your version as it is, replacing their changes"
+            >
+              Overwrite With Mine
+            </button>
+            <button
+              onClick={() => handleSave(buildMergedContent(merge.sections, choices))}
+              disabled={isSaving || unresolvedCount > 0}
+              title={unresolvedCount > 0 ? 'Choose what to keep in every section first' : 'Save the merged version'}
+              className="px-4 py-2 bg-green-900 text-white rounded-lg hover:bg-green-800 disabled:opacity-50 disabled:cursor-not-allowed text-sm border border-green-800"
+            >
+              {isSaving ? 'Saving...' : 'Save Merged'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MergeConflictDialog
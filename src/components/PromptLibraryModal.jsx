@@ -0,0 +1,402 @@
+import { useState, useEffect, useRef } from 'react'
+import { getPromptVersions, createPromptVersion, activatePromptVersion, deactivatePromptVersions } from '../services/promptService'
+import { testSystemPrompt } from '../services/llmService'
+import { getLLMErrorMessage } from '../services/llmErrors'
+import { DEFAULT_PROMPTS, PROMPT_CONTEXT_VARIABLES, getDefaultPrompt } from '../config/defaultPrompts'
+import { findPromptVariables, renderPromptTemplate } from '../utils/promptTemplates'
+
+const BUILT_IN = 'built-in'
+const CONTEXT_VARIABLE_NAMES = PROMPT_CONTEXT_VARIABLES.map(variable => variable.name)
+const SAMPLE_CONTEXT_VALUES = Object.fromEntries(PROMPT_CONTEXT_VARIABLES.map(variable => [variable.name, variable.sample]))
+
+/**
+ * PromptLibraryModal - Company prompt library
+ * Each AI feature's system prompt can be edited, saved as a new version, previewed with sample values,
+ * tried against a sample input and activated - all without a deploy
+ */
+function PromptLibraryModal({ isOpen, onClose }) {
+  const [selectedKey, setSelectedKey] = useState(DEFAULT_PROMPTS[0].key)
+  const [versions, setVersions] = useState([])
+  const [loadingVersions, setLoadingVersions] = useState(false)
+  // The version loaded into the editor (BUILT_IN or a version ID)
+  const [baseVersionId, setBaseVersionId] = useState(BUILT_IN)
+  const [content, setContent] = useState('')
+  const [variables, setVariables] = useState({})
+  const [notes, setNotes] = useState('')
+  const [activeTab, setActiveTab] = useState('preview')
+  const [testInput, setTestInput] = useState('')
+  const [testOutput, setTestOutput] = useState('')
+  const [isTesting, setIsTesting] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const testControllerRef = useRef(null)
+
+  const definition = getDefaultPrompt(selectedKey)
+  const activeVersion = versions.find(version => version.is_active) || null
+  const baseVersion = versions.find(version => version.id === baseVersionId) || null
+  const baseContent = baseVersion ? baseVersion.content : definition.content
+  const hasEdits = content !== baseContent ||
+    JSON.stringify(variables) !== JSON.stringify(baseVersion?.variables || {})
+
+  // Variables the prompt uses that are not filled in from the case
+  const customVariables = findPromptVariables(content).filter(name => !CONTEXT_VARIABLE_NAMES.includes(name))
+  const preview = renderPromptTemplate(content, { ...variables, ...SAMPLE_CONTEXT_VALUES })
+
+  useEffect(() => {
+    if (isOpen) {
+      loadVersions(selectedKey)
+    }
+  }, [isOpen, selectedKey])
+
+  // Handle Escape key to close modal
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape)
+    return () => {
+      document.removeEventListener('keydown', handleEscape)
+    }
+  }, [isOpen, onClose])
+
+  // Stop a running test when the modal closes
+  useEffect(() => {
+    if (!isOpen) testControllerRef.current?.abort()
+  }, [isOpen])
+
+  const loadIntoEditor = (version) => {
+    setBaseVersionId(version ? version.id : BUILT_IN)
+    setContent(version ? version.content : getDefaultPrompt(selectedKey).content)
+    setVariables(version?.variables || {})
+    setNotes('')
+  }
+
+  const loadVersions = async (promptKey) => {
+    try {
+      setLoadingVersions(true)
+      setError(null)
+      const data = await getPromptVersions(promptKey)
+      setVersions(data)
+      const active = data.find(version => version.is_active) || null
+      setBaseVersionId(active ? active.id : BUILT_IN)
+      setContent(active ? active.content : getDefaultPrompt(promptKey).content)
+      setVariables(active?.variables || {})
+      setNotes('')
+    } catch (err) {
+      console.error('Error loading prompt versions:', err)
+      setError(err.message)
+    } finally {
+      setLoadingVersions(false)
+    }
+  }
+
+  const handleSelectPrompt = (promptKey) => {
+    if (promptKey === selectedKey) return
+    if (hasEdits && !confirm('Discard your unsaved changes to this prompt?')) return
+    setTestOutput('')
+    setTestInput('')
+    setSelectedKey(promptKey)
+  }
+
+  const handleSave = async (activate) => {
+    if (!content.trim()) {
+      setError('The prompt cannot be empty')
+      return
+    }
+
+    setIsSaving(true)
+    setError(null)
+    try {
+      // Only keep values for variables the prompt still uses
+      const savedVariables = Object.fromEntries(customVariables.map(name => [name, variables[name] || '']))
+      const created = await createPromptVersion(selectedKey, {
+        content,
+        variables: savedVariables,
+        notes: notes.trim() || null
+      }, activate)
+      const data = await getPromptVersions(selectedKey)
+      setVersions(data)
+      setBaseVersionId(created.id)
+      setVariables(savedVariables)
+      setNotes('')
+    } catch (err) {
+      console.error('Error saving prompt version:', err)
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleActivate = async (version) => {
+    setIsSaving(true)
+    setError(null)
+    try {
+      if (version) {
+        await activatePromptVersion(version)
+      } else {
+        await deactivatePromptVersions(selectedKey)
+      }
+      setVersions(await getPromptVersions(selectedKey))
+    } catch (err) {
+      console.error('Error activating prompt version:', err)
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRunTest = async () => {
+    if (!testInput.trim() || isTesting) return
+
+    const controller = new AbortController()
+    testControllerRef.current = controller
+    setIsTesting(true)
+    setTestOutput('')
+    setError(null)
+    try {
+      const output = await testSystemPrompt(preview.text, testInput, {
+        signal: controller.signal,
+        onToken: (_delta, fullText) => setTestOutput(fullText)
+      })
+      setTestOutput(output)
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Error testing prompt:', err)
+        setError(getLLMErrorMessage(err))
+      }
+    } finally {
+      testControllerRef.current = null
+      setIsTesting(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 rounded-lg border border-red-900 shadow-xl w-full max-w-6xl h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-red-900 flex items-center justify-between">
+          <div className="flex-1">
+            <h2 className="text-xl font-bold text-white">Prompt Library</h2>
+            <p className="text-sm text-gray-400 mt-1">
+              Tune the instructions behind each AI feature for your company. Saved prompts are versioned; the active version is used for every case.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="px-6 py-3 bg-red-900/20 border-b border-red-900">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="flex-1 flex min-h-0">
+          {/* Prompts and their versions */}
+          <div className="w-64 border-r border-red-900 overflow-y-auto flex-shrink-0">
+            {DEFAULT_PROMPTS.map(prompt => (
+              <button
+                key={prompt.key}
+                onClick={() => handleSelectPrompt(prompt.key)}
+                className={`w-full text-left px-4 py-3 border-b border-gray-800 ${
+                  prompt.key === selectedKey ? 'bg-gray-800' : 'hover:bg-gray-800/50'
+                }`}
+              >
+                <p className="text-sm font-semibold text-white">{prompt.label}</p>
+                <p className="text-xs text-gray-400 mt-0.5">{prompt.description}</p>
+              </button>
+            ))}
+
+            <div className="px-4 py-3">
+              <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">Versions</h3>
+              {loadingVersions ? (
+                <p className="text-xs text-gray-500">Loading...</p>
+              ) : (
+                <div className="space-y-1">
+                  {[null, ...versions].map(version => {
+                    const id = version ? version.id : BUILT_IN
+                    const isActive = version ? version.is_active : !activeVersion
+                    return (
+                      <div
+                        key={id}
+                        className={`rounded px-2 py-1.5 border ${
+                          id === baseVersionId ? 'border-blue-800 bg-blue-950/40' : 'border-gray-800'
+                        }`}
+                      >
+                        <div className="flex items-center justify-between gap-2">
+                          <button
+                            onClick={() => loadIntoEditor(version)}
+                            className="text-xs text-white hover:underline text-left"
+                          >
+                            {version ? `Version ${version.version}` : 'Built-in prompt'}
+                          </button>
+                          {isActive ? (
+                            <span className="text-[10px] px-1.5 py-0.5 rounded bg-green-900 text-green-200">Active</span>
+                          ) : (
+                            <button
+                              onClick={() => handleActivate(version)}
+                              disabled={isSaving}
+                              className="text-[10px] px-1.5 py-0.5 rounded border border-gray-600 text-gray-300 hover:bg-gray-800 disabled:opacity-50"
+                            >
+                              Activate
+                            </button>
+                          )}
+                        </div>
+                        {version && (
+                          <p className="text-[10px] text-gray-500 mt-0.5">
+                            {new Date(version.created_at).toLocaleDateString()}
+                            {version.notes ? ` - ${version.notes}` : ''}
+                          </p>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Editor */}
+          <div className="flex-1 flex flex-col min-w-0 overflow-y-auto p-4 gap-3">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">
+                System prompt - use {'{{variable}}'} placeholders; {CONTEXT_VARIABLE_NAMES.map(name => `{{${name}}}`).join(', ')} are filled in from the case
+              </label>
+              <textarea
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                rows={14}
+                className="w-full px-3 py-2 bg-black border border-blue-900 rounded-lg text-white text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-900"
+              />
+            </div>
+
+            {customVariables.length > 0 && (
+              <div>
+                <h3 className="text-xs text-gray-400 mb-1">Variable values saved with this version</h3>
+                <div className="grid grid-cols-2 gap-2">
+                  {customVariables.map(name => (
+                    <label key={name} className="flex items-center gap-2 text-xs text-gray-300">
+                      <span className="font-mono w-32 truncate">{name}</span>
+                      <input
+                        type="text"
+                        value={variables[name] || ''}
+                        onChange={(e) => setVariables(prev => ({ ...prev, [name]: e.target.value }))}
+                        className="flex-1 px-2 py-1 bg-black border border-blue-900 rounded text-white focus:outline-none focus:ring-1 focus:ring-blue-900"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="What changed in this version? (optional)"
+                className="flex-1 px-3 py-1.5 bg-black border border-blue-900 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-900"
+              />
+              <button
+                onClick={() => loadIntoEditor(baseVersion)}
+                disabled={!hasEdits || isSaving}
+                className="px-3 py-1.5 bg-gray-800 text-white rounded text-sm hover:bg-gray-700 border border-gray-700 disabled:opacity-50"
+              >
+                Reset
+              </button>
+              <button
+                onClick={() => handleSave(false)}
+                disabled={isSaving}
+                className="px-3 py-1.5 bg-blue-900 text-white rounded text-sm hover:bg-blue-800 border border-blue-800 disabled:opacity-50"
+              >
+                Save as New Version
+              </button>
+              <button
+                onClick={() => handleSave(true)}
+                disabled={isSaving}
+                className="px-3 py-1.5 bg-green-900 text-white rounded text-sm hover:bg-green-800 border border-green-800 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save & Activate'}
+              </button>
+            </div>
+
+            {/* Preview and test harness */}
+            <div className="border border-gray-800 rounded-lg flex flex-col min-h-[16rem]">
+              <div className="flex border-b border-gray-800">
+                {['preview', 'test'].map(tab => (
+                  <button
+                    key={tab}
+                    onClick={() => setActiveTab(tab)}
+                    className={`px-4 py-2 text-sm ${
+                      activeTab === tab ? 'text-white border-b-2 border-red-700' : 'text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {tab === 'preview' ? 'Preview' : 'Test'}
+                  </button>
+                ))}
+              </div>
+
+              {activeTab === 'preview' ? (
+                <div className="p-3">
+                  {preview.missing.length > 0 && (
+                    <p className="text-xs text-yellow-400 mb-2">
+                      No value for: {preview.missing.join(', ')} - these will be left blank
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 mb-2">Shown with sample case values.</p>
+                  <pre className="text-xs text-gray-200 whitespace-pre-wrap font-mono">{preview.text}</pre>
+                </div>
+              ) : (
+                <div className="p-3 flex flex-col gap-2">
+                  <label className="text-xs text-gray-400">{definition.testInputLabel}</label>
+                  <textarea
+                    value={testInput}
+                    onChange={(e) => setTestInput(e.target.value)}
+                    rows={4}
+                    className="w-full px-3 py-2 bg-black border border-blue-900 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-900"
+                  />
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={handleRunTest}
+                      disabled={!testInput.trim() || isTesting}
+                      className="px-3 py-1.5 bg-purple-900 text-white rounded text-sm hover:bg-purple-800 border border-purple-700 disabled:opacity-50"
+                    >
+                      {isTesting ? 'Running...' : 'Run Test'}
+                    </button>
+                    {isTesting && (
+                      <button
+                        onClick={() => testControllerRef.current?.abort()}
+                        className="px-3 py-1.5 bg-gray-800 text-white rounded text-sm hover:bg-gray-700 border border-gray-700"
+                      >
+                        Stop
+                      </button>
+                    )}
+                    <span className="text-xs text-gray-500">Runs the prompt as edited above, without saving it.</span>
+                  </div>
+                  {testOutput && (
+                    <pre className="text-sm text-gray-200 whitespace-pre-wrap bg-black rounded-lg p-3 border border-gray-800">{testOutput}</pre>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PromptLibraryModal
@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { READINESS_ITEMS, READINESS_STATUSES, isChecklistReady, getMissingItems } from '../config/readinessChecklist'
+
+const STATUS_STYLES = {
+  [READINESS_STATUSES.COMPLETE]: { icon: '✓', className: 'text-green-400' },
+  [READINESS_STATUSES.PARTIAL]: { icon: '◐', className: 'text-yellow-400' },
+  [READINESS_STATUSES.MISSING]: { icon: '○', className: 'text-gray-500' }
+}
+
+/**
+ * ReadinessChecklist - Shows which demand letter details the assistant has gathered
+ * Generation is enabled once every required item is complete
+ */
+function ReadinessChecklist({ checklist }) {
+  const [isExpanded, setIsExpanded] = useState(true)
+  const isReady = isChecklistReady(checklist)
+  const missingRequired = getMissingItems(checklist).filter(item => item.required)
+  const completeCount = READINESS_ITEMS.filter(item => checklist[item.id]?.status === READINESS_STATUSES.COMPLETE).length
+
+  return (
+    <div className={`mb-3 p-3 rounded-lg border ${isReady ? 'bg-blue-950 border-blue-800' : 'bg-gray-900 border-gray-800'}`}>
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <span className={`text-sm ${isReady ? 'text-blue-200' : 'text-gray-300'}`}>
+          {isReady
+            ? '✓ All required details have been collected. Ready to generate your demand letter.'
+            : `Details gathered: ${completeCount} of ${READINESS_ITEMS.length}`}
+        </span>
+        <svg className={`w-4 h-4 text-gray-400 transition-transform ${isExpanded ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      {isExpanded && (
+        <ul className="mt-2 space-y-1">
+          {READINESS_ITEMS.map(item => {
+            const entry = checklist[item.id] || { status: READINESS_STATUSES.MISSING, note: '' }
+            const style = STATUS_STYLES[entry.status] || STATUS_STYLES[READINESS_STATUSES.MISSING]
+            return (
+              <li key={item.id} className="flex items-start gap-2 text-xs">
+                <span className={`${style.className} w-3 shrink-0`}>{style.icon}</span>
+                <div className="min-w-0">
+                  <span className="text-white">{item.label}</span>
+                  {!item.required && <span className="text-gray-500"> (recommended)</span>}
+                  {entry.note && (
+                    <p className="text-gray-400 truncate" title={entry.note}>{entry.note}</p>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <p className="text-xs text-blue-300 opacity-75 mt-2">
+        {isReady
+          ? 'Click "Generate Letter" to create your demand letter, or continue the conversation to add more details.'
+          : `Still needed before generating: ${missingRequired.map(item => item.label.toLowerCase()).join(', ')}.`}
+      </p>
+    </div>
+  )
+}
+
+export default ReadinessChecklist
@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { SELECTION_ACTIONS, SELECTION_ACTION_MODES } from '../config/selectionActions'
+
+// Keeps the editor's selection when a menu button is clicked
+const keepEditorSelection = (e) => e.preventDefault()
+
+/**
+ * SelectionActionMenu - AI actions for the passage selected in the editor
+ * Shows a small button under the selection that opens the preset actions and a custom instruction box
+ */
+function SelectionActionMenu({ position, isOpen, onToggle, onRunAction }) {
+  const [customInstruction, setCustomInstruction] = useState('')
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault()
+    if (!customInstruction.trim()) return
+    onRunAction({
+      id: 'custom',
+      label: 'Custom instruction',
+      mode: SELECTION_ACTION_MODES.REWRITE,
+      instruction: customInstruction.trim()
+    })
+    setCustomInstruction('')
+  }
+
+  return (
+    <div
+      className="absolute z-20"
+      style={{ top: position.top, left: position.left }}
+    >
+      <button
+        onMouseDown={keepEditorSelection}
+        onClick={onToggle}
+        className="px-2 py-1 bg-purple-900 text-white rounded text-xs hover:bg-purple-800 border border-purple-700 shadow-lg"
+      >
+        ✨ AI Actions
+      </button>
+
+      {isOpen && (
+        <div className="mt-1 w-72 bg-gray-900 border border-gray-700 rounded-lg shadow-xl overflow-hidden">
+          {SELECTION_ACTIONS.map(action => (
+            <button
+              key={action.id}
+              onMouseDown={keepEditorSelection}
+              onClick={() => onRunAction(action)}
+              className="w-full text-left px-3 py-2 text-sm text-gray-200 hover:bg-gray-800"
+            >
+              {action.label}
+            </button>
+          ))}
+          <form onSubmit={handleCustomSubmit} className="p-2 border-t border-gray-700 flex gap-1">
+            <input
+              type="text"
+              value={customInstruction}
+              onChange={(e) => setCustomInstruction(e.target.value)}
+              placeholder="Or describe a change..."
+              className="flex-1 min-w-0 px-2 py-1 bg-gray-800 text-white text-xs rounded border border-gray-700 focus:outline-none focus:border-purple-500"
+            />
+            <button
+              type="submit"
+              disabled={!customInstruction.trim()}
+              className="px-2 py-1 bg-purple-900 text-white rounded text-xs hover:bg-purple-800 disabled:opacity-50"
+            >
+              Run
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SelectionActionMenu
@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { diffWords } from '../utils/textDiff'
+import { SELECTION_ACTION_MODES } from '../config/selectionActions'
+
+/**
+ * SelectionSuggestion - The result of an AI action on a selected passage, shown under the passage
+ * Rewrites are shown as tracked changes to accept or reject; explanations can be copied
+ */
+function SelectionSuggestion({ suggestion, position, onAccept, onReject }) {
+  const [copied, setCopied] = useState(false)
+  const { action, original, result, isLoading, error } = suggestion
+  const isExplanation = action.mode === SELECTION_ACTION_MODES.EXPLAIN
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(result)
+      setCopied(true)
+    } catch (err) {
+      console.error('Error copying explanation:', err)
+    }
+  }
+
+  return (
+    <div
+      className="absolute z-20 w-96 max-w-[90%] bg-white rounded-lg border-2 border-purple-500 shadow-xl"
+      style={{ top: position.top, left: position.left }}
+    >
+      <div className="px-3 py-1.5 bg-purple-900 text-white text-xs font-semibold rounded-t-md">
+        {action.label}
+      </div>
+
+      <div className="px-3 py-2 max-h-64 overflow-y-auto whitespace-pre-wrap text-black text-sm leading-relaxed">
+        {isLoading && <p className="text-gray-500 italic">Working on the selected passage...</p>}
+        {!isLoading && error && <p className="text-red-700">{error}</p>}
+        {!isLoading && !error && (isExplanation
+          ? result
+          : diffWords(original, result).map((part, index) => {
+            if (part.type === 'delete') {
+              return <del key={index} className="bg-red-100 text-red-700">{part.text}</del>
+            }
+            if (part.type === 'insert') {
+              return <ins key={index} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>
+            }
+            return <span key={index}>{part.text}</span>
+          }))}
+      </div>
+
+      <div className="px-3 py-2 bg-gray-100 border-t border-gray-200 flex justify-end gap-1 rounded-b-lg">
+        {!isLoading && !error && (isExplanation ? (
+          <button
+            onClick={handleCopy}
+            className="px-2 py-1 rounded text-xs border bg-white text-purple-700 border-purple-600 hover:bg-purple-50"
+          >
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+        ) : (
+          <button
+            onClick={onAccept}
+            className="px-2 py-1 rounded text-xs border bg-white text-green-700 border-green-600 hover:bg-green-50"
+          >
+            Accept
+          </button>
+        ))}
+        <button
+          onClick={onReject}
+          className="px-2 py-1 rounded text-xs border bg-white text-gray-700 border-gray-400 hover:bg-gray-50"
+        >
+          {isLoading ? 'Cancel' : isExplanation || error ? 'Close' : 'Reject'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SelectionSuggestion
@@ -0,0 +1,54 @@
+import { useMemo } from 'react'
+import { compareDraftVersions } from '../utils/versionDiff'
+import VersionDiffView from './VersionDiffView'
+
+/**
+ * SnapshotRecoveryPrompt - Offers to restore unsaved changes kept in a local snapshot
+ * Shows the saved copy next to the local copy so the user can see what would be restored
+ */
+function SnapshotRecoveryPrompt({ snapshot, serverContent, onRestore, onDiscard }) {
+  const comparison = useMemo(
+    () => compareDraftVersions(serverContent, snapshot.content),
+    [serverContent, snapshot]
+  )
+  // Someone saved the document after the local copy was started
+  const serverChanged = snapshot.baseContent !== undefined && snapshot.baseContent !== serverContent
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="px-4 py-3 border-b border-red-900 bg-yellow-900/20 flex items-center justify-between gap-4 flex-shrink-0">
+        <div>
+          <p className="text-yellow-300 text-sm font-medium">Unsaved changes found</p>
+          <p className="text-gray-300 text-xs mt-0.5">
+            A local copy from {new Date(snapshot.savedAt).toLocaleString()} has changes that were never saved
+            {' '}(+{comparison.stats.insertedWords} / −{comparison.stats.deletedWords} words).
+            {serverChanged && ' The saved copy has changed since then; restoring replaces those changes.'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button
+            onClick={onRestore}
+            className="px-3 py-1.5 bg-blue-900 text-white rounded-lg hover:bg-blue-800 text-sm border border-blue-800"
+          >
+            Restore Local Copy
+          </button>
+          <button
+            onClick={onDiscard}
+            className="px-3 py-1.5 bg-gray-800 text-white rounded-lg hover:bg-gray-700 text-sm border border-gray-700"
+          >
+            Discard
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 border-b border-red-900 bg-gray-800 flex-shrink-0">
+        <p className="px-4 py-1.5 text-xs font-semibold text-gray-300 border-r border-red-900">Saved copy</p>
+        <p className="px-4 py-1.5 text-xs font-semibold text-gray-300">Local copy</p>
+      </div>
+      <div className="flex-1 overflow-y-auto bg-white">
+        <VersionDiffView rows={comparison.rows} />
+      </div>
+    </div>
+  )
+}
+
+export default SnapshotRecoveryPrompt
@@ -1,9 +1,14 @@
 import { useState, useEffect } from 'react'
 import DocumentEditorModal from './DocumentEditorModal'
+import MergeConflictDialog from './MergeConflictDialog'
+import { getHtmlContent } from '../utils/templateConverter'
+import { useMergeConflict } from '../hooks/useMergeConflict'
 
 /**
  * TemplateEditorModal - Modal for editing templates
  * Uses DocumentEditorModal for common structure
+ * Existing templates are saved against the revision they were loaded at (onSave(content, revision) returns the
+ * saved template); a save that conflicts with someone else's is merged in MergeConflictDialog
  */
 function TemplateEditorModal({
   isOpen,
@@ -18,11 +23,20 @@ function TemplateEditorModal({
   const [content, setContent] = useState(template?.content || '')
   const [localTemplateName, setLocalTemplateName] = useState(newTemplateName || '')
   const [isSaving, setIsSaving] = useState(false)
+  // The last saved copy and its revision, which edits are merged against
+  const [savedTemplate, setSavedTemplate] = useState({ content: template?.content || '', revision: template?.revision ?? null })
+  const { saveWithMerge, dialogProps: mergeDialogProps } = useMergeConflict({
+    documentLabel: 'template',
+    getContent: saved => getHtmlContent(saved.content),
+    // Load the merged (or their) version into the editor
+    onMerged: merged => setContent(getHtmlContent(merged.content))
+  })
 
   // Update content when template changes
   useEffect(() => {
     if (template) {
       setContent(template.content || '')
+      setSavedTemplate({ content: template.content || '', revision: template.revision ?? null })
     } else if (isNewTemplate) {
       setContent('')
     }
@@ -45,7 +59,16 @@ function TemplateEditorModal({
 
     setIsSaving(true)
     try {
-      await onSave(editorContent)
+      if (isNewTemplate) {
+        await onSave(editorContent)
+        return
+      }
+
+      // Someone else saved first: resolves once the user has merged in the dialog
+      const saved = await saveWithMerge(editorContent, savedTemplate.revision, onSave)
+      if (saved) {
+        setSavedTemplate({ content: getHtmlContent(saved.content), revision: saved.revision })
+      }
     } finally {
       setIsSaving(false)
     }
@@ -113,19 +136,28 @@ function TemplateEditorModal({
   )
 
   return (
-    <DocumentEditorModal
-      isOpen={isOpen}
-      onClose={onClose}
-      content={content}
-      onContentChange={setContent}
-      onSave={handleSave}
-      title={headerTitle}
-      subtitle={headerSubtitle}
-      placeholder={isNewTemplate ? "Enter your template content here..." : "Start editing your template..."}
-      autoSave={!isNewTemplate}
-      autoSaveDelay={3000}
-      footerActions={footerActions}
-    />
+    <>
+      <DocumentEditorModal
+        isOpen={isOpen}
+        onClose={onClose}
+        content={content}
+        onContentChange={setContent}
+        onSave={handleSave}
+        title={headerTitle}
+        subtitle={headerSubtitle}
+        placeholder={isNewTemplate ? "Enter your template content here..." : "Start editing your template..."}
+        autoSave={!isNewTemplate}
+        snapshotKey={!isNewTemplate && template?.id ? `template:${template.id}` : null}
+        autoSaveDelay={3000}
+        footerActions={footerActions}
+      />
+
+      <MergeConflictDialog
+        {...mergeDialogProps}
+        isOpen={isOpen && mergeDialogProps.isOpen}
+        baseContent={savedTemplate.content}
+      />
+    </>
   )
 }
 
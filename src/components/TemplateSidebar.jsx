@@ -41,10 +41,10 @@ function TemplateSidebar() {
     }
   }
 
-  const handleTemplateSave = async (content) => {
+  const handleTemplateSave = async (content, expectedRevision) => {
     if (!selectedTemplate) return
     try {
-      await updateTemplate(selectedTemplate, { content })
+      return await updateTemplate(selectedTemplate, { content }, expectedRevision)
     } catch (error) {
       console.error('Error saving template:', error)
       throw error
@@ -0,0 +1,143 @@
+import { diffWords } from '../utils/textDiff'
+import { PATCH_OPERATIONS } from '../utils/draftPatches'
+
+const OPERATION_LABELS = {
+  [PATCH_OPERATIONS.REPLACE_TEXT]: 'Edit',
+  [PATCH_OPERATIONS.REWRITE_BLOCK]: 'Rewrite',
+  [PATCH_OPERATIONS.INSERT_AFTER]: 'New paragraph',
+  [PATCH_OPERATIONS.DELETE_BLOCK]: 'Delete'
+}
+
+/**
+ * A suggested change shown as tracked changes, with its accept/reject controls
+ */
+function ChangeCard({ change, decision, onDecide }) {
+  const parts = diffWords(change.before, change.after)
+
+  return (
+    <div className={`my-3 rounded-lg border-2 ${
+      decision === 'accepted'
+        ? 'border-green-600'
+        : decision === 'rejected'
+          ? 'border-gray-300 opacity-60'
+          : 'border-purple-500'
+    }`}>
+      <div className="px-3 py-2 whitespace-pre-wrap text-black text-sm leading-relaxed">
+        {parts.map((part, index) => {
+          if (part.type === 'delete') {
+            return <del key={index} className="bg-red-100 text-red-700">{part.text}</del>
+          }
+          if (part.type === 'insert') {
+            return <ins key={index} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>
+          }
+          return <span key={index}>{part.text}</span>
+        })}
+      </div>
+      <div className="px-3 py-2 bg-gray-100 border-t border-gray-200 flex items-center justify-between gap-2 rounded-b-lg">
+        <p className="text-xs text-gray-600">
+          <span className="font-semibold">{OPERATION_LABELS[change.op]}</span>
+          {change.reason ? ` - ${change.reason}` : ''}
+        </p>
+        <div className="flex items-center gap-1 flex-shrink-0">
+          <button
+            onClick={() => onDecide(change.id, decision === 'accepted' ? null : 'accepted')}
+            className={`px-2 py-1 rounded text-xs border ${
+              decision === 'accepted'
+                ? 'bg-green-700 text-white border-green-700'
+                : 'bg-white text-green-700 border-green-600 hover:bg-green-50'
+            }`}
+          >
+            Accept
+          </button>
+          <button
+            onClick={() => onDecide(change.id, decision === 'rejected' ? null : 'rejected')}
+            className={`px-2 py-1 rounded text-xs border ${
+              decision === 'rejected'
+                ? 'bg-gray-700 text-white border-gray-700'
+                : 'bg-white text-gray-700 border-gray-400 hover:bg-gray-50'
+            }`}
+          >
+            Reject
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * TrackedChangesView - Shows the agent's suggested edits in place in the draft
+ * Each change is accepted or rejected on its own; nothing is saved until onApply
+ */
+function TrackedChangesView({ proposal, decisions, onDecide, onDecideAll, onApply, onDiscard, isApplying }) {
+  const { blocks, changes } = proposal
+  const acceptedCount = changes.filter(change => decisions[change.id] === 'accepted').length
+  const undecidedCount = changes.filter(change => !decisions[change.id]).length
+
+  const changesFor = (blockNumber, inserts) => changes.filter(change =>
+    change.block === blockNumber && (change.op === PATCH_OPERATIONS.INSERT_AFTER) === inserts
+  )
+
+  const renderCards = (list) => list.map(change => (
+    <ChangeCard key={change.id} change={change} decision={decisions[change.id]} onDecide={onDecide} />
+  ))
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-red-900 bg-gray-900 flex-shrink-0 gap-2">
+        <span className="text-gray-300 text-xs">
+          {changes.length} suggested change{changes.length === 1 ? '' : 's'} • {acceptedCount} accepted
+          {undecidedCount > 0 ? ` • ${undecidedCount} to review` : ''}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onDecideAll('accepted')}
+            className="px-2 py-1 bg-gray-800 text-white rounded text-xs hover:bg-gray-700 border border-gray-700"
+          >
+            Accept All
+          </button>
+          <button
+            onClick={() => onDecideAll('rejected')}
+            className="px-2 py-1 bg-gray-800 text-white rounded text-xs hover:bg-gray-700 border border-gray-700"
+          >
+            Reject All
+          </button>
+          <button
+            onClick={onDiscard}
+            disabled={isApplying}
+            className="px-2 py-1 bg-gray-800 text-white rounded text-xs hover:bg-gray-700 border border-gray-700 disabled:opacity-50"
+          >
+            Discard
+          </button>
+          <button
+            onClick={onApply}
+            disabled={isApplying || undecidedCount > 0}
+            title={undecidedCount > 0 ? 'Accept or reject every change first' : 'Save the accepted changes to the draft'}
+            className="px-3 py-1 bg-green-900 text-white rounded text-xs hover:bg-green-800 border border-green-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isApplying ? 'Applying...' : `Apply ${acceptedCount} Change${acceptedCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 overflow-y-auto bg-white ql-snow">
+        <div className="ql-editor">
+          {renderCards(changesFor(0, true))}
+          {blocks.map((block, index) => {
+            const blockNumber = index + 1
+            const blockChanges = changesFor(blockNumber, false)
+            return (
+              <div key={blockNumber}>
+                {blockChanges.length > 0
+                  ? renderCards(blockChanges)
+                  : <div dangerouslySetInnerHTML={{ __html: block.html }} />}
+                {renderCards(changesFor(blockNumber, true))}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TrackedChangesView
@@ -0,0 +1,395 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import { getCases } from '../services/caseService'
+import { getUsageSummary, getSpendLimits, updateSpendLimits } from '../services/usageService'
+import { getCurrentUserRole } from '../services/userService'
+import { USER_ROLES } from '../config/draftStatuses'
+
+const PERIOD_OPTIONS = [
+  { months: 1, label: 'This month' },
+  { months: 3, label: 'Last 3 months' },
+  { months: 6, label: 'Last 6 months' },
+  { months: 12, label: 'Last 12 months' }
+]
+
+// Usage months are grouped in UTC, matching the spend limit period
+function getMonthStart(monthsAgo = 0) {
+  const now = new Date()
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 1))
+}
+
+function formatCost(value) {
+  return `$${Number(value || 0).toFixed(2)}`
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString('en-US')
+}
+
+function formatMonth(month) {
+  return new Date(`${month}T00:00:00Z`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  })
+}
+
+/**
+ * Totals summary rows by a grouping key
+ * @param {Array} rows - Rows from getUsageSummary
+ * @param {Function} getKey - Returns the group key for a row
+ * @returns {Array} Groups of { key, calls, promptTokens, completionTokens, estimatedCalls, cost, avgLatencyMs }, costliest first
+ */
+function aggregateUsage(rows, getKey) {
+  const groups = new Map()
+  rows.forEach(row => {
+    const key = getKey(row)
+    const group = groups.get(key) || {
+      key,
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      estimatedCalls: 0,
+      cost: 0,
+      latencyTotal: 0,
+      latencyCalls: 0
+    }
+    const calls = Number(row.calls)
+    group.calls += calls
+    group.promptTokens += Number(row.prompt_tokens)
+    group.completionTokens += Number(row.completion_tokens)
+    group.estimatedCalls += Number(row.estimated_calls)
+    group.cost += Number(row.cost_usd)
+    if (row.avg_latency_ms !== null) {
+      group.latencyTotal += Number(row.avg_latency_ms) * calls
+      group.latencyCalls += calls
+    }
+    groups.set(key, group)
+  })
+
+  return Array.from(groups.values())
+    .map(({ latencyTotal, latencyCalls, ...group }) => ({
+      ...group,
+      avgLatencyMs: latencyCalls ? Math.round(latencyTotal / latencyCalls) : null
+    }))
+    .sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+}
+
+function UsageTable({ title, groups, getLabel }) {
+  return (
+    <div className="bg-gray-900 border border-blue-900 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-white mb-3">{title}</h3>
+      {groups.length === 0 ? (
+        <p className="text-gray-500 text-sm">No AI requests in this period.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-800">
+                <th className="py-2 pr-4 font-medium">{title.replace(/^By /, '')}</th>
+                <th className="py-2 pr-4 font-medium text-right">Calls</th>
+                <th className="py-2 pr-4 font-medium text-right">Prompt tokens</th>
+                <th className="py-2 pr-4 font-medium text-right">Completion tokens</th>
+                <th className="py-2 pr-4 font-medium text-right">Avg latency</th>
+                <th className="py-2 font-medium text-right">Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(group => (
+                <tr key={group.key} className="border-b border-gray-800 last:border-0 text-gray-200">
+                  <td className="py-2 pr-4">{getLabel(group.key)}</td>
+                  <td className="py-2 pr-4 text-right">{formatNumber(group.calls)}</td>
+                  <td className="py-2 pr-4 text-right">{formatNumber(group.promptTokens)}</td>
+                  <td className="py-2 pr-4 text-right">
+                    {formatNumber(group.completionTokens)}
+                    {group.estimatedCalls > 0 && (
+                      <span
+                        className="ml-1 text-gray-500"
+                        title={`Estimated for ${group.estimatedCalls} of ${group.calls} calls (the provider did not report token counts)`}
+                      >
+                        ~
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    {group.avgLatencyMs === null ? '—' : `${(group.avgLatencyMs / 1000).toFixed(1)}s`}
+                  </td>
+                  <td className="py-2 text-right">{formatCost(group.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function UsageDashboard() {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [months, setMonths] = useState(3)
+  const [rows, setRows] = useState([])
+  const [caseTitles, setCaseTitles] = useState({})
+  const [limits, setLimits] = useState({ monthlySoft: null, monthlyHard: null })
+  const [limitForm, setLimitForm] = useState({ monthlySoft: '', monthlyHard: '' })
+  const [loading, setLoading] = useState(true)
+  const [savingLimits, setSavingLimits] = useState(false)
+  const [error, setError] = useState('')
+  const [limitsMessage, setLimitsMessage] = useState('')
+  const [role, setRole] = useState(null)
+
+  useEffect(() => {
+    loadLimits()
+    loadCaseTitles()
+    getCurrentUserRole()
+      .then(setRole)
+      .catch(err => console.error('Error loading user role:', err))
+  }, [])
+
+  useEffect(() => {
+    loadUsage()
+  }, [months])
+
+  const loadUsage = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const data = await getUsageSummary(getMonthStart(months - 1))
+      setRows(data || [])
+    } catch (err) {
+      console.error('Error loading usage:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadLimits = async () => {
+    try {
+      const data = await getSpendLimits()
+      setLimits(data)
+      setLimitForm({
+        monthlySoft: data.monthlySoft ?? '',
+        monthlyHard: data.monthlyHard ?? ''
+      })
+    } catch (err) {
+      console.error('Error loading spend limits:', err)
+      setError(err.message)
+    }
+  }
+
+  // Usage can include cases the user is not on; those are shown by ID
+  const loadCaseTitles = async () => {
+    try {
+      const cases = await getCases()
+      setCaseTitles(Object.fromEntries(cases.map(caseItem => [caseItem.id, caseItem.title])))
+    } catch (err) {
+      console.error('Error loading cases:', err)
+    }
+  }
+
+  const handleSaveLimits = async (e) => {
+    e.preventDefault()
+    setLimitsMessage('')
+
+    const parseLimit = (value) => (value === '' || value === null ? null : Number(value))
+    const monthlySoft = parseLimit(limitForm.monthlySoft)
+    const monthlyHard = parseLimit(limitForm.monthlyHard)
+
+    if ([monthlySoft, monthlyHard].some(value => value !== null && (Number.isNaN(value) || value < 0))) {
+      setLimitsMessage('Limits must be positive dollar amounts.')
+      return
+    }
+    if (monthlySoft !== null && monthlyHard !== null && monthlySoft > monthlyHard) {
+      setLimitsMessage('The soft limit should be lower than the hard limit.')
+      return
+    }
+
+    try {
+      setSavingLimits(true)
+      await updateSpendLimits({ monthlySoft, monthlyHard })
+      setLimits({ monthlySoft, monthlyHard })
+      setLimitsMessage('Spend limits saved.')
+    } catch (err) {
+      console.error('Error saving spend limits:', err)
+      setLimitsMessage(err.message)
+    } finally {
+      setSavingLimits(false)
+    }
+  }
+
+  const currentMonth = getMonthStart(0).toISOString().slice(0, 10)
+  const currentMonthSpend = useMemo(
+    () => rows.filter(row => row.month === currentMonth).reduce((sum, row) => sum + Number(row.cost_usd), 0),
+    [rows, currentMonth]
+  )
+  const byMonth = useMemo(() => aggregateUsage(rows, row => row.month).sort((a, b) => b.key.localeCompare(a.key)), [rows])
+  const byUser = useMemo(() => aggregateUsage(rows, row => row.user_id), [rows])
+  const byCase = useMemo(() => aggregateUsage(rows, row => row.case_id || 'none'), [rows])
+  const byCaller = useMemo(() => aggregateUsage(rows, row => row.caller || 'unknown'), [rows])
+
+  const userEmails = useMemo(
+    () => Object.fromEntries(rows.filter(row => row.user_email).map(row => [row.user_id, row.user_email])),
+    [rows]
+  )
+
+  const getUserLabel = (userId) => {
+    const email = userEmails[userId] || `User ${userId.slice(0, 8)}`
+    return userId === user?.id ? `${email} (you)` : email
+  }
+
+  const getCaseLabel = (caseId) => {
+    if (caseId === 'none') return 'No case'
+    return caseTitles[caseId] || `Case ${caseId.slice(0, 8)}`
+  }
+
+  const overHard = limits.monthlyHard !== null && currentMonthSpend >= limits.monthlyHard
+  const overSoft = !overHard && limits.monthlySoft !== null && currentMonthSpend >= limits.monthlySoft
+  const barLimit = limits.monthlyHard ?? limits.monthlySoft
+  const barPercent = barLimit ? Math.min(100, (currentMonthSpend / barLimit) * 100) : 0
+
+  return (
+    <div className="min-h-screen bg-black">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-red-900 via-black to-blue-900 p-4 shadow-lg border-b border-red-900">
+        <div className="max-w-7xl mx-auto flex justify-between items-center">
+          <h1 className="text-3xl font-bold text-white">AI Usage</h1>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 transition-colors"
+          >
+            Back to Cases
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto p-6 space-y-6">
+        {error && (
+          <div className="p-3 bg-red-900/20 border border-red-900 rounded-lg text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+
+        {overHard && (
+          <div className="p-3 bg-red-900/20 border border-red-900 rounded-lg text-red-400 text-sm">
+            The hard spend limit has been reached. AI generation is blocked for your company until next month or until the limit is raised.
+          </div>
+        )}
+        {overSoft && (
+          <div className="p-3 bg-yellow-900/20 border border-yellow-700 rounded-lg text-yellow-400 text-sm">
+            This month's AI spend has passed the soft limit of {formatCost(limits.monthlySoft)}.
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {/* Current month */}
+          <div className="bg-gray-900 border border-blue-900 rounded-lg p-4">
+            <h3 className="text-lg font-semibold text-white mb-1">This month</h3>
+            <p className="text-gray-500 text-xs mb-3">{formatMonth(currentMonth)} (UTC)</p>
+            <p className="text-3xl font-bold text-white mb-3">{formatCost(currentMonthSpend)}</p>
+            {barLimit ? (
+              <>
+                <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden mb-2">
+                  <div
+                    className={`h-full ${overHard ? 'bg-red-600' : overSoft ? 'bg-yellow-500' : 'bg-blue-600'}`}
+                    style={{ width: `${barPercent}%` }}
+                  />
+                </div>
+                <p className="text-gray-400 text-sm">
+                  {limits.monthlySoft !== null && `Soft limit ${formatCost(limits.monthlySoft)}`}
+                  {limits.monthlySoft !== null && limits.monthlyHard !== null && ' • '}
+                  {limits.monthlyHard !== null && `Hard limit ${formatCost(limits.monthlyHard)}`}
+                </p>
+              </>
+            ) : (
+              <p className="text-gray-400 text-sm">No spend limits set.</p>
+            )}
+          </div>
+
+          {/* Spend limits - only reviewers can change them */}
+          {role !== USER_ROLES.REVIEWER ? (
+            <div className="bg-gray-900 border border-blue-900 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-white mb-1">Monthly spend limits</h3>
+              <p className="text-gray-500 text-xs mb-3">
+                Past the soft limit this page shows a warning; at the hard limit AI requests are refused.
+              </p>
+              <p className="text-gray-400 text-sm">Only reviewers can change spend limits.</p>
+            </div>
+          ) : (
+            <form onSubmit={handleSaveLimits} className="bg-gray-900 border border-blue-900 rounded-lg p-4">
+              <h3 className="text-lg font-semibold text-white mb-1">Monthly spend limits</h3>
+              <p className="text-gray-500 text-xs mb-3">
+                Past the soft limit this page shows a warning; at the hard limit AI requests are refused. Leave a limit empty for none.
+              </p>
+              <div className="grid grid-cols-2 gap-3 mb-3">
+                <label className="text-sm text-gray-300">
+                  Soft limit (USD)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={limitForm.monthlySoft}
+                    onChange={(e) => setLimitForm(prev => ({ ...prev, monthlySoft: e.target.value }))}
+                    className="mt-1 w-full px-3 py-2 bg-black border border-gray-700 rounded-lg text-white focus:outline-none focus:border-blue-700"
+                  />
+                </label>
+                <label className="text-sm text-gray-300">
+                  Hard limit (USD)
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={limitForm.monthlyHard}
+                    onChange={(e) => setLimitForm(prev => ({ ...prev, monthlyHard: e.target.value }))}
+                    className="mt-1 w-full px-3 py-2 bg-black border border-gray-700 rounded-lg text-white focus:outline-none focus:border-blue-700"
+                  />
+                </label>
+              </div>
+              <div className="flex items-center gap-3">
+                <button
+                  type="submit"
+                  disabled={savingLimits}
+                  className="px-4 py-2 bg-gradient-to-r from-red-900 to-blue-900 text-white font-medium rounded-lg hover:from-red-800 hover:to-blue-800 transition-colors disabled:opacity-50"
+                >
+                  {savingLimits ? 'Saving...' : 'Save Limits'}
+                </button>
+                {limitsMessage && <span className="text-sm text-gray-400">{limitsMessage}</span>}
+              </div>
+            </form>
+          )}
+        </div>
+
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold text-white">Usage</h2>
+          <select
+            value={months}
+            onChange={(e) => setMonths(Number(e.target.value))}
+            className="px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-blue-700"
+          >
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option.months} value={option.months}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="text-center text-gray-400 py-12">Loading usage...</div>
+        ) : (
+          <div className="space-y-4">
+            <UsageTable title="By month" groups={byMonth} getLabel={formatMonth} />
+            <UsageTable title="By user" groups={byUser} getLabel={getUserLabel} />
+            <UsageTable title="By case" groups={byCase} getLabel={getCaseLabel} />
+            <UsageTable title="By feature" groups={byCaller} getLabel={key => key} />
+            <p className="text-gray-500 text-xs">
+              Costs are estimated from each model's list price. ~ marks token counts estimated by the proxy because the provider did not report them.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UsageDashboard
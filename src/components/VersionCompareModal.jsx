@@ -0,0 +1,182 @@
+import { useState, useEffect, useMemo } from 'react'
+import { generateDraft } from '../services/draftService'
+import { compareDraftVersions } from '../utils/versionDiff'
+import { getDraftStatusLabel } from '../config/draftStatuses'
+import { AUDIT_ORIGINS } from '../config/auditLog'
+import VersionDiffView from './VersionDiffView'
+
+/**
+ * VersionCompareModal - Compares two draft versions side by side
+ * Words removed from the earlier version and added in the later one are highlighted, reformatted text is
+ * marked, and either version can be restored as a new version
+ */
+function VersionCompareModal({ isOpen, onClose, caseId, versions, initialOldId, initialNewId, onRestored }) {
+  const [oldId, setOldId] = useState(initialOldId)
+  const [newId, setNewId] = useState(initialNewId)
+  const [isRestoring, setIsRestoring] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) {
+      setOldId(initialOldId)
+      setNewId(initialNewId)
+      setError(null)
+    }
+  }, [isOpen, initialOldId, initialNewId])
+
+  // Handle Escape key to close modal - captured first so the draft modal underneath stays open
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation()
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscape, true)
+    return () => {
+      document.removeEventListener('keydown', handleEscape, true)
+    }
+  }, [isOpen, onClose])
+
+  const oldVersion = versions.find(version => version.id === oldId) || null
+  const newVersion = versions.find(version => version.id === newId) || null
+  const latestVersionNumber = Math.max(0, ...versions.map(version => version.version_number))
+
+  const comparison = useMemo(() => {
+    if (!isOpen || !oldVersion || !newVersion) return null
+    return compareDraftVersions(oldVersion.rendered_content, newVersion.rendered_content)
+  }, [isOpen, oldVersion, newVersion])
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Restore Version ${version.version_number} as a new version? The current versions are kept.`)) return
+
+    setIsRestoring(true)
+    setError(null)
+
+    try {
+      // A copy of the old version becomes the latest, so history is never rewritten; it keeps the
+      // origin of the content it copies, so restored AI text is still recorded as AI-written
+      const restored = await generateDraft(
+        caseId,
+        version.rendered_content,
+        version.template_id,
+        version.citations,
+        version.prompt_version,
+        version.edit_origin || AUDIT_ORIGINS.HUMAN
+      )
+      if (onRestored) onRestored(restored)
+      onClose()
+    } catch (err) {
+      console.error('Error restoring version:', err)
+      setError(err.message)
+    } finally {
+      setIsRestoring(false)
+    }
+  }
+
+  if (!isOpen) return null
+
+  const renderVersionHeader = (version, selectedId, onSelect) => (
+    <div className="flex items-center justify-between gap-2 px-4 py-2 bg-gray-800 border-b border-red-900">
+      <select
+        value={selectedId || ''}
+        onChange={(e) => onSelect(e.target.value)}
+        className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white text-sm focus:outline-none focus:border-blue-700"
+      >
+        {versions.map(option => (
+          <option key={option.id} value={option.id}>
+            Version {option.version_number} • {new Date(option.created_at).toLocaleDateString()} • {getDraftStatusLabel(option.status)}
+          </option>
+        ))}
+      </select>
+      {version && version.version_number !== latestVersionNumber && (
+        <button
+          onClick={() => handleRestore(version)}
+          disabled={isRestoring}
+          className="px-3 py-1 bg-blue-900 text-white rounded-lg hover:bg-blue-800 disabled:opacity-50 text-xs border border-blue-800 whitespace-nowrap"
+        >
+          {isRestoring ? 'Restoring...' : 'Restore as New Version'}
+        </button>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-900 rounded-lg border border-red-900 shadow-xl w-full max-w-7xl h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-red-900 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-white">Compare Versions</h2>
+            {comparison && (
+              <p className="text-sm text-gray-400 mt-1">
+                <span className="text-green-400">+{comparison.stats.insertedWords} words</span>
+                {' • '}
+                <span className="text-red-400">−{comparison.stats.deletedWords} words</span>
+                {' • '}
+                <span className="text-yellow-400">
+                  {comparison.stats.formatChanges} formatting change{comparison.stats.formatChanges === 1 ? '' : 's'}
+                </span>
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="px-6 py-3 bg-red-900/20 border-b border-red-900">
+            <p className="text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        <div className="flex-1 flex min-h-0">
+          <div className="flex-1 flex flex-col min-w-0">
+            <div className="grid grid-cols-2 border-b border-red-900">
+              <div className="border-r border-red-900">{renderVersionHeader(oldVersion, oldId, setOldId)}</div>
+              <div>{renderVersionHeader(newVersion, newId, setNewId)}</div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto bg-white">
+              {!comparison ? (
+                <p className="text-gray-500 text-sm p-6 text-center">Choose two versions to compare.</p>
+              ) : oldId === newId ? (
+                <p className="text-gray-500 text-sm p-6 text-center">Choose two different versions to compare.</p>
+              ) : (
+                <VersionDiffView rows={comparison.rows} />
+              )}
+            </div>
+          </div>
+
+          {/* Formatting changes */}
+          {comparison && oldId !== newId && comparison.formatChanges.length > 0 && (
+            <div className="w-72 border-l border-red-900 overflow-y-auto flex-shrink-0">
+              <div className="p-4 border-b border-red-900">
+                <h3 className="text-sm font-semibold text-white">Formatting changes</h3>
+              </div>
+              <ul className="p-2 space-y-2">
+                {comparison.formatChanges.map((change, index) => (
+                  <li key={index} className="p-2 bg-gray-800 rounded border border-gray-700">
+                    <p className="text-yellow-300 text-xs font-medium">{change.note}</p>
+                    <p className="text-gray-300 text-xs mt-1 line-clamp-2">{change.text}</p>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VersionCompareModal
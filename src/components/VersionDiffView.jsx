@@ -0,0 +1,47 @@
+const PART_CLASSES = {
+  equal: '',
+  delete: 'bg-red-100 text-red-700 line-through',
+  insert: 'bg-green-100 text-green-800',
+  format: 'bg-yellow-100 text-yellow-900 underline decoration-dotted'
+}
+
+/**
+ * One side of a compared block
+ */
+function VersionCell({ parts, blockNote }) {
+  if (!parts) {
+    return <div className="px-4 py-2 bg-gray-100 rounded" />
+  }
+
+  return (
+    <div className="px-4 py-2 whitespace-pre-wrap text-black text-sm leading-relaxed">
+      {parts.map((part, index) => (
+        <span key={index} className={PART_CLASSES[part.type]} title={part.note || undefined}>
+          {part.text}
+        </span>
+      ))}
+      {blockNote && (
+        <span className="ml-2 px-1.5 py-0.5 rounded bg-yellow-100 text-yellow-900 text-xs no-underline">
+          {blockNote}
+        </span>
+      )}
+    </div>
+  )
+}
+
+/**
+ * VersionDiffView - Two versions of a document side by side, block by block
+ * Takes the rows of compareDraftVersions (utils/versionDiff.js)
+ */
+function VersionDiffView({ rows }) {
+  return rows.map((row, index) => (
+    <div key={index} className="grid grid-cols-2 border-b border-gray-100">
+      <div className="border-r border-gray-200">
+        <VersionCell parts={row.oldParts} />
+      </div>
+      <VersionCell parts={row.newParts} blockNote={row.blockNote} />
+    </div>
+  ))
+}
+
+export default VersionDiffView
@@ -0,0 +1,29 @@
+// Audit log vocabulary (see supabase/migrations/20261019000009_audit_log.sql)
+// Draft, case, case member and template changes are logged by database triggers; exports are logged by the app
+
+// Who wrote a draft's content
+export const AUDIT_ORIGINS = {
+  HUMAN: 'human',
+  AI: 'ai'
+}
+
+export const AUDIT_ENTITY_LABELS = {
+  draft: 'Draft',
+  case: 'Case',
+  case_member: 'Case member',
+  case_template: 'Case template',
+  template: 'Company template',
+  audit_log: 'Audit log'
+}
+
+export const AUDIT_ACTION_LABELS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Deleted',
+  exported: 'Exported'
+}
+
+// Row fields that identify the record rather than describe a change, left out of change summaries
+export const AUDIT_HIDDEN_FIELDS = [
+  'id', 'case_id', 'company_id', 'created_at', 'updated_at', 'edit_origin', 'revision', 'revised_at', 'revised_by_email'
+]
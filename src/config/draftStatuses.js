@@ -0,0 +1,158 @@
+// Review workflow for draft versions
+// A draft is written, reviewed, approved, sent and then followed up. Every status change is recorded in
+// draft_status_events with who made it, when and their comment. Transitions are enforced by the
+// transition_draft_status function (supabase/migrations/20261019000008_draft_workflow.sql), which must
+// match this file.
+
+export const DRAFT_STATUSES = {
+  DRAFT: 'draft',
+  // Fact-checked and saved as a version; still editable
+  SAVED: 'saved',
+  IN_REVIEW: 'in_review',
+  CHANGES_REQUESTED: 'changes_requested',
+  APPROVED: 'approved',
+  SENT: 'sent',
+  RESPONDED: 'responded',
+  SETTLED: 'settled'
+}
+
+// Roles in user_profiles.role; only reviewers can approve drafts or send them back for changes
+export const USER_ROLES = {
+  MEMBER: 'member',
+  REVIEWER: 'reviewer'
+}
+
+export const DRAFT_STATUS_LABELS = {
+  [DRAFT_STATUSES.DRAFT]: 'Draft',
+  [DRAFT_STATUSES.SAVED]: 'Saved',
+  [DRAFT_STATUSES.IN_REVIEW]: 'In Review',
+  [DRAFT_STATUSES.CHANGES_REQUESTED]: 'Changes Requested',
+  [DRAFT_STATUSES.APPROVED]: 'Approved',
+  [DRAFT_STATUSES.SENT]: 'Sent',
+  [DRAFT_STATUSES.RESPONDED]: 'Responded',
+  [DRAFT_STATUSES.SETTLED]: 'Settled'
+}
+
+// Badge classes for each status
+export const DRAFT_STATUS_STYLES = {
+  [DRAFT_STATUSES.DRAFT]: 'bg-yellow-900/50 text-yellow-300 border border-yellow-800',
+  [DRAFT_STATUSES.SAVED]: 'bg-green-900/50 text-green-300 border border-green-800',
+  [DRAFT_STATUSES.IN_REVIEW]: 'bg-blue-900/50 text-blue-300 border border-blue-800',
+  [DRAFT_STATUSES.CHANGES_REQUESTED]: 'bg-orange-900/50 text-orange-300 border border-orange-800',
+  [DRAFT_STATUSES.APPROVED]: 'bg-green-900/50 text-green-300 border border-green-800',
+  [DRAFT_STATUSES.SENT]: 'bg-purple-900/50 text-purple-300 border border-purple-800',
+  [DRAFT_STATUSES.RESPONDED]: 'bg-purple-900/50 text-purple-300 border border-purple-800',
+  [DRAFT_STATUSES.SETTLED]: 'bg-gray-800 text-gray-300 border border-gray-700'
+}
+
+// Statuses whose content can no longer be edited; changes go into a new version instead
+export const LOCKED_DRAFT_STATUSES = [
+  DRAFT_STATUSES.IN_REVIEW,
+  DRAFT_STATUSES.APPROVED,
+  DRAFT_STATUSES.SENT,
+  DRAFT_STATUSES.RESPONDED,
+  DRAFT_STATUSES.SETTLED
+]
+
+// Allowed status changes, in the order they are offered
+// reviewerOnly transitions need the reviewer role; commentRequired ones can't be made without a comment;
+// saveButton ones are made by the draft's Save as Version button (after its fact check), not the status panel.
+// Only saved drafts can be submitted for review, so every letter is fact-checked before it enters review
+export const DRAFT_TRANSITIONS = [
+  {
+    from: [DRAFT_STATUSES.DRAFT, DRAFT_STATUSES.CHANGES_REQUESTED],
+    to: DRAFT_STATUSES.SAVED,
+    action: 'Save as Version',
+    saveButton: true
+  },
+  {
+    from: [DRAFT_STATUSES.SAVED],
+    to: DRAFT_STATUSES.IN_REVIEW,
+    action: 'Submit for Review'
+  },
+  {
+    from: [DRAFT_STATUSES.IN_REVIEW],
+    to: DRAFT_STATUSES.APPROVED,
+    action: 'Approve',
+    reviewerOnly: true
+  },
+  {
+    from: [DRAFT_STATUSES.IN_REVIEW, DRAFT_STATUSES.APPROVED],
+    to: DRAFT_STATUSES.CHANGES_REQUESTED,
+    action: 'Request Changes',
+    reviewerOnly: true,
+    commentRequired: true
+  },
+  {
+    from: [DRAFT_STATUSES.APPROVED],
+    to: DRAFT_STATUSES.SENT,
+    action: 'Mark as Sent'
+  },
+  {
+    from: [DRAFT_STATUSES.SENT],
+    to: DRAFT_STATUSES.RESPONDED,
+    action: 'Mark as Responded'
+  },
+  {
+    from: [DRAFT_STATUSES.SENT, DRAFT_STATUSES.RESPONDED],
+    to: DRAFT_STATUSES.SETTLED,
+    action: 'Mark as Settled'
+  }
+]
+
+/**
+ * Whether a draft can be saved as a version (through the fact-checked Save as Version button)
+ * @param {string} status - The draft status
+ * @returns {boolean}
+ */
+export function canSaveDraftStatus(status) {
+  return DRAFT_TRANSITIONS.some(transition => transition.saveButton && transition.from.includes(status))
+}
+
+/**
+ * Get the display label for a draft status
+ * @param {string} status - The draft status
+ * @returns {string} The label (the raw status if unknown)
+ */
+export function getDraftStatusLabel(status) {
+  return DRAFT_STATUS_LABELS[status] || status
+}
+
+/**
+ * Get the badge classes for a draft status
+ * @param {string} status - The draft status
+ * @returns {string} Tailwind classes
+ */
+export function getDraftStatusStyle(status) {
+  return DRAFT_STATUS_STYLES[status] || DRAFT_STATUS_STYLES[DRAFT_STATUSES.DRAFT]
+}
+
+/**
+ * Whether a draft's content is locked against editing
+ * @param {string} status - The draft status
+ * @returns {boolean}
+ */
+export function isDraftLocked(status) {
+  return LOCKED_DRAFT_STATUSES.includes(status)
+}
+
+/**
+ * Get the transitions available from a status
+ * @param {string} status - The current draft status
+ * @param {string} role - The user's role (USER_ROLES)
+ * @returns {Array} Transitions the user may make
+ */
+export function getAvailableTransitions(status, role) {
+  return DRAFT_TRANSITIONS.filter(transition =>
+    transition.from.includes(status) && !transition.saveButton &&
+    (!transition.reviewerOnly || role === USER_ROLES.REVIEWER)
+  )
+}
+
+/**
+ * Find the transition between two statuses
+ * @returns {Object|null} The transition, or null if the change isn't allowed
+ */
+export function findDraftTransition(fromStatus, toStatus) {
+  return DRAFT_TRANSITIONS.find(transition => transition.from.includes(fromStatus) && transition.to === toStatus) || null
+}
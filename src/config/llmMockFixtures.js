@@ -0,0 +1,140 @@
+// Canned responses for the offline mock LLM (see llmMock.js), keyed by the llmService function making the request
+// Each fixture builds its response from the request ({ prompt, systemPrompt }) in the format that function parses,
+// so the same request always gets the same response
+
+import { READINESS_ITEMS, READINESS_STATUSES } from './readinessChecklist'
+
+/**
+ * Returns the text of a `=== HEADING ===` section of a prompt
+ */
+function getSection(prompt, heading) {
+  const start = prompt.indexOf(`=== ${heading} ===`)
+  if (start === -1) return ''
+  const text = prompt.slice(start + heading.length + 8)
+  const end = text.search(/\n=== [A-Z' ]+ ===/)
+  return (end === -1 ? text : text.slice(0, end)).trim()
+}
+
+/**
+ * Returns the numbered blocks ("[3] text") listed in a prompt
+ */
+function getNumberedBlocks(text) {
+  return Array.from(text.matchAll(/^\[(\d+)\] (.*)$/gm), match => ({ number: Number(match[1]), text: match[2] }))
+}
+
+function getWords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9]{3,}/g) || []))
+}
+
+function getLastUserMessage(prompt) {
+  const matches = Array.from(prompt.matchAll(/^User: (.*)$/gm))
+  return matches.length > 0 ? matches[matches.length - 1][1] : ''
+}
+
+const MOCK_LETTER = `{{today}}
+
+{{recipient}}
+
+Re: Demand for Payment
+
+Dear {{recipientName}},
+
+This letter concerns the unpaid balance described in our previous correspondence. Despite repeated requests, the amount remains outstanding. [[M1]]
+
+Under the terms of our agreement, payment was due upon completion of the work, which was completed and accepted. [[M1, D1]]
+
+We demand payment of the full outstanding amount within fourteen (14) days of the date of this letter. If payment is not received by then, we will pursue all remedies available to us without further notice.
+
+Sincerely,
+
+{{sender}}`
+
+export const MOCK_LLM_FIXTURES = {
+  chatAssistant({ prompt }) {
+    const lastMessage = getLastUserMessage(prompt)
+    const checklist = Object.fromEntries(READINESS_ITEMS.map(item => [
+      item.id,
+      {
+        status: item.id === 'facts' && lastMessage ? READINESS_STATUSES.PARTIAL : READINESS_STATUSES.MISSING,
+        note: item.id === 'facts' && lastMessage ? 'Some facts provided' : `Still needed: ${item.description.toLowerCase()}`
+      }
+    ]))
+    const reply = lastMessage
+      ? `Thanks - I've noted that: "${lastMessage.slice(0, 120)}". To prepare the demand letter I still need the legal basis for the claim, the exact amount you are demanding, and when the recipient should respond by. Do you have any documents that support the claim?`
+      : 'Hello! Tell me what happened, and I will help you gather everything needed for your demand letter.'
+    return `${reply}\n<<<READINESS>>>\n${JSON.stringify(checklist)}`
+  },
+
+  assembleDetailsSummary() {
+    return `Summary of case details (mock response)
+
+Facts: The client completed the agreed work and has not been paid.
+Legal basis: Breach of the written agreement between the parties.
+Amount demanded: The full outstanding balance.
+Deadline: 14 days from the date of the letter.
+Evidence: Uploaded invoices and correspondence.`
+  },
+
+  generateLegalDemandLetter({ prompt }) {
+    const field = (pattern) => prompt.match(pattern)?.[1]?.trim()
+    const sender = field(/Your Information:\n- Name: (.*)/) || '[Your Name]'
+    const recipientName = field(/Recipient Information:\n- Name: (.*)/) || 'Sir or Madam'
+    const recipientCompany = field(/- Company: (.*)/)
+    return MOCK_LETTER
+      .replace('{{today}}', 'January 1, 2026')
+      .replace('{{recipient}}', [recipientName, recipientCompany].filter(Boolean).join('\n'))
+      .replace('{{recipientName}}', recipientName)
+      .replace('{{sender}}', sender)
+  },
+
+  // Picks the block sharing the most words with the instruction
+  locateEditBlocks({ prompt }) {
+    const instructionWords = getWords(getSection(prompt, 'EDITING INSTRUCTION').split('\n')[0])
+    const blocks = getNumberedBlocks(prompt)
+    let best = blocks[0] || null
+    let bestScore = 0
+    blocks.forEach(block => {
+      const score = Array.from(getWords(block.text)).filter(word => instructionWords.has(word)).length
+      if (score > bestScore) {
+        best = block
+        bestScore = score
+      }
+    })
+    return JSON.stringify({ blocks: best ? [best.number] : [] })
+  },
+
+  // Adds one paragraph after the first block offered for editing
+  editDraftContent({ prompt }) {
+    const instruction = getSection(prompt, 'USER\'S EDITING INSTRUCTION').split('\n')[0]
+    const block = getNumberedBlocks(getSection(prompt, 'BLOCKS TO EDIT'))[0]
+    return JSON.stringify({
+      summary: `Added a paragraph for: ${instruction}`,
+      changes: [{
+        op: 'insert_after',
+        block: block ? block.number : 0,
+        text: `[Mock edit] ${instruction}`,
+        reason: 'Mock response'
+      }]
+    })
+  },
+
+  checkDraftConsistency() {
+    return JSON.stringify({ issues: [] })
+  },
+
+  testSystemPrompt({ prompt, systemPrompt }) {
+    return `Mock response to "${prompt.slice(0, 200)}" using a ${systemPrompt ? systemPrompt.length : 0}-character system prompt.`
+  },
+
+  rewriteSelection({ prompt }) {
+    const passage = getSection(prompt, 'PASSAGE')
+    const task = getSection(prompt, 'TASK').split('\n')[0]
+    if (prompt.includes('Return only the explanation.')) {
+      return `In plain terms: ${passage.slice(0, 200)}`
+    }
+    return `${passage} [${task.slice(0, 60)}]`
+  }
+}
+
+// Used for callers without a fixture
+export const DEFAULT_MOCK_RESPONSE = 'This is a mock response.'
@@ -0,0 +1,30 @@
+// LLM prices in US dollars per million tokens, used to cost each request in llm_usage
+// A company can override or add models in companies.settings.llmPricing, in the same shape
+// Models without a price are charged at UNPRICED_MODEL_RATE, so a request can't escape the spend limits by
+// naming a model that isn't listed
+
+export const DEFAULT_LLM_PRICING = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'llama3.1': { input: 0, output: 0 }
+}
+
+// Charged for models with no price: the most expensive listed rate
+export const UNPRICED_MODEL_RATE = { input: 30, output: 60 }
+
+/**
+ * Prices a request
+ * @param {string} model - Model the request ran on
+ * @param {number} promptTokens - Prompt (input) tokens
+ * @param {number} completionTokens - Completion (output) tokens
+ * @param {Object} overrides - Company prices by model (companies.settings.llmPricing)
+ * @returns {number} Cost in US dollars (at UNPRICED_MODEL_RATE if the model has no price)
+ */
+export function estimateCost(model, promptTokens, completionTokens, overrides = {}) {
+  const price = overrides?.[model] || DEFAULT_LLM_PRICING[model] || UNPRICED_MODEL_RATE
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000
+}
@@ -0,0 +1,61 @@
+// Readiness checklist for the Base Case Bot
+// These are the details the assistant tracks before a demand letter can be generated
+export const READINESS_ITEMS = [
+  {
+    id: 'facts',
+    label: 'Facts of the case',
+    description: 'What happened, when, where and who was involved',
+    required: true
+  },
+  {
+    id: 'legalBasis',
+    label: 'Legal basis',
+    description: 'Contract, agreement, statute or other grounds for the demand',
+    required: true
+  },
+  {
+    id: 'amountDemanded',
+    label: 'Amount or action demanded',
+    description: 'The specific sum or action being demanded',
+    required: true
+  },
+  {
+    id: 'deadline',
+    label: 'Response deadline',
+    description: 'When the recipient must respond (10-30 days is typical)',
+    required: false
+  },
+  {
+    id: 'evidence',
+    label: 'Supporting evidence',
+    description: 'Documents, communications or other proof of the claim',
+    required: false
+  }
+]
+
+export const READINESS_STATUSES = {
+  COMPLETE: 'complete',
+  PARTIAL: 'partial',
+  MISSING: 'missing'
+}
+
+/**
+ * Checks whether every required checklist item has been gathered
+ * @param {Object|null} checklist - Map of item ID to { status, note }
+ * @returns {boolean} True if the letter can be generated
+ */
+export const isChecklistReady = (checklist) => {
+  if (!checklist) return false
+  return READINESS_ITEMS
+    .filter(item => item.required)
+    .every(item => checklist[item.id]?.status === READINESS_STATUSES.COMPLETE)
+}
+
+/**
+ * Lists checklist items that are not yet complete
+ * @param {Object|null} checklist - Map of item ID to { status, note }
+ * @returns {Array} Checklist item definitions still outstanding
+ */
+export const getMissingItems = (checklist) => {
+  return READINESS_ITEMS.filter(item => checklist?.[item.id]?.status !== READINESS_STATUSES.COMPLETE)
+}
@@ -0,0 +1,43 @@
+// AI actions offered for a passage selected in the draft editor
+// Rewrites replace the selection when accepted; explanations are shown for the attorney to copy
+export const SELECTION_ACTION_MODES = {
+  REWRITE: 'rewrite',
+  EXPLAIN: 'explain'
+}
+
+export const SELECTION_ACTIONS = [
+  {
+    id: 'assertive',
+    label: 'Make more assertive',
+    mode: SELECTION_ACTION_MODES.REWRITE,
+    instruction: 'Rewrite the passage to be firmer and more assertive while staying professional. Keep every fact, amount and date unchanged.'
+  },
+  {
+    id: 'shorten',
+    label: 'Shorten',
+    mode: SELECTION_ACTION_MODES.REWRITE,
+    instruction: 'Make the passage more concise. Keep every fact, amount, date and legal point, but remove repetition and filler.'
+  },
+  {
+    id: 'statutory-citation',
+    label: 'Add statutory citation',
+    mode: SELECTION_ACTION_MODES.REWRITE,
+    instruction: 'Add a citation to the statute or regulation that supports the passage. Only cite provisions you are certain exist; if you are not certain, insert a placeholder such as [CITATION NEEDED: statute on security deposit returns] instead.'
+  },
+  {
+    id: 'translate-spanish',
+    label: 'Translate to Spanish',
+    mode: SELECTION_ACTION_MODES.REWRITE,
+    instruction: 'Translate the passage into formal Spanish suitable for a legal letter. Keep names, amounts and dates exactly as written.'
+  },
+  {
+    id: 'explain-plain-english',
+    label: 'Explain to client in plain English',
+    mode: SELECTION_ACTION_MODES.EXPLAIN,
+    instruction: 'Explain what the passage means to a client with no legal background, in two to four short plain-English sentences.'
+  }
+]
+
+export const getSelectionActionById = (id) => {
+  return SELECTION_ACTIONS.find(action => action.id === id) || null
+}
@@ -1,5 +1,7 @@
 import { createContext, useContext, useEffect, useState } from 'react'
 import { supabase } from '../services/supabase'
+import { clearAllSnapshots } from '../services/snapshotService'
+import { clearDocumentCache } from '../services/retrievalService'
 
 const AuthContext = createContext()
 
@@ -66,6 +68,8 @@ export function AuthProvider({ children }) {
   }
 
   const signOut = async () => {
+    // Unsaved editor copies and cached document text stay with the user, not on the device for the next one
+    await Promise.all([clearAllSnapshots(), clearDocumentCache()])
     const { error } = await supabase.auth.signOut()
     if (error) throw error
   }
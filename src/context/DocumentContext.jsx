@@ -1,18 +1,159 @@
-import { createContext, useContext, useState } from 'react'
+import { createContext, useContext, useState, useEffect, useRef } from 'react'
+import { getCaseDocuments, uploadDocument, updateDocumentText, deleteDocument } from '../services/documentService'
+import { getCaseAnnotations, createAnnotation, deleteAnnotation } from '../services/annotationService'
+import { forgetDocument } from '../services/retrievalService'
 
 const DocumentContext = createContext()
 
-export function DocumentProvider({ children }) {
+/**
+ * Converts a case_documents row into the document shape used by the UI and prompt builders
+ */
+function toContextDocument(row) {
+  const details = row.extraction_details || {}
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.mime_type || '',
+    size: row.size,
+    // File contents are not downloaded up front - the viewer uses a signed URL instead
+    content: null,
+    storagePath: row.storage_path,
+    uploadedAt: new Date(row.created_at),
+    extractedText: row.extracted_text,
+    extractedPages: details.pages || null,
+    extractionStatus: row.extraction_status,
+    ocrConfidence: row.ocr_confidence,
+    ocrPages: details.ocrPages || null
+  }
+}
+
+/**
+ * Converts a document_annotations row into the annotation shape used by the UI and prompt builders
+ */
+function toContextAnnotation(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    note: row.note,
+    anchor: row.anchor,
+    authorId: row.author_id,
+    authorEmail: row.author_email,
+    createdAt: new Date(row.created_at)
+  }
+}
+
+/**
+ * Groups annotations by the ID of the document they belong to
+ */
+function groupByDocument(annotations) {
+  return annotations.reduce((groups, annotation) => {
+    groups[annotation.documentId] = [...(groups[annotation.documentId] || []), annotation]
+    return groups
+  }, {})
+}
+
+export function DocumentProvider({ children, caseId = null }) {
   const [documents, setDocuments] = useState([])
   const [selectedDoc, setSelectedDoc] = useState(null)
   const [annotations, setAnnotations] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  // Uploads still in flight, so text extracted meanwhile is saved once the row exists
+  const pendingUploadsRef = useRef(new Map())
+  // IDs of documents that have a case_documents row
+  const savedIdsRef = useRef(new Set())
+
+  // Load the case's documents whenever a case is opened
+  useEffect(() => {
+    setDocuments([])
+    setSelectedDoc(null)
+    setAnnotations({})
+    if (caseId) {
+      loadDocuments()
+    }
+  }, [caseId])
+
+  const loadDocuments = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [rows, annotationRows] = await Promise.all([
+        getCaseDocuments(caseId),
+        getCaseAnnotations(caseId)
+      ])
+      savedIdsRef.current = new Set(rows.map(row => row.id))
+      setDocuments(rows.map(toContextDocument))
+      setAnnotations(groupByDocument(annotationRows.map(toContextAnnotation)))
+    } catch (err) {
+      console.error('Error loading documents:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateDocument = (docId, updates) => {
+    setDocuments(prev => prev.map(doc => doc.id === docId ? { ...doc, ...updates } : doc))
+  }
 
-  const addDocument = (document) => {
-    setDocuments(prev => [...prev, document])
+  /**
+   * Adds a document to the case, uploading the file to Storage in the background
+   * @param {Object} document - Document object (its id becomes the case_documents ID)
+   * @param {File} file - The uploaded file; omit to keep the document in memory only
+   */
+  const addDocument = (document, file = null) => {
+    const shouldUpload = !!(file && caseId)
+    setDocuments(prev => [...prev, { ...document, isUploading: shouldUpload }])
     setSelectedDoc(document.id)
+
+    if (!shouldUpload) return
+
+    const upload = uploadDocument(caseId, file, { id: document.id })
+      .then(row => {
+        savedIdsRef.current.add(row.id)
+        updateDocument(document.id, { storagePath: row.storage_path, isUploading: false })
+        return row
+      })
+      .catch(err => {
+        console.error('Error uploading document:', err)
+        updateDocument(document.id, { isUploading: false, uploadError: err.message })
+        return null
+      })
+      .finally(() => {
+        pendingUploadsRef.current.delete(document.id)
+      })
+    pendingUploadsRef.current.set(document.id, upload)
+  }
+
+  /**
+   * Records a document's extracted text locally and saves it with the document
+   * @param {string} docId - The document ID
+   * @param {Object} extraction - { extractedText, extractedPages, extractionStatus, ocrConfidence, ocrPages }
+   */
+  const saveDocumentText = async (docId, extraction) => {
+    updateDocument(docId, extraction)
+
+    const pendingUpload = pendingUploadsRef.current.get(docId)
+    if (pendingUpload) await pendingUpload
+    if (!savedIdsRef.current.has(docId)) return
+
+    try {
+      await updateDocumentText(docId, {
+        extractedText: extraction.extractedText,
+        extractionStatus: extraction.extractionStatus,
+        ocrConfidence: extraction.ocrConfidence,
+        pages: extraction.extractedPages,
+        ocrPages: extraction.ocrPages
+      })
+    } catch (err) {
+      console.error('Error saving extracted text:', err)
+      setError(err.message)
+    }
   }
 
-  const removeDocument = (docId) => {
+  const removeDocument = async (docId) => {
+    const document = documents.find(doc => doc.id === docId)
+
     setDocuments(prev => prev.filter(doc => doc.id !== docId))
     if (selectedDoc === docId) {
       setSelectedDoc(null)
@@ -22,20 +163,50 @@ export function DocumentProvider({ children }) {
       delete newAnnotations[docId]
       return newAnnotations
     })
+
+    // A document removed mid-upload is deleted once its upload finishes
+    const pendingUpload = pendingUploadsRef.current.get(docId)
+    const uploadedRow = pendingUpload ? await pendingUpload : null
+    if (!savedIdsRef.current.has(docId)) return
+
+    try {
+      await deleteDocument({ id: docId, storage_path: uploadedRow?.storage_path || document?.storagePath })
+      savedIdsRef.current.delete(docId)
+      await forgetDocument(docId)
+    } catch (err) {
+      console.error('Error deleting document:', err)
+      setError(err.message)
+      // Put it back so the list matches what is stored
+      if (document) {
+        setDocuments(prev => [...prev, document])
+      }
+    }
   }
 
-  const addAnnotation = (docId, annotation) => {
+  /**
+   * Adds an annotation to a saved document
+   * @param {string} docId - The document ID
+   * @param {Object} annotation - { note, anchor } - anchor is a text range, an image region, or null
+   * @returns {Promise<Object>} The created annotation
+   */
+  const addAnnotation = async (docId, { note, anchor = null }) => {
+    const pendingUpload = pendingUploadsRef.current.get(docId)
+    if (pendingUpload) await pendingUpload
+    if (!savedIdsRef.current.has(docId)) {
+      throw new Error('This document has not been saved to the case, so notes cannot be added to it.')
+    }
+
+    const row = await createAnnotation(caseId, docId, { note, anchor })
+    const annotation = toContextAnnotation(row)
     setAnnotations(prev => ({
       ...prev,
-      [docId]: [...(prev[docId] || []), {
-        id: Date.now(),
-        ...annotation,
-        createdAt: new Date()
-      }]
+      [docId]: [...(prev[docId] || []), annotation]
     }))
+    return annotation
   }
 
-  const removeAnnotation = (docId, annotationId) => {
+  const removeAnnotation = async (docId, annotationId) => {
+    await deleteAnnotation(annotationId)
     setAnnotations(prev => ({
       ...prev,
       [docId]: (prev[docId] || []).filter(ann => ann.id !== annotationId)
@@ -48,11 +219,16 @@ export function DocumentProvider({ children }) {
         documents,
         selectedDoc,
         annotations,
+        loading,
+        error,
         addDocument,
+        updateDocument,
+        saveDocumentText,
         removeDocument,
         addAnnotation,
         removeAnnotation,
-        setSelectedDoc
+        setSelectedDoc,
+        refreshDocuments: loadDocuments
       }}
     >
       {children}
@@ -67,4 +243,3 @@ export function useDocuments() {
   }
   return context
 }
-
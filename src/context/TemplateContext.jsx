@@ -151,6 +151,7 @@ Sincerely,
           name: t.name,
           type: t.type,
           content: getHtmlContent(t.content), // Convert to HTML for editor if plain text
+          revision: t.revision,
           createdAt: new Date(t.created_at),
           isDefault: false
         }))
@@ -163,6 +164,7 @@ Sincerely,
           name: t.name,
           type: t.type,
           content: getHtmlContent(t.content), // Convert to HTML for editor if plain text
+          revision: t.revision,
           createdAt: new Date(t.created_at),
           isDefault: false
         }))
@@ -198,6 +200,7 @@ Sincerely,
         name: newTemplate.name,
         type: newTemplate.type,
         content: newTemplate.content,
+        revision: newTemplate.revision,
         createdAt: new Date(newTemplate.created_at),
       isDefault: false
     }
@@ -207,11 +210,13 @@ Sincerely,
     }
   }
 
-  const updateTemplate = async (templateId, updates) => {
+  // expectedRevision: the template's revision when editing started (see updateCompanyTemplate)
+  const updateTemplate = async (templateId, updates, expectedRevision = null) => {
     try {
-      await updateCompanyTemplate(templateId, updates)
+      const updated = await updateCompanyTemplate(templateId, updates, expectedRevision)
       // Reload templates to get the updated one
       await loadTemplates()
+      return updated
     } catch (error) {
       console.error('Error updating template:', error)
       throw error
@@ -0,0 +1,71 @@
+import { useState, useRef } from 'react'
+import { ConflictError } from '../services/conflictError'
+
+/**
+ * useMergeConflict - Saves against a revision and, when someone else saved first, waits for the user to merge
+ * The rejected save stays pending until the conflict is resolved in MergeConflictDialog, then resolves with the
+ * record as saved (or as the other user saved it, if the user discards theirs). Closing the dialog fails the
+ * save with a ConflictError, so the editor keeps the changes to retry.
+ * @param {Object} options
+ * @param {Function} options.getContent - Reads the content from a saved record
+ * @param {string} options.documentLabel - What is being edited, e.g. 'draft' or 'template'
+ * @param {Function} options.onMerged - Called with the record a conflict was settled with, before the save resolves
+ * @returns {{ saveWithMerge: Function, dialogProps: Object }} saveWithMerge(content, expectedRevision, save) calls
+ *   save(content, revision) and resolves with the saved record; dialogProps go to MergeConflictDialog along with
+ *   its baseContent
+ */
+export function useMergeConflict({ getContent, documentLabel = 'draft', onMerged = null }) {
+  // A save rejected because someone else saved first: { localContent, current, save }
+  const [conflict, setConflict] = useState(null)
+  const settleConflictRef = useRef(null)
+
+  const settleConflict = (outcome) => {
+    setConflict(null)
+    if (outcome instanceof Error) {
+      settleConflictRef.current?.reject(outcome)
+    } else {
+      settleConflictRef.current?.resolve(outcome)
+    }
+    settleConflictRef.current = null
+  }
+
+  const saveWithMerge = async (content, expectedRevision, save) => {
+    try {
+      return await save(content, expectedRevision)
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err
+      setConflict({ localContent: content, current: err.current, save })
+      const merged = await new Promise((resolve, reject) => {
+        settleConflictRef.current = { resolve, reject }
+      })
+      if (onMerged) onMerged(merged)
+      return merged
+    }
+  }
+
+  const handleConflictSave = async (content) => {
+    try {
+      settleConflict(await conflict.save(content, conflict.current.revision))
+    } catch (err) {
+      // Saved again in the meantime: merge against the newer version
+      if (err instanceof ConflictError) {
+        setConflict(prev => ({ ...prev, current: err.current }))
+      }
+      throw err
+    }
+  }
+
+  return {
+    saveWithMerge,
+    dialogProps: {
+      isOpen: Boolean(conflict),
+      onClose: () => settleConflict(new ConflictError(`This ${documentLabel} was saved by someone else while you were editing.`)),
+      documentLabel,
+      localContent: conflict?.localContent,
+      serverContent: conflict ? getContent(conflict.current) : '',
+      current: conflict?.current,
+      onSave: handleConflictSave,
+      onUseTheirs: () => settleConflict(conflict.current)
+    }
+  }
+}
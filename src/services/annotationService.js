@@ -0,0 +1,93 @@
+import { supabase } from './supabase'
+
+/**
+ * Get all annotations on a case's documents, oldest first
+ * @param {string} caseId - The case ID
+ * @returns {Promise<Array>} Array of document_annotations rows
+ */
+export async function getCaseAnnotations(caseId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('document_annotations')
+    .select('*')
+    .eq('case_id', caseId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Add an annotation to a document
+ * @param {string} caseId - The case ID
+ * @param {string} documentId - The annotated document's ID
+ * @param {Object} annotation - { note, anchor } - anchor is a text range, an image region, or null
+ * @returns {Promise<Object>} The created annotation
+ */
+export async function createAnnotation(caseId, documentId, { note, anchor = null }) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('document_annotations')
+    .insert({
+      case_id: caseId,
+      document_id: documentId,
+      author_id: user.id,
+      author_email: user.email,
+      note,
+      anchor
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Update an annotation's note
+ * @param {string} annotationId - The annotation ID
+ * @param {string} note - The new note text
+ * @returns {Promise<Object>} The updated annotation
+ */
+export async function updateAnnotation(annotationId, note) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that only the author can update it
+  const { data, error } = await supabase
+    .from('document_annotations')
+    .update({
+      note,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', annotationId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Delete an annotation
+ * @param {string} annotationId - The annotation ID
+ * @returns {Promise<void>}
+ */
+export async function deleteAnnotation(annotationId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that only the author can delete it
+  const { error } = await supabase
+    .from('document_annotations')
+    .delete()
+    .eq('id', annotationId)
+
+  if (error) throw error
+}
@@ -0,0 +1,51 @@
+import { supabase } from './supabase'
+
+/**
+ * Get the audit log of a case, newest first
+ * @param {string} caseId - The case ID
+ * @returns {Promise<Array>} Audit entries ({ entity_type, entity_id, action, origin, old_values, new_values,
+ *   details, actor_email, created_at })
+ */
+export async function getCaseAuditLog(caseId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('audit_log')
+    .select('*')
+    .eq('case_id', caseId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Record that something from a case was exported (a draft, or the audit log itself)
+ * Other changes are recorded by database triggers and must not be logged from here
+ * @param {string} caseId - The case ID
+ * @param {string} entityType - What was exported: 'draft' or 'audit_log'
+ * @param {string|null} entityId - The exported record's ID (the draft ID; null for the audit log)
+ * @param {Object} details - { format, filename, ... }
+ * @returns {Promise<void>}
+ */
+export async function recordExport(caseId, entityType, entityId, details = {}) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case and only allows export entries;
+  // the time, actor email and company are filled in by the database (prepare_export_entry)
+  const { error } = await supabase
+    .from('audit_log')
+    .insert({
+      case_id: caseId,
+      entity_type: entityType,
+      entity_id: entityId,
+      action: 'exported',
+      details,
+      actor_id: user.id
+    })
+
+  if (error) throw error
+}
@@ -0,0 +1,14 @@
+// Error for saves rejected by optimistic concurrency
+// Drafts and templates carry a revision that goes up with every content change
+// (supabase/migrations/20261019000010_edit_revisions.sql). A save is made against the revision the
+// editor loaded; if someone else saved first, the service throws ConflictError with the current row
+// so the caller can merge instead of overwriting.
+
+export class ConflictError extends Error {
+  constructor(message, { current = null } = {}) {
+    super(message)
+    this.name = 'ConflictError'
+    // The row as it is now saved, including its revision, revised_at and revised_by_email
+    this.current = current
+  }
+}
@@ -0,0 +1,154 @@
+import { supabase } from './supabase'
+
+// Private Storage bucket holding uploaded evidence, one folder per case
+export const DOCUMENTS_BUCKET = 'case-documents'
+
+// Signed URLs for viewing documents expire after this many seconds
+const SIGNED_URL_EXPIRY_SECONDS = 60 * 60
+
+/**
+ * Builds the Storage path for a document: <case_id>/<document_id>/<file name>
+ * Characters Storage does not accept in object keys are replaced
+ */
+function buildStoragePath(caseId, documentId, fileName) {
+  const safeName = fileName.replace(/[^\w.\- ()]/g, '_')
+  return `${caseId}/${documentId}/${safeName}`
+}
+
+/**
+ * Upload a document to a case
+ * Stores the file in Storage, then records its metadata row
+ * @param {string} caseId - The case ID
+ * @param {File} file - The uploaded file
+ * @param {Object} options - { id } - optional document ID, so callers can track the upload before it finishes
+ * @returns {Promise<Object>} The created case_documents row
+ */
+export async function uploadDocument(caseId, file, { id = crypto.randomUUID() } = {}) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const storagePath = buildStoragePath(caseId, id, file.name)
+
+  // Storage policies enforce that the user is part of the case
+  const { error: uploadError } = await supabase.storage
+    .from(DOCUMENTS_BUCKET)
+    .upload(storagePath, file, {
+      contentType: file.type || 'application/octet-stream',
+      upsert: false
+    })
+
+  if (uploadError) throw uploadError
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('case_documents')
+    .insert({
+      id,
+      case_id: caseId,
+      storage_path: storagePath,
+      name: file.name,
+      mime_type: file.type || null,
+      size: file.size,
+      uploaded_by: user.id
+    })
+    .select()
+    .single()
+
+  if (error) {
+    // Don't leave an orphaned file behind
+    await supabase.storage.from(DOCUMENTS_BUCKET).remove([storagePath])
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Get all documents for a case, oldest first
+ * @param {string} caseId - The case ID
+ * @returns {Promise<Array>} Array of case_documents rows
+ */
+export async function getCaseDocuments(caseId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('case_documents')
+    .select('*')
+    .eq('case_id', caseId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Save the text extracted from a document
+ * @param {string} documentId - The document ID
+ * @param {Object} extraction - { extractedText, extractionStatus, ocrConfidence, pages, ocrPages }
+ * @returns {Promise<Object>} The updated row
+ */
+export async function updateDocumentText(documentId, { extractedText = null, extractionStatus = null, ocrConfidence = null, pages = null, ocrPages = null }) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { data, error } = await supabase
+    .from('case_documents')
+    .update({
+      extracted_text: extractedText,
+      extraction_status: extractionStatus,
+      ocr_confidence: ocrConfidence,
+      extraction_details: {
+        ...(pages ? { pages } : {}),
+        ...(ocrPages ? { ocrPages } : {})
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', documentId)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Delete a document and its file
+ * @param {Object} document - The case_documents row (or an object with id and storage_path)
+ * @returns {Promise<void>}
+ */
+export async function deleteDocument(document) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user is part of the case
+  const { error } = await supabase
+    .from('case_documents')
+    .delete()
+    .eq('id', document.id)
+
+  if (error) throw error
+
+  const { error: storageError } = await supabase.storage
+    .from(DOCUMENTS_BUCKET)
+    .remove([document.storage_path])
+
+  // The row is gone, so a leftover file is only wasted space - log it rather than fail
+  if (storageError) console.error('Error removing document file:', storageError)
+}
+
+/**
+ * Get a short-lived URL for viewing a document
+ * @param {string} storagePath - The document's storage_path
+ * @returns {Promise<string>} A signed URL
+ */
+export async function getDocumentUrl(storagePath) {
+  const { data, error } = await supabase.storage
+    .from(DOCUMENTS_BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_EXPIRY_SECONDS)
+
+  if (error) throw error
+  return data.signedUrl
+}
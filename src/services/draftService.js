@@ -1,4 +1,7 @@
 import { supabase } from './supabase'
+import { DRAFT_STATUSES, LOCKED_DRAFT_STATUSES, isDraftLocked } from '../config/draftStatuses'
+import { AUDIT_ORIGINS } from '../config/auditLog'
+import { ConflictError } from './conflictError'
 
 /**
  * Get the next version number for a case
@@ -18,9 +21,12 @@ async function getNextVersionNumber(caseId) {
  * @param {string} caseId - The case ID
  * @param {string} renderedContent - The generated letter content
  * @param {string|null} templateId - The case template ID used (nullable)
+ * @param {Array|null} citations - Sources behind each paragraph, from generateLegalDemandLetter (nullable)
+ * @param {Object|null} promptVersion - The prompt that produced the letter, from generateLegalDemandLetter (nullable)
+ * @param {string} origin - Who wrote the content, for the audit log (AUDIT_ORIGINS; the restored version's origin when restoring)
  * @returns {Promise<Object>} The created draft
  */
-export async function generateDraft(caseId, renderedContent, templateId = null) {
+export async function generateDraft(caseId, renderedContent, templateId = null, citations = null, promptVersion = null, origin = AUDIT_ORIGINS.AI) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
@@ -36,6 +42,9 @@ export async function generateDraft(caseId, renderedContent, templateId = null)
       status: 'draft',
       rendered_content: renderedContent,
       template_id: templateId,
+      citations,
+      prompt_version: promptVersion,
+      edit_origin: origin,
       created_by: user.id
     })
     .select()
@@ -109,51 +118,97 @@ export async function getDraft(draftId) {
 
 /**
  * Update a draft's content
+ * Drafts in a locked status (in review, approved, sent, ...) can't be edited
  * @param {string} draftId - The draft ID
  * @param {string} renderedContent - The updated content
+ * @param {string} origin - Who wrote the change, for the audit log (AUDIT_ORIGINS; 'ai' for applied AI edits)
+ * @param {number|null} expectedRevision - The draft's revision when editing started; the update is rejected
+ *   with a ConflictError if someone has saved since (null skips the check)
  * @returns {Promise<Object>} The updated draft
  */
-export async function updateDraft(draftId, renderedContent) {
+export async function updateDraft(draftId, renderedContent, origin = AUDIT_ORIGINS.HUMAN, expectedRevision = null) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
-  // RLS will enforce that user is part of the case
-  const { data, error } = await supabase
+  // RLS will enforce that user is part of the case; a database trigger also rejects edits to locked drafts
+  let query = supabase
     .from('demand_letter_drafts')
     .update({
-      rendered_content: renderedContent
+      rendered_content: renderedContent,
+      edit_origin: origin
     })
     .eq('id', draftId)
-    .select()
-    .single()
+    .not('status', 'in', `(${LOCKED_DRAFT_STATUSES.join(',')})`)
+
+  if (expectedRevision !== null && expectedRevision !== undefined) {
+    query = query.eq('revision', expectedRevision)
+  }
+
+  const { data, error } = await query.select().maybeSingle()
 
   if (error) throw error
+  if (!data) {
+    // Nothing matched: find out whether the draft was locked or saved by someone else in the meantime
+    const current = await getDraft(draftId)
+    if (!isDraftLocked(current.status) && expectedRevision !== null && expectedRevision !== undefined &&
+      current.revision !== expectedRevision) {
+      throw new ConflictError('This draft was saved by someone else while you were editing.', { current })
+    }
+    throw new Error('This draft is locked for editing. Generate or restore a new version to make changes.')
+  }
   return data
 }
 
 /**
  * Save a draft (marks it as saved)
+ * Goes through the review workflow so the change is recorded in the draft's status timeline
  * @param {string} draftId - The draft ID
  * @returns {Promise<Object>} The updated draft
  */
 export async function saveDraft(draftId) {
+  return transitionDraftStatus(draftId, DRAFT_STATUSES.SAVED)
+}
+
+/**
+ * Move a draft to another status in the review workflow (see config/draftStatuses.js)
+ * @param {string} draftId - The draft ID
+ * @param {string} toStatus - The new status (DRAFT_STATUSES)
+ * @param {string} comment - Comment recorded with the change (required when requesting changes)
+ * @returns {Promise<Object>} The updated draft
+ */
+export async function transitionDraftStatus(draftId, toStatus, comment = '') {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // The database function checks case membership, that the transition is allowed and the reviewer role
+  const { data, error } = await supabase.rpc('transition_draft_status', {
+    p_draft_id: draftId,
+    p_to_status: toStatus,
+    p_comment: comment || null
+  })
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Get the status history of a draft, oldest first
+ * @param {string} draftId - The draft ID
+ * @returns {Promise<Array>} Status events ({ from_status, to_status, comment, created_by_email, created_at })
+ */
+export async function getDraftStatusEvents(draftId) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
   // RLS will enforce that user is part of the case
   const { data, error } = await supabase
-    .from('demand_letter_drafts')
-    .update({
-      status: 'saved',
-      saved_by: user.id,
-      saved_at: new Date().toISOString()
-    })
-    .eq('id', draftId)
-    .select()
-    .single()
+    .from('draft_status_events')
+    .select('*')
+    .eq('draft_id', draftId)
+    .order('created_at', { ascending: true })
 
   if (error) throw error
-  return data
+  return data || []
 }
 
 /**
@@ -162,15 +217,18 @@ export async function saveDraft(draftId) {
  * @param {string} caseId - The case ID
  * @param {string} renderedContent - The newly generated letter content
  * @param {string|null} templateId - The case template ID used (nullable)
+ * @param {Array|null} citations - Sources behind each paragraph, from generateLegalDemandLetter (nullable)
+ * @param {Object|null} promptVersion - The prompt that produced the letter, from generateLegalDemandLetter (nullable)
  * @returns {Promise<Object>} The new draft version
  */
-export async function regenerateDraft(caseId, renderedContent, templateId = null) {
+export async function regenerateDraft(caseId, renderedContent, templateId = null, citations = null, promptVersion = null) {
   // Regeneration is the same as generating a new draft
-  return generateDraft(caseId, renderedContent, templateId)
+  return generateDraft(caseId, renderedContent, templateId, citations, promptVersion)
 }
 
 /**
  * Delete a draft version
+ * Drafts in a locked status (in review, approved, sent, ...) can't be deleted
  * @param {string} draftId - The draft ID to delete
  * @returns {Promise<void>}
  */
@@ -178,7 +236,7 @@ export async function deleteDraftVersion(draftId) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
-  // RLS will enforce that user is part of the case
+  // RLS will enforce that user is part of the case; a database trigger rejects deleting locked drafts
   const { error } = await supabase
     .from('demand_letter_drafts')
     .delete()
@@ -1,5 +1,7 @@
 // Export service for generating DOCX and PDF files client-side
 
+import { describeCitationSource } from '../utils/citations'
+
 /**
  * Strip HTML tags and convert to plain text
  * @param {string} html - HTML content
@@ -26,12 +28,28 @@ function stripHTML(html) {
   return text
 }
 
+/**
+ * Builds the evidence appendix listing the sources behind each cited paragraph
+ * @param {Array} citations - Citations stored on the draft (see extractCitations)
+ * @returns {Array} Appendix entries of { title, sources: [string] } in paragraph order
+ */
+function buildEvidenceAppendix(citations) {
+  return citations.map((citation, index) => ({
+    title: `[${index + 1}] "${citation.text}"`,
+    sources: citation.sources.map(source =>
+      `${describeCitationSource(source)}${source.excerpt ? `: "${source.excerpt}"` : ''}`
+    )
+  }))
+}
+
 /**
  * Export content to DOCX format
  * @param {string} content - The text or HTML content to export
  * @param {string} filename - The filename (without extension)
+ * @param {Object} options - Export options
+ * @param {Array} options.citations - Draft citations; when given, an evidence appendix is added after the letter
  */
-export async function exportToDOCX(content, filename = 'draft') {
+export async function exportToDOCX(content, filename = 'draft', { citations = null } = {}) {
   try {
     // Dynamic import to avoid bundling if not used
     const { Document, Packer, Paragraph, TextRun } = await import('docx')
@@ -73,6 +91,60 @@ export async function exportToDOCX(content, filename = 'draft') {
       )
     }
 
+    // Evidence appendix, on its own page after the letter
+    if (citations && citations.length > 0) {
+      paragraphs.push(
+        new Paragraph({
+          pageBreakBefore: true,
+          children: [
+            new TextRun({
+              text: 'EVIDENCE APPENDIX',
+              font: 'Times New Roman',
+              size: 24, // 12pt
+              bold: true,
+            }),
+          ],
+          spacing: {
+            after: 200,
+          },
+        })
+      )
+      buildEvidenceAppendix(citations).forEach(entry => {
+        paragraphs.push(
+          new Paragraph({
+            children: [
+              new TextRun({
+                text: entry.title,
+                font: 'Times New Roman',
+                size: 22,
+                bold: true,
+              }),
+            ],
+            spacing: {
+              after: 100,
+            },
+          }),
+          ...entry.sources.map(source =>
+            new Paragraph({
+              children: [
+                new TextRun({
+                  text: source,
+                  font: 'Times New Roman',
+                  size: 20, // 10pt
+                }),
+              ],
+              indent: {
+                left: 360, // 0.25"
+              },
+              spacing: {
+                after: 100,
+              },
+            })
+          )
+        )
+      })
+    }
+
     // Create document
     const doc = new Document({
       sections: [
@@ -103,8 +175,10 @@ export async function exportToDOCX(content, filename = 'draft') {
  * Export content to PDF format
  * @param {string} content - The text or HTML content to export
  * @param {string} filename - The filename (without extension)
+ * @param {Object} options - Export options
+ * @param {Array} options.citations - Draft citations; when given, an evidence appendix is added after the letter
  */
-export async function exportToPDF(content, filename = 'draft') {
+export async function exportToPDF(content, filename = 'draft', { citations = null } = {}) {
   try {
     // Dynamic import to avoid bundling if not used
     const { jsPDF } = await import('jspdf')
@@ -146,6 +220,34 @@ export async function exportToPDF(content, filename = 'draft') {
       y += lineHeight
     })
 
+    // Evidence appendix, on its own page after the letter
+    if (citations && citations.length > 0) {
+      doc.addPage()
+      y = margin
+      doc.setFont('times', 'bold')
+      doc.text('EVIDENCE APPENDIX', margin, y)
+      y += lineHeight * 1.5
+
+      buildEvidenceAppendix(citations).forEach(entry => {
+        const entryLines = [
+          ...doc.splitTextToSize(entry.title, maxWidth).map(text => ({ text, bold: true, indent: 0 })),
+          ...entry.sources.flatMap(source =>
+            doc.splitTextToSize(source, maxWidth - 6).map(text => ({ text, bold: false, indent: 6 }))
+          )
+        ]
+        entryLines.forEach(line => {
+          if (y + lineHeight > pageBottom) {
+            doc.addPage()
+            y = margin
+          }
+          doc.setFont('times', line.bold ? 'bold' : 'normal')
+          doc.text(line.text, margin + line.indent, y)
+          y += lineHeight
+        })
+        y += lineHeight / 2
+      })
+    }
+
     // Save the PDF
     doc.save(`${filename}.pdf`)
   } catch (error) {
@@ -154,3 +256,41 @@ export async function exportToPDF(content, filename = 'draft') {
   }
 }
 
+/**
+ * Quotes a value for a CSV cell
+ * Values that a spreadsheet would run as a formula (=, +, -, @, tab or carriage return first) are
+ * prefixed with ' so user-entered text in the log can't execute when the export is opened.
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = typeof value === 'string' ? value : JSON.stringify(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Export audit log entries to CSV or JSON
+ * @param {Array} entries - Audit entries from getCaseAuditLog
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} filename - The filename (without extension)
+ */
+export function exportAuditLog(entries, format, filename = 'audit-log') {
+  const columns = [
+    'created_at', 'actor_email', 'actor_id', 'entity_type', 'entity_id', 'action', 'origin',
+    'old_values', 'new_values', 'details', 'case_id', 'id'
+  ]
+
+  const content = format === 'csv'
+    ? [columns.join(','), ...entries.map(entry => columns.map(column => toCSVCell(entry[column])).join(','))].join('\r\n')
+    : JSON.stringify(entries, null, 2)
+
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' })
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${filename}.${format}`
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.URL.revokeObjectURL(url)
+}
@@ -0,0 +1,167 @@
+// Typed errors for LLM requests
+// The proxy reports an error `code` alongside the HTTP status; classifyLLMError turns
+// both into one of the classes below so callers can retry or show an actionable message.
+
+export class LLMError extends Error {
+  constructor(message, { code = 'unknown', status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message)
+    this.name = 'LLMError'
+    this.code = code
+    this.status = status
+    this.retryable = retryable
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+export class RateLimitError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'rate_limit', retryable: true, ...options })
+    this.name = 'RateLimitError'
+  }
+}
+
+export class QuotaExceededError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'quota_exceeded', retryable: false, ...options })
+    this.name = 'QuotaExceededError'
+  }
+}
+
+export class SpendLimitError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'spend_limit_exceeded', retryable: false, ...options })
+    this.name = 'SpendLimitError'
+  }
+}
+
+export class AuthError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'auth', retryable: false, ...options })
+    this.name = 'AuthError'
+  }
+}
+
+export class ForbiddenError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'forbidden', retryable: false, ...options })
+    this.name = 'ForbiddenError'
+  }
+}
+
+export class ContextLengthError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'context_length_exceeded', retryable: false, ...options })
+    this.name = 'ContextLengthError'
+  }
+}
+
+export class ContentFilterError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'content_filter', retryable: false, ...options })
+    this.name = 'ContentFilterError'
+  }
+}
+
+export class TimeoutError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'timeout', retryable: true, ...options })
+    this.name = 'TimeoutError'
+  }
+}
+
+export class NetworkError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'network', retryable: true, ...options })
+    this.name = 'NetworkError'
+  }
+}
+
+export class ServiceError extends LLMError {
+  constructor(message, options = {}) {
+    super(message, { code: 'service_unavailable', retryable: true, ...options })
+    this.name = 'ServiceError'
+  }
+}
+
+const CONTEXT_LENGTH_PATTERN = /context length|context window|maximum context|prompt is too long|too many tokens/i
+const CONTENT_FILTER_PATTERN = /content (management )?policy|content filter|safety system|flagged/i
+
+/**
+ * Parses a Retry-After header value (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  return null
+}
+
+/**
+ * Builds a typed error from a failed proxy response
+ * @param {number} status - HTTP status code
+ * @param {Object} errorData - Parsed JSON error body ({ error: { message, code } })
+ * @param {string|null} retryAfter - Retry-After header value
+ * @returns {LLMError} The classified error
+ */
+export function classifyLLMError(status, errorData = {}, retryAfter = null) {
+  const message = errorData.error?.message || errorData.message || `API request failed with status ${status}`
+  const code = errorData.error?.code || errorData.error?.type || null
+  const options = { status, retryAfterMs: parseRetryAfter(retryAfter) }
+
+  if (code === 'quota_exceeded') return new QuotaExceededError(message, options)
+  if (code === 'spend_limit_exceeded') return new SpendLimitError(message, options)
+  if (code === 'forbidden') return new ForbiddenError(message, options)
+  if (code === 'context_length_exceeded' || CONTEXT_LENGTH_PATTERN.test(message)) {
+    return new ContextLengthError(message, options)
+  }
+  if (code === 'content_filter' || CONTENT_FILTER_PATTERN.test(message)) {
+    return new ContentFilterError(message, options)
+  }
+  if (status === 401 || status === 403) return new AuthError(message, options)
+  if (status === 429) return new RateLimitError(message, options)
+  if (status === 408 || status === 504) return new TimeoutError(message, options)
+  if (status >= 500) return new ServiceError(message, options)
+
+  return new LLMError(message, { code: code || 'unknown', ...options })
+}
+
+/**
+ * Returns a message telling the user what went wrong and what they can do about it
+ * Non-LLM errors fall back to their own message
+ * @param {Error} error - The error to describe
+ * @returns {string} User-facing message
+ */
+export function getLLMErrorMessage(error) {
+  if (error instanceof RateLimitError) {
+    return 'The AI service is busy right now. Please wait a moment and try again.'
+  }
+  if (error instanceof QuotaExceededError || error instanceof SpendLimitError) {
+    return error.message
+  }
+  if (error instanceof AuthError) {
+    return 'The AI service rejected the request. Please sign in again, or ask your administrator to check the AI provider configuration.'
+  }
+  if (error instanceof ForbiddenError) {
+    return 'You do not have access to this case, so the AI request was refused. Ask your administrator for access to the case.'
+  }
+  if (error instanceof ContextLengthError) {
+    return 'This case has more conversation and document text than the AI model can read at once. Remove some documents or shorten the conversation, then try again.'
+  }
+  if (error instanceof ContentFilterError) {
+    return 'The AI provider declined to respond because of its content policy. Try rephrasing your request.'
+  }
+  if (error instanceof TimeoutError) {
+    return 'The AI service took too long to respond. Please try again.'
+  }
+  if (error instanceof NetworkError) {
+    return 'Could not reach the AI service. Check your internet connection and try again.'
+  }
+  if (error instanceof ServiceError) {
+    return 'The AI service is temporarily unavailable. Please try again in a few minutes.'
+  }
+  return error?.message || 'Something went wrong. Please try again.'
+}
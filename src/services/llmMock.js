@@ -0,0 +1,152 @@
+// Offline mock of the /api/llm proxy, for development, demos and automated tests without network access
+// Enabled with VITE_LLM_MOCK=true. Responses come from llmMockFixtures, keyed by the request's caller,
+// and are returned in the proxy's own wire format so llmService parses, streams and retries them as usual.
+//   VITE_LLM_MOCK_ERROR     - make every request fail with one of MOCK_ERROR_MODES
+//   VITE_LLM_MOCK_DELAY_MS  - delay between streamed chunks (default 30, use 0 in tests)
+
+import { MOCK_LLM_FIXTURES, DEFAULT_MOCK_RESPONSE } from '../config/llmMockFixtures'
+import { formatSSE } from '../utils/sse'
+
+export const LLM_MOCK_ENABLED = import.meta.env.VITE_LLM_MOCK === 'true'
+
+const DEFAULT_ERROR_MODE = import.meta.env.VITE_LLM_MOCK_ERROR || null
+const CHUNK_DELAY_MS = Number(import.meta.env.VITE_LLM_MOCK_DELAY_MS ?? 30)
+const MOCK_MODEL = 'mock'
+
+// Failures the mock can simulate, as the proxy would report them
+export const MOCK_ERROR_MODES = {
+  rate_limit: { status: 429, message: 'Rate limit reached (mock).', retryAfter: '1' },
+  quota_exceeded: { status: 429, code: 'quota_exceeded', message: 'Daily AI request limit reached (mock).' },
+  spend_limit_exceeded: { status: 402, code: 'spend_limit_exceeded', message: 'Your company has reached its monthly AI spending limit (mock).' },
+  auth: { status: 401, message: 'Not authenticated (mock).' },
+  forbidden: { status: 403, code: 'forbidden', message: 'You do not have access to this case (mock).' },
+  context_length_exceeded: { status: 400, code: 'context_length_exceeded', message: 'Maximum context length exceeded (mock).' },
+  content_filter: { status: 422, code: 'content_filter', message: 'The response was blocked by the provider\'s content filter (mock).' },
+  service_unavailable: { status: 503, message: 'The AI service is unavailable (mock).' },
+  timeout: { status: 504, message: 'The AI service timed out (mock).' },
+  // The request never reaches the server
+  network: { network: true },
+  // A streamed response stops part-way through (non-streamed requests succeed)
+  stream_interrupted: { midStream: true, message: 'The AI response was interrupted (mock).' }
+}
+
+// Per-caller responses set by tests, and every request the mock has received
+const responseOverrides = new Map()
+const receivedRequests = []
+
+/**
+ * Overrides the mock's response for one caller
+ * @param {string} caller - llmService function name (e.g. 'chatAssistant')
+ * @param {string|Function|Object} response - Response text, a function of the request returning it,
+ *   or { error: '<MOCK_ERROR_MODES key>' } to fail
+ */
+export function setMockLLMResponse(caller, response) {
+  responseOverrides.set(caller, response)
+}
+
+/**
+ * Clears response overrides and recorded requests
+ */
+export function resetMockLLM() {
+  responseOverrides.clear()
+  receivedRequests.length = 0
+}
+
+/**
+ * Lists the requests the mock has received, oldest first
+ * @returns {Array} Parsed request bodies ({ caller, caseId, messages, stream, ... }) with prompt and systemPrompt
+ */
+export function getMockLLMRequests() {
+  return [...receivedRequests]
+}
+
+function wait(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The request was aborted.', 'AbortError'))
+      return
+    }
+    const timer = setTimeout(resolve, delayMs)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('The request was aborted.', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+function jsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  })
+}
+
+/**
+ * Streams text as the proxy does: word-sized `{ text }` events, then `[DONE]`
+ * An interrupted stream sends half the text followed by an error event
+ */
+function streamResponse(text, { signal, errorMessage = null }) {
+  const chunks = text.match(/\S+\s*|\s+/g) || []
+  const sent = errorMessage ? chunks.slice(0, Math.ceil(chunks.length / 2)) : chunks
+  const encoder = new TextEncoder()
+
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        for (const chunk of sent) {
+          if (CHUNK_DELAY_MS > 0) await wait(CHUNK_DELAY_MS, signal)
+          controller.enqueue(encoder.encode(formatSSE({ text: chunk })))
+        }
+        if (errorMessage) {
+          controller.enqueue(encoder.encode(formatSSE({ error: { message: errorMessage } })))
+        }
+        controller.enqueue(encoder.encode(formatSSE('[DONE]')))
+        controller.close()
+      } catch (error) {
+        controller.error(error)
+      }
+    }
+  })
+
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } })
+}
+
+/**
+ * Answers a proxy request from the fixtures instead of the network
+ * Takes the same arguments as the proxy fetch in llmService and resolves to an equivalent Response
+ * @param {string} body - JSON request body as sent to /api/llm
+ * @param {Object} options - { signal }
+ * @returns {Promise<Response>} The mock response
+ */
+export async function fetchMockLLM(body, { signal = null } = {}) {
+  const request = JSON.parse(body)
+  const systemPrompt = request.messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n')
+  const prompt = request.messages.filter(msg => msg.role !== 'system').map(msg => msg.content).join('\n\n')
+  const fixtureRequest = { ...request, prompt, systemPrompt }
+  receivedRequests.push(fixtureRequest)
+
+  const override = responseOverrides.get(request.caller)
+  const errorMode = MOCK_ERROR_MODES[override?.error || DEFAULT_ERROR_MODE] || null
+
+  if (errorMode?.network) {
+    throw new TypeError('Failed to fetch (mock network error)')
+  }
+  if (errorMode && !errorMode.midStream) {
+    return jsonResponse(
+      errorMode.status,
+      { error: { message: errorMode.message, ...(errorMode.code ? { code: errorMode.code } : {}) } },
+      errorMode.retryAfter ? { 'Retry-After': errorMode.retryAfter } : {}
+    )
+  }
+
+  const fixture = typeof override === 'string' || typeof override === 'function'
+    ? override
+    : MOCK_LLM_FIXTURES[request.caller] || DEFAULT_MOCK_RESPONSE
+  const text = typeof fixture === 'function' ? fixture(fixtureRequest) : fixture
+
+  if (request.stream) {
+    return streamResponse(text, { signal, errorMessage: errorMode?.midStream ? errorMode.message : null })
+  }
+  if (CHUNK_DELAY_MS > 0) await wait(CHUNK_DELAY_MS, signal)
+  return jsonResponse(200, { content: text, model: MOCK_MODEL })
+}
@@ -0,0 +1,361 @@
+// LLM provider registry
+// Each provider adapts the normalized chat request used by llmService
+// (messages, model, temperature, maxTokens) to a vendor's HTTP API and parses the reply back.
+// This module has no environment access - keys and endpoints are passed in via config.
+
+export const DEFAULT_PROVIDER_ID = 'openai'
+
+/**
+ * Splits system messages out of a message list (for APIs that take them separately)
+ * @param {Array} messages - Normalized chat messages ({ role, content })
+ * @returns {{ system: string, messages: Array }}
+ */
+function splitSystemMessages(messages) {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n')
+  return {
+    system,
+    messages: messages.filter(msg => msg.role !== 'system')
+  }
+}
+
+function trimTrailingSlash(url) {
+  return url ? url.replace(/\/+$/, '') : url
+}
+
+/**
+ * Builds an OpenAI-compatible /chat/completions request
+ * Shared by OpenAI itself and locally hosted servers (Ollama, llama.cpp) that mimic its API
+ */
+function buildOpenAICompatibleRequest(baseUrl, headers, { model, messages, temperature, maxTokens, stream }, streamUsage = false) {
+  return {
+    url: `${trimTrailingSlash(baseUrl)}/chat/completions`,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(stream ? { stream: true } : {}),
+      // Asks for token counts in the final streamed chunk (not every compatible server supports this)
+      ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {})
+    }
+  }
+}
+
+function parseOpenAICompatibleResponse(data) {
+  return data.choices?.[0]?.message?.content || ''
+}
+
+function parseOpenAICompatibleStreamEvent(data) {
+  return data.choices?.[0]?.delta?.content || ''
+}
+
+// Token counts come in the response body, and in the last chunk of a stream when requested
+function parseOpenAICompatibleUsage(data) {
+  if (!data.usage) return null
+  return {
+    promptTokens: data.usage.prompt_tokens ?? null,
+    completionTokens: data.usage.completion_tokens ?? null
+  }
+}
+
+export const LLM_PROVIDERS = {
+  openai: {
+    id: 'openai',
+    name: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: true,
+    // Model names used by callers are OpenAI's, so they pass through unchanged
+    models: {},
+    defaultModel: 'gpt-4',
+    contextWindows: {
+      'gpt-4': 8192,
+      'gpt-4-turbo': 128000,
+      'gpt-4o': 128000,
+      'gpt-4o-mini': 128000,
+      'gpt-4.1': 1047576
+    },
+    defaultContextWindow: 8192,
+    buildRequest(request, config) {
+      return buildOpenAICompatibleRequest(
+        config.baseUrl || this.defaultBaseUrl,
+        { 'Authorization': `Bearer ${config.apiKey}` },
+        request,
+        true
+      )
+    },
+    parseResponse: parseOpenAICompatibleResponse,
+    parseStreamEvent: parseOpenAICompatibleStreamEvent,
+    parseUsage: parseOpenAICompatibleUsage,
+    parseStreamUsage: parseOpenAICompatibleUsage
+  },
+
+  'azure-openai': {
+    id: 'azure-openai',
+    name: 'Azure OpenAI',
+    defaultBaseUrl: null,
+    requiresApiKey: true,
+    models: {},
+    defaultModel: 'gpt-4',
+    contextWindows: {
+      'gpt-4': 8192,
+      'gpt-4-turbo': 128000,
+      'gpt-4o': 128000,
+      'gpt-4o-mini': 128000
+    },
+    defaultContextWindow: 8192,
+    defaultApiVersion: '2024-06-01',
+    buildRequest({ model, messages, temperature, maxTokens, stream }, config) {
+      if (!config.baseUrl) {
+        throw new Error('Azure OpenAI endpoint is not configured.')
+      }
+      // Azure addresses models by deployment name rather than by model in the body
+      const deployment = config.deployments?.[model] || config.deployment || model
+      const apiVersion = config.apiVersion || this.defaultApiVersion
+      return {
+        url: `${trimTrailingSlash(config.baseUrl)}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${apiVersion}`,
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': config.apiKey
+        },
+        body: {
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+        }
+      }
+    },
+    parseResponse: parseOpenAICompatibleResponse,
+    parseStreamEvent: parseOpenAICompatibleStreamEvent,
+    parseUsage: parseOpenAICompatibleUsage,
+    parseStreamUsage: parseOpenAICompatibleUsage
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    requiresApiKey: true,
+    models: {
+      'gpt-4': 'claude-sonnet-4-5'
+    },
+    defaultModel: 'claude-sonnet-4-5',
+    contextWindows: {},
+    defaultContextWindow: 200000,
+    buildRequest({ model, messages, temperature, maxTokens, stream }, config) {
+      const { system, messages: chatMessages } = splitSystemMessages(messages)
+      return {
+        url: `${trimTrailingSlash(config.baseUrl || this.defaultBaseUrl)}/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: {
+          model,
+          ...(system ? { system } : {}),
+          messages: chatMessages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(stream ? { stream: true } : {})
+        }
+      }
+    },
+    parseResponse(data) {
+      return (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+    },
+    parseStreamEvent(data) {
+      if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        return data.delta.text || ''
+      }
+      return ''
+    },
+    parseUsage(data) {
+      if (!data.usage) return null
+      return {
+        promptTokens: data.usage.input_tokens ?? null,
+        completionTokens: data.usage.output_tokens ?? null
+      }
+    },
+    // Input tokens arrive with message_start, the output count with the closing message_delta
+    parseStreamUsage(data) {
+      if (data.type === 'message_start' && data.message?.usage) {
+        return { promptTokens: data.message.usage.input_tokens ?? null }
+      }
+      if (data.type === 'message_delta' && data.usage) {
+        return { completionTokens: data.usage.output_tokens ?? null }
+      }
+      return null
+    }
+  },
+
+  local: {
+    id: 'local',
+    name: 'Local model (Ollama / llama.cpp)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    models: {
+      'gpt-4': 'llama3.1'
+    },
+    defaultModel: 'llama3.1',
+    contextWindows: {},
+    // Local servers are often started with a small context, so assume one unless configured
+    defaultContextWindow: 8192,
+    buildRequest(request, config) {
+      return buildOpenAICompatibleRequest(
+        config.baseUrl || this.defaultBaseUrl,
+        config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+        request
+      )
+    },
+    parseResponse: parseOpenAICompatibleResponse,
+    parseStreamEvent: parseOpenAICompatibleStreamEvent,
+    // Ollama and llama.cpp report usage on complete responses; streams are estimated by the proxy
+    parseUsage: parseOpenAICompatibleUsage,
+    parseStreamUsage: parseOpenAICompatibleUsage
+  }
+}
+
+/**
+ * Get a provider definition by ID
+ * @param {string} providerId - Provider ID (e.g. 'openai', 'anthropic')
+ * @returns {Object} The provider definition
+ */
+export function getProvider(providerId) {
+  const provider = LLM_PROVIDERS[providerId || DEFAULT_PROVIDER_ID]
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerId}`)
+  }
+  return provider
+}
+
+/**
+ * Normalizes a provider selection into a settings object
+ * @param {string|Object|null} selection - Provider ID or { provider, model, ... }
+ * @returns {Object|null} Settings object with a provider field, or null
+ */
+export function normalizeProviderSettings(selection) {
+  if (!selection) return null
+  if (typeof selection === 'string') return { provider: selection }
+  return selection.provider ? selection : null
+}
+
+/**
+ * Maps the model name a caller asked for onto the provider's own model name
+ * Resolution order: per-model override, configured model, provider alias, then the requested name
+ * for providers that understand OpenAI names natively
+ * @param {Object} provider - Provider definition
+ * @param {string} requestedModel - Model name requested by the caller (e.g. 'gpt-4')
+ * @param {Object} config - Provider configuration
+ * @returns {string} The model name to send
+ */
+export function resolveModel(provider, requestedModel, config = {}) {
+  if (config.models?.[requestedModel]) return config.models[requestedModel]
+  if (config.model) return config.model
+  if (provider.models[requestedModel]) return provider.models[requestedModel]
+  if (provider.id === 'openai' || provider.id === 'azure-openai') {
+    return requestedModel || provider.defaultModel
+  }
+  return provider.defaultModel
+}
+
+/**
+ * Looks up the context window (in tokens) of the model a request will run on
+ * @param {Object} settings - Provider settings ({ provider, model?, models?, contextWindow? })
+ * @param {string} requestedModel - Model name requested by the caller (e.g. 'gpt-4')
+ * @returns {number} Context window size in tokens
+ */
+export function getContextWindow(settings, requestedModel) {
+  const provider = getProvider(settings?.provider)
+  if (settings?.contextWindow) return settings.contextWindow
+  const model = resolveModel(provider, requestedModel, settings || {})
+  return provider.contextWindows[model] || provider.defaultContextWindow
+}
+
+/**
+ * Builds the fetch() arguments for a chat request against a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} request - Normalized request ({ model, messages, temperature, maxTokens, stream })
+ * @param {Object} config - Provider configuration ({ apiKey, baseUrl, model, models, deployment, deployments, apiVersion })
+ * @returns {{ url: string, init: Object, model: string }}
+ */
+export function buildProviderRequest(providerId, request, config = {}) {
+  const provider = getProvider(providerId)
+
+  if (provider.requiresApiKey && !config.apiKey) {
+    throw new Error(`${provider.name} API key is not configured.`)
+  }
+
+  const model = resolveModel(provider, request.model, config)
+  const { url, headers, body } = provider.buildRequest({ ...request, model }, config)
+
+  return {
+    url,
+    model,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }
+  }
+}
+
+/**
+ * Extracts the completion text from a provider's JSON response
+ * @param {string} providerId - Provider ID
+ * @param {Object} data - Parsed JSON response body
+ * @returns {string} The generated text
+ */
+export function parseProviderResponse(providerId, data) {
+  return getProvider(providerId).parseResponse(data)
+}
+
+/**
+ * Extracts the text delta from one parsed event of a provider's streamed (SSE) response
+ * @param {string} providerId - Provider ID
+ * @param {Object} data - Parsed JSON payload of a single `data:` event
+ * @returns {string} The text added by this event (empty if the event carries none)
+ */
+export function parseProviderStreamEvent(providerId, data) {
+  return getProvider(providerId).parseStreamEvent(data)
+}
+
+/**
+ * Extracts token counts from a provider's JSON response
+ * @param {string} providerId - Provider ID
+ * @param {Object} data - Parsed JSON response body
+ * @returns {{ promptTokens: number|null, completionTokens: number|null }|null} Null if the provider reported none
+ */
+export function parseProviderUsage(providerId, data) {
+  return getProvider(providerId).parseUsage(data)
+}
+
+/**
+ * Extracts token counts from one parsed event of a streamed response
+ * Providers report usage across one or more events, so callers merge the results
+ * @param {string} providerId - Provider ID
+ * @param {Object} data - Parsed JSON payload of a single `data:` event
+ * @returns {{ promptTokens?: number|null, completionTokens?: number|null }|null} Null if the event carries none
+ */
+export function parseProviderStreamUsage(providerId, data) {
+  return getProvider(providerId).parseStreamUsage(data)
+}
+
+/**
+ * Extracts an error message from a provider's JSON error body
+ * @param {Object} errorData - Parsed JSON error body
+ * @returns {string|null}
+ */
+export function getProviderErrorMessage(errorData) {
+  return errorData?.error?.message || errorData?.message || null
+}
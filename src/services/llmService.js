@@ -1,113 +1,469 @@
 // LLM Service for making API calls to language models
 // This service handles prompt engineering and API communication
 
-import { htmlToPlainText, plainTextToHtml } from '../utils/templateConverter'
+import { htmlToPlainText } from '../utils/templateConverter'
+import { DEFAULT_PROVIDER_ID, getContextWindow, normalizeProviderSettings } from './llmProviders'
+import { LLMError, AuthError, NetworkError, TimeoutError, classifyLLMError } from './llmErrors'
+import { getCompany } from './companyService'
+import { supabase } from './supabase'
+import { readSSE } from '../utils/sse'
+import { READINESS_ITEMS, READINESS_STATUSES, isChecklistReady } from '../config/readinessChecklist'
+import { SELECTION_ACTION_MODES } from '../config/selectionActions'
+import { estimateTokens, fitContextToBudget, truncateToTokens } from '../utils/tokenBudget'
+import { getDocumentText, EXTRACTION_STATUSES } from './textExtractionService'
+import { LOW_OCR_CONFIDENCE } from './ocrService'
+import { describeAnchor } from '../utils/annotationAnchors'
+import { labelSources, extractCitations, stripCitationMarkers } from '../utils/citations'
+import { splitDraftBlocks, formatBlocksForPrompt, formatBlocksAsHtmlForPrompt, parseDraftPatches, parseEditResponse } from '../utils/draftPatches'
+import { crossCheckDraft, contactInfoToText, FACT_CATEGORIES, FACT_SEVERITIES } from '../utils/factCheck'
+import { formatEditHistoryForPrompt } from '../utils/editHistory'
+import { retrievePassages } from './retrievalService'
+import { getActivePromptVersion } from './promptService'
+import { PROMPT_KEYS, getDefaultPrompt } from '../config/defaultPrompts'
+import { renderPromptTemplate } from '../utils/promptTemplates'
+import { LLM_MOCK_ENABLED, fetchMockLLM } from './llmMock'
+
+// Requests go through the serverless proxy in /api/llm, which holds the provider API keys
+const LLM_PROXY_URL = import.meta.env.VITE_LLM_PROXY_URL || '/api/llm'
+const DEFAULT_PROVIDER = import.meta.env.VITE_LLM_PROVIDER || DEFAULT_PROVIDER_ID
+
+// Retry policy for transient failures (rate limits, timeouts, network errors, 5xx)
+const DEFAULT_MAX_RETRIES = 3
+const RETRY_BASE_DELAY_MS = 1000
+const RETRY_MAX_DELAY_MS = 30000
+// Time allowed for the proxy to start responding
+const DEFAULT_TIMEOUT_MS = 120000
+
+// Tokens held back for prompt instructions, message framing and estimation error
+const PROMPT_OVERHEAD_TOKENS = 300
+// Size of the document excerpts shown to the chat assistant
+const CHAT_DOCUMENT_EXCERPT_TOKENS = 250
+// Longest quoted passage included with an attorney note
+const MAX_NOTE_QUOTE_CHARS = 500
+// Retrieved document passages sent with a chat turn or an edit (see retrievalService)
+const CHAT_PASSAGE_LIMIT = 4
+const CHAT_PASSAGE_TOKENS = 1000
+const EDIT_PASSAGE_LIMIT = 5
+const EDIT_PASSAGE_TOKENS = 1500
+// Recent user messages used as the search query for the chat assistant
+const CHAT_QUERY_MESSAGES = 3
+
+// Company provider settings, cached per company ID for the session
+const companyProviderCache = new Map()
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://api.openai.com/v1'
-const API_KEY = import.meta.env.VITE_OPENAI_API_KEY
+/**
+ * Loads the LLM provider settings configured for a company (companies.settings.llmProvider)
+ * @param {string} companyId - The company ID
+ * @returns {Promise<Object|null>} The provider settings, or null if none are configured
+ */
+async function getCompanyProviderSettings(companyId) {
+  if (!companyId) return null
+  if (companyProviderCache.has(companyId)) {
+    return companyProviderCache.get(companyId)
+  }
+
+  try {
+    const company = await getCompany(companyId)
+    const settings = normalizeProviderSettings(company?.settings?.llmProvider)
+    companyProviderCache.set(companyId, settings)
+    return settings
+  } catch (error) {
+    console.error('Error loading company LLM provider settings:', error)
+    return null
+  }
+}
 
 /**
- * Makes a call to the LLM API
- * @param {string} prompt - The full prompt to send to the LLM
- * @param {Object} options - Additional options for the API call
- * @returns {Promise<string>} The generated response text
+ * Resolves which LLM provider a case's requests run on, to size their context for its model
+ * A provider selected on the case (cases.metadata.llmProvider) wins over the company default,
+ * which wins over the VITE_LLM_PROVIDER environment default. The proxy resolves the same settings
+ * itself when it routes the request; this copy is only used for budgeting.
+ * @param {Object} caseData - Case data object (may be null)
+ * @returns {Promise<Object>} Provider settings ({ provider, model?, ... })
  */
-export async function callLLM(prompt, options = {}) {
-  if (!API_KEY) {
-    throw new Error('OpenAI API key is not configured. Please set VITE_OPENAI_API_KEY in your environment variables.')
+export async function resolveProviderSettings(caseData = null) {
+  const caseSettings = normalizeProviderSettings(caseData?.metadata?.llmProvider)
+  if (caseSettings) return caseSettings
+
+  const companySettings = await getCompanyProviderSettings(caseData?.company_id)
+  if (companySettings) return companySettings
+
+  return { provider: DEFAULT_PROVIDER }
+}
+
+/**
+ * Values for the context variables prompts can use (see PROMPT_CONTEXT_VARIABLES)
+ * @param {Object} caseData - Case data object (may be null)
+ * @returns {Object} Variable name to value
+ */
+function getPromptContextValues(caseData) {
+  const contact = caseData?.contact_info || {}
+  return {
+    today: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    caseTitle: caseData?.title,
+    senderName: contact.your?.name,
+    recipientName: contact.recipient?.name,
+    recipientCompany: contact.recipient?.company
+  }
+}
+
+/**
+ * Resolves the system prompt for an AI feature
+ * The company's active version from the prompt library wins over the built-in prompt (defaultPrompts);
+ * its variables are filled from the case and from the values saved with the version
+ * @param {string} promptKey - One of PROMPT_KEYS
+ * @param {Object} caseData - Case data object (may be null)
+ * @returns {Promise<Object>} { systemPrompt, promptVersion } - promptVersion is { key, id, version },
+ *   with id and version null when the built-in prompt was used
+ */
+export async function resolveSystemPrompt(promptKey, caseData = null) {
+  let activeVersion = null
+  try {
+    activeVersion = await getActivePromptVersion(caseData?.company_id, promptKey)
+  } catch (error) {
+    console.error('Error loading prompt from the prompt library:', error)
+  }
+
+  const content = activeVersion ? activeVersion.content : getDefaultPrompt(promptKey).content
+  const { text } = renderPromptTemplate(content, {
+    ...(activeVersion?.variables || {}),
+    ...getPromptContextValues(caseData)
+  })
+
+  return {
+    systemPrompt: text,
+    promptVersion: {
+      key: promptKey,
+      id: activeVersion?.id || null,
+      version: activeVersion?.version || null
+    }
+  }
+}
+
+/**
+ * Calculates how long to wait before retrying a failed request
+ * Honors the server's Retry-After when given, otherwise uses exponential backoff with jitter
+ * @param {LLMError} error - The retryable error
+ * @param {number} attempt - Zero-based attempt number that just failed
+ * @returns {number|null} Delay in milliseconds, or null if the wait would be too long to retry
+ */
+function getRetryDelay(error, attempt) {
+  if (error.retryAfterMs !== null) {
+    return error.retryAfterMs <= RETRY_MAX_DELAY_MS ? error.retryAfterMs : null
+  }
+  const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt)
+  // Jitter spreads out retries from clients that failed at the same moment
+  return backoff / 2 + Math.random() * (backoff / 2)
+}
+
+/**
+ * Waits before a retry, rejecting with an AbortError if the caller cancels
+ */
+function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The request was aborted.', 'AbortError'))
+      return
+    }
+    const timer = setTimeout(resolve, delayMs)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(new DOMException('The request was aborted.', 'AbortError'))
+    }, { once: true })
+  })
+}
+
+/**
+ * Makes a single request to the proxy, converting failures into typed errors
+ * @param {string} body - JSON request body
+ * @param {Object} options - { signal, timeoutMs }
+ * @returns {Promise<Response>} The successful fetch response
+ */
+async function fetchProxyOnce(body, { signal, timeoutMs }) {
+  // The offline mock needs no session, so it works without Supabase
+  let session = null
+  if (!LLM_MOCK_ENABLED) {
+    ({ data: { session } } = await supabase.auth.getSession())
+    if (!session) throw new AuthError('User not authenticated')
+  }
+
+  // A private controller lets the timeout and the caller's signal both cancel the request
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeoutMs)
+  signal?.addEventListener('abort', () => controller.abort(), { once: true })
+
+  let response
+  try {
+    response = LLM_MOCK_ENABLED
+      ? await fetchMockLLM(body, { signal: controller.signal })
+      : await fetch(LLM_PROXY_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body,
+        signal: controller.signal
+      })
+  } catch (error) {
+    if (timedOut) throw new TimeoutError('The AI service took too long to respond.')
+    if (error.name === 'AbortError') throw error
+    throw new NetworkError(error.message || 'Network request failed')
+  } finally {
+    clearTimeout(timer)
   }
 
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw classifyLLMError(response.status, errorData, response.headers.get('retry-after'))
+  }
+
+  return response
+}
+
+/**
+ * Sends a prompt to the server-side proxy and returns the raw response
+ * Transient failures are retried with backoff; everything else is thrown as a typed LLMError
+ * @param {string} prompt - The full prompt to send to the LLM
+ * @param {Object} options - Options accepted by callLLM / streamLLM
+ * @param {boolean} stream - Whether to request a streamed (SSE) response
+ * @returns {Promise<Response>} The successful fetch response
+ */
+async function sendProxyRequest(prompt, options, stream) {
   const {
-    model = 'gpt-4',
     temperature = 0.7,
     maxTokens = 2000,
-    systemPrompt = null
+    systemPrompt = null,
+    caseId = null,
+    caller = null,
+    signal = null,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    timeoutMs = DEFAULT_TIMEOUT_MS
   } = options
 
-  try {
-    const messages = []
-    
-    if (systemPrompt) {
-      messages.push({
-        role: 'system',
-        content: systemPrompt
-      })
-    }
-    
+  const messages = []
+  
+  if (systemPrompt) {
     messages.push({
-      role: 'user',
-      content: prompt
+      role: 'system',
+      content: systemPrompt
     })
+  }
+  
+  messages.push({
+    role: 'user',
+    content: prompt
+  })
 
-    const response = await fetch(`${API_BASE_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        temperature,
-        max_tokens: maxTokens
-      })
-    })
+  const body = JSON.stringify({
+    messages,
+    temperature,
+    maxTokens,
+    caseId,
+    caller,
+    stream
+  })
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchProxyOnce(body, { signal, timeoutMs })
+    } catch (error) {
+      if (error.name === 'AbortError' || !error.retryable || attempt >= maxRetries) throw error
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      throw new Error(errorData.error?.message || `API request failed with status ${response.status}`)
+      const delay = getRetryDelay(error, attempt)
+      if (delay === null) throw error
+
+      console.warn(`LLM request failed (${error.code}), retrying in ${Math.round(delay)}ms...`)
+      await waitForRetry(delay, signal)
     }
+  }
+}
 
+/**
+ * Makes a call to the LLM API through the server-side proxy
+ * @param {string} prompt - The full prompt to send to the LLM
+ * @param {Object} options - Additional options for the API call
+ * @param {string} options.caseId - Case the request is made for (the proxy runs it on the case's provider and
+ *   model, and records its usage against the case)
+ * @param {string} options.caller - Function making the request (recorded with its usage)
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @param {number} options.maxRetries - Retries for transient failures (default 3)
+ * @param {number} options.timeoutMs - Time allowed for the service to start responding
+ * @returns {Promise<string>} The generated response text
+ * @throws {LLMError} A typed error (RateLimitError, AuthError, ContextLengthError, ...) on failure
+ */
+export async function callLLM(prompt, options = {}) {
+  try {
+    const response = await sendProxyRequest(prompt, options, false)
     const data = await response.json()
-    return data.choices[0]?.message?.content || ''
+    return data.content || ''
   } catch (error) {
     console.error('LLM API call failed:', error)
     throw error
   }
 }
 
+/**
+ * Streaming variant of callLLM - text is delivered as it is generated
+ * Takes the same options as callLLM, plus onToken. Failures before the stream starts are
+ * retried like callLLM; a stream that breaks part-way through is not.
+ * @param {string} prompt - The full prompt to send to the LLM
+ * @param {Object} options - Additional options for the API call
+ * @param {Function} options.onToken - Called with (delta, fullText) each time text arrives
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request (rejects with an AbortError)
+ * @returns {Promise<string>} The complete generated text
+ */
+export async function streamLLM(prompt, options = {}) {
+  const { onToken = null } = options
+
+  try {
+    const response = await sendProxyRequest(prompt, options, true)
+
+    let fullText = ''
+    let streamError = null
+
+    await readSSE(response.body, (data) => {
+      if (data === '[DONE]') return
+
+      // A malformed or partial event is skipped rather than ending the stream
+      let event
+      try {
+        event = JSON.parse(data)
+      } catch {
+        return
+      }
+
+      if (event.error) {
+        streamError = classifyLLMError(502, event)
+        return
+      }
+      if (typeof event.text !== 'string') return
+
+      fullText += event.text
+      if (onToken) {
+        onToken(event.text, fullText)
+      }
+    })
+
+    if (streamError) throw streamError
+    return fullText
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    console.error('LLM streaming call failed:', error)
+    // A dropped connection mid-stream surfaces as a plain TypeError
+    throw error instanceof LLMError ? error : new NetworkError(error.message || 'The response stream was interrupted')
+  }
+}
+
+/**
+ * Runs a completion, streaming it when the caller asked for progressive output
+ * @param {string} prompt - The full prompt
+ * @param {Object} llmOptions - Options for callLLM / streamLLM
+ * @param {Object} requestOptions - Caller options ({ onToken, signal })
+ * @returns {Promise<string>} The generated text
+ */
+function requestCompletion(prompt, llmOptions, { onToken = null, signal = null } = {}) {
+  if (onToken) {
+    return streamLLM(prompt, { ...llmOptions, onToken, signal })
+  }
+  return callLLM(prompt, { ...llmOptions, signal })
+}
+
+// Marks where the assistant's reply ends and its JSON readiness checklist begins
+const READINESS_DELIMITER = '<<<READINESS>>>'
+
+/**
+ * Removes the readiness block (or a partially streamed delimiter) from assistant text
+ * @param {string} text - Raw assistant output
+ * @returns {string} The user-facing reply
+ */
+function stripReadinessBlock(text) {
+  const index = text.indexOf(READINESS_DELIMITER)
+  if (index !== -1) return text.slice(0, index).trimEnd()
+
+  // While streaming, the delimiter can arrive split across chunks
+  for (let length = READINESS_DELIMITER.length - 1; length > 0; length--) {
+    if (text.endsWith(READINESS_DELIMITER.slice(0, length))) {
+      return text.slice(0, -length)
+    }
+  }
+  return text
+}
+
+/**
+ * Parses the assistant's output into its reply and readiness checklist
+ * @param {string} text - Raw assistant output
+ * @returns {{ reply: string, checklist: Object|null }}
+ */
+function parseReadinessResponse(text) {
+  const reply = stripReadinessBlock(text).trim()
+  const index = text.indexOf(READINESS_DELIMITER)
+  if (index === -1) return { reply, checklist: null }
+
+  const block = text.slice(index + READINESS_DELIMITER.length)
+  const jsonMatch = block.match(/\{[\s\S]*\}/)
+  if (!jsonMatch) return { reply, checklist: null }
+
+  try {
+    const parsed = JSON.parse(jsonMatch[0])
+    const validStatuses = Object.values(READINESS_STATUSES)
+    const checklist = {}
+    READINESS_ITEMS.forEach(item => {
+      const entry = parsed[item.id] || {}
+      checklist[item.id] = {
+        status: validStatuses.includes(entry.status) ? entry.status : READINESS_STATUSES.MISSING,
+        note: typeof entry.note === 'string' ? entry.note : ''
+      }
+    })
+    return { reply, checklist }
+  } catch (error) {
+    console.error('Could not parse readiness checklist:', error)
+    return { reply, checklist: null }
+  }
+}
+
 /**
  * Conversational assistant to gather and confirm details before generating a demand letter
  * @param {Array} chatMessages - Array of chat message objects (conversation history)
  * @param {Array} documents - Array of uploaded document objects
  * @param {Object} caseData - Case data object containing contact_info
- * @returns {Promise<string>} The assistant's response
+ * @param {Object} options - Optional request options ({ onToken, signal }); onToken streams the reply text only
+ * @returns {Promise<Object>} { reply, checklist, missing, readyToGenerate, passages } - checklist maps each
+ *   READINESS_ITEMS id to { status, note }, or is null if the model did not return one;
+ *   passages are the document passages retrieved for the latest messages (see retrievePassages)
  */
-export async function chatAssistant(chatMessages, documents = [], caseData = null) {
-  const systemPrompt = `You are a professional legal assistant helping to gather information needed to draft a demand letter. 
-Your role is to:
-1. Analyze the information already provided (from conversation, case details, and documents)
-2. Identify what information is still missing or needs clarification
-3. Ask specific, targeted questions to gather missing details
-4. Confirm when all necessary information has been collected
-5. Assemble and summarize the details and evidence when ready
-
-Key information needed for a demand letter:
-- Facts of the case (what happened, when, where, who was involved)
-- Legal basis for the demand (contract, agreement, law, etc.)
-- Specific amount being demanded OR specific action being demanded
-- Timeline of events
-- Evidence supporting the claim (documents, communications, etc.)
-- Contact information (sender and recipient) - This is ALREADY PROVIDED in case details, do NOT ask for it
-- Deadline for response (if not specified, suggest 10-30 days)
-
-When you have gathered sufficient information, you should:
-1. Summarize all the details and evidence collected
-2. Confirm with the user that everything is correct
-3. Indicate that you're ready to generate the demand letter
-
-Be conversational, professional, and thorough. Ask one or two questions at a time to avoid overwhelming the user.`
+export async function chatAssistant(chatMessages, documents = [], caseData = null, options = {}) {
+  const { systemPrompt } = await resolveSystemPrompt(PROMPT_KEYS.CHAT_ASSISTANT, caseData)
 
   // Extract conversation history
   const conversationHistory = chatMessages
     .map(msg => `${msg.sender === 'user' ? 'User' : 'Assistant'}: ${msg.text}`)
     .join('\n\n')
 
-  // Extract document information
+  // Extract document information - a short excerpt of each document is enough to judge the evidence
   const documentInfo = documents.length > 0
-    ? documents.map(doc => `- ${doc.name} (${doc.type})`).join('\n')
+    ? documents.map(doc => {
+      const promptDocument = toPromptDocument(doc)
+      return formatDocumentForPrompt({
+        ...promptDocument,
+        text: truncateToTokens(promptDocument.text, CHAT_DOCUMENT_EXCERPT_TOKENS)
+      })
+    }).join('\n\n---\n\n')
     : 'No documents uploaded yet.'
 
+  // Search the documents for what the user has just been talking about
+  const query = chatMessages
+    .filter(msg => msg.sender === 'user')
+    .slice(-CHAT_QUERY_MESSAGES)
+    .map(msg => msg.text)
+    .join('\n')
+  const passages = await retrievePassages(query, documents, { limit: CHAT_PASSAGE_LIMIT, maxTokens: CHAT_PASSAGE_TOKENS })
+  const passageSection = formatPassagesForPrompt(passages)
+
   // Extract case contact information - provide FULL details
   let contactInfoSummary = ''
   if (caseData && caseData.contact_info) {
@@ -139,7 +495,7 @@ ${contactInfoSummary}
 
 UPLOADED DOCUMENTS:
 ${documentInfo}
-
+${passageSection ? `\n${passageSection}\n` : ''}
 CONVERSATION HISTORY:
 ${conversationHistory || 'No conversation history yet.'}
 
@@ -151,14 +507,163 @@ Based on the information above, please:
    - Confirms that all details are present and offers to summarize everything, OR
    - Provides a summary of all collected details and evidence if the user is ready
 
-Be concise but thorough. Focus on gathering case facts, legal basis, demands, timeline, and evidence. Contact information is already complete and should not be requested. If everything seems complete, offer to summarize and confirm before generating the letter.`
+Be concise but thorough. Focus on gathering case facts, legal basis, demands, timeline, and evidence. Contact information is already complete and should not be requested. If everything seems complete, offer to summarize and confirm before generating the letter.
 
-  return await callLLM(prompt, {
+After your response, output a line containing exactly ${READINESS_DELIMITER} followed by a JSON object assessing everything gathered so far (not just this turn). Use these keys:
+${READINESS_ITEMS.map(item => `- "${item.id}": ${item.description}`).join('\n')}
+Each value must be {"status": "complete" | "partial" | "missing", "note": "<short summary of what is known or still needed>"}.
+Mark an item "complete" only when the user has clearly provided it. Output nothing after the JSON object.`
+
+  const { onToken = null, ...requestOptions } = options
+  const rawResponse = await requestCompletion(prompt, {
     systemPrompt,
-    model: 'gpt-4',
+    caseId: caseData?.id || null,
+    caller: 'chatAssistant',
     temperature: 0.7,
-    maxTokens: 1000
+    maxTokens: 1300
+  }, {
+    ...requestOptions,
+    // Only stream the reply - the checklist block is parsed once the response is complete
+    onToken: onToken ? (delta, fullText) => onToken(delta, stripReadinessBlock(fullText)) : null
+  })
+
+  const { reply, checklist } = parseReadinessResponse(rawResponse)
+  return {
+    reply,
+    checklist,
+    missing: checklist
+      ? READINESS_ITEMS.filter(item => checklist[item.id].status !== READINESS_STATUSES.COMPLETE).map(item => item.id)
+      : [],
+    readyToGenerate: isChecklistReady(checklist),
+    passages
+  }
+}
+
+/**
+ * Collects the prompt-relevant fields of an uploaded document
+ * @param {Object} doc - Document object from DocumentContext
+ * @returns {Object} { id, name, type, text, extractionStatus, ocrConfidence }
+ */
+function toPromptDocument(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    type: doc.type,
+    text: getDocumentText(doc) || '',
+    extractionStatus: doc.extractionStatus,
+    ocrConfidence: doc.ocrConfidence ?? null
+  }
+}
+
+/**
+ * Formats a document for inclusion in a prompt
+ * Text that came from OCR is labelled with its confidence so the model treats it with care
+ * @param {Object} doc - Document from toPromptDocument
+ * @returns {string} The document block
+ */
+function formatDocumentForPrompt(doc) {
+  if (doc.text) {
+    let source = ''
+    if (doc.ocrConfidence !== null && doc.ocrConfidence !== undefined) {
+      source = ` (text recognized by OCR, ${doc.ocrConfidence}% confidence${doc.ocrConfidence < LOW_OCR_CONFIDENCE ? ' - may contain recognition errors' : ''})`
+    }
+    return `Document: ${doc.name}${source}\n${doc.text}`
+  }
+  if (doc.extractionStatus === EXTRACTION_STATUSES.EXTRACTING || doc.extractionStatus === EXTRACTION_STATUSES.RECOGNIZING) {
+    return `Document: ${doc.name} (${doc.type}) - Text extraction was still in progress, content not included`
+  }
+  return `Document: ${doc.name} (${doc.type}) - No readable text could be extracted from this file`
+}
+
+/**
+ * Formats retrieved document passages as a prompt section
+ * @param {Array} passages - Passages from retrievePassages
+ * @returns {string} The section, or an empty string if nothing relevant was found
+ */
+function formatPassagesForPrompt(passages) {
+  if (!passages || passages.length === 0) return ''
+  const blocks = passages.map(passage =>
+    `[${passage.documentName}${passage.page ? `, page ${passage.page}` : ''}]\n${passage.text}`
+  )
+  return `RELEVANT DOCUMENT PASSAGES (found in the uploaded documents by searching for what this request is about):
+${blocks.join('\n\n')}`
+}
+
+/**
+ * Formats the attorney's document annotations as a prompt section
+ * Each note is listed with the document and passage it refers to
+ * @param {Array} documents - Uploaded document objects
+ * @param {Object|null} annotations - Map of document ID to annotations ({ note, anchor })
+ * @returns {string} The ATTORNEY NOTES section, or an empty string if there are no notes
+ */
+function formatAttorneyNotes(documents, annotations) {
+  if (!annotations) return ''
+
+  const notes = []
+  documents.forEach(doc => {
+    (annotations[doc.id] || []).forEach(annotation => {
+      const quote = annotation.anchor?.quote
+        ? ` "${annotation.anchor.quote.length > MAX_NOTE_QUOTE_CHARS ? `${annotation.anchor.quote.slice(0, MAX_NOTE_QUOTE_CHARS)}...` : annotation.anchor.quote}"`
+        : ''
+      notes.push(`- ${doc.name} (${describeAnchor(annotation.anchor)})${quote}: ${annotation.note}`)
+    })
+  })
+
+  if (notes.length === 0) return ''
+  return `ATTORNEY NOTES (the attorney's own annotations on the evidence - give them priority and reflect them in the letter):
+${notes.join('\n')}`
+}
+
+/**
+ * Fits the user's chat messages and document text into the model's context window
+ * Older messages are dropped and long documents truncated as needed (see fitContextToBudget)
+ * @param {Object} params
+ * @param {Array} params.chatMessages - Chat message objects (only user messages are included)
+ * @param {Array} params.documents - Uploaded document objects
+ * @param {Object} params.providerSettings - Settings from resolveProviderSettings
+ * @param {string} params.model - Requested model name
+ * @param {number} params.maxTokens - Tokens reserved for the response
+ * @param {string} params.fixedText - Prompt text that is always sent (system prompt, contact info, template)
+ * @param {boolean} params.citeSources - Prefix each message and document with a citation label (M1, D1, ...)
+ * @returns {{ conversationText: string, documentTexts: string, report: Object, sources: Object|null }}
+ *   sources holds the labelled messages and documents (see labelSources) when citeSources is set
+ */
+function buildBudgetedContext({ chatMessages, documents, providerSettings, model, maxTokens, fixedText, citeSources = false }) {
+  const availableTokens = getContextWindow(providerSettings, model) -
+    maxTokens -
+    estimateTokens(fixedText) -
+    PROMPT_OVERHEAD_TOKENS
+
+  const { messages, documents: keptDocuments, report } = fitContextToBudget({
+    messages: chatMessages
+      .filter(msg => msg.sender === 'user')
+      .map(msg => ({ id: msg.id, text: msg.text })),
+    documents: documents.map(toPromptDocument),
+    availableTokens
   })
+
+  const sources = citeSources ? labelSources({ messages, documents: keptDocuments }) : null
+  const promptMessages = sources ? sources.messages : messages
+  const promptDocuments = sources ? sources.documents : keptDocuments
+
+  let conversationText = promptMessages
+    .map(msg => msg.label ? `[${msg.label}] ${msg.text}` : msg.text)
+    .join('\n\n')
+  if (report.droppedMessages.length > 0) {
+    conversationText = `[${report.droppedMessages.length} earlier message(s) omitted to fit the model's context window]\n\n${conversationText}`
+  }
+
+  // Name dropped documents so the model knows they exist even though it cannot read them
+  const documentBlocks = promptDocuments
+    .map(doc => doc.label ? `[${doc.label}] ${formatDocumentForPrompt(doc)}` : formatDocumentForPrompt(doc))
+    .concat(report.droppedDocuments.map(doc => `Document: ${doc.name} - Omitted to fit the model's context window`))
+
+  return {
+    conversationText,
+    documentTexts: documentBlocks.join('\n\n---\n\n'),
+    report,
+    sources
+  }
 }
 
 /**
@@ -166,38 +671,14 @@ Be concise but thorough. Focus on gathering case facts, legal basis, demands, ti
  * @param {Array} chatMessages - Array of chat message objects
  * @param {Array} documents - Array of uploaded document objects
  * @param {Object} caseData - Case data object containing contact_info
+ * @param {Object} options - Optional request options ({ onToken, signal })
+ * @param {Function} options.onContextReport - Called with the budget report (see fitContextToBudget) before the request is sent
  * @returns {Promise<string>} A comprehensive summary of all details and evidence
  */
-export async function assembleDetailsSummary(chatMessages, documents = [], caseData = null) {
-  const systemPrompt = `You are a legal assistant assembling a comprehensive summary of all details and evidence collected for a demand letter.
-Create a clear, organized summary that includes:
-1. All facts of the case
-2. Legal basis for the demand
-3. Specific amount or action being demanded
-4. Timeline of events
-5. Evidence collected (documents, communications, etc.)
-6. Contact information
-7. Any other relevant details
-
-Format this as a clear, professional summary that can be reviewed before generating the final demand letter.`
-
-  // Extract conversation history
-  const conversationText = chatMessages
-    .filter(msg => msg.sender === 'user')
-    .map(msg => msg.text)
-    .join('\n\n')
+export async function assembleDetailsSummary(chatMessages, documents = [], caseData = null, options = {}) {
+  const { systemPrompt } = await resolveSystemPrompt(PROMPT_KEYS.DETAILS_SUMMARY, caseData)
 
-  // Extract document content
-  const documentTexts = documents
-    .filter(doc => doc.content && typeof doc.content === 'string')
-    .map(doc => {
-      if (doc.type.startsWith('text/') || doc.type === 'application/json') {
-        return `Document: ${doc.name}\n${doc.content}`
-      } else {
-        return `Document: ${doc.name} (${doc.type}) - Content available but not extracted in text format`
-      }
-    })
-    .join('\n\n---\n\n')
+  const { onContextReport = null, ...requestOptions } = options
 
   // Extract case contact information
   let contactInfoText = ''
@@ -220,6 +701,19 @@ Recipient Information:
 - Address: ${recipient.address || 'Not provided'}`
   }
 
+  const providerSettings = await resolveProviderSettings(caseData)
+  const maxTokens = 2000
+  // Trim the conversation and documents to fit the model, reporting anything left out
+  const { conversationText, documentTexts, report } = buildBudgetedContext({
+    chatMessages,
+    documents,
+    providerSettings,
+    model: 'gpt-4',
+    maxTokens,
+    fixedText: systemPrompt + contactInfoText
+  })
+  if (onContextReport) onContextReport(report)
+
   const prompt = `Please assemble a comprehensive summary of all details and evidence collected for this demand letter:
 
 ${contactInfoText ? `${contactInfoText}\n\n` : ''}CONVERSATION DETAILS:
@@ -230,12 +724,13 @@ ${documents.length > 0 ? `\nEVIDENCE/DOCUMENTS:\n${documentTexts}` : '\nNo docum
 Please create a clear, organized summary that includes all facts, legal basis, demands, timeline, evidence, and contact information. 
 This summary will be reviewed before generating the final demand letter.`
 
-  return await callLLM(prompt, {
+  return await requestCompletion(prompt, {
     systemPrompt,
-    model: 'gpt-4',
+    caseId: caseData?.id || null,
+    caller: 'assembleDetailsSummary',
     temperature: 0.5,
-    maxTokens: 2000
-  })
+    maxTokens
+  }, requestOptions)
 }
 
 /**
@@ -244,23 +739,15 @@ This summary will be reviewed before generating the final demand letter.`
  * @param {Array} documents - Array of uploaded document objects
  * @param {Object} caseData - Case data object containing contact_info
  * @param {Object} template - Optional template object with content to use as format guide
- * @returns {Promise<string>} The generated demand letter
+ * @param {Object} options - Optional request options ({ onToken, signal }); onToken streams the letter
+ * @param {Object} options.annotations - Map of document ID to attorney annotations, included as ATTORNEY NOTES
+ * @param {Function} options.onContextReport - Called with the budget report (see fitContextToBudget) before the request is sent
+ * @returns {Promise<Object>} { content, citations, promptVersion } - the generated demand letter, the sources
+ *   behind each paragraph (see extractCitations), and the prompt that produced it (see resolveSystemPrompt)
  */
-export async function generateLegalDemandLetter(chatMessages, documents = [], caseData = null, template = null) {
-  let systemPrompt = `You are an expert legal assistant specializing in drafting professional demand letters. 
-Your task is to create a clear, professional, and legally sound demand letter based on the information provided 
-in the conversation, case contact information, and any uploaded documents.
-
-Guidelines for the demand letter:
-1. Use formal, professional language
-2. Clearly state the facts and legal basis for the demand
-3. Specify the exact amount or action being demanded
-4. Include a reasonable deadline for response (typically 10-30 days)
-5. Mention potential legal consequences if the demand is not met
-6. Maintain a professional but firm tone
-7. Include all relevant details from the conversation and documents
-8. Structure the letter with proper formatting (date, recipient, subject, body, closing)
-9. Use the exact contact information provided in the case details`
+export async function generateLegalDemandLetter(chatMessages, documents = [], caseData = null, template = null, options = {}) {
+  const resolvedPrompt = await resolveSystemPrompt(PROMPT_KEYS.DEMAND_LETTER, caseData)
+  let systemPrompt = resolvedPrompt.systemPrompt
 
   if (template && template.content) {
     systemPrompt += `\n\nCRITICAL: You must maintain the EXACT structure and layout of the provided template.
@@ -282,25 +769,13 @@ Your output should be structurally identical to the template, with only placehol
     systemPrompt += `\n\nFormat the response as a complete, ready-to-use demand letter.`
   }
 
-  // Extract conversation history
-  const conversationText = chatMessages
-    .filter(msg => msg.sender === 'user')
-    .map(msg => msg.text)
-    .join('\n\n')
+  systemPrompt += `\n\nSOURCE CITATIONS:
+Each chat message is labelled [M1], [M2], ... and each document [D1], [D2], ... in the information provided.
+End every paragraph that states a fact, amount, date or claim with a marker listing the sources it relies on,
+for example [[M2]] or [[D1 p.3, M4]]. Include the page number when the document text shows [Page N] markers.
+Only cite sources that actually support the paragraph. Do not cite anything for the date, addresses, greeting or closing.`
 
-  // Extract document content
-  const documentTexts = documents
-    .filter(doc => doc.content && typeof doc.content === 'string')
-    .map(doc => {
-      // For text-based documents, include the content
-      // For images/PDFs, we'll note their presence
-      if (doc.type.startsWith('text/') || doc.type === 'application/json') {
-        return `Document: ${doc.name}\n${doc.content}`
-      } else {
-        return `Document: ${doc.name} (${doc.type}) - Content available but not extracted in text format`
-      }
-    })
-    .join('\n\n---\n\n')
+  const { onContextReport = null, annotations = null, onToken = null, ...requestOptions } = options
 
   // Extract case contact information
   let contactInfoText = ''
@@ -323,9 +798,25 @@ Recipient Information:
 - Address: ${recipient.address || 'Not provided'}`
   }
 
+  const attorneyNotes = formatAttorneyNotes(documents, annotations)
+
+  const providerSettings = await resolveProviderSettings(caseData)
+  const maxTokens = 3000
+  // Trim the conversation and documents to fit the model, reporting anything left out
+  const { conversationText, documentTexts, report, sources } = buildBudgetedContext({
+    chatMessages,
+    documents,
+    providerSettings,
+    model: 'gpt-4',
+    maxTokens,
+    fixedText: systemPrompt + contactInfoText + attorneyNotes,
+    citeSources: true
+  })
+  if (onContextReport) onContextReport(report)
+
   let prompt = `Please generate a legal demand letter based on the following information:
 
-${contactInfoText ? `${contactInfoText}\n\n` : ''}CONVERSATION HISTORY:
+${contactInfoText ? `${contactInfoText}\n\n` : ''}${attorneyNotes ? `${attorneyNotes}\n\n` : ''}CONVERSATION HISTORY:
 ${conversationText || 'No conversation history provided.'}
 
 ${documents.length > 0 ? `\nUPLOADED DOCUMENTS:\n${documentTexts}` : '\nNo documents were uploaded.'}`
@@ -341,140 +832,331 @@ conversation, and documents. Make sure the letter is professional, clear, and ac
 provided in the case details.`
   }
 
-  return await callLLM(prompt, {
+  const rawLetter = await requestCompletion(prompt, {
     systemPrompt,
-    model: 'gpt-4',
+    caseId: caseData?.id || null,
+    caller: 'generateLegalDemandLetter',
     temperature: 0.5, // Lower temperature for more consistent legal writing
-    maxTokens: 3000
+    maxTokens
+  }, {
+    ...requestOptions,
+    // Citation markers are parsed out once the letter is complete, so keep them out of the preview
+    onToken: onToken ? (delta, fullText) => onToken(delta, stripCitationMarkers(fullText, true)) : null
   })
+
+  return {
+    ...extractCitations(rawLetter, sources),
+    promptVersion: resolvedPrompt.promptVersion
+  }
 }
 
 /**
- * Parses user instruction to find referenced documents
- * Looks for document names, file extensions, or phrases like "from document", "using the contract", etc.
- * @param {string} instruction - User's editing instruction
- * @param {Array} documents - Array of available document objects
- * @returns {Array} Array of document objects that are referenced
+ * First stage of an edit: asks the model which blocks of the draft the instruction affects
+ * Only the plain text of the draft is sent, and only block numbers come back
+ * @param {Array} blocks - Blocks from splitDraftBlocks
+ * @param {string} userInstruction - User's instruction for what to change
+ * @param {Object} llmOptions - Case and request options for the call
+ * @param {string} llmOptions.historyContext - Earlier editing turns, from formatEditHistoryForPrompt
+ * @returns {Promise<Array<number>>} One-based block numbers, in document order
  */
-function findReferencedDocuments(instruction, documents) {
-  if (!documents || documents.length === 0) return []
-  
-  const instructionLower = instruction.toLowerCase()
-  const referencedDocs = []
-  
-  // Check each document to see if it's mentioned
-  documents.forEach(doc => {
-    const docNameLower = doc.name.toLowerCase()
-    const docNameWithoutExt = docNameLower.replace(/\.[^.]+$/, '') // Remove extension
-    
-    // Check for various patterns
-    const patterns = [
-      docNameLower, // Full filename
-      docNameWithoutExt, // Filename without extension
-      doc.name, // Original case filename
-    ]
-    
-    // Also check for common phrases
-    const phrasePatterns = [
-      `from ${docNameLower}`,
-      `from ${docNameWithoutExt}`,
-      `using ${docNameLower}`,
-      `using ${docNameWithoutExt}`,
-      `the ${docNameLower}`,
-      `the ${docNameWithoutExt}`,
-      `document ${docNameLower}`,
-      `${docNameLower} document`,
-    ]
-    
-    // Check if any pattern matches
-    const isReferenced = patterns.some(pattern => instructionLower.includes(pattern)) ||
-                        phrasePatterns.some(pattern => instructionLower.includes(pattern)) ||
-                        // Check for file extension mentions
-                        (docNameLower.includes('.') && instructionLower.includes(docNameLower.split('.').pop()))
-    
-    if (isReferenced) {
-      referencedDocs.push(doc)
-    }
-  })
-  
-  return referencedDocs
+async function locateEditBlocks(blocks, userInstruction, { caseId, historyContext, requestOptions }) {
+  const prompt = `Here is a demand letter, one numbered block per paragraph, heading or list:
+
+${formatBlocksForPrompt(blocks)}
+${historyContext ? `\n${historyContext}\n` : ''}
+=== EDITING INSTRUCTION ===
+${userInstruction}
+
+Which blocks have to change to carry out this instruction? Include a block if new text should be added right after it.
+If the instruction refers to an earlier turn (e.g. "undo that" or "do the same for..."), find where that text is in the letter now.
+Respond with JSON only: {"blocks": [<block numbers>]}. Return {"blocks": []} if the instruction needs no change to the letter.`
+
+  const response = await requestCompletion(prompt, {
+    systemPrompt: 'You locate the parts of a legal letter an editing instruction applies to. Respond with JSON only.',
+    caseId,
+    caller: 'locateEditBlocks',
+    temperature: 0,
+    maxTokens: 300
+  }, requestOptions)
+
+  const numbers = parseEditResponse(response).blocks
+  return Array.from(new Set((Array.isArray(numbers) ? numbers : [])
+    .map(Number)
+    .filter(number => Number.isInteger(number) && number >= 1 && number <= blocks.length)))
+    .sort((a, b) => a - b)
 }
 
 /**
- * Edits an existing draft letter based on user instructions
- * Uses minimal context by default - only includes documents if explicitly referenced
- * @param {string} currentDraftContent - The current draft content to edit
+ * Proposes edits to an existing draft letter based on user instructions
+ * Works in two stages: the model first picks the blocks the instruction affects, then sees only those
+ * blocks - as HTML, so their inline formatting is kept - and returns targeted changes to them.
+ * Nothing outside the changed blocks is touched (see draftPatches).
+ * Document passages relevant to the instruction and the blocks being edited are retrieved automatically
+ * @param {string} currentDraftContent - The current draft content (HTML) to edit
  * @param {string} userInstruction - User's instruction for what to change
- * @param {Array} documents - Array of uploaded document objects (only included if referenced)
- * @returns {Promise<string>} The edited draft content
+ * @param {Array} documents - Array of uploaded document objects, searched for relevant passages
+ * @param {Object} caseData - Optional case data object, used to pick the case's LLM provider
+ * @param {Object} options - Optional request options ({ signal })
+ * @param {Object} options.annotations - Map of document ID to attorney annotations, included as ATTORNEY NOTES
+ * @param {Array} options.history - Earlier turns from buildEditHistory, used to resolve references to them
+ * @returns {Promise<Object>} { baseContent, blocks, summary, changes, skipped, passages } - apply accepted changes
+ *   to blocks with applyDraftPatches; skipped counts proposals that did not match the draft;
+ *   passages are the document passages that were sent (see retrievePassages)
  */
 export async function editDraftContent(
   currentDraftContent,
   userInstruction,
-  documents = []
+  documents = [],
+  caseData = null,
+  options = {}
 ) {
-  const systemPrompt = `You are an expert legal document editor specializing in demand letters.
-Your role is to edit and refine existing demand letters based on user instructions while maintaining:
-1. Professional legal tone and language
-2. Proper formatting and structure
-3. Legal accuracy and completeness
-4. All relevant case details and contact information (already present in the draft)
-
-CRITICAL EDITING RULES:
-- Preserve the overall structure and organization of the document
-- Maintain all contact information exactly as provided in the draft
-- Keep legal accuracy and professional tone
-- Only make changes that align with the user's instructions
-- Preserve formatting, spacing, and document structure
-- Do not remove important legal content unless explicitly requested
-- The draft already contains all necessary information from the case - you don't need additional context unless the user specifically references documents or other sources`
-
-  // Convert HTML to plain text for LLM processing
-  // This prevents the LLM from modifying HTML structure
-  const plainTextDraft = htmlToPlainText(currentDraftContent)
-  
-  // Find documents referenced in the instruction
-  const referencedDocuments = findReferencedDocuments(userInstruction, documents)
-  
-  // Build document context only if documents are referenced
-  let documentContext = ''
-  if (referencedDocuments.length > 0) {
-    const documentTexts = referencedDocuments.map(doc => {
-      if (doc.content && typeof doc.content === 'string') {
-        // For text-based documents, include the content
-        if (doc.type.startsWith('text/') || doc.type === 'application/json') {
-          return `Document: ${doc.name}\n${doc.content}`
-        } else {
-          return `Document: ${doc.name} (${doc.type}) - Content available but not extracted in text format`
-        }
-      } else {
-        return `Document: ${doc.name} (${doc.type}) - Content not available`
-      }
-    }).join('\n\n---\n\n')
-    
-    documentContext = `\n\nREFERENCED DOCUMENTS:\n${documentTexts}`
+  const { systemPrompt: basePrompt } = await resolveSystemPrompt(PROMPT_KEYS.DRAFT_EDITOR, caseData)
+  // How changes are returned is fixed here, not in the editable prompt
+  const systemPrompt = `${basePrompt}
+- You describe changes as JSON operations on numbered blocks; you never return the whole letter
+- The user may refer to earlier turns ("undo that", "keep the tone", "do the same for the second paragraph"); use the earlier editing turns to work out what they mean`
+
+  const { annotations = null, history = [], ...requestOptions } = options
+  const caseId = caseData?.id || null
+  const historyContext = formatEditHistoryForPrompt(history)
+
+  const blocks = splitDraftBlocks(currentDraftContent)
+  const proposal = { baseContent: currentDraftContent, blocks }
+
+  // Stage one: find the blocks to change (a one-block draft needs no search)
+  const editableBlocks = blocks.length <= 1
+    ? blocks.map((_block, index) => index + 1)
+    : await locateEditBlocks(blocks, userInstruction, { caseId, historyContext, requestOptions })
+  if (editableBlocks.length === 0 && blocks.length > 0) {
+    return { ...proposal, summary: '', changes: [], skipped: 0, passages: [] }
   }
 
-  // Build the minimal prompt with plain text draft
-  let prompt = `You are editing an existing demand letter. Here is the current draft in plain text:
+  // Search the documents for what the instruction and the blocks being edited are about
+  const passages = await retrievePassages(
+    [userInstruction, ...editableBlocks.map(number => blocks[number - 1].text)].join('\n'),
+    documents,
+    { limit: EDIT_PASSAGE_LIMIT, maxTokens: EDIT_PASSAGE_TOKENS }
+  )
+  const passageSection = formatPassagesForPrompt(passages)
+  const documentContext = passageSection ? `\n\n${passageSection}` : ''
 
-=== CURRENT DRAFT ===
-${plainTextDraft}
+  // The attorney's notes on the evidence are short, so they are always included
+  const attorneyNotes = formatAttorneyNotes(documents, annotations)
+  const notesContext = attorneyNotes ? `\n\n${attorneyNotes}` : ''
 
+  // Stage two: only the affected blocks are sent, with their inline HTML
+  const prompt = `You are editing part of an existing demand letter. These are the blocks to change, numbered as in the full letter and shown as their inner HTML:
+
+=== BLOCKS TO EDIT ===
+${blocks.length > 0 ? formatBlocksAsHtmlForPrompt(blocks, editableBlocks) : '(The letter is empty - use insert_after with block 0)'}
+
+${historyContext ? `\n${historyContext}\n` : ''}
 === USER'S EDITING INSTRUCTION ===
-${userInstruction}${documentContext}
+${userInstruction}${documentContext}${notesContext}
+
+Respond with JSON only, in this exact shape:
+{"summary": "<one sentence describing what you changed>", "changes": [<operations>]}
+
+Available operations (N must be one of the block numbers shown above):
+- {"op": "replace_text", "block": N, "find": "<exact plain text from block N, without tags>", "replace": "<new plain text>", "reason": "<why>"}
+- {"op": "rewrite_block", "block": N, "text": "<complete new inner HTML of block N>", "reason": "<why>"}
+- {"op": "insert_after", "block": N, "text": "<inner HTML of a new paragraph>", "reason": "<why>"} (use block 0 to insert at the very start)
+- {"op": "delete_block", "block": N, "reason": "<why>"}
 
-CRITICAL: Return ONLY the complete edited draft content in plain text format. Maintain the exact same structure, line breaks, spacing, and organization as the original. Only make the specific changes requested by the user. Do not reformat, reorganize, or restructure the document. Do not include explanations or meta-commentary - just return the edited plain text draft.`
+Prefer replace_text for changes to a word or phrase - it keeps the surrounding formatting. When you rewrite a block,
+keep its existing tags around any text you keep. Use one operation per separate change so the user can accept or
+reject each one. Return {"summary": "...", "changes": []} if nothing should change.`
 
-  // Get edited plain text from LLM
-  const editedPlainText = await callLLM(prompt, {
+  const response = await requestCompletion(prompt, {
     systemPrompt,
-    model: 'gpt-4',
+    caseId,
+    caller: 'editDraftContent',
     temperature: 0.3, // Lower temperature for more precise editing
-    maxTokens: 3000 // Reduced from 4000 since we're using less context
+    maxTokens: 3000
+  }, requestOptions)
+
+  return {
+    ...proposal,
+    ...parseDraftPatches(response, blocks, { editableBlocks }),
+    passages
+  }
+}
+
+/**
+ * Parses the model's fact-check response into warnings
+ * @param {string} text - Raw model output, expected to contain a JSON object with an issues array
+ * @returns {Array} Warnings in the same shape as crossCheckDraft
+ */
+function parseConsistencyIssues(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/)
+  if (!jsonMatch) throw new Error('The fact check returned an unreadable response')
+
+  const parsed = JSON.parse(jsonMatch[0])
+  const categories = Object.values(FACT_CATEGORIES)
+  return (Array.isArray(parsed.issues) ? parsed.issues : [])
+    .filter(issue => issue && typeof issue.value === 'string' && issue.value.trim())
+    .map((issue, index) => ({
+      id: `model-${index + 1}`,
+      category: categories.includes(issue.category) ? issue.category : FACT_CATEGORIES.OTHER,
+      severity: issue.problem === 'contradicts' ? FACT_SEVERITIES.HIGH : FACT_SEVERITIES.MEDIUM,
+      value: issue.value.trim(),
+      message: typeof issue.explanation === 'string' ? issue.explanation : '',
+      recordValue: typeof issue.recordValue === 'string' && issue.recordValue ? issue.recordValue : null,
+      context: null,
+      origin: 'model'
+    }))
+}
+
+/**
+ * Reviews a draft against the case record before it is saved
+ * Runs the deterministic cross-check (see crossCheckDraft) and asks the model to flag amounts, dates,
+ * names and addresses that are missing from or contradict the record. If the model review fails,
+ * the cross-check results are still returned along with the error.
+ * @param {string} draftContent - The draft (HTML or plain text)
+ * @param {Array} chatMessages - The case's chat history (from getCaseMessages)
+ * @param {Array} documents - Array of uploaded document objects
+ * @param {Object} caseData - Case data object containing contact_info
+ * @param {Object} options - Optional request options ({ signal })
+ * @returns {Promise<Object>} { warnings, modelError } - warnings from both checks, most serious first;
+ *   modelError is null unless the model review failed
+ */
+export async function checkDraftConsistency(draftContent, chatMessages = [], documents = [], caseData = null, options = {}) {
+  const draftText = htmlToPlainText(draftContent)
+  const contactText = contactInfoToText(caseData?.contact_info)
+
+  const crossCheckWarnings = crossCheckDraft(draftText, [
+    contactText,
+    ...chatMessages.filter(msg => msg.sender === 'user').map(msg => msg.text),
+    ...documents.map(doc => getDocumentText(doc))
+  ])
+
+  const systemPrompt = `You are a meticulous legal proofreader. You compare a demand letter against the case record
+and flag every amount, date, name and address in the letter that does not appear in the record or contradicts it.
+Facts the letter states must be traceable to the record. Do not flag the letter's own date, response deadlines it sets,
+legal citations, or general legal language. Respond with JSON only.`
+
+  const providerSettings = await resolveProviderSettings(caseData)
+  const maxTokens = 1500
+  const { conversationText, documentTexts } = buildBudgetedContext({
+    chatMessages,
+    documents,
+    providerSettings,
+    model: 'gpt-4',
+    maxTokens,
+    fixedText: systemPrompt + draftText + contactText
   })
 
-  // Convert plain text back to HTML for the editor
-  return plainTextToHtml(editedPlainText)
+  const prompt = `=== CASE RECORD ===
+
+CONTACT INFORMATION:
+${contactText || 'Not provided'}
+
+CLIENT'S CHAT MESSAGES:
+${conversationText || 'None'}
+
+DOCUMENTS:
+${documentTexts || 'None'}
+
+=== DRAFT LETTER ===
+${draftText}
+
+List every problem as JSON in this exact shape:
+{"issues": [{"category": "amount" | "date" | "name" | "address" | "other", "value": "<the text as it appears in the letter>", "problem": "contradicts" | "unsupported", "recordValue": "<what the record says, or empty>", "explanation": "<one sentence>"}]}
+Use "contradicts" when the record gives a different value and "unsupported" when the record does not mention it.
+Return {"issues": []} if everything in the letter is supported by the record.`
+
+  let modelWarnings = []
+  let modelError = null
+  try {
+    const response = await requestCompletion(prompt, {
+      systemPrompt,
+      caseId: caseData?.id || null,
+      caller: 'checkDraftConsistency',
+      temperature: 0,
+      maxTokens
+    }, options)
+    modelWarnings = parseConsistencyIssues(response)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    console.error('Draft fact check failed:', error)
+    modelError = error
+  }
+
+  // The model often repeats what the cross-check found; keep its version, which explains the problem
+  const modelValues = new Set(modelWarnings.map(warning => warning.value.toLowerCase()))
+  const warnings = [
+    ...modelWarnings,
+    ...crossCheckWarnings.filter(warning => !modelValues.has(warning.value.toLowerCase()))
+  ].sort((a, b) => (a.severity === FACT_SEVERITIES.HIGH ? 0 : 1) - (b.severity === FACT_SEVERITIES.HIGH ? 0 : 1))
+
+  return { warnings, modelError }
 }
 
+/**
+ * Runs a system prompt against a sample input, for trying out a prompt before it is activated
+ * @param {string} systemPrompt - The rendered system prompt
+ * @param {string} testInput - Sample user message, case details or instruction
+ * @param {Object} options - Optional request options ({ onToken, signal })
+ * @returns {Promise<string>} The model's response
+ */
+export async function testSystemPrompt(systemPrompt, testInput, options = {}) {
+  return requestCompletion(testInput, {
+    systemPrompt,
+    caller: 'testSystemPrompt',
+    temperature: 0.5,
+    maxTokens: 1500
+  }, options)
+}
+
+// Characters of the surrounding letter sent with a selected passage
+const SELECTION_CONTEXT_CHARS = 600
+
+/**
+ * Runs an AI action on a passage selected in the editor
+ * Only the passage and a little of the text around it are sent
+ * @param {string} selectedText - The selected passage
+ * @param {Object} action - { instruction, mode } from SELECTION_ACTIONS, or a custom { instruction }
+ * @param {Object} context - { before, after } text surrounding the selection in the letter
+ * @param {Object} caseData - Optional case data object, used to pick the case's LLM provider
+ * @param {Object} options - Optional request options ({ signal })
+ * @returns {Promise<string>} The replacement passage (or, for explain actions, the explanation)
+ */
+export async function rewriteSelection(selectedText, action, { before = '', after = '' } = {}, caseData = null, options = {}) {
+  const isExplanation = action.mode === SELECTION_ACTION_MODES.EXPLAIN
+  const systemPrompt = isExplanation
+    ? 'You are a legal assistant who explains demand letters to clients in clear, friendly, plain English.'
+    : `You are an expert legal editor working on one passage of a demand letter.
+You return only the new version of the passage - no quotes, labels or commentary - so it can replace the original directly.
+Keep the passage's role in the letter: it must still read naturally between the text before and after it.`
+
+  const prompt = `=== TEXT BEFORE THE PASSAGE ===
+${before.slice(-SELECTION_CONTEXT_CHARS) || '(start of letter)'}
+
+=== PASSAGE ===
+${selectedText}
+
+=== TEXT AFTER THE PASSAGE ===
+${after.slice(0, SELECTION_CONTEXT_CHARS) || '(end of letter)'}
+
+=== TASK ===
+${action.instruction}
+
+${isExplanation
+    ? 'Return only the explanation.'
+    : 'Return only the rewritten passage. Keep its line breaks where they still make sense.'}`
+
+  const response = await requestCompletion(prompt, {
+    systemPrompt,
+    caseId: caseData?.id || null,
+    caller: 'rewriteSelection',
+    temperature: 0.4,
+    maxTokens: Math.min(2000, Math.max(300, estimateTokens(selectedText) * 3))
+  }, options)
+
+  // Models sometimes wrap the passage in a code fence or quotes despite the instructions
+  return response
+    .trim()
+    .replace(/^```[a-z]*\n?|\n?```$/g, '')
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .trim()
+}
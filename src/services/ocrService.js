@@ -0,0 +1,135 @@
+// OCR Service
+// Recognizes text in photos, scans and image-only PDF pages in the browser
+// using Tesseract (WebAssembly, runs in a web worker)
+
+import { loadPdfDocument } from './textExtractionService'
+
+const OCR_LANGUAGE = 'eng'
+
+// Scale applied when rasterizing PDF pages (2x = ~144 DPI, enough for typical scans)
+const PDF_RENDER_SCALE = 2
+
+// Pages with a text layer shorter than this are treated as scanned images
+const MIN_TEXT_LAYER_LENGTH = 20
+
+// Below this average confidence (0-100) the text is flagged as unreliable
+export const LOW_OCR_CONFIDENCE = 60
+
+/**
+ * Checks whether an uploaded file is an image Tesseract can read
+ * @param {Object} file - File or document object ({ type })
+ * @returns {boolean} True for image uploads
+ */
+export function isOcrImage(file) {
+  return /^image\/(png|jpe?g|gif|bmp|webp)$/.test(file.type || '')
+}
+
+/**
+ * Lists the PDF pages that have no usable text layer and need OCR
+ * @param {Array<string>} pages - Per-page text from text extraction
+ * @returns {Array<number>} One-based page numbers
+ */
+export function getPagesNeedingOcr(pages) {
+  if (!pages) return []
+  return pages
+    .map((text, index) => ((text || '').trim().length < MIN_TEXT_LAYER_LENGTH ? index + 1 : null))
+    .filter(pageNumber => pageNumber !== null)
+}
+
+/**
+ * Starts a Tesseract worker that reports recognition progress
+ * @param {Function} onProgress - Called with progress (0-1) of the current image
+ * @returns {Promise<Object>} The worker (call terminate() when finished)
+ */
+async function createOcrWorker(onProgress) {
+  const { createWorker } = await import('tesseract.js')
+  return createWorker(OCR_LANGUAGE, undefined, {
+    logger: (message) => {
+      if (message.status === 'recognizing text' && onProgress) {
+        onProgress(message.progress)
+      }
+    }
+  })
+}
+
+/**
+ * Renders a PDF page to a canvas for recognition
+ */
+async function renderPdfPage(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber)
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE })
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.ceil(viewport.width)
+  canvas.height = Math.ceil(viewport.height)
+
+  await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise
+  page.cleanup()
+  return canvas
+}
+
+/**
+ * Recognizes the text in an image file
+ * @param {File} file - The uploaded image
+ * @param {Object} options - { onProgress } - called with overall progress (0-1)
+ * @returns {Promise<Object>} { text, confidence } - confidence is Tesseract's mean word confidence (0-100)
+ */
+export async function recognizeImage(file, { onProgress = null } = {}) {
+  const worker = await createOcrWorker(onProgress)
+  try {
+    const { data } = await worker.recognize(file)
+    return {
+      text: data.text.trim(),
+      confidence: Math.round(data.confidence)
+    }
+  } finally {
+    await worker.terminate()
+  }
+}
+
+/**
+ * Recognizes the text on selected pages of a PDF
+ * @param {File} file - The uploaded PDF
+ * @param {Array<number>} pageNumbers - One-based page numbers to recognize
+ * @param {Object} options - { onProgress } - called with overall progress (0-1) across all pages
+ * @returns {Promise<Array>} One { page, text, confidence } entry per requested page
+ */
+export async function recognizePdfPages(file, pageNumbers, { onProgress = null } = {}) {
+  // Load the PDF first, so an unreadable file fails before there is a worker to clean up
+  const pdf = await loadPdfDocument(await file.arrayBuffer())
+
+  let currentIndex = 0
+  let worker
+  try {
+    worker = await createOcrWorker((progress) => {
+      if (onProgress) onProgress((currentIndex + progress) / pageNumbers.length)
+    })
+
+    const results = []
+    for (const pageNumber of pageNumbers) {
+      const canvas = await renderPdfPage(pdf, pageNumber)
+      const { data } = await worker.recognize(canvas)
+      results.push({
+        page: pageNumber,
+        text: data.text.trim(),
+        confidence: Math.round(data.confidence)
+      })
+      currentIndex++
+    }
+    return results
+  } finally {
+    pdf.destroy()
+    if (worker) await worker.terminate()
+  }
+}
+
+/**
+ * Averages per-page confidence scores, weighting each page by how much text it produced
+ * @param {Array} results - { text, confidence } entries
+ * @returns {number|null} Average confidence (0-100), or null if nothing was recognized
+ */
+export function averageConfidence(results) {
+  const withText = results.filter(result => result.text)
+  const totalLength = withText.reduce((sum, result) => sum + result.text.length, 0)
+  if (totalLength === 0) return null
+  return Math.round(withText.reduce((sum, result) => sum + result.confidence * result.text.length, 0) / totalLength)
+}
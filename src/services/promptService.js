@@ -0,0 +1,153 @@
+import { supabase } from './supabase'
+
+// Active prompt versions, cached per company and prompt for the session
+const activePromptCache = new Map()
+
+/**
+ * Get the current user's company ID
+ */
+async function getUserCompanyId(userId) {
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('company_id')
+    .eq('id', userId)
+    .single()
+
+  if (!profile) throw new Error('User profile not found')
+  return profile.company_id
+}
+
+/**
+ * Get all versions of a prompt for the current user's company
+ * @param {string} promptKey - One of PROMPT_KEYS
+ * @returns {Promise<Array>} Versions, newest first
+ */
+export async function getPromptVersions(promptKey) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user can only see their company's prompts
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('*')
+    .eq('prompt_key', promptKey)
+    .order('version', { ascending: false })
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Get the active version of a prompt for a company
+ * Used by llmService on every request, so results are cached for the session
+ * @param {string} companyId - The company ID
+ * @param {string} promptKey - One of PROMPT_KEYS
+ * @returns {Promise<Object|null>} The active version, or null if the built-in prompt is in use
+ */
+export async function getActivePromptVersion(companyId, promptKey) {
+  if (!companyId) return null
+
+  const cacheKey = `${companyId}:${promptKey}`
+  if (activePromptCache.has(cacheKey)) {
+    return activePromptCache.get(cacheKey)
+  }
+
+  // RLS will enforce that user is part of the company
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('prompt_key', promptKey)
+    .eq('is_active', true)
+    .maybeSingle()
+
+  if (error) throw error
+  activePromptCache.set(cacheKey, data)
+  return data
+}
+
+/**
+ * Save a prompt as a new version (versions are never edited in place)
+ * @param {string} promptKey - One of PROMPT_KEYS
+ * @param {Object} prompt - { content, variables, notes }
+ * @param {boolean} activate - Make the new version the active one
+ * @returns {Promise<Object>} The created version
+ */
+export async function createPromptVersion(promptKey, { content, variables = {}, notes = null }, activate = false) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const companyId = await getUserCompanyId(user.id)
+
+  // Number it after the latest version; the unique constraint rejects a concurrent duplicate
+  const { data: latest, error: latestError } = await supabase
+    .from('prompt_versions')
+    .select('version')
+    .eq('company_id', companyId)
+    .eq('prompt_key', promptKey)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+
+  if (latestError) throw latestError
+
+  // RLS will enforce that user is part of the company
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .insert({
+      company_id: companyId,
+      prompt_key: promptKey,
+      version: (latest?.version || 0) + 1,
+      content,
+      variables,
+      notes,
+      created_by: user.id
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return activate ? activatePromptVersion(data) : data
+}
+
+/**
+ * Make a version the active one for its prompt
+ * @param {Object} promptVersion - The version to activate ({ id, company_id, prompt_key })
+ * @returns {Promise<Object>} The activated version
+ */
+export async function activatePromptVersion(promptVersion) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // The database function switches off the current version and activates this one together, and checks
+  // that user is part of the company
+  const { data, error } = await supabase.rpc('activate_prompt_version', {
+    p_version_id: promptVersion.id
+  })
+
+  if (error) throw error
+  activePromptCache.delete(`${data.company_id}:${data.prompt_key}`)
+  return data
+}
+
+/**
+ * Switch off the company's active version of a prompt, going back to the built-in prompt
+ * @param {string} promptKey - One of PROMPT_KEYS
+ */
+export async function deactivatePromptVersions(promptKey) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const companyId = await getUserCompanyId(user.id)
+
+  // RLS will enforce that user is part of the company
+  const { error } = await supabase
+    .from('prompt_versions')
+    .update({ is_active: false })
+    .eq('company_id', companyId)
+    .eq('prompt_key', promptKey)
+    .eq('is_active', true)
+
+  if (error) throw error
+  activePromptCache.delete(`${companyId}:${promptKey}`)
+}
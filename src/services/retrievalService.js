@@ -0,0 +1,246 @@
+// Retrieval Service
+// Finds the passages of uploaded documents most relevant to a question or instruction
+// Document text is split into chunks and ranked with BM25; chunk indexes are cached in IndexedDB
+// under the signed-in user (they hold the documents' text) and removed on sign-out
+
+import { getDocumentText } from './textExtractionService'
+import { getUserStoreKey } from './userStoreKeys'
+import { getItem, setItem, removeItem, clearStore, STORES } from '../utils/localStore'
+import { estimateTokens } from '../utils/tokenBudget'
+
+// Target chunk size - a few paragraphs, small enough to quote several in one prompt
+const CHUNK_CHARS = 1000
+
+// BM25 parameters (standard values)
+const BM25_K1 = 1.5
+const BM25_B = 0.75
+
+// Length of the excerpt kept when a passage is shown as a source
+const PASSAGE_EXCERPT_CHARS = 240
+
+// Bump when chunking or tokenizing changes, so cached indexes are rebuilt
+const INDEX_VERSION = 1
+
+const PAGE_MARKER_PATTERN = /\[Page (\d+)\]\n?/g
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+  'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their',
+  'them', 'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you', 'your', 'please', 'make', 'can'
+])
+
+// Chunk indexes already loaded this session, by document ID
+const memoryCache = new Map()
+
+/**
+ * Splits text into lowercased search terms, dropping stop words and plural endings
+ * @param {string} text - Any text
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:[.,][0-9]+)*/g) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(term => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term))
+}
+
+/**
+ * Cheap string hash, used to tell whether a document's text changed since it was indexed
+ */
+function hashText(text) {
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0
+  }
+  return `${INDEX_VERSION}:${text.length}:${hash.toString(36)}`
+}
+
+/**
+ * Splits text into the pages marked by [Page N] markers
+ * @returns {Array} [{ page, text }] - a single entry with page null when the text has no markers
+ */
+function splitIntoPages(text) {
+  const matches = Array.from(text.matchAll(PAGE_MARKER_PATTERN))
+  if (matches.length === 0) return [{ page: null, text }]
+
+  return matches.map((match, index) => ({
+    page: parseInt(match[1], 10),
+    text: text.slice(match.index + match[0].length, index + 1 < matches.length ? matches[index + 1].index : text.length)
+  }))
+}
+
+/**
+ * Splits one page of text into chunks of whole paragraphs (or sentences, for very long paragraphs)
+ */
+function chunkPage(text) {
+  const pieces = text
+    .split(/\n\s*\n|\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => paragraph.length > CHUNK_CHARS
+      ? (paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]).map(sentence => sentence.trim())
+      : [paragraph])
+
+  const chunks = []
+  let current = ''
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 1 > CHUNK_CHARS) {
+      chunks.push(current)
+      current = ''
+    }
+    current = current ? `${current}\n${piece}` : piece
+  })
+  if (current) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Counts how often each term appears
+ */
+function countTerms(terms) {
+  return terms.reduce((counts, term) => {
+    counts[term] = (counts[term] || 0) + 1
+    return counts
+  }, {})
+}
+
+/**
+ * Builds the chunk index of one document
+ * The document's name is indexed with every chunk, so asking about "the lease" finds lease.pdf
+ * @param {Object} doc - Document object from DocumentContext
+ * @param {string} text - The document's extracted text
+ * @returns {Array} Chunks of { id, documentId, documentName, page, text, terms, length }
+ */
+function buildChunks(doc, text) {
+  const nameTerms = tokenize(doc.name.replace(/\.[^.]+$/, ''))
+  const chunks = []
+  splitIntoPages(text).forEach(({ page, text: pageText }) => {
+    chunkPage(pageText).forEach(chunkText => {
+      const terms = [...nameTerms, ...tokenize(chunkText)]
+      chunks.push({
+        id: `${doc.id}:${chunks.length}`,
+        documentId: doc.id,
+        documentName: doc.name,
+        page,
+        text: chunkText,
+        terms: countTerms(terms),
+        length: terms.length
+      })
+    })
+  })
+  return chunks
+}
+
+/**
+ * Returns a document's chunk index, from memory, IndexedDB or built fresh
+ * @param {Object} doc - Document object from DocumentContext
+ * @returns {Promise<Array>} Chunks (empty when the document has no text yet)
+ */
+async function getDocumentChunks(doc) {
+  const text = getDocumentText(doc)
+  if (!text || !text.trim()) return []
+
+  const signature = hashText(text)
+  const cached = memoryCache.get(doc.id)
+  if (cached?.signature === signature) return cached.chunks
+
+  const userKey = await getUserStoreKey(doc.id)
+  const stored = userKey ? await getItem(STORES.DOCUMENT_CHUNKS, userKey) : null
+  if (stored?.signature === signature) {
+    memoryCache.set(doc.id, stored)
+    return stored.chunks
+  }
+
+  const entry = { signature, chunks: buildChunks(doc, text) }
+  memoryCache.set(doc.id, entry)
+  if (userKey) await setItem(STORES.DOCUMENT_CHUNKS, userKey, entry)
+  return entry.chunks
+}
+
+/**
+ * Finds the document passages most relevant to a query
+ * @param {string} query - The question, instruction or text to match
+ * @param {Array} documents - Uploaded document objects
+ * @param {Object} options
+ * @param {number} options.limit - Most passages to return
+ * @param {number} options.maxTokens - Token budget for the returned passages
+ * @returns {Promise<Array>} Passages of { id, documentId, documentName, page, text, score }, best first
+ */
+export async function retrievePassages(query, documents = [], { limit = 5, maxTokens = 1200 } = {}) {
+  const queryTerms = Array.from(new Set(tokenize(query || '')))
+  if (queryTerms.length === 0 || documents.length === 0) return []
+
+  const chunks = (await Promise.all(documents.map(getDocumentChunks))).flat()
+  if (chunks.length === 0) return []
+
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length
+  const inverseFrequency = Object.fromEntries(queryTerms.map(term => {
+    const containing = chunks.filter(chunk => chunk.terms[term]).length
+    return [term, Math.log(1 + (chunks.length - containing + 0.5) / (containing + 0.5))]
+  }))
+
+  const ranked = chunks
+    .map(chunk => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = chunk.terms[term] || 0
+        if (!frequency) return sum
+        return sum + inverseFrequency[term] * (frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength))
+      }, 0)
+      return { chunk, score }
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+
+  const passages = []
+  let usedTokens = 0
+  for (const { chunk, score } of ranked) {
+    if (passages.length >= limit) break
+    const tokens = estimateTokens(chunk.text)
+    if (passages.length > 0 && usedTokens + tokens > maxTokens) continue
+    usedTokens += tokens
+    passages.push({
+      id: chunk.id,
+      documentId: chunk.documentId,
+      documentName: chunk.documentName,
+      page: chunk.page,
+      text: chunk.text,
+      score: Math.round(score * 100) / 100
+    })
+  }
+  return passages
+}
+
+/**
+ * Shortens passages to what is stored with a chat message to show which ones were used
+ * @param {Array} passages - Passages from retrievePassages
+ * @returns {Array} [{ id, documentId, documentName, page, excerpt }]
+ */
+export function toPassageReferences(passages) {
+  return (passages || []).map(passage => ({
+    id: passage.id,
+    documentId: passage.documentId,
+    documentName: passage.documentName,
+    page: passage.page,
+    excerpt: passage.text.length > PASSAGE_EXCERPT_CHARS
+      ? `${passage.text.slice(0, PASSAGE_EXCERPT_CHARS)}...`
+      : passage.text
+  }))
+}
+
+/**
+ * Drops a document's cached chunk index (call when the document is deleted)
+ * @param {string} documentId - The document ID
+ */
+export async function forgetDocument(documentId) {
+  memoryCache.delete(documentId)
+  const userKey = await getUserStoreKey(documentId)
+  if (userKey) await removeItem(STORES.DOCUMENT_CHUNKS, userKey)
+}
+
+/**
+ * Drops every cached chunk index on this device, e.g. on sign-out
+ */
+export async function clearDocumentCache() {
+  memoryCache.clear()
+  await clearStore(STORES.DOCUMENT_CHUNKS)
+}
@@ -0,0 +1,51 @@
+// Snapshot Service
+// Local copies of unsaved editor content, kept in IndexedDB so edits survive a failed save, a closed tab or a crash
+// Snapshots are keyed by what is being edited, e.g. 'draft:<id>' or 'template:<id>', and removed once the content is saved
+// Keys are stored under the signed-in user's ID, and all snapshots are removed on sign-out, so on a shared
+// machine the next user is never offered someone else's text
+
+import { getUserStoreKey } from './userStoreKeys'
+import { getItem, setItem, removeItem, clearStore, STORES } from '../utils/localStore'
+
+/**
+ * Store a local copy of unsaved content
+ * @param {string} key - What is being edited, e.g. 'draft:<id>'
+ * @param {string} content - The unsaved editor content
+ * @param {string} baseContent - The saved copy the edits started from, to tell whether it changed since
+ */
+export async function saveSnapshot(key, content, baseContent) {
+  const userKey = await getUserStoreKey(key)
+  if (!userKey) return
+
+  await setItem(STORES.EDITOR_SNAPSHOTS, userKey, {
+    content,
+    baseContent,
+    savedAt: new Date().toISOString()
+  })
+}
+
+/**
+ * Get the local copy of unsaved content
+ * @param {string} key - What is being edited
+ * @returns {Promise<Object|null>} { content, baseContent, savedAt }, or null if there is none
+ */
+export async function getSnapshot(key) {
+  const userKey = await getUserStoreKey(key)
+  return userKey ? getItem(STORES.EDITOR_SNAPSHOTS, userKey) : null
+}
+
+/**
+ * Remove the local copy, once the content is saved or the copy is discarded
+ * @param {string} key - What is being edited
+ */
+export async function clearSnapshot(key) {
+  const userKey = await getUserStoreKey(key)
+  if (userKey) await removeItem(STORES.EDITOR_SNAPSHOTS, userKey)
+}
+
+/**
+ * Remove every local copy on this device, e.g. on sign-out
+ */
+export async function clearAllSnapshots() {
+  await clearStore(STORES.EDITOR_SNAPSHOTS)
+}
@@ -1,5 +1,6 @@
 import { supabase } from './supabase'
 import { getPlainTextContent } from '../utils/templateConverter'
+import { ConflictError } from './conflictError'
 
 // ============================================
 // Company Templates (shared across company)
@@ -73,20 +74,36 @@ export async function createCompanyTemplate(template) {
 
 /**
  * Update a company template
+ * @param {string} templateId - The template ID
+ * @param {Object} updates - Fields to change
+ * @param {number|null} expectedRevision - The template's revision when editing started; the update is rejected
+ *   with a ConflictError if someone has saved since (null skips the check)
  */
-export async function updateCompanyTemplate(templateId, updates) {
+export async function updateCompanyTemplate(templateId, updates, expectedRevision = null) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
   // RLS will enforce that user can only update templates in their company
-  const { data, error } = await supabase
+  let query = supabase
     .from('templates')
     .update(updates)
     .eq('id', templateId)
-    .select()
-    .single()
+
+  if (expectedRevision !== null && expectedRevision !== undefined) {
+    query = query.eq('revision', expectedRevision)
+  }
+
+  const { data, error } = await query.select().maybeSingle()
 
   if (error) throw error
+  if (!data) {
+    // Nothing matched: the template was saved by someone else in the meantime, or can't be changed by this user
+    const current = await getCompanyTemplate(templateId)
+    if (expectedRevision !== null && expectedRevision !== undefined && current.revision !== expectedRevision) {
+      throw new ConflictError('This template was saved by someone else while you were editing.', { current })
+    }
+    throw new Error('You do not have permission to update this template')
+  }
   return data
 }
 
@@ -175,20 +192,36 @@ export async function addTemplateToCase(caseId, templateId) {
 
 /**
  * Update a case template instance
+ * @param {string} caseTemplateId - The case template ID
+ * @param {Object} updates - Fields to change
+ * @param {number|null} expectedRevision - The case template's revision when editing started; the update is
+ *   rejected with a ConflictError if someone has saved since (null skips the check)
  */
-export async function updateCaseTemplate(caseTemplateId, updates) {
+export async function updateCaseTemplate(caseTemplateId, updates, expectedRevision = null) {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) throw new Error('User not authenticated')
 
   // RLS will enforce that user is part of the case
-  const { data, error } = await supabase
+  let query = supabase
     .from('case_templates')
     .update(updates)
     .eq('id', caseTemplateId)
-    .select()
-    .single()
+
+  if (expectedRevision !== null && expectedRevision !== undefined) {
+    query = query.eq('revision', expectedRevision)
+  }
+
+  const { data, error } = await query.select().maybeSingle()
 
   if (error) throw error
+  if (!data) {
+    // Nothing matched: the template was saved by someone else in the meantime, or can't be changed by this user
+    const current = await getCaseTemplate(caseTemplateId)
+    if (expectedRevision !== null && expectedRevision !== undefined && current.revision !== expectedRevision) {
+      throw new ConflictError('This template was saved by someone else while you were editing.', { current })
+    }
+    throw new Error('You do not have permission to update this template')
+  }
   return data
 }
 
@@ -0,0 +1,285 @@
+// Text Extraction Service
+// Pulls plain text out of uploaded evidence (PDF, DOCX, RTF, HTML) in the browser
+// so the prompt builders can send the model what the documents actually say
+
+export const EXTRACTION_STATUSES = {
+  EXTRACTING: 'extracting',
+  COMPLETE: 'complete',
+  EMPTY: 'empty',
+  RECOGNIZING: 'recognizing',
+  FAILED: 'failed',
+  UNSUPPORTED: 'unsupported'
+}
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+
+const HTML_BLOCK_ELEMENTS = ['p', 'div', 'section', 'article', 'header', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'tr', 'blockquote', 'pre', 'table']
+
+/**
+ * Works out which extractor handles a file, by MIME type or file extension
+ * (browsers often report an empty type for .docx and .rtf files)
+ * @param {Object} file - File or document object ({ name, type })
+ * @returns {string|null} 'pdf', 'docx', 'rtf', 'html', 'text', or null if text cannot be extracted
+ */
+export function getExtractionKind(file) {
+  const type = file.type || ''
+  const extension = (file.name || '').split('.').pop().toLowerCase()
+
+  if (type === 'application/pdf' || extension === 'pdf') return 'pdf'
+  if (type === DOCX_TYPE || extension === 'docx') return 'docx'
+  if (type === 'application/rtf' || type === 'text/rtf' || extension === 'rtf') return 'rtf'
+  if (type === 'text/html' || extension === 'html' || extension === 'htm') return 'html'
+  if (type.startsWith('text/') || type === 'application/json') return 'text'
+  return null
+}
+
+/**
+ * Collapses runs of blank lines and trailing spaces left behind by extraction
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Opens a PDF with pdf.js
+ * pdf.js is loaded on first use so it stays out of the main bundle
+ * @param {ArrayBuffer} data - PDF file contents
+ * @returns {Promise<Object>} The pdf.js document (call destroy() when finished)
+ */
+export async function loadPdfDocument(data) {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ])
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+  return pdfjs.getDocument({ data }).promise
+}
+
+/**
+ * Joins per-page PDF text into one document, labelling each page
+ * @param {Array<string>} pages - Text of each page
+ * @returns {string} The combined text (pages without text are skipped)
+ */
+export function joinPdfPages(pages) {
+  return pages
+    .map((pageText, index) => (pageText ? `[Page ${index + 1}]\n${pageText}` : ''))
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+/**
+ * Extracts the text layer of each page of a PDF
+ * @param {ArrayBuffer} data - PDF file contents
+ * @returns {Promise<Array<string>>} Text of each page (empty for pages without a text layer)
+ */
+async function extractPdfPages(data) {
+  const pdf = await loadPdfDocument(data)
+  const pages = []
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber)
+      const content = await page.getTextContent()
+      const text = content.items
+        .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+        .join('')
+      pages.push(normalizeWhitespace(text))
+    }
+  } finally {
+    pdf.destroy()
+  }
+
+  return pages
+}
+
+/**
+ * Reads the paragraphs of a .docx file (word/document.xml inside the zip)
+ * @param {ArrayBuffer} data - DOCX file contents
+ * @returns {Promise<string>} Document text, one paragraph per line
+ */
+async function extractDocxText(data) {
+  const { default: JSZip } = await import('jszip')
+  const zip = await JSZip.loadAsync(data)
+  const documentXml = zip.file('word/document.xml')
+  if (!documentXml) {
+    throw new Error('This Word file has no document body.')
+  }
+
+  const xml = new DOMParser().parseFromString(await documentXml.async('string'), 'application/xml')
+  const paragraphs = Array.from(xml.getElementsByTagNameNS(WORD_NAMESPACE, 'p')).map(paragraph => {
+    let text = ''
+    for (const node of paragraph.getElementsByTagNameNS(WORD_NAMESPACE, '*')) {
+      if (node.localName === 't') text += node.textContent
+      else if (node.localName === 'tab') text += '\t'
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n'
+    }
+    return text
+  })
+
+  return normalizeWhitespace(paragraphs.join('\n'))
+}
+
+/**
+ * Strips RTF control words and groups, keeping the document text
+ * Handles the common cases (escaped characters, unicode escapes, paragraph marks);
+ * embedded objects and pictures are skipped
+ * @param {string} rtf - Raw RTF source
+ * @returns {string} Plain text
+ */
+export function rtfToPlainText(rtf) {
+  // Destinations whose contents are metadata rather than document text
+  const ignoredDestinations = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer', 'listtable', 'listoverridetable', 'themedata', 'datastore', 'latentstyles', 'generator']
+  const stack = []
+  let ignoring = false
+  let unicodeSkip = 1
+  let skipChars = 0
+  let output = ''
+
+  const pattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gi
+  let match
+  while ((match = pattern.exec(rtf)) !== null) {
+    const [, word, param, hex, symbol, brace, char] = match
+
+    if (brace === '{') {
+      stack.push({ ignoring, unicodeSkip })
+      continue
+    }
+    if (brace === '}') {
+      const state = stack.pop()
+      if (state) {
+        ignoring = state.ignoring
+        unicodeSkip = state.unicodeSkip
+      }
+      continue
+    }
+
+    // Characters that stand in for a preceding \u escape are dropped
+    if (skipChars > 0 && (hex || char)) {
+      skipChars--
+      continue
+    }
+
+    if (symbol) {
+      if (symbol === '*') ignoring = true
+      else if (!ignoring && symbol === '~') output += ' '
+      else if (!ignoring && (symbol === '\\' || symbol === '{' || symbol === '}')) output += symbol
+      continue
+    }
+
+    if (word) {
+      if (ignoredDestinations.includes(word)) {
+        ignoring = true
+      } else if (word === 'uc') {
+        unicodeSkip = parseInt(param, 10) || 0
+      } else if (word === 'u' && !ignoring) {
+        let code = parseInt(param, 10)
+        if (code < 0) code += 65536
+        output += String.fromCharCode(code)
+        skipChars = unicodeSkip
+      } else if (!ignoring) {
+        if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') output += '\n'
+        else if (word === 'tab' || word === 'cell') output += '\t'
+        else if (word === 'row') output += '\n'
+        else if (word === 'emdash') output += '—'
+        else if (word === 'endash') output += '–'
+        else if (word === 'bullet') output += '•'
+      }
+      continue
+    }
+
+    if (ignoring) continue
+    if (hex) output += String.fromCharCode(parseInt(hex, 16))
+    else if (char) output += char
+  }
+
+  return normalizeWhitespace(output)
+}
+
+/**
+ * Converts an uploaded HTML file to plain text
+ * The markup is parsed into an inert document, so scripts and images in it never run or load
+ * @param {string} html - HTML source
+ * @returns {string} Plain text with block elements on their own lines
+ */
+export function htmlFileToPlainText(html) {
+  const parsed = new DOMParser().parseFromString(html, 'text/html')
+  parsed.querySelectorAll('script, style, noscript, template').forEach(node => node.remove())
+
+  const parts = []
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(node.textContent.replace(/\s+/g, ' '))
+      return
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return
+
+    const tagName = node.tagName.toLowerCase()
+    if (tagName === 'br') {
+      parts.push('\n')
+      return
+    }
+    const isBlock = HTML_BLOCK_ELEMENTS.includes(tagName)
+    if (isBlock) parts.push('\n')
+    if (tagName === 'li') parts.push('- ')
+    node.childNodes.forEach(walk)
+    if (tagName === 'td' || tagName === 'th') parts.push('\t')
+    if (isBlock) parts.push('\n')
+  }
+  walk(parsed.body)
+
+  return normalizeWhitespace(parts.join('').replace(/\n[ \t]+/g, '\n'))
+}
+
+/**
+ * Extracts plain text from an uploaded file
+ * @param {File} file - The uploaded file
+ * @returns {Promise<Object>} { status, text, pages } - pages holds per-page text for PDFs
+ *   (empty strings mark pages without a text layer, e.g. scans)
+ * @throws {Error} If the file cannot be parsed
+ */
+export async function extractTextFromFile(file) {
+  const kind = getExtractionKind(file)
+  if (!kind) {
+    return { status: EXTRACTION_STATUSES.UNSUPPORTED, text: null, pages: null }
+  }
+
+  let text
+  let pages = null
+
+  if (kind === 'pdf') {
+    pages = await extractPdfPages(await file.arrayBuffer())
+    text = joinPdfPages(pages)
+  } else if (kind === 'docx') {
+    text = await extractDocxText(await file.arrayBuffer())
+  } else if (kind === 'rtf') {
+    text = rtfToPlainText(await file.text())
+  } else if (kind === 'html') {
+    text = htmlFileToPlainText(await file.text())
+  } else {
+    text = await file.text()
+  }
+
+  return {
+    status: text ? EXTRACTION_STATUSES.COMPLETE : EXTRACTION_STATUSES.EMPTY,
+    text: text || null,
+    pages
+  }
+}
+
+/**
+ * Returns the text of a document that can be sent to the model
+ * Prefers extracted text, falling back to the raw content of plain-text uploads
+ * @param {Object} doc - Document object from DocumentContext
+ * @returns {string|null} The document text, or null if none is available
+ */
+export function getDocumentText(doc) {
+  if (doc.extractedText) return doc.extractedText
+  if (typeof doc.content === 'string' && getExtractionKind(doc) === 'text') return doc.content
+  return null
+}
@@ -0,0 +1,63 @@
+import { supabase } from './supabase'
+
+/**
+ * Get the company's AI usage, grouped by month, user, case, caller and model
+ * @param {Date} since - Start of the period
+ * @param {Date} until - End of the period (exclusive), or null for up to now
+ * @returns {Promise<Array>} Rows of { month, user_id, user_email, case_id, caller, model, calls,
+ *   prompt_tokens, completion_tokens, estimated_calls, cost_usd, avg_latency_ms }
+ */
+export async function getUsageSummary(since, until = null) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // RLS will enforce that user can only see their company's usage
+  const { data, error } = await supabase.rpc('llm_usage_summary', {
+    p_since: since.toISOString(),
+    p_until: until ? until.toISOString() : null
+  })
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Get the current user's company spend limits
+ * @returns {Promise<{ monthlySoft: number|null, monthlyHard: number|null }>} Limits in US dollars (null means no limit)
+ */
+export async function getSpendLimits() {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('companies (settings)')
+    .eq('id', user.id)
+    .single()
+
+  if (error) throw error
+  const limits = data.companies?.settings?.llmSpendLimits || {}
+  return {
+    monthlySoft: limits.monthlySoft ?? null,
+    monthlyHard: limits.monthlyHard ?? null
+  }
+}
+
+/**
+ * Set the current user's company spend limits
+ * @param {Object} limits - { monthlySoft, monthlyHard } in US dollars per month (null removes a limit)
+ * @returns {Promise<Object>} The saved limits
+ */
+export async function updateSpendLimits({ monthlySoft = null, monthlyHard = null }) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  // The function only updates the caller's own company
+  const { data, error } = await supabase.rpc('set_llm_spend_limits', {
+    p_monthly_soft: monthlySoft,
+    p_monthly_hard: monthlyHard
+  })
+
+  if (error) throw error
+  return data
+}
@@ -1,5 +1,23 @@
 import { supabase } from './supabase'
 
+/**
+ * Get the current user's role (USER_ROLES in config/draftStatuses.js)
+ * @returns {Promise<string>} 'member' or 'reviewer'
+ */
+export async function getCurrentUserRole() {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) throw new Error('User not authenticated')
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('role')
+    .eq('id', user.id)
+    .single()
+
+  if (error) throw error
+  return data.role
+}
+
 /**
  * Get all users on a case
  */
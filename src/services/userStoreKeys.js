@@ -0,0 +1,16 @@
+// Keys for data kept on the device in the local store (see utils/localStore)
+// Keys are stored under the signed-in user's ID, so on a shared machine one user's cached case data is
+// never read back for another
+
+import { supabase } from './supabase'
+
+/**
+ * The stored key for the signed-in user, or null when nobody is signed in
+ * Reads the local session, so it works offline
+ * @param {string} key - The key within the user's data, e.g. 'draft:<id>'
+ * @returns {Promise<string|null>}
+ */
+export async function getUserStoreKey(key) {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.user ? `${session.user.id}:${key}` : null
+}
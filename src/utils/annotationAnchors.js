@@ -0,0 +1,113 @@
+/**
+ * Annotation Anchors
+ * Helpers for pinning annotations to a character range of a document's text
+ * and finding that range again when the text is rendered
+ */
+
+const PAGE_MARKER_PATTERN = /\[Page (\d+)\]/g
+
+/**
+ * Works out which PDF page a character offset falls on, using the [Page N] markers in extracted text
+ * @param {string} text - The document text
+ * @param {number} offset - Character offset
+ * @returns {number|null} One-based page number, or null if the text has no page markers
+ */
+export function getPageForOffset(text, offset) {
+  let page = null
+  for (const match of text.matchAll(PAGE_MARKER_PATTERN)) {
+    if (match.index > offset) break
+    page = parseInt(match[1], 10)
+  }
+  return page
+}
+
+/**
+ * Converts the current text selection inside a container into a text anchor
+ * The container's text content must be exactly the document text (highlights included)
+ * @param {HTMLElement} container - Element rendering the document text
+ * @param {string} text - The document text
+ * @returns {Object|null} { type: 'text', start, end, quote, page } or null if nothing in the container is selected
+ */
+export function getSelectionAnchor(container, text) {
+  const selection = window.getSelection()
+  if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) return null
+
+  const range = selection.getRangeAt(0)
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null
+
+  // Measure from the start of the container to each end of the selection
+  const measure = document.createRange()
+  measure.selectNodeContents(container)
+  measure.setEnd(range.startContainer, range.startOffset)
+  const start = measure.toString().length
+  const end = start + range.toString().length
+  if (end <= start) return null
+
+  return {
+    type: 'text',
+    start,
+    end,
+    quote: text.slice(start, end),
+    page: getPageForOffset(text, start)
+  }
+}
+
+/**
+ * Finds where a text anchor currently sits in the document text
+ * Falls back to searching for the quoted passage if the offsets no longer match
+ * @param {string} text - The document text
+ * @param {Object} anchor - A text anchor
+ * @returns {{ start: number, end: number }|null} The range, or null if the passage can't be found
+ */
+export function resolveTextAnchor(text, anchor) {
+  if (!text || anchor?.type !== 'text') return null
+  if (text.slice(anchor.start, anchor.end) === anchor.quote) {
+    return { start: anchor.start, end: anchor.end }
+  }
+  const index = anchor.quote ? text.indexOf(anchor.quote) : -1
+  return index === -1 ? null : { start: index, end: index + anchor.quote.length }
+}
+
+/**
+ * Splits document text into plain and highlighted segments for rendering
+ * @param {string} text - The document text
+ * @param {Array} annotations - Annotations on the document ({ id, anchor })
+ * @returns {Array} Segments of { text, annotationIds } in document order
+ */
+export function buildHighlightSegments(text, annotations) {
+  const ranges = annotations
+    .map(annotation => ({ id: annotation.id, range: resolveTextAnchor(text, annotation.anchor) }))
+    .filter(item => item.range)
+
+  // Every range start and end is a segment boundary
+  const boundaries = new Set([0, text.length])
+  ranges.forEach(({ range }) => {
+    boundaries.add(range.start)
+    boundaries.add(range.end)
+  })
+  const points = Array.from(boundaries).sort((a, b) => a - b)
+
+  const segments = []
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i]
+    const end = points[i + 1]
+    segments.push({
+      text: text.slice(start, end),
+      annotationIds: ranges
+        .filter(({ range }) => range.start <= start && range.end >= end)
+        .map(({ id }) => id)
+    })
+  }
+  return segments
+}
+
+/**
+ * Describes where an annotation points, for lists and prompts
+ * @param {Object|null} anchor - The annotation's anchor
+ * @returns {string} e.g. "page 2", "marked image area", or "whole document"
+ */
+export function describeAnchor(anchor) {
+  if (!anchor) return 'whole document'
+  if (anchor.type === 'region') return 'marked image area'
+  return anchor.page ? `page ${anchor.page}` : 'highlighted passage'
+}
@@ -0,0 +1,193 @@
+/**
+ * Citations
+ * Links the paragraphs of a generated letter back to the chat messages and documents they came from.
+ * Sources are labelled in the prompt (M1, M2... for messages, D1, D2... for documents) and the
+ * model closes each paragraph with a marker such as [[M2, D1 p.3]], which is parsed out here.
+ */
+
+// A complete citation marker, e.g. [[M1]] or [[D2 p.3, M4]]
+const MARKER_PATTERN = /[ \t]*\[\[\s*([MD]\d+[^\]]*)\]\]/gi
+// One reference inside a marker, e.g. "D2 p.3" or "M4"
+const REFERENCE_PATTERN = /([MD])(\d+)(?:\s*(?:p\.?|page)\s*(\d+))?/gi
+// A marker that has started streaming in but is not finished yet
+const PARTIAL_MARKER_PATTERN = /[ \t]*\[(?:\[[^\]]*\]?)?$/
+const PAGE_MARKER_PATTERN = /\[Page (\d+)\]/g
+
+// Length of the paragraph preview stored with each citation
+const PARAGRAPH_PREVIEW_CHARS = 120
+// Longest excerpt stored for a source
+const MAX_EXCERPT_CHARS = 300
+
+/**
+ * Labels the messages and documents that will be shown to the model
+ * @param {Object} params
+ * @param {Array} params.messages - Messages in the prompt ({ id, text })
+ * @param {Array} params.documents - Documents in the prompt ({ id, name, text })
+ * @returns {{ messages: Array, documents: Array }} The same items with a label added to each
+ */
+export function labelSources({ messages, documents }) {
+  return {
+    messages: messages.map((msg, index) => ({ ...msg, label: `M${index + 1}` })),
+    documents: documents.map((doc, index) => ({ ...doc, label: `D${index + 1}` }))
+  }
+}
+
+/**
+ * Removes citation markers from generated text
+ * While streaming, a marker that is only partly received is hidden as well
+ * @param {string} text - Generated text
+ * @param {boolean} isPartial - Whether more text is still to come
+ * @returns {string} The text without markers
+ */
+export function stripCitationMarkers(text, isPartial = false) {
+  const stripped = text.replace(MARKER_PATTERN, '')
+  return isPartial ? stripped.replace(PARTIAL_MARKER_PATTERN, '') : stripped
+}
+
+/**
+ * Splits text into the pages marked by [Page N] markers
+ * @param {string} text - Document text
+ * @returns {Map<number, string>} Page number to page text (empty if the text has no page markers)
+ */
+function splitPages(text) {
+  const pages = new Map()
+  const matches = Array.from(text.matchAll(PAGE_MARKER_PATTERN))
+  matches.forEach((match, index) => {
+    const start = match.index + match[0].length
+    const end = index + 1 < matches.length ? matches[index + 1].index : text.length
+    pages.set(parseInt(match[1], 10), text.slice(start, end).trim())
+  })
+  return pages
+}
+
+/**
+ * Lowercased words worth comparing (short words carry little meaning)
+ */
+function getKeywords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9$]+/g) || []).filter(word => word.length > 3))
+}
+
+function clip(text, maxChars) {
+  const trimmed = text.trim().replace(/\s+/g, ' ')
+  return trimmed.length > maxChars ? `${trimmed.slice(0, maxChars)}...` : trimmed
+}
+
+/**
+ * Picks the sentence of a source that best matches a paragraph of the letter
+ * @param {string} sourceText - Text of the cited source (or page)
+ * @param {string} paragraph - The letter paragraph citing it
+ * @returns {string} The excerpt (the start of the source if nothing overlaps)
+ */
+export function findSupportingExcerpt(sourceText, paragraph) {
+  if (!sourceText) return ''
+
+  const keywords = getKeywords(paragraph)
+  const sentences = sourceText.split(/(?<=[.!?])\s+|\n+/).filter(sentence => sentence.trim())
+  let best = null
+  let bestScore = 0
+  sentences.forEach(sentence => {
+    let score = 0
+    getKeywords(sentence).forEach(word => {
+      if (keywords.has(word)) score++
+    })
+    if (score > bestScore) {
+      best = sentence
+      bestScore = score
+    }
+  })
+
+  return clip(best || sourceText, MAX_EXCERPT_CHARS)
+}
+
+/**
+ * Resolves one reference from a marker against the labelled sources
+ * @returns {Object|null} The source entry, or null if the label is unknown
+ */
+function resolveReference(type, number, page, paragraph, sources) {
+  const label = `${type}${number}`
+
+  if (type === 'M') {
+    const msg = sources.messages.find(item => item.label === label)
+    if (!msg) return null
+    return { label, type: 'message', messageId: msg.id, excerpt: clip(msg.text, MAX_EXCERPT_CHARS) }
+  }
+
+  const doc = sources.documents.find(item => item.label === label)
+  if (!doc) return null
+  const pageText = page ? splitPages(doc.text || '').get(page) : null
+  return {
+    label,
+    type: 'document',
+    documentId: doc.id || null,
+    documentName: doc.name,
+    // Only keep the page if the document really has one by that number
+    page: pageText !== null && pageText !== undefined ? page : null,
+    excerpt: findSupportingExcerpt(pageText || doc.text || '', paragraph)
+  }
+}
+
+/**
+ * Parses citation markers out of a generated letter
+ * @param {string} text - Generated letter text containing [[...]] markers
+ * @param {Object} sources - Labelled sources from labelSources
+ * @returns {{ content: string, citations: Array }} The letter without markers, and one entry per cited
+ *   paragraph: { paragraph, text, sources: [{ label, type, messageId | documentId, documentName, page, excerpt }] }
+ *   where paragraph is the zero-based index among the letter's non-empty paragraphs
+ */
+export function extractCitations(text, sources) {
+  const parts = text.split(/(\n\s*\n)/)
+  const citations = []
+  let paragraphIndex = 0
+
+  const cleanedParts = parts.map((part, index) => {
+    // Odd entries are the blank-line separators
+    if (index % 2 === 1) return part
+
+    const cleaned = stripCitationMarkers(part)
+    if (!cleaned.trim()) return cleaned
+
+    const references = []
+    for (const marker of part.matchAll(MARKER_PATTERN)) {
+      for (const ref of marker[1].matchAll(REFERENCE_PATTERN)) {
+        references.push({
+          type: ref[1].toUpperCase(),
+          number: ref[2],
+          page: ref[3] ? parseInt(ref[3], 10) : null
+        })
+      }
+    }
+
+    const seen = new Set()
+    const paragraphSources = references
+      .map(ref => resolveReference(ref.type, ref.number, ref.page, cleaned, sources))
+      .filter(source => {
+        if (!source) return false
+        const key = `${source.label}:${source.page || ''}`
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+
+    if (paragraphSources.length > 0) {
+      citations.push({
+        paragraph: paragraphIndex,
+        text: clip(cleaned, PARAGRAPH_PREVIEW_CHARS),
+        sources: paragraphSources
+      })
+    }
+    paragraphIndex++
+    return cleaned
+  })
+
+  return { content: cleanedParts.join('').trim(), citations }
+}
+
+/**
+ * Describes where a cited source comes from, for the sources panel and the evidence appendix
+ * @param {Object} source - A citation source
+ * @returns {string} e.g. "lease.pdf, page 3" or "Chat message"
+ */
+export function describeCitationSource(source) {
+  if (source.type === 'message') return 'Chat message'
+  return source.page ? `${source.documentName}, page ${source.page}` : source.documentName
+}
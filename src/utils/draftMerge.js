@@ -0,0 +1,158 @@
+/**
+ * Draft Merge
+ * Three-way merge of two edits made to the same document, used when a save is rejected because
+ * someone else saved first. Both versions are compared with the copy they started from, block by
+ * block (paragraphs, headings, lists). Blocks only one side changed are taken from that side; where
+ * both sides changed the same or neighbouring blocks differently, the section is a conflict for the
+ * user to resolve.
+ */
+
+import { splitDraftBlocks } from './draftPatches'
+import { diffSequences } from './textDiff'
+
+export const MERGE_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs',
+  BOTH: 'both'
+}
+
+/**
+ * Groups the steps of a diff against the base into changed ranges of the base
+ * @returns {Array} Hunks of { start, end, blocks } - base blocks start..end (exclusive) become blocks
+ */
+function toHunks(steps) {
+  const hunks = []
+  let baseIndex = 0
+  let hunk = null
+
+  steps.forEach(step => {
+    if (step.type === 'equal') {
+      if (hunk) hunks.push(hunk)
+      hunk = null
+      baseIndex++
+      return
+    }
+
+    if (!hunk) hunk = { start: baseIndex, end: baseIndex, blocks: [] }
+    if (step.type === 'delete') {
+      hunk.end++
+      baseIndex++
+    } else {
+      hunk.blocks.push(step.newItem)
+    }
+  })
+  if (hunk) hunks.push(hunk)
+
+  return hunks
+}
+
+/**
+ * One side's version of base blocks start..end, with its hunks in that range applied
+ */
+function applyHunks(base, hunks, start, end) {
+  const blocks = []
+  let position = start
+  hunks.forEach(hunk => {
+    blocks.push(...base.slice(position, hunk.start), ...hunk.blocks)
+    position = hunk.end
+  })
+  blocks.push(...base.slice(position, end))
+  return blocks
+}
+
+const sameBlocks = (a, b) => a.length === b.length && a.every((block, index) => block === b[index])
+
+/**
+ * Merges two versions of a document that were both edited from the same base
+ * @param {string} baseContent - The copy both edits started from
+ * @param {string} mineContent - The local edit
+ * @param {string} theirsContent - The edit that was saved first
+ * @returns {{ sections: Array, conflicts: number }} sections in reading order, each either
+ *   { type: 'merged', blocks } or { type: 'conflict', base, mine, theirs } (arrays of block HTML)
+ */
+export function mergeDraftVersions(baseContent, mineContent, theirsContent) {
+  const base = splitDraftBlocks(baseContent || '').map(block => block.html)
+  const mine = splitDraftBlocks(mineContent || '').map(block => block.html)
+  const theirs = splitDraftBlocks(theirsContent || '').map(block => block.html)
+
+  const mineHunks = toHunks(diffSequences(base, mine))
+  const theirsHunks = toHunks(diffSequences(base, theirs))
+
+  const sections = []
+  const pushMerged = (blocks) => {
+    if (blocks.length === 0) return
+    const last = sections[sections.length - 1]
+    if (last && last.type === 'merged') {
+      last.blocks.push(...blocks)
+    } else {
+      sections.push({ type: 'merged', blocks: [...blocks] })
+    }
+  }
+
+  let position = 0
+  let mineIndex = 0
+  let theirsIndex = 0
+  while (mineIndex < mineHunks.length || theirsIndex < theirsHunks.length) {
+    const nextMine = mineHunks[mineIndex]
+    const nextTheirs = theirsHunks[theirsIndex]
+    const start = Math.min(nextMine?.start ?? Infinity, nextTheirs?.start ?? Infinity)
+    pushMerged(base.slice(position, start))
+
+    // Take every hunk from either side that overlaps or touches the group; touching changes conflict,
+    // since there is no telling which order they belong in
+    let end = start
+    const groupMine = []
+    const groupTheirs = []
+    let grown = true
+    while (grown) {
+      grown = false
+      if (mineIndex < mineHunks.length && mineHunks[mineIndex].start <= end) {
+        end = Math.max(end, mineHunks[mineIndex].end)
+        groupMine.push(mineHunks[mineIndex++])
+        grown = true
+      }
+      if (theirsIndex < theirsHunks.length && theirsHunks[theirsIndex].start <= end) {
+        end = Math.max(end, theirsHunks[theirsIndex].end)
+        groupTheirs.push(theirsHunks[theirsIndex++])
+        grown = true
+      }
+    }
+
+    const mineBlocks = applyHunks(base, groupMine, start, end)
+    const theirsBlocks = applyHunks(base, groupTheirs, start, end)
+    if (groupTheirs.length === 0) {
+      pushMerged(mineBlocks)
+    } else if (groupMine.length === 0 || sameBlocks(mineBlocks, theirsBlocks)) {
+      pushMerged(theirsBlocks)
+    } else {
+      sections.push({ type: 'conflict', base: base.slice(start, end), mine: mineBlocks, theirs: theirsBlocks })
+    }
+    position = end
+  }
+  pushMerged(base.slice(position))
+
+  return {
+    sections,
+    conflicts: sections.filter(section => section.type === 'conflict').length
+  }
+}
+
+/**
+ * Builds the merged document from the merge sections and a choice for each conflict
+ * @param {Array} sections - Sections from mergeDraftVersions
+ * @param {Object} choices - MERGE_CHOICES value by section index; conflicts without a choice keep theirs
+ * @returns {string} The merged HTML
+ */
+export function buildMergedContent(sections, choices = {}) {
+  return sections.flatMap((section, index) => {
+    if (section.type === 'merged') return section.blocks
+    switch (choices[index]) {
+      case MERGE_CHOICES.MINE:
+        return section.mine
+      case MERGE_CHOICES.BOTH:
+        return [...section.theirs, ...section.mine]
+      default:
+        return section.theirs
+    }
+  }).join('')
+}
@@ -0,0 +1,347 @@
+/**
+ * Draft Patches
+ * Targeted edits to a draft's HTML. The draft is split into its top-level blocks (paragraphs,
+ * headings, lists), the model proposes operations on numbered blocks, and each accepted operation
+ * is applied to its block alone so the rest of the document - formatting included - is untouched.
+ * Blocks are shown to the model as their inner HTML, so inline formatting inside a rewritten block
+ * survives too; whatever comes back is sanitized to the inline markup the editor produces.
+ */
+
+import { getHtmlContent } from './templateConverter'
+
+export const PATCH_OPERATIONS = {
+  // Replace an exact phrase inside a block, keeping the block's formatting
+  REPLACE_TEXT: 'replace_text',
+  // Replace the whole text of a block, keeping its element type and alignment
+  REWRITE_BLOCK: 'rewrite_block',
+  // Add a new paragraph after a block (block 0 means the start of the letter)
+  INSERT_AFTER: 'insert_after',
+  DELETE_BLOCK: 'delete_block'
+}
+
+const LIST_TAGS = ['UL', 'OL']
+
+// Inline markup the model may return inside a block, with the attributes each may keep
+const ALLOWED_INLINE_TAGS = {
+  STRONG: [],
+  B: [],
+  EM: [],
+  I: [],
+  U: [],
+  S: [],
+  SUB: [],
+  SUP: [],
+  CODE: [],
+  BR: [],
+  SPAN: ['class'],
+  A: ['href', 'target', 'rel'],
+  LI: ['class']
+}
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|tel:)/i
+
+/**
+ * Reads the text of a node, keeping line breaks from <br> and list items
+ */
+function getNodeText(node) {
+  if (node.nodeType === Node.TEXT_NODE) return node.nodeValue
+  if (node.nodeName === 'BR') return '\n'
+  const text = Array.from(node.childNodes).map(getNodeText).join('')
+  return node.nodeName === 'LI' ? `${text}\n` : text
+}
+
+function parseBlock(html) {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  return template.content.firstChild
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div')
+  div.textContent = text
+  return div.innerHTML
+}
+
+/**
+ * Reduces model-written HTML to safe inline markup
+ * Disallowed elements are unwrapped (their text is kept); newlines become line breaks
+ * @param {string} html - Inner HTML of a block as returned by the model
+ * @returns {string} Sanitized inner HTML
+ */
+export function sanitizeInlineHtml(html) {
+  const template = document.createElement('template')
+  // Newlines between tags are just layout; inside text they are line breaks
+  template.innerHTML = html.replace(/>\s*\r?\n\s*</g, '><').replace(/\r?\n/g, '<br>')
+
+  const clean = (parent) => {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove()
+        return
+      }
+
+      clean(node)
+      const allowedAttributes = ALLOWED_INLINE_TAGS[node.tagName]
+      if (!allowedAttributes) {
+        // Scripts and styles are dropped with their content; anything else keeps its text
+        if (['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT'].includes(node.tagName)) node.remove()
+        else node.replaceWith(...node.childNodes)
+        return
+      }
+      Array.from(node.attributes).forEach(attr => {
+        if (!allowedAttributes.includes(attr.name)) node.removeAttribute(attr.name)
+      })
+      if (node.tagName === 'A' && !SAFE_LINK_PATTERN.test(node.getAttribute('href') || '')) {
+        node.replaceWith(...node.childNodes)
+      }
+    })
+  }
+  clean(template.content)
+
+  const container = document.createElement('div')
+  container.appendChild(template.content)
+  return container.innerHTML
+}
+
+/**
+ * Builds a block element with new content, copying the tag and attributes (e.g. alignment classes) of an existing block
+ * @param {string|null} templateHtml - The block to copy, or null for a plain paragraph
+ * @param {string} innerHtml - The new inner HTML (sanitized here)
+ * @returns {string} The new block's HTML
+ */
+function buildBlockHtml(templateHtml, innerHtml) {
+  const original = templateHtml ? parseBlock(templateHtml) : null
+  const element = document.createElement(original?.nodeType === Node.ELEMENT_NODE ? original.tagName.toLowerCase() : 'p')
+  if (original?.nodeType === Node.ELEMENT_NODE) {
+    Array.from(original.attributes).forEach(attr => element.setAttribute(attr.name, attr.value))
+  }
+
+  element.innerHTML = sanitizeInlineHtml(innerHtml)
+  // A list needs items; text returned without them becomes one item per line
+  if (LIST_TAGS.includes(element.tagName) && !element.querySelector('li')) {
+    element.innerHTML = element.innerHTML
+      .split('<br>')
+      .filter(line => line.trim())
+      .map(line => `<li>${line}</li>`)
+      .join('')
+  }
+  return element.outerHTML
+}
+
+/**
+ * Replaces the first occurrence of a phrase in a block, keeping the formatting around it
+ * A phrase that crosses formatting boundaries takes the formatting of the run it starts in.
+ * @returns {string|null} The updated block HTML, or null if the phrase is not in the block
+ */
+function replaceTextInBlock(html, find, replacement) {
+  const block = parseBlock(html)
+  if (block.nodeType !== Node.ELEMENT_NODE) return null
+
+  const runs = []
+  let flatText = ''
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT)
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    runs.push({ node, start: flatText.length })
+    flatText += node.nodeValue
+  }
+
+  const index = flatText.indexOf(find)
+  if (index === -1) {
+    // The phrase spans a line break, which only a rewrite of the block can change
+    const text = getNodeText(block).replace(/\n$/, '')
+    if (!text.includes(find)) return null
+    const lines = text.replace(find, () => replacement).split('\n').map(escapeHtml)
+    return buildBlockHtml(html, LIST_TAGS.includes(block.tagName) ? lines.map(line => `<li>${line}</li>`).join('') : lines.join('<br>'))
+  }
+
+  const end = index + find.length
+  let inserted = false
+  runs.forEach(({ node, start }) => {
+    const value = node.nodeValue
+    const runEnd = start + value.length
+    if (runEnd <= index || start >= end) return
+    const localStart = Math.max(0, index - start)
+    const localEnd = Math.min(value.length, end - start)
+    node.nodeValue = value.slice(0, localStart) + (inserted ? '' : replacement) + value.slice(localEnd)
+    inserted = true
+
+    // Drop inline elements the replacement emptied, e.g. a bold run that was entirely replaced
+    let parent = node.parentNode
+    if (!node.nodeValue) node.remove()
+    while (parent && parent !== block && !parent.textContent && !parent.querySelector('br')) {
+      const next = parent.parentNode
+      parent.remove()
+      parent = next
+    }
+  })
+  return block.outerHTML
+}
+
+/**
+ * Splits draft content into its top-level blocks
+ * @param {string} content - Draft content (HTML, or plain text which is converted first)
+ * @returns {Array} Blocks of { html, text, innerHtml }
+ */
+export function splitDraftBlocks(content) {
+  const container = document.createElement('div')
+  container.innerHTML = getHtmlContent(content)
+
+  const blocks = []
+  container.childNodes.forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      blocks.push({ html: node.outerHTML, text: getNodeText(node).replace(/\n$/, ''), innerHtml: node.innerHTML })
+    } else if (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()) {
+      // Stray text between blocks is wrapped so it can be edited like any paragraph
+      const innerHtml = escapeHtml(node.nodeValue.trim())
+      blocks.push({ html: `<p>${innerHtml}</p>`, text: node.nodeValue.trim(), innerHtml })
+    }
+  })
+  return blocks
+}
+
+/**
+ * Formats blocks as numbered plain-text paragraphs for the model
+ * @param {Array} blocks - Blocks from splitDraftBlocks
+ * @returns {string} e.g. "[1] Dear Mr. Smith,\n\n[2] ..."
+ */
+export function formatBlocksForPrompt(blocks) {
+  return blocks.map((block, index) => `[${index + 1}] ${block.text}`).join('\n\n')
+}
+
+/**
+ * Formats selected blocks with their inline HTML, for the model to rewrite
+ * @param {Array} blocks - Blocks from splitDraftBlocks
+ * @param {Array<number>} blockNumbers - One-based numbers of the blocks to include
+ * @returns {string} e.g. "[3] You owe <strong>$2,000</strong>..."
+ */
+export function formatBlocksAsHtmlForPrompt(blocks, blockNumbers) {
+  return blockNumbers.map(number => `[${number}] ${blocks[number - 1].innerHtml}`).join('\n\n')
+}
+
+function htmlToText(innerHtml) {
+  const template = document.createElement('template')
+  template.innerHTML = `<div>${innerHtml}</div>`
+  return getNodeText(template.content.firstChild).replace(/\n$/, '')
+}
+
+/**
+ * Works out the text of a block after one change, for showing the change on its own
+ */
+function previewChange(blocks, change) {
+  const before = change.op === PATCH_OPERATIONS.INSERT_AFTER ? '' : blocks[change.block - 1].text
+  switch (change.op) {
+    case PATCH_OPERATIONS.REPLACE_TEXT:
+      return { before, after: before.replace(change.find, () => change.replace) }
+    case PATCH_OPERATIONS.DELETE_BLOCK:
+      return { before, after: '' }
+    default:
+      return { before, after: htmlToText(change.text) }
+  }
+}
+
+/**
+ * Parses and validates the model's proposed edits
+ * Operations on blocks that don't exist or weren't offered for editing, or replacements of text the
+ * block doesn't contain, are skipped. Rewritten and inserted text is sanitized inline HTML.
+ * @param {string} responseText - Raw model output containing { summary, changes }
+ * @param {Array} blocks - All blocks of the draft
+ * @param {Object} options
+ * @param {Array<number>} options.editableBlocks - Block numbers the model may change (default all)
+ * @returns {{ summary: string, changes: Array, skipped: number }} changes are
+ *   { id, op, block, find, replace, text, reason, before, after } with one-based block numbers
+ */
+export function parseDraftPatches(responseText, blocks, { editableBlocks = null } = {}) {
+  const parsed = parseEditResponse(responseText)
+  const proposed = Array.isArray(parsed.changes) ? parsed.changes : []
+  const operations = Object.values(PATCH_OPERATIONS)
+
+  const changes = []
+  proposed.forEach(change => {
+    const block = Number(change?.block)
+    if (!change || !operations.includes(change.op) || !Number.isInteger(block)) return
+
+    const minBlock = change.op === PATCH_OPERATIONS.INSERT_AFTER ? 0 : 1
+    if (block < minBlock || block > blocks.length) return
+    if (editableBlocks && block > 0 && !editableBlocks.includes(block)) return
+
+    // Phrase replacements are plain text, even if the model copied markup or entities from the block
+    const find = typeof change.find === 'string' ? htmlToText(change.find) : null
+    const replace = typeof change.replace === 'string' ? htmlToText(change.replace) : null
+    if (change.op === PATCH_OPERATIONS.REPLACE_TEXT) {
+      if (!find || replace === null) return
+      if (!blocks[block - 1].text.includes(find)) return
+    }
+    if ((change.op === PATCH_OPERATIONS.REWRITE_BLOCK || change.op === PATCH_OPERATIONS.INSERT_AFTER) &&
+      (typeof change.text !== 'string' || !change.text.trim())) return
+
+    const normalized = {
+      id: `change-${changes.length + 1}`,
+      op: change.op,
+      block,
+      find,
+      replace,
+      text: typeof change.text === 'string' ? sanitizeInlineHtml(change.text.trim()) : null,
+      reason: typeof change.reason === 'string' ? change.reason : ''
+    }
+    changes.push({ ...normalized, ...previewChange(blocks, normalized) })
+  })
+
+  return {
+    summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+    changes,
+    skipped: proposed.length - changes.length
+  }
+}
+
+/**
+ * Reads the JSON object out of an editing response from the model
+ * @param {string} responseText - Raw model output
+ * @returns {Object} The parsed object
+ * @throws {Error} A message for the user when there is no valid JSON object in the response
+ */
+export function parseEditResponse(responseText) {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/)
+  try {
+    if (jsonMatch) return JSON.parse(jsonMatch[0])
+  } catch {
+    // Malformed JSON is reported the same way as none at all
+  }
+  throw new Error('The editor returned an unreadable response. Please try rephrasing your instruction.')
+}
+
+/**
+ * Applies changes to a draft's blocks, in order
+ * Blocks no change touches keep their original HTML
+ * @param {Array} blocks - Blocks from splitDraftBlocks
+ * @param {Array} changes - Changes from parseDraftPatches (usually just the accepted ones)
+ * @returns {string} The updated draft HTML
+ */
+export function applyDraftPatches(blocks, changes) {
+  const current = blocks.map(block => block.html)
+  const insertedAfter = blocks.map(() => [])
+  const insertedAtStart = []
+
+  changes.forEach(change => {
+    const index = change.block - 1
+    switch (change.op) {
+      case PATCH_OPERATIONS.INSERT_AFTER:
+        (index < 0 ? insertedAtStart : insertedAfter[index]).push(buildBlockHtml(null, change.text))
+        break
+      case PATCH_OPERATIONS.DELETE_BLOCK:
+        current[index] = null
+        break
+      case PATCH_OPERATIONS.REWRITE_BLOCK:
+        if (current[index] !== null) current[index] = buildBlockHtml(current[index], change.text)
+        break
+      case PATCH_OPERATIONS.REPLACE_TEXT:
+        // An earlier change may already have rewritten the phrase; then this one has nothing to do
+        if (current[index] !== null) current[index] = replaceTextInBlock(current[index], change.find, change.replace) ?? current[index]
+        break
+    }
+  })
+
+  return [
+    ...insertedAtStart,
+    ...current.flatMap((html, index) => [html, ...insertedAfter[index]])
+  ].filter(Boolean).join('')
+}
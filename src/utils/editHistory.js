@@ -0,0 +1,108 @@
+/**
+ * Edit History
+ * Remembers the Draft Editor Agent's earlier turns - the instruction, the changes it suggested and
+ * which of them the user applied - so follow-ups like "undo that" can be resolved.
+ * Turns are stored in case_messages.metadata: editTurn on the agent's reply, editOutcome once reviewed.
+ */
+
+// Earlier turns sent with each instruction
+export const EDIT_HISTORY_TURNS = 5
+
+// Longest before/after text kept for one change
+const EDIT_TEXT_CHARS = 400
+
+export const EDIT_STATUSES = {
+  APPLIED: 'applied',
+  REJECTED: 'rejected',
+  NOT_APPLIED: 'not applied'
+}
+
+function truncate(text, maxChars = EDIT_TEXT_CHARS) {
+  if (!text) return ''
+  return text.length > maxChars ? `${text.slice(0, maxChars)}...` : text
+}
+
+/**
+ * Messages loaded from the database have their metadata spread onto them; new ones keep it in metadata
+ */
+function getMetadataValue(message, key) {
+  return message.metadata?.[key] || message[key] || null
+}
+
+/**
+ * Builds the record of one agent turn to store with its reply
+ * @param {string} instruction - The user's instruction
+ * @param {Object} proposal - Result of editDraftContent
+ * @returns {Object} { proposalId, instruction, summary, changes: [{ id, op, block, before, after, reason }] }
+ */
+export function createEditTurn(instruction, proposal) {
+  return {
+    proposalId: `proposal-${Date.now()}`,
+    instruction: truncate(instruction),
+    summary: proposal.summary || '',
+    changes: proposal.changes.map(change => ({
+      id: change.id,
+      op: change.op,
+      block: change.block,
+      before: truncate(change.before),
+      after: truncate(change.after),
+      reason: change.reason || ''
+    }))
+  }
+}
+
+/**
+ * Collects the most recent agent turns from a chat, with the review outcome of each change
+ * @param {Array} messages - Chat messages, oldest first
+ * @param {number} maxTurns - Number of turns to keep
+ * @returns {Array} Turns of { instruction, summary, changes: [{ ..., status }] }, oldest first
+ */
+export function buildEditHistory(messages, maxTurns = EDIT_HISTORY_TURNS) {
+  const outcomes = new Map()
+  messages.forEach(message => {
+    const outcome = getMetadataValue(message, 'editOutcome')
+    if (outcome?.proposalId) outcomes.set(outcome.proposalId, outcome)
+  })
+
+  return messages
+    .map(message => getMetadataValue(message, 'editTurn'))
+    .filter(Boolean)
+    .slice(-maxTurns)
+    .map(turn => {
+      const outcome = outcomes.get(turn.proposalId)
+      return {
+        instruction: turn.instruction,
+        summary: turn.summary,
+        changes: (turn.changes || []).map(change => ({
+          ...change,
+          status: outcome?.accepted?.includes(change.id)
+            ? EDIT_STATUSES.APPLIED
+            : outcome?.rejected?.includes(change.id)
+              ? EDIT_STATUSES.REJECTED
+              : EDIT_STATUSES.NOT_APPLIED
+        }))
+      }
+    })
+}
+
+/**
+ * Formats earlier turns for the editor prompts
+ * @param {Array} history - Turns from buildEditHistory
+ * @returns {string} Prompt section, or an empty string when there is no history
+ */
+export function formatEditHistoryForPrompt(history) {
+  if (!history || history.length === 0) return ''
+
+  const turns = history.map((turn, index) => {
+    const changes = turn.changes.length > 0
+      ? turn.changes.map(change =>
+        `  - [${change.status}] ${change.op} on block ${change.block}: "${change.before}" -> "${change.after}"`
+      ).join('\n')
+      : '  (no changes were suggested)'
+    return `Turn ${index + 1}: "${turn.instruction}"${turn.summary ? `\n  Summary: ${turn.summary}` : ''}\n${changes}`
+  })
+
+  return `=== EARLIER EDITING TURNS (oldest first) ===
+${turns.join('\n')}
+Applied changes are already in the letter; rejected and not applied ones are not. Block numbers refer to the letter at the time of that turn.`
+}
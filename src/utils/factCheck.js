@@ -0,0 +1,189 @@
+/**
+ * Fact Check
+ * Deterministic cross-check of the amounts, dates, phone numbers and email addresses in a draft
+ * against the case record (contact info, chat history and document text).
+ * Names and addresses need judgement and are left to the model review in llmService.
+ */
+
+export const FACT_CATEGORIES = {
+  AMOUNT: 'amount',
+  DATE: 'date',
+  NAME: 'name',
+  ADDRESS: 'address',
+  PHONE: 'phone',
+  EMAIL: 'email',
+  OTHER: 'other'
+}
+
+export const FACT_SEVERITIES = {
+  // The draft contradicts the record
+  HIGH: 'high',
+  // The draft states something the record does not mention
+  MEDIUM: 'medium'
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)'
+
+// Each pattern captures enough to build a YYYY-MM-DD key; order picks the fields out of the match
+const DATE_PATTERNS = [
+  // May 3, 2024
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), order: ['month', 'day', 'year'] },
+  // 3 May 2024
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'gi'), order: ['day', 'month', 'year'] },
+  // 2024-05-03
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, order: ['year', 'month', 'day'] },
+  // 05/03/2024 (US month/day order)
+  { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g, order: ['month', 'day', 'year'] }
+]
+
+// Dollar amounts in the draft: $2,000.00, $ 350, USD 1,200, 1,200 dollars
+const DRAFT_AMOUNT_PATTERN = /(?:\$|USD\s?)\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?|\b(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?\s+dollars\b/gi
+// Any number in the record could be the amount (tables and invoices often omit the $ sign)
+const RECORD_NUMBER_PATTERN = /(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/g
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+
+// Characters of surrounding draft text shown with each warning
+const CONTEXT_CHARS = 60
+
+function toCents(whole, fraction) {
+  return parseInt(whole.replace(/,/g, ''), 10) * 100 + (fraction ? parseInt(fraction.padEnd(2, '0'), 10) : 0)
+}
+
+function formatCents(cents) {
+  return `$${(cents / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+/**
+ * Builds a YYYY-MM-DD key from the parts of a date match
+ * @returns {string|null} The key, or null if the parts are not a real date
+ */
+function toDateKey(parts) {
+  const month = /^\d+$/.test(parts.month)
+    ? parseInt(parts.month, 10)
+    : MONTHS.indexOf(parts.month.slice(0, 3).toLowerCase()) + 1
+  const day = parseInt(parts.day, 10)
+  let year = parseInt(parts.year, 10)
+  if (parts.year.length === 2) year += 2000
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (month < 1 || month > 12 || date.getUTCDate() !== day) return null
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Finds the dates in a text
+ * @param {string} text - Text to search
+ * @returns {Array} { key, value, index } for each date (key is YYYY-MM-DD)
+ */
+function findDates(text) {
+  const found = []
+  const covered = []
+  DATE_PATTERNS.forEach(({ pattern, order }) => {
+    for (const match of text.matchAll(pattern)) {
+      // Skip matches inside a date an earlier pattern already found
+      if (covered.some(([start, end]) => match.index < end && match.index + match[0].length > start)) continue
+
+      const parts = {}
+      order.forEach((field, i) => { parts[field] = match[i + 1] })
+      const key = toDateKey(parts)
+      if (!key) continue
+      found.push({ key, value: match[0], index: match.index })
+      covered.push([match.index, match.index + match[0].length])
+    }
+  })
+  return found
+}
+
+function getContext(text, index, length) {
+  const start = Math.max(0, index - CONTEXT_CHARS)
+  const end = Math.min(text.length, index + length + CONTEXT_CHARS)
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`
+}
+
+function digitsOnly(phone) {
+  return phone.replace(/\D/g, '').slice(-10)
+}
+
+/**
+ * Cross-checks a draft against the case record
+ * Dates on or after today are skipped - they are the letter's own date and the deadlines it sets.
+ * @param {string} draftText - The draft as plain text
+ * @param {Array<string>} recordTexts - Every piece of the case record as text
+ * @param {Object} options
+ * @param {Date} options.today - Reference date for skipping the letter date and deadlines (default now)
+ * @returns {Array} Warnings of { id, category, severity, value, message, context, origin: 'crosscheck' }
+ */
+export function crossCheckDraft(draftText, recordTexts, { today = new Date() } = {}) {
+  const record = recordTexts.filter(Boolean).join('\n\n')
+  const warnings = []
+  const reported = new Set()
+
+  const addWarning = (category, value, index, message) => {
+    const key = `${category}:${value.toLowerCase()}`
+    if (reported.has(key)) return
+    reported.add(key)
+    warnings.push({
+      id: `crosscheck-${warnings.length + 1}`,
+      category,
+      severity: FACT_SEVERITIES.MEDIUM,
+      value,
+      message,
+      context: getContext(draftText, index, value.length),
+      origin: 'crosscheck'
+    })
+  }
+
+  // Amounts
+  const recordAmounts = new Set()
+  for (const match of record.matchAll(RECORD_NUMBER_PATTERN)) {
+    recordAmounts.add(toCents(match[1], match[2]))
+  }
+  for (const match of draftText.matchAll(DRAFT_AMOUNT_PATTERN)) {
+    const cents = match[1] ? toCents(match[1], match[2]) : toCents(match[3], match[4])
+    if (recordAmounts.has(cents)) continue
+    addWarning(FACT_CATEGORIES.AMOUNT, match[0].trim(), match.index, `${formatCents(cents)} does not appear anywhere in the case record.`)
+  }
+
+  // Dates
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`
+  const recordDates = new Set(findDates(record).map(date => date.key))
+  findDates(draftText).forEach(date => {
+    if (date.key >= todayKey || recordDates.has(date.key)) return
+    addWarning(FACT_CATEGORIES.DATE, date.value, date.index, `The date ${date.value} does not appear anywhere in the case record.`)
+  })
+
+  // Phone numbers
+  const recordPhones = new Set(Array.from(record.matchAll(PHONE_PATTERN), match => digitsOnly(match[0])))
+  for (const match of draftText.matchAll(PHONE_PATTERN)) {
+    if (recordPhones.has(digitsOnly(match[0]))) continue
+    addWarning(FACT_CATEGORIES.PHONE, match[0], match.index, `The phone number ${match[0]} does not match any number in the case record.`)
+  }
+
+  // Email addresses
+  const recordEmails = new Set(Array.from(record.matchAll(EMAIL_PATTERN), match => match[0].toLowerCase()))
+  for (const match of draftText.matchAll(EMAIL_PATTERN)) {
+    if (recordEmails.has(match[0].toLowerCase())) continue
+    addWarning(FACT_CATEGORIES.EMAIL, match[0], match.index, `The email address ${match[0]} does not match any address in the case record.`)
+  }
+
+  return warnings
+}
+
+/**
+ * Flattens a case's contact info into text for the cross-check and the review prompt
+ * @param {Object|null} contactInfo - cases.contact_info ({ your, recipient })
+ * @returns {string} One line per known field
+ */
+export function contactInfoToText(contactInfo) {
+  if (!contactInfo) return ''
+  const lines = []
+  const sections = [['Sender', contactInfo.your], ['Recipient', contactInfo.recipient]]
+  sections.forEach(([label, details]) => {
+    Object.entries(details || {}).forEach(([field, value]) => {
+      if (value) lines.push(`${label} ${field}: ${value}`)
+    })
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,122 @@
+/**
+ * Local Store
+ * Small key-value wrapper around IndexedDB for data kept in the browser only
+ * Every call resolves (to null for reads) when IndexedDB is unavailable, e.g. in some private windows,
+ * so callers can treat the store as a cache
+ */
+
+const DB_NAME = 'demandit'
+// Bump when a store is added, so it is created on upgrade
+const DB_VERSION = 2
+
+export const STORES = {
+  DOCUMENT_CHUNKS: 'documentChunks',
+  EDITOR_SNAPSHOTS: 'editorSnapshots'
+}
+
+let databasePromise = null
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      let blocked = false
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        Object.values(STORES).forEach(store => {
+          if (!db.objectStoreNames.contains(store)) db.createObjectStore(store)
+        })
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        // The upgrade finished after another tab let go; the next call opens the store afresh
+        if (blocked) {
+          db.close()
+          return
+        }
+        // Let another tab upgrade the store instead of blocking it; the next call here reopens it
+        db.onversionchange = () => {
+          db.close()
+          databasePromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        console.error('Error opening local store:', request.error)
+        resolve(null)
+      }
+      // Another tab still has an older version open; carry on without the store rather than wait for it
+      request.onblocked = () => {
+        console.warn('Local store upgrade is blocked by another tab')
+        blocked = true
+        databasePromise = null
+        resolve(null)
+      }
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Runs one request against a store
+ */
+async function runRequest(store, mode, makeRequest) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve) => {
+    let request
+    try {
+      request = makeRequest(db.transaction(store, mode).objectStore(store))
+    } catch (error) {
+      // The connection was closed for another tab's upgrade
+      console.error(`Error accessing local store "${store}":`, error)
+      resolve(null)
+      return
+    }
+    request.onsuccess = () => resolve(request.result ?? null)
+    request.onerror = () => {
+      console.error(`Error accessing local store "${store}":`, request.error)
+      resolve(null)
+    }
+  })
+}
+
+/**
+ * Reads a value
+ * @param {string} store - One of STORES
+ * @param {string} key - The key
+ * @returns {Promise<*>} The stored value, or null
+ */
+export function getItem(store, key) {
+  return runRequest(store, 'readonly', objectStore => objectStore.get(key))
+}
+
+/**
+ * Writes a value (anything structured-cloneable)
+ * @param {string} store - One of STORES
+ * @param {string} key - The key
+ * @param {*} value - The value
+ */
+export async function setItem(store, key, value) {
+  await runRequest(store, 'readwrite', objectStore => objectStore.put(value, key))
+}
+
+/**
+ * Deletes a value
+ * @param {string} store - One of STORES
+ * @param {string} key - The key
+ */
+export async function removeItem(store, key) {
+  await runRequest(store, 'readwrite', objectStore => objectStore.delete(key))
+}
+
+/**
+ * Deletes every value in a store
+ * @param {string} store - One of STORES
+ */
+export async function clearStore(store) {
+  await runRequest(store, 'readwrite', objectStore => objectStore.clear())
+}
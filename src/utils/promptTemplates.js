@@ -0,0 +1,35 @@
+/**
+ * Prompt Templates
+ * Fills {{variable}} placeholders in prompts from the prompt library
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g
+
+/**
+ * Lists the variables a prompt uses
+ * @param {string} content - Prompt text
+ * @returns {Array<string>} Variable names, in order of first use
+ */
+export function findPromptVariables(content) {
+  return Array.from(new Set(Array.from((content || '').matchAll(VARIABLE_PATTERN), match => match[1])))
+}
+
+/**
+ * Replaces a prompt's variables with their values
+ * Variables without a value are removed, and reported in missing
+ * @param {string} content - Prompt text
+ * @param {Object} values - Variable name to value
+ * @returns {{ text: string, missing: Array<string> }}
+ */
+export function renderPromptTemplate(content, values = {}) {
+  const missing = new Set()
+  const text = (content || '').replace(VARIABLE_PATTERN, (_match, name) => {
+    const value = values[name]
+    if (value === undefined || value === null || value === '') {
+      missing.add(name)
+      return ''
+    }
+    return String(value)
+  })
+  return { text, missing: Array.from(missing) }
+}
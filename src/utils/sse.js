@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events reader
+ * Parses a streamed `text/event-stream` body into the payload of each `data:` field.
+ * Works with any WHATWG ReadableStream, so it is shared by the browser and the /api/llm proxy.
+ */
+
+/**
+ * Reads an SSE stream and calls onData with each event's data payload
+ * Multi-line data fields are joined with newlines, as the SSE spec describes.
+ * @param {ReadableStream} stream - The response body stream
+ * @param {Function} onData - Called with the data string of each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readSSE(stream, onData) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const flushEvent = (rawEvent) => {
+    const dataLines = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+    if (dataLines.length > 0) {
+      onData(dataLines.join('\n'))
+    }
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    let boundary = buffer.search(/\r?\n\r?\n/)
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '')
+      flushEvent(rawEvent)
+      boundary = buffer.search(/\r?\n\r?\n/)
+    }
+  }
+
+  buffer += decoder.decode()
+  if (buffer.trim()) {
+    flushEvent(buffer)
+  }
+}
+
+/**
+ * Formats a payload as a single SSE event
+ * @param {Object|string} payload - Data to send (objects are JSON-encoded)
+ * @returns {string} The encoded event
+ */
+export function formatSSE(payload) {
+  const data = typeof payload === 'string' ? payload : JSON.stringify(payload)
+  return `data: ${data}\n\n`
+}
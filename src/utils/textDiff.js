@@ -0,0 +1,94 @@
+/**
+ * Text Diff
+ * Word-level diff used to show AI edits as tracked changes and to compare draft versions
+ */
+
+// Above this many token comparisons the diff falls back to "all removed, all added"
+const MAX_DIFF_CELLS = 250000
+
+/**
+ * Splits text into words and the whitespace between them, so the diff can be joined back exactly
+ */
+export function tokenize(text) {
+  return text ? text.match(/\s+|[^\s]+/g) : []
+}
+
+/**
+ * Appends a token to the diff, merging it with the previous part when the type matches
+ */
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
+
+/**
+ * Aligns two sequences by their longest common subsequence
+ * @param {Array} a - Original items
+ * @param {Array} b - Changed items
+ * @param {Function} isEqual - Compares an item of a with an item of b (default ===)
+ * @returns {Array} Steps of { type: 'equal' | 'delete' | 'insert', oldItem, newItem } in reading order
+ *   (equal steps carry both items, deletes only oldItem, inserts only newItem)
+ */
+export function diffSequences(a, b, isEqual = (x, y) => x === y) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(oldItem => ({ type: 'delete', oldItem })),
+      ...b.map(newItem => ({ type: 'insert', newItem }))
+    ]
+  }
+
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = isEqual(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const steps = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (isEqual(a[i], b[j])) {
+      steps.push({ type: 'equal', oldItem: a[i++], newItem: b[j++] })
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      steps.push({ type: 'delete', oldItem: a[i++] })
+    } else {
+      steps.push({ type: 'insert', newItem: b[j++] })
+    }
+  }
+  while (i < a.length) steps.push({ type: 'delete', oldItem: a[i++] })
+  while (j < b.length) steps.push({ type: 'insert', newItem: b[j++] })
+
+  return steps
+}
+
+/**
+ * Computes a word-level diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array} Parts of { type: 'equal' | 'delete' | 'insert', text } in reading order
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText)
+  const b = tokenize(newText)
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    const parts = []
+    if (oldText) parts.push({ type: 'delete', text: oldText })
+    if (newText) parts.push({ type: 'insert', text: newText })
+    return parts
+  }
+
+  const parts = []
+  diffSequences(a, b).forEach(step => {
+    pushPart(parts, step.type, step.type === 'insert' ? step.newItem : step.oldItem)
+  })
+  return parts
+}
@@ -0,0 +1,167 @@
+/**
+ * Token Budgeting
+ * Estimates prompt size and trims conversation history and document text so a request
+ * fits the model's context window, reporting everything that was left out
+ */
+
+// Rough average for English prose; deliberately conservative so estimates run high
+const CHARS_PER_TOKEN = 3.5
+
+// Per-item overhead for separators and labels added around each message/document
+const MESSAGE_OVERHEAD_TOKENS = 4
+const DOCUMENT_OVERHEAD_TOKENS = 12
+
+// A document excerpt smaller than this is not worth including
+const MIN_DOCUMENT_TOKENS = 150
+
+/**
+ * Estimates the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+  return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Truncates text to roughly the given number of tokens, cutting at a word boundary
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token limit
+ * @returns {string} The text, with a marker noting how much was cut if it was truncated
+ */
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN)
+  if (!text || text.length <= maxChars) return text
+
+  let cut = text.slice(0, maxChars)
+  const lastSpace = cut.search(/\s\S*$/)
+  if (lastSpace > maxChars * 0.8) {
+    cut = cut.slice(0, lastSpace)
+  }
+  const omittedTokens = estimateTokens(text.slice(cut.length))
+  return `${cut.trimEnd()}\n[... remaining ~${omittedTokens} tokens of this document were omitted to fit the model's context window ...]`
+}
+
+/**
+ * Splits a budget across items so small items are kept whole and large ones share the rest
+ * @param {Array<number>} sizes - Token size of each item
+ * @param {number} budget - Total tokens available
+ * @returns {Array<number>} Tokens allocated to each item (same order as sizes)
+ */
+function allocateFairShares(sizes, budget) {
+  const allocations = new Array(sizes.length).fill(0)
+  const order = sizes.map((size, index) => ({ size, index })).sort((a, b) => a.size - b.size)
+  let remaining = budget
+
+  order.forEach(({ size, index }, position) => {
+    const share = Math.floor(remaining / (order.length - position))
+    allocations[index] = Math.min(size, share)
+    remaining -= allocations[index]
+  })
+
+  return allocations
+}
+
+/**
+ * Fits chat messages and documents into a token budget
+ * The newest messages are kept first (older ones are dropped); documents share what is left,
+ * with documents that do not fit truncated to an excerpt, or dropped if the excerpt would be too small.
+ * Unused budget on either side is given to the other.
+ * @param {Object} params
+ * @param {Array} params.messages - Chat messages in chronological order ({ id, text })
+ * @param {Array} params.documents - Documents ({ name, text })
+ * @param {number} params.availableTokens - Tokens available for messages and documents combined
+ * @param {number} params.conversationShare - Fraction of the budget reserved for the conversation (default 0.4)
+ * @returns {{ messages: Array, documents: Array, report: Object }} The kept items and a report of what was left out
+ */
+export function fitContextToBudget({ messages, documents, availableTokens, conversationShare = 0.4 }) {
+  const messageSizes = messages.map(msg => estimateTokens(msg.text) + MESSAGE_OVERHEAD_TOKENS)
+  const documentSizes = documents.map(doc => estimateTokens(doc.text) + DOCUMENT_OVERHEAD_TOKENS)
+  const totalMessageTokens = messageSizes.reduce((sum, size) => sum + size, 0)
+  const totalDocumentTokens = documentSizes.reduce((sum, size) => sum + size, 0)
+  const budget = Math.max(0, availableTokens)
+
+  const report = {
+    availableTokens: budget,
+    requiredTokens: totalMessageTokens + totalDocumentTokens,
+    droppedMessages: [],
+    truncatedDocuments: [],
+    droppedDocuments: [],
+    hasOmissions: false
+  }
+
+  if (report.requiredTokens <= budget) {
+    return { messages, documents, report }
+  }
+
+  // Conversation gets up to its share; documents get the rest, and any slack flows back
+  let conversationBudget = Math.min(totalMessageTokens, Math.floor(budget * conversationShare))
+  const documentBudget = Math.min(totalDocumentTokens, budget - conversationBudget)
+  conversationBudget = Math.min(totalMessageTokens, budget - documentBudget)
+
+  // Keep the most recent messages that fit, as one contiguous run
+  let firstKept = messages.length
+  let usedConversation = 0
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (usedConversation + messageSizes[i] > conversationBudget) break
+    usedConversation += messageSizes[i]
+    firstKept = i
+  }
+  const keptMessages = messages.slice(firstKept)
+  report.droppedMessages = messages.slice(0, firstKept).map(msg => ({
+    id: msg.id,
+    preview: msg.text.length > 80 ? `${msg.text.slice(0, 80)}...` : msg.text
+  }))
+
+  // Share the document budget, plus anything the conversation did not use
+  const allocations = allocateFairShares(documentSizes, budget - usedConversation)
+  const keptDocuments = []
+  documents.forEach((doc, index) => {
+    const allocation = allocations[index]
+    if (allocation >= documentSizes[index]) {
+      keptDocuments.push(doc)
+      return
+    }
+
+    const textBudget = allocation - DOCUMENT_OVERHEAD_TOKENS
+    if (textBudget < MIN_DOCUMENT_TOKENS) {
+      report.droppedDocuments.push({ name: doc.name })
+      return
+    }
+
+    keptDocuments.push({ ...doc, text: truncateToTokens(doc.text, textBudget) })
+    report.truncatedDocuments.push({
+      name: doc.name,
+      keptPercent: Math.round((textBudget / estimateTokens(doc.text)) * 100)
+    })
+  })
+
+  report.hasOmissions = report.droppedMessages.length > 0 ||
+    report.truncatedDocuments.length > 0 ||
+    report.droppedDocuments.length > 0
+
+  return { messages: keptMessages, documents: keptDocuments, report }
+}
+
+/**
+ * Describes a budget report in plain language for the user
+ * @param {Object} report - Report returned by fitContextToBudget
+ * @returns {string} Summary of what the model did not see (empty if nothing was left out)
+ */
+export function describeContextReport(report) {
+  if (!report || !report.hasOmissions) return ''
+
+  const parts = []
+  if (report.droppedMessages.length > 0) {
+    parts.push(`the ${report.droppedMessages.length} oldest chat message${report.droppedMessages.length === 1 ? '' : 's'}`)
+  }
+  report.truncatedDocuments.forEach(doc => {
+    parts.push(`part of "${doc.name}" (only about ${doc.keptPercent}% was included)`)
+  })
+  report.droppedDocuments.forEach(doc => {
+    parts.push(`"${doc.name}" (left out entirely)`)
+  })
+
+  return `This case is larger than the AI model can read at once, so it did not see: ${parts.join('; ')}. Review the result for anything missing from those sources.`
+}
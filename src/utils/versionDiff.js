@@ -0,0 +1,258 @@
+/**
+ * Version Diff
+ * Compares two draft versions for the side-by-side compare view. Blocks (paragraphs, headings, lists)
+ * are lined up first, then changed blocks are compared word by word. Words present in both versions
+ * whose formatting differs (bold, italic, links, heading level, alignment, ...) are reported as
+ * formatting changes.
+ */
+
+import { splitDraftBlocks } from './draftPatches'
+import { diffSequences, tokenize } from './textDiff'
+
+// Inline elements and the formatting they apply
+const INLINE_MARKS = {
+  STRONG: 'bold',
+  B: 'bold',
+  EM: 'italic',
+  I: 'italic',
+  U: 'underline',
+  S: 'strikethrough',
+  STRIKE: 'strikethrough',
+  A: 'link',
+  SUB: 'subscript',
+  SUP: 'superscript',
+  CODE: 'code'
+}
+
+const BLOCK_LABELS = {
+  P: 'paragraph',
+  H1: 'heading 1',
+  H2: 'heading 2',
+  H3: 'heading 3',
+  H4: 'heading 4',
+  UL: 'bulleted list',
+  OL: 'numbered list',
+  BLOCKQUOTE: 'quote',
+  PRE: 'code block'
+}
+
+// Editor classes for alignment, indentation, font and size
+const CLASS_LABELS = [
+  { pattern: /^ql-align-(\w+)$/, label: match => `aligned ${match[1]}` },
+  { pattern: /^ql-indent-(\d+)$/, label: match => `indent ${match[1]}` },
+  { pattern: /^ql-size-(\w+)$/, label: match => `${match[1]} text` },
+  { pattern: /^ql-font-(\w+)$/, label: match => `${match[1]} font` }
+]
+
+function getClassLabels(element) {
+  return Array.from(element.classList || []).flatMap(className => {
+    for (const { pattern, label } of CLASS_LABELS) {
+      const match = className.match(pattern)
+      if (match) return [label(match)]
+    }
+    return []
+  })
+}
+
+/**
+ * Splits a block into word and whitespace tokens, each with the inline formatting it has
+ */
+function getBlockTokens(element) {
+  const tokens = []
+  const walk = (node, marks) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      tokenize(node.nodeValue).forEach(text => tokens.push({ text, marks }))
+      return
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return
+    if (node.nodeName === 'BR') {
+      tokens.push({ text: '\n', marks })
+      return
+    }
+
+    const nodeMarks = [
+      ...(INLINE_MARKS[node.nodeName] ? [INLINE_MARKS[node.nodeName]] : []),
+      ...(node.nodeName === 'SPAN' ? getClassLabels(node) : [])
+    ]
+    const childMarks = Array.from(new Set([...marks, ...nodeMarks])).sort()
+    node.childNodes.forEach(child => walk(child, childMarks))
+    if (node.nodeName === 'LI') tokens.push({ text: '\n', marks })
+  }
+
+  element.childNodes.forEach(child => walk(child, []))
+  // A list's last item ends with a line break the block text doesn't have
+  if (tokens.length > 0 && tokens[tokens.length - 1].text === '\n' && element.lastChild?.nodeName === 'LI') {
+    tokens.pop()
+  }
+  return tokens
+}
+
+/**
+ * Parses draft content into blocks with their text, block formatting and formatted tokens
+ */
+function getVersionBlocks(content) {
+  return splitDraftBlocks(content || '').map(block => {
+    const template = document.createElement('template')
+    template.innerHTML = block.html
+    const element = template.content.firstChild
+    return {
+      text: block.text,
+      type: BLOCK_LABELS[element.nodeName] || element.nodeName.toLowerCase(),
+      classes: getClassLabels(element),
+      tokens: getBlockTokens(element)
+    }
+  })
+}
+
+/**
+ * Describes how formatting changed, e.g. "bold added, italic removed"
+ */
+function describeMarkChange(oldMarks, newMarks) {
+  const added = newMarks.filter(mark => !oldMarks.includes(mark)).map(mark => `${mark} added`)
+  const removed = oldMarks.filter(mark => !newMarks.includes(mark)).map(mark => `${mark} removed`)
+  return [...added, ...removed].join(', ')
+}
+
+/**
+ * Describes how a block's own formatting changed, e.g. "heading 2 → paragraph, aligned center added"
+ * @returns {string|null} Null if the block's formatting is unchanged
+ */
+function describeBlockChange(oldBlock, newBlock) {
+  const notes = [
+    ...(oldBlock.type !== newBlock.type ? [`${oldBlock.type} → ${newBlock.type}`] : []),
+    ...(describeMarkChange(oldBlock.classes, newBlock.classes) ? [describeMarkChange(oldBlock.classes, newBlock.classes)] : [])
+  ]
+  return notes.length > 0 ? notes.join(', ') : null
+}
+
+/**
+ * Appends text to one side of a row, merging it with the previous part when type and note match
+ */
+function pushPart(parts, type, text, note = null) {
+  const last = parts[parts.length - 1]
+  if (last && last.type === type && (last.note || null) === note) {
+    last.text += text
+  } else {
+    parts.push({ type, text, ...(note ? { note } : {}) })
+  }
+}
+
+const isWord = (text) => /\S/.test(text)
+
+/**
+ * Joins reformatted words separated only by whitespace into one run, e.g. a phrase made bold
+ */
+function mergeFormatRuns(parts) {
+  return parts.reduce((merged, part) => {
+    const previous = merged[merged.length - 1]
+    const beforePrevious = merged[merged.length - 2]
+    if (part.type === 'format' && previous?.type === 'equal' && !isWord(previous.text) &&
+      beforePrevious?.type === 'format' && beforePrevious.note === part.note) {
+      beforePrevious.text += previous.text + part.text
+      merged.pop()
+    } else {
+      merged.push(part)
+    }
+    return merged
+  }, [])
+}
+
+/**
+ * Compares the tokens of a block in the old version with a block in the new version
+ * @returns {{ oldParts: Array, newParts: Array, insertedWords: number, deletedWords: number }}
+ */
+function compareBlockTokens(oldTokens, newTokens) {
+  const oldParts = []
+  const newParts = []
+  let insertedWords = 0
+  let deletedWords = 0
+
+  diffSequences(oldTokens, newTokens, (a, b) => a.text === b.text).forEach(({ type, oldItem, newItem }) => {
+    if (type === 'delete') {
+      pushPart(oldParts, 'delete', oldItem.text)
+      if (isWord(oldItem.text)) deletedWords++
+    } else if (type === 'insert') {
+      pushPart(newParts, 'insert', newItem.text)
+      if (isWord(newItem.text)) insertedWords++
+    } else {
+      // Whitespace can't show formatting, so only words count as reformatted
+      const note = isWord(oldItem.text) ? describeMarkChange(oldItem.marks, newItem.marks) || null : null
+      pushPart(oldParts, note ? 'format' : 'equal', oldItem.text, note)
+      pushPart(newParts, note ? 'format' : 'equal', newItem.text, note)
+    }
+  })
+
+  return { oldParts: mergeFormatRuns(oldParts), newParts: mergeFormatRuns(newParts), insertedWords, deletedWords }
+}
+
+/**
+ * Compares two versions of a draft
+ * @param {string} oldContent - Content of the earlier version (HTML or plain text)
+ * @param {string} newContent - Content of the later version
+ * @returns {Object} { rows, formatChanges, stats }
+ *   rows line the versions up block by block: { oldParts, newParts, blockNote } where a side is null if the
+ *   block only exists in the other version. Parts are { type: 'equal' | 'delete' | 'insert' | 'format', text, note? }.
+ *   formatChanges lists { text, note } for reformatted text and blocks; stats is { insertedWords, deletedWords, formatChanges }
+ */
+export function compareDraftVersions(oldContent, newContent) {
+  const oldBlocks = getVersionBlocks(oldContent)
+  const newBlocks = getVersionBlocks(newContent)
+  const rows = []
+  const stats = { insertedWords: 0, deletedWords: 0, formatChanges: 0 }
+
+  const addPair = (oldBlock, newBlock) => {
+    const result = compareBlockTokens(oldBlock.tokens, newBlock.tokens)
+    stats.insertedWords += result.insertedWords
+    stats.deletedWords += result.deletedWords
+    // A block rewritten from scratch has no text in common, so a change of its formatting isn't worth noting
+    const sharesText = result.newParts.some(part => part.type === 'equal' || part.type === 'format')
+    rows.push({
+      oldParts: result.oldParts,
+      newParts: result.newParts,
+      blockNote: sharesText ? describeBlockChange(oldBlock, newBlock) : null
+    })
+  }
+
+  // Blocks removed and added between two unchanged blocks are compared pairwise, as edits of each other
+  let deleted = []
+  let inserted = []
+  const flush = () => {
+    const pairs = Math.min(deleted.length, inserted.length)
+    for (let index = 0; index < pairs; index++) addPair(deleted[index], inserted[index])
+    deleted.slice(pairs).forEach(block => {
+      stats.deletedWords += block.tokens.filter(token => isWord(token.text)).length
+      rows.push({ oldParts: [{ type: 'delete', text: block.text }], newParts: null, blockNote: null })
+    })
+    inserted.slice(pairs).forEach(block => {
+      stats.insertedWords += block.tokens.filter(token => isWord(token.text)).length
+      rows.push({ oldParts: null, newParts: [{ type: 'insert', text: block.text }], blockNote: null })
+    })
+    deleted = []
+    inserted = []
+  }
+
+  diffSequences(oldBlocks, newBlocks, (a, b) => a.text === b.text).forEach(({ type, oldItem, newItem }) => {
+    if (type === 'delete') {
+      deleted.push(oldItem)
+    } else if (type === 'insert') {
+      inserted.push(newItem)
+    } else {
+      flush()
+      addPair(oldItem, newItem)
+    }
+  })
+  flush()
+
+  const formatChanges = []
+  rows.forEach(row => {
+    if (row.blockNote) {
+      formatChanges.push({ text: (row.newParts || []).map(part => part.text).join(''), note: row.blockNote })
+    }
+    (row.newParts || []).filter(part => part.type === 'format').forEach(part => {
+      formatChanges.push({ text: part.text.trim(), note: part.note })
+    })
+  })
+  stats.formatChanges = formatChanges.length
+
+  return { rows, formatChanges, stats }
+}
@@ -0,0 +1,4 @@
+-- Company-level settings (e.g. the default LLM provider for all of a company's cases)
+-- Shape: { "llmProvider": { "provider": "anthropic", "model": "claude-sonnet-4-5" } }
+alter table public.companies
+  add column if not exists settings jsonb not null default '{}'::jsonb;
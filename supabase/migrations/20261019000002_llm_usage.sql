@@ -0,0 +1,22 @@
+-- One row per LLM request forwarded by the /api/llm proxy
+-- Used to enforce per-user and per-company request quotas
+create table if not exists public.llm_usage (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  company_id uuid references public.companies(id) on delete set null,
+  case_id uuid references public.cases(id) on delete set null,
+  provider text not null,
+  model text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists llm_usage_user_created_idx on public.llm_usage (user_id, created_at);
+create index if not exists llm_usage_company_created_idx on public.llm_usage (company_id, created_at);
+
+alter table public.llm_usage enable row level security;
+
+-- Rows are written by the proxy with the service role key; users may only read their own usage
+drop policy if exists "Users can view their own LLM usage" on public.llm_usage;
+create policy "Users can view their own LLM usage"
+  on public.llm_usage for select
+  using (auth.uid() = user_id);
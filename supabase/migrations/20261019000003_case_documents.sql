@@ -0,0 +1,94 @@
+-- Evidence documents uploaded to a case
+-- Files live in the private "case-documents" Storage bucket under <case_id>/<document_id>/<file name>;
+-- this table holds their metadata and the text extracted from them (text layer, DOCX/RTF/HTML or OCR)
+create table if not exists public.case_documents (
+  id uuid primary key default gen_random_uuid(),
+  case_id uuid not null references public.cases(id) on delete cascade,
+  storage_path text not null unique,
+  name text not null,
+  mime_type text,
+  size bigint,
+  uploaded_by uuid references auth.users(id) on delete set null,
+  extracted_text text,
+  extraction_status text,
+  ocr_confidence smallint,
+  -- Per-page text and OCR confidence: { "pages": [...], "ocrPages": [{ "page": 1, "confidence": 87 }] }
+  extraction_details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists case_documents_case_created_idx on public.case_documents (case_id, created_at);
+
+alter table public.case_documents enable row level security;
+
+-- Access follows case membership, like case messages and drafts
+drop policy if exists "Case members can view case documents" on public.case_documents;
+create policy "Case members can view case documents"
+  on public.case_documents for select
+  using (exists (
+    select 1 from public.case_users cu
+    where cu.case_id = case_documents.case_id and cu.user_id = auth.uid()
+  ));
+
+drop policy if exists "Case members can add case documents" on public.case_documents;
+create policy "Case members can add case documents"
+  on public.case_documents for insert
+  with check (
+    uploaded_by = auth.uid() and exists (
+      select 1 from public.case_users cu
+      where cu.case_id = case_documents.case_id and cu.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Case members can update case documents" on public.case_documents;
+create policy "Case members can update case documents"
+  on public.case_documents for update
+  using (exists (
+    select 1 from public.case_users cu
+    where cu.case_id = case_documents.case_id and cu.user_id = auth.uid()
+  ));
+
+drop policy if exists "Case members can delete case documents" on public.case_documents;
+create policy "Case members can delete case documents"
+  on public.case_documents for delete
+  using (exists (
+    select 1 from public.case_users cu
+    where cu.case_id = case_documents.case_id and cu.user_id = auth.uid()
+  ));
+
+-- Private bucket; files are viewed through short-lived signed URLs
+insert into storage.buckets (id, name, public)
+values ('case-documents', 'case-documents', false)
+on conflict (id) do nothing;
+
+-- The first folder of each object path is the case ID, so the same membership check applies
+drop policy if exists "Case members can read case document files" on storage.objects;
+create policy "Case members can read case document files"
+  on storage.objects for select
+  using (
+    bucket_id = 'case-documents' and exists (
+      select 1 from public.case_users cu
+      where cu.case_id::text = (storage.foldername(name))[1] and cu.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Case members can upload case document files" on storage.objects;
+create policy "Case members can upload case document files"
+  on storage.objects for insert
+  with check (
+    bucket_id = 'case-documents' and exists (
+      select 1 from public.case_users cu
+      where cu.case_id::text = (storage.foldername(name))[1] and cu.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Case members can delete case document files" on storage.objects;
+create policy "Case members can delete case document files"
+  on storage.objects for delete
+  using (
+    bucket_id = 'case-documents' and exists (
+      select 1 from public.case_users cu
+      where cu.case_id::text = (storage.foldername(name))[1] and cu.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,63 @@
+-- Attorney annotations on case documents
+-- anchor points at what the note is about:
+--   text:   { "type": "text", "start": 120, "end": 164, "quote": "...", "page": 2 }
+--           (character offsets into case_documents.extracted_text)
+--   region: { "type": "region", "x": 0.1, "y": 0.2, "width": 0.3, "height": 0.1 }
+--           (fractions of the image's width/height)
+--   null:   a note on the document as a whole
+create table if not exists public.document_annotations (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references public.case_documents(id) on delete cascade,
+  case_id uuid not null references public.cases(id) on delete cascade,
+  author_id uuid references auth.users(id) on delete set null,
+  -- Copied at creation so other case members can see who wrote the note
+  author_email text,
+  note text not null,
+  anchor jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists document_annotations_case_idx on public.document_annotations (case_id, created_at);
+create index if not exists document_annotations_document_idx on public.document_annotations (document_id);
+
+alter table public.document_annotations enable row level security;
+
+-- Case members can read and add annotations; only the author can change or remove one
+drop policy if exists "Case members can view annotations" on public.document_annotations;
+create policy "Case members can view annotations"
+  on public.document_annotations for select
+  using (exists (
+    select 1 from public.case_users cu
+    where cu.case_id = document_annotations.case_id and cu.user_id = auth.uid()
+  ));
+
+drop policy if exists "Case members can add annotations" on public.document_annotations;
+create policy "Case members can add annotations"
+  on public.document_annotations for insert
+  with check (
+    author_id = auth.uid() and exists (
+      select 1 from public.case_users cu
+      where cu.case_id = document_annotations.case_id and cu.user_id = auth.uid()
+    ) and exists (
+      -- The document must belong to the same case, so a note can't be attached to another case's file
+      select 1 from public.case_documents d
+      where d.id = document_annotations.document_id and d.case_id = document_annotations.case_id
+    )
+  );
+
+drop policy if exists "Authors can update their annotations" on public.document_annotations;
+create policy "Authors can update their annotations"
+  on public.document_annotations for update
+  using (author_id = auth.uid())
+  with check (
+    author_id = auth.uid() and exists (
+      select 1 from public.case_documents d
+      where d.id = document_annotations.document_id and d.case_id = document_annotations.case_id
+    )
+  );
+
+drop policy if exists "Authors can delete their annotations" on public.document_annotations;
+create policy "Authors can delete their annotations"
+  on public.document_annotations for delete
+  using (author_id = auth.uid());
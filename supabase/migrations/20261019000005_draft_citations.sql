@@ -0,0 +1,9 @@
+-- Sources behind each paragraph of a generated letter
+-- citations is an array of:
+--   { "paragraph": 2, "text": "Paragraph preview...", "sources": [
+--       { "label": "D1", "type": "document", "documentId": "...", "documentName": "lease.pdf", "page": 3, "excerpt": "..." },
+--       { "label": "M2", "type": "message", "messageId": "...", "excerpt": "..." }
+--   ] }
+-- Null for drafts generated before citations were recorded
+alter table public.demand_letter_drafts
+  add column if not exists citations jsonb;
@@ -0,0 +1,104 @@
+-- Company prompt library: versioned system prompts for the AI features
+-- prompt_key is one of PROMPT_KEYS in src/config/defaultPrompts.js
+-- variables holds values for the prompt's own {{variables}}, e.g. { "jurisdiction": "California" }
+-- At most one version per company and prompt is active; with none active the built-in prompt is used
+create table if not exists public.prompt_versions (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references public.companies(id) on delete cascade,
+  prompt_key text not null,
+  version integer not null,
+  content text not null,
+  variables jsonb not null default '{}'::jsonb,
+  notes text,
+  is_active boolean not null default false,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (company_id, prompt_key, version)
+);
+
+create unique index if not exists prompt_versions_active_idx
+  on public.prompt_versions (company_id, prompt_key) where is_active;
+
+alter table public.prompt_versions enable row level security;
+
+-- Members of a company can read, add and activate its prompt versions; versions are never edited in place
+drop policy if exists "Company members can view prompt versions" on public.prompt_versions;
+create policy "Company members can view prompt versions"
+  on public.prompt_versions for select
+  using (exists (
+    select 1 from public.user_profiles up
+    where up.id = auth.uid() and up.company_id = prompt_versions.company_id
+  ));
+
+drop policy if exists "Company members can add prompt versions" on public.prompt_versions;
+create policy "Company members can add prompt versions"
+  on public.prompt_versions for insert
+  with check (
+    created_by = auth.uid() and exists (
+      select 1 from public.user_profiles up
+      where up.id = auth.uid() and up.company_id = prompt_versions.company_id
+    )
+  );
+
+drop policy if exists "Company members can activate prompt versions" on public.prompt_versions;
+create policy "Company members can activate prompt versions"
+  on public.prompt_versions for update
+  using (exists (
+    select 1 from public.user_profiles up
+    where up.id = auth.uid() and up.company_id = prompt_versions.company_id
+  ));
+
+-- Activating is the only change allowed: a version's content stays what drafts recorded it as
+create or replace function public.protect_prompt_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (to_jsonb(new) - 'is_active') is distinct from (to_jsonb(old) - 'is_active') then
+    raise exception 'Prompt versions cannot be edited; save a new version instead';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_prompt_version on public.prompt_versions;
+create trigger protect_prompt_version
+  before update on public.prompt_versions
+  for each row execute function public.protect_prompt_version();
+
+-- Makes a version the active one for its prompt, switching off the current one in the same transaction
+-- Runs as the owner so the swap is atomic; company membership is checked here
+create or replace function public.activate_prompt_version(p_version_id uuid)
+returns public.prompt_versions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_version public.prompt_versions;
+begin
+  select * into v_version from public.prompt_versions where id = p_version_id;
+  if v_version.id is null or not exists (
+    select 1 from public.user_profiles up
+    where up.id = auth.uid() and up.company_id = v_version.company_id
+  ) then
+    raise exception 'Prompt version not found';
+  end if;
+
+  update public.prompt_versions
+  set is_active = false
+  where company_id = v_version.company_id and prompt_key = v_version.prompt_key and is_active and id <> v_version.id;
+
+  update public.prompt_versions
+  set is_active = true
+  where id = v_version.id
+  returning * into v_version;
+
+  return v_version;
+end;
+$$;
+
+-- The prompt that produced each draft: { "key": "generateLegalDemandLetter", "id": "<prompt_versions.id>", "version": 3 }
+-- id and version are null when the built-in prompt was used
+alter table public.demand_letter_drafts
+  add column if not exists prompt_version jsonb;
@@ -0,0 +1,114 @@
+-- Usage metering for the /api/llm proxy: tokens, latency and cost of every request
+-- caller is the client function that made the request (e.g. 'chatAssistant')
+-- tokens_estimated is true when the provider did not report token counts and the proxy estimated them
+-- cost_usd is null only for rows recorded before metering; models without a price are charged at a fallback rate
+-- (see src/config/llmPricing.js)
+alter table public.llm_usage
+  -- Copied at creation so other company members can see who made the request
+  add column if not exists user_email text,
+  add column if not exists caller text,
+  add column if not exists prompt_tokens integer,
+  add column if not exists completion_tokens integer,
+  add column if not exists tokens_estimated boolean not null default false,
+  add column if not exists latency_ms integer,
+  add column if not exists cost_usd numeric(12, 6);
+
+create index if not exists llm_usage_case_created_idx on public.llm_usage (case_id, created_at);
+
+-- Members of a company can see all of its usage, for the usage dashboard
+drop policy if exists "Company members can view company LLM usage" on public.llm_usage;
+create policy "Company members can view company LLM usage"
+  on public.llm_usage for select
+  using (exists (
+    select 1 from public.user_profiles up
+    where up.id = auth.uid() and up.company_id = llm_usage.company_id
+  ));
+
+-- Total cost of a company's requests since a point in time (checked by the proxy against the hard spend limit)
+create or replace function public.llm_company_spend(p_company_id uuid, p_since timestamptz)
+returns numeric
+language sql
+stable
+security invoker
+as $$
+  select coalesce(sum(cost_usd), 0)
+  from public.llm_usage
+  where company_id = p_company_id and created_at >= p_since;
+$$;
+
+-- Usage the caller can see, grouped by month, user, case, caller and model
+-- Runs as the caller, so RLS limits it to their company's rows
+create or replace function public.llm_usage_summary(p_since timestamptz, p_until timestamptz default null)
+returns table (
+  month date,
+  user_id uuid,
+  user_email text,
+  case_id uuid,
+  caller text,
+  model text,
+  calls bigint,
+  prompt_tokens bigint,
+  completion_tokens bigint,
+  estimated_calls bigint,
+  cost_usd numeric,
+  avg_latency_ms numeric
+)
+language sql
+stable
+security invoker
+as $$
+  select
+    date_trunc('month', created_at at time zone 'utc')::date as month,
+    user_id,
+    max(user_email) as user_email,
+    case_id,
+    caller,
+    model,
+    count(*) as calls,
+    coalesce(sum(prompt_tokens), 0) as prompt_tokens,
+    coalesce(sum(completion_tokens), 0) as completion_tokens,
+    count(*) filter (where tokens_estimated) as estimated_calls,
+    coalesce(sum(cost_usd), 0) as cost_usd,
+    round(avg(latency_ms)) as avg_latency_ms
+  from public.llm_usage
+  where created_at >= p_since and (p_until is null or created_at < p_until)
+  group by 1, user_id, case_id, caller, model;
+$$;
+
+-- Sets the caller's company spend limits in companies.settings.llmSpendLimits
+-- Shape: { "monthlySoft": 200, "monthlyHard": 500 } in US dollars per calendar month (UTC); null means no limit
+-- Only reviewers (user_profiles.role, see 20261019000008_draft_workflow.sql) can change the limits
+-- Runs as the owner so reviewers can change them without write access to the rest of the company row
+create or replace function public.set_llm_spend_limits(p_monthly_soft numeric, p_monthly_hard numeric)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_company_id uuid;
+  v_role text;
+  v_limits jsonb;
+begin
+  select company_id, role into v_company_id, v_role from public.user_profiles where id = auth.uid();
+  if v_company_id is null then
+    raise exception 'User profile not found';
+  end if;
+
+  if v_role is distinct from 'reviewer' then
+    raise exception 'Only reviewers can change spend limits';
+  end if;
+
+  if p_monthly_soft < 0 or p_monthly_hard < 0 then
+    raise exception 'Spend limits cannot be negative';
+  end if;
+
+  v_limits := jsonb_build_object('monthlySoft', p_monthly_soft, 'monthlyHard', p_monthly_hard);
+
+  update public.companies
+  set settings = jsonb_set(coalesce(settings, '{}'::jsonb), '{llmSpendLimits}', v_limits)
+  where id = v_company_id;
+
+  return v_limits;
+end;
+$$;
@@ -0,0 +1,192 @@
+-- Review workflow for drafts: draft → in review → changes requested → approved → sent → responded/settled
+-- Statuses and transitions are listed in src/config/draftStatuses.js and must match transition_draft_status below
+
+-- Only reviewers can approve drafts or request changes
+-- Roles are assigned by an administrator (SQL editor or service role), never by users themselves
+alter table public.user_profiles
+  add column if not exists role text not null default 'member';
+
+alter table public.user_profiles drop constraint if exists user_profiles_role_check;
+alter table public.user_profiles
+  add constraint user_profiles_role_check check (role in ('member', 'reviewer'));
+
+-- Profiles created from the app (at signup) always start as members, whatever role the request asks for
+create or replace function public.protect_user_profile_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if auth.uid() is not null or coalesce(auth.role(), '') = 'anon' then
+      new.role := 'member';
+    end if;
+    return new;
+  end if;
+
+  if new.role is distinct from old.role and auth.uid() is not null then
+    raise exception 'User roles can only be changed by an administrator';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_user_profile_role on public.user_profiles;
+create trigger protect_user_profile_role
+  before insert or update on public.user_profiles
+  for each row execute function public.protect_user_profile_role();
+
+alter table public.demand_letter_drafts drop constraint if exists demand_letter_drafts_status_check;
+alter table public.demand_letter_drafts
+  add constraint demand_letter_drafts_status_check check (status in (
+    'draft', 'saved', 'in_review', 'changes_requested', 'approved', 'sent', 'responded', 'settled'
+  ));
+
+-- Every status change of a draft, with who made it and why
+create table if not exists public.draft_status_events (
+  id uuid primary key default gen_random_uuid(),
+  draft_id uuid not null references public.demand_letter_drafts(id) on delete cascade,
+  case_id uuid not null references public.cases(id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  comment text,
+  created_by uuid references auth.users(id) on delete set null,
+  -- Copied at creation so other case members can see who made the change
+  created_by_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists draft_status_events_draft_created_idx on public.draft_status_events (draft_id, created_at);
+
+alter table public.draft_status_events enable row level security;
+
+-- Case members can read the timeline; events are only written by transition_draft_status
+drop policy if exists "Case members can view draft status events" on public.draft_status_events;
+create policy "Case members can view draft status events"
+  on public.draft_status_events for select
+  using (exists (
+    select 1 from public.case_users cu
+    where cu.case_id = draft_status_events.case_id and cu.user_id = auth.uid()
+  ));
+
+-- Locked drafts can't be edited, and statuses only change through transition_draft_status
+create or replace function public.enforce_draft_workflow()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status in ('in_review', 'approved', 'sent', 'responded', 'settled')
+    and new.rendered_content is distinct from old.rendered_content then
+    raise exception 'This draft is locked for editing while it is %', replace(old.status, '_', ' ');
+  end if;
+
+  if new.status is distinct from old.status
+    and coalesce(current_setting('demandit.draft_transition', true), '') <> 'on' then
+    raise exception 'Draft status can only be changed through the review workflow';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_draft_workflow on public.demand_letter_drafts;
+create trigger enforce_draft_workflow
+  before update on public.demand_letter_drafts
+  for each row execute function public.enforce_draft_workflow();
+
+-- Locked drafts can't be deleted either, except along with their case
+create or replace function public.prevent_locked_draft_delete()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status in ('in_review', 'approved', 'sent', 'responded', 'settled')
+    and exists (select 1 from public.cases c where c.id = old.case_id) then
+    raise exception 'This draft can''t be deleted while it is %', replace(old.status, '_', ' ');
+  end if;
+  return old;
+end;
+$$;
+
+drop trigger if exists prevent_locked_draft_delete on public.demand_letter_drafts;
+create trigger prevent_locked_draft_delete
+  before delete on public.demand_letter_drafts
+  for each row execute function public.prevent_locked_draft_delete();
+
+-- Moves a draft to a new status and records the change
+-- Runs as the owner so it can write the event, so case membership and the reviewer role are checked here
+create or replace function public.transition_draft_status(p_draft_id uuid, p_to_status text, p_comment text default null)
+returns public.demand_letter_drafts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_draft public.demand_letter_drafts;
+  v_from_status text;
+  v_role text;
+  v_reviewer_only boolean;
+  v_comment_required boolean;
+  v_comment text := nullif(trim(coalesce(p_comment, '')), '');
+begin
+  select * into v_draft from public.demand_letter_drafts where id = p_draft_id for update;
+  if v_draft.id is null or not exists (
+    select 1 from public.case_users cu
+    where cu.case_id = v_draft.case_id and cu.user_id = auth.uid()
+  ) then
+    raise exception 'Draft not found';
+  end if;
+
+  select t.reviewer_only, t.comment_required into v_reviewer_only, v_comment_required
+  from (values
+    ('draft', 'saved', false, false),
+    ('changes_requested', 'saved', false, false),
+    ('saved', 'in_review', false, false),
+    ('in_review', 'approved', true, false),
+    ('in_review', 'changes_requested', true, true),
+    ('approved', 'changes_requested', true, true),
+    ('approved', 'sent', false, false),
+    ('sent', 'responded', false, false),
+    ('sent', 'settled', false, false),
+    ('responded', 'settled', false, false)
+  ) as t(from_status, to_status, reviewer_only, comment_required)
+  where t.from_status = v_draft.status and t.to_status = p_to_status;
+
+  if v_reviewer_only is null then
+    raise exception 'A draft can''t go from % to %', replace(v_draft.status, '_', ' '), replace(p_to_status, '_', ' ');
+  end if;
+
+  if v_reviewer_only then
+    select role into v_role from public.user_profiles where id = auth.uid();
+    if coalesce(v_role, 'member') <> 'reviewer' then
+      raise exception 'Only reviewers can approve drafts or request changes';
+    end if;
+  end if;
+
+  if v_comment_required and v_comment is null then
+    raise exception 'Please add a comment explaining the changes needed';
+  end if;
+
+  v_from_status := v_draft.status;
+  perform set_config('demandit.draft_transition', 'on', true);
+  update public.demand_letter_drafts
+  set status = p_to_status,
+    saved_by = case when p_to_status = 'saved' then auth.uid() else saved_by end,
+    saved_at = case when p_to_status = 'saved' then now() else saved_at end
+  where id = p_draft_id
+  returning * into v_draft;
+  perform set_config('demandit.draft_transition', 'off', true);
+
+  insert into public.draft_status_events (draft_id, case_id, from_status, to_status, comment, created_by, created_by_email)
+  values (
+    v_draft.id,
+    v_draft.case_id,
+    v_from_status,
+    p_to_status,
+    v_comment,
+    auth.uid(),
+    (select email from auth.users where id = auth.uid())
+  );
+
+  return v_draft;
+end;
+$$;
@@ -0,0 +1,229 @@
+-- Append-only audit trail of changes to drafts, cases, case members and templates, and of draft exports
+-- Changes are recorded by triggers, so every write is logged whichever client made it
+-- entity_type: 'draft' | 'case' | 'case_member' | 'case_template' | 'template'
+-- action: 'created' | 'updated' | 'deleted' | 'exported'
+-- origin: 'human' or 'ai' (drafts generated by the AI, or AI-suggested edits the user applied)
+-- old_values / new_values hold the changed fields only for updates, and the whole row for creations and deletions
+-- case_id has no foreign key so entries outlive the case they describe
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid,
+  case_id uuid,
+  entity_type text not null,
+  entity_id uuid,
+  action text not null,
+  origin text not null default 'human',
+  old_values jsonb,
+  new_values jsonb,
+  -- Export format and filename, for 'exported' entries
+  details jsonb not null default '{}'::jsonb,
+  actor_id uuid,
+  -- Copied at creation so the entry keeps naming the user if their account is removed
+  actor_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_case_created_idx on public.audit_log (case_id, created_at);
+create index if not exists audit_log_company_created_idx on public.audit_log (company_id, created_at);
+
+alter table public.audit_log enable row level security;
+
+-- Case members can read a case's entries; company members can read entries not tied to a case (company templates)
+drop policy if exists "Case members can view case audit log" on public.audit_log;
+create policy "Case members can view case audit log"
+  on public.audit_log for select
+  using (
+    (case_id is not null and exists (
+      select 1 from public.case_users cu
+      where cu.case_id = audit_log.case_id and cu.user_id = auth.uid()
+    ))
+    or (case_id is null and exists (
+      select 1 from public.user_profiles up
+      where up.id = auth.uid() and up.company_id = audit_log.company_id
+    ))
+  );
+
+-- Exports happen in the browser, so case members record them themselves; everything else comes from the triggers
+drop policy if exists "Case members can record exports" on public.audit_log;
+create policy "Case members can record exports"
+  on public.audit_log for insert
+  with check (
+    action = 'exported' and actor_id = auth.uid() and exists (
+      select 1 from public.case_users cu
+      where cu.case_id = audit_log.case_id and cu.user_id = auth.uid()
+    )
+  );
+
+-- Fills in an export entry from the database rather than the client, so exports can't be backdated or
+-- attributed to someone else. Entries from record_audit_event are never 'exported' and pass through.
+-- Runs as the owner so it can read the user's email
+create or replace function public.prepare_export_entry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.action <> 'exported' then
+    return new;
+  end if;
+
+  if new.entity_type not in ('draft', 'audit_log') then
+    raise exception 'Only drafts and the audit log can be recorded as exported';
+  end if;
+  if new.entity_type = 'draft' and not exists (
+    select 1 from public.demand_letter_drafts d
+    where d.id = new.entity_id and d.case_id = new.case_id
+  ) then
+    raise exception 'The exported draft does not belong to this case';
+  end if;
+  if new.entity_type = 'audit_log' then
+    new.entity_id := null;
+  end if;
+
+  new.created_at := now();
+  new.actor_id := auth.uid();
+  new.actor_email := (select email from auth.users where id = auth.uid());
+  new.company_id := (select company_id from public.cases where id = new.case_id);
+  new.origin := 'human';
+  new.old_values := null;
+  new.new_values := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists prepare_export_entry on public.audit_log;
+create trigger prepare_export_entry
+  before insert on public.audit_log
+  for each row execute function public.prepare_export_entry();
+
+-- Entries can never be changed or removed, by anyone
+create or replace function public.prevent_audit_log_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'The audit log is append-only';
+end;
+$$;
+
+drop trigger if exists prevent_audit_log_changes on public.audit_log;
+create trigger prevent_audit_log_changes
+  before update or delete on public.audit_log
+  for each row execute function public.prevent_audit_log_changes();
+
+-- Who wrote a draft's current content: 'human' or 'ai'. Set by the app on every insert and content update
+alter table public.demand_letter_drafts
+  add column if not exists edit_origin text not null default 'human';
+
+-- Records an insert, update or delete of an audited table
+-- Runs as the owner because users can't write audit entries directly
+create or replace function public.record_audit_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  v_new jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  v_row jsonb := coalesce(to_jsonb(new), to_jsonb(old));
+  v_changed_old jsonb;
+  v_changed_new jsonb;
+  v_entity_type text;
+  v_entity_id uuid;
+  v_case_id uuid;
+  v_company_id uuid;
+  v_origin text := 'human';
+begin
+  if tg_op = 'UPDATE' then
+    select jsonb_object_agg(n.key, v_old -> n.key), jsonb_object_agg(n.key, n.value)
+    into v_changed_old, v_changed_new
+    from jsonb_each(v_new) n
+    where n.value is distinct from v_old -> n.key
+      and n.key not in ('updated_at', 'edit_origin');
+
+    -- Nothing worth recording changed
+    if v_changed_new is null then
+      return null;
+    end if;
+    v_old := v_changed_old;
+    v_new := v_changed_new;
+  end if;
+
+  case tg_table_name
+    when 'demand_letter_drafts' then
+      v_entity_type := 'draft';
+      v_entity_id := (v_row ->> 'id')::uuid;
+      v_case_id := (v_row ->> 'case_id')::uuid;
+      -- The origin describes the content, so it only applies when the content was written
+      if tg_op = 'INSERT' or (tg_op = 'UPDATE' and v_new ? 'rendered_content') then
+        v_origin := coalesce(v_row ->> 'edit_origin', 'human');
+      end if;
+    when 'cases' then
+      v_entity_type := 'case';
+      v_entity_id := (v_row ->> 'id')::uuid;
+      v_case_id := v_entity_id;
+      v_company_id := (v_row ->> 'company_id')::uuid;
+    when 'case_users' then
+      v_entity_type := 'case_member';
+      v_entity_id := (v_row ->> 'user_id')::uuid;
+      v_case_id := (v_row ->> 'case_id')::uuid;
+    when 'case_templates' then
+      v_entity_type := 'case_template';
+      v_entity_id := (v_row ->> 'id')::uuid;
+      v_case_id := (v_row ->> 'case_id')::uuid;
+    when 'templates' then
+      v_entity_type := 'template';
+      v_entity_id := (v_row ->> 'id')::uuid;
+      v_company_id := (v_row ->> 'company_id')::uuid;
+  end case;
+
+  if v_company_id is null and v_case_id is not null then
+    select company_id into v_company_id from public.cases where id = v_case_id;
+  end if;
+
+  insert into public.audit_log (
+    company_id, case_id, entity_type, entity_id, action, origin, old_values, new_values, actor_id, actor_email
+  )
+  values (
+    v_company_id,
+    v_case_id,
+    v_entity_type,
+    v_entity_id,
+    case tg_op when 'INSERT' then 'created' when 'UPDATE' then 'updated' else 'deleted' end,
+    v_origin,
+    v_old,
+    v_new,
+    auth.uid(),
+    (select email from auth.users where id = auth.uid())
+  );
+
+  return null;
+end;
+$$;
+
+drop trigger if exists audit_demand_letter_drafts on public.demand_letter_drafts;
+create trigger audit_demand_letter_drafts
+  after insert or update or delete on public.demand_letter_drafts
+  for each row execute function public.record_audit_event();
+
+drop trigger if exists audit_cases on public.cases;
+create trigger audit_cases
+  after insert or update or delete on public.cases
+  for each row execute function public.record_audit_event();
+
+drop trigger if exists audit_case_users on public.case_users;
+create trigger audit_case_users
+  after insert or update or delete on public.case_users
+  for each row execute function public.record_audit_event();
+
+drop trigger if exists audit_case_templates on public.case_templates;
+create trigger audit_case_templates
+  after insert or update or delete on public.case_templates
+  for each row execute function public.record_audit_event();
+
+drop trigger if exists audit_templates on public.templates;
+create trigger audit_templates
+  after insert or update or delete on public.templates
+  for each row execute function public.record_audit_event();
@@ -0,0 +1,63 @@
+-- Edit revisions for optimistic concurrency on drafts and templates
+-- Each row carries a revision number that goes up whenever its content is changed. Saves from the app
+-- only apply when the row is still at the revision the editor loaded, so a save made after someone
+-- else's is rejected (and merged in the app) instead of silently overwriting it.
+-- revised_at / revised_by_email record the last content change, to say whose save came first
+alter table public.demand_letter_drafts
+  add column if not exists revision integer not null default 1,
+  add column if not exists revised_at timestamptz,
+  add column if not exists revised_by_email text;
+
+alter table public.templates
+  add column if not exists revision integer not null default 1,
+  add column if not exists revised_at timestamptz,
+  add column if not exists revised_by_email text;
+
+alter table public.case_templates
+  add column if not exists revision integer not null default 1,
+  add column if not exists revised_at timestamptz,
+  add column if not exists revised_by_email text;
+
+-- Bumps the revision when any of the columns named in the trigger arguments changed
+-- Other updates (e.g. draft status changes) keep the revision, and clients can never set it themselves
+-- Runs as the owner so it can read the user's email
+create or replace function public.bump_edit_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_column text;
+begin
+  new.revision := old.revision;
+  new.revised_at := old.revised_at;
+  new.revised_by_email := old.revised_by_email;
+
+  foreach v_column in array tg_argv loop
+    if (to_jsonb(new) -> v_column) is distinct from (to_jsonb(old) -> v_column) then
+      new.revision := old.revision + 1;
+      new.revised_at := now();
+      new.revised_by_email := (select email from auth.users where id = auth.uid());
+      exit;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists bump_edit_revision on public.demand_letter_drafts;
+create trigger bump_edit_revision
+  before update on public.demand_letter_drafts
+  for each row execute function public.bump_edit_revision('rendered_content');
+
+drop trigger if exists bump_edit_revision on public.templates;
+create trigger bump_edit_revision
+  before update on public.templates
+  for each row execute function public.bump_edit_revision('name', 'type', 'content');
+
+drop trigger if exists bump_edit_revision on public.case_templates;
+create trigger bump_edit_revision
+  before update on public.case_templates
+  for each row execute function public.bump_edit_revision('name', 'type', 'content');